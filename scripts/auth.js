@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// ===== API Credentials CLI =====
+// Issues the credentials server.js accepts (see server/auth.js)
+//
+//   node scripts/auth.js page-token [--days 180]
+//   node scripts/auth.js api-key <name>
+//
+// page-token signs a token with AUTH_PAGE_SECRET for the Kissflow custom
+// page: set it as REACT_APP_API_TOKEN and rebuild. api-key prints a new
+// name:key entry to append to AUTH_API_KEYS.
+// quiet: the token / key is the only output, ready to paste
+require("dotenv").config({ quiet: true });
+const crypto = require("crypto");
+const { issuePageToken } = require("../server/auth");
+
+const USAGE = `Usage:
+  node scripts/auth.js page-token [--days 180]
+  node scripts/auth.js api-key <name>`;
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--days") {
+      flags.days = Number(argv[++i]);
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+
+  if (command === "page-token") {
+    const secret = process.env.AUTH_PAGE_SECRET;
+    if (!secret) throw new Error("AUTH_PAGE_SECRET is not set");
+    if (flags.days !== undefined && !(flags.days > 0)) {
+      throw new Error("--days must be a positive number");
+    }
+    console.log(issuePageToken(secret, { days: flags.days }));
+    return true;
+  }
+  if (command === "api-key") {
+    const [name] = positional;
+    if (!name || /[:,]/.test(name)) {
+      throw new Error("api-key needs a name without ':' or ','");
+    }
+    console.log(`${name}:${crypto.randomBytes(24).toString("base64url")}`);
+    return true;
+  }
+
+  console.log(USAGE);
+  return command === undefined || command === "help";
+}
+
+try {
+  process.exit(main() ? 0 : 1);
+} catch (err) {
+  console.error(`auth: ${err.message}`);
+  process.exit(1);
+}
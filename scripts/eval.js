@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+// ===== Evaluation CLI =====
+// Runs the golden set (eval/goldenSet.json) through server.js and compares
+// runs, so prompt and retrieval changes can be checked before they ship
+//
+//   node scripts/eval.js run --name <name> [--judge] [--golden <file>] [--out <file>]
+//   node scripts/eval.js compare <a.json> <b.json> [--out <report.md>]
+//
+// A run uses the same LLM_PROVIDER / Weaviate settings as server.js (or the
+// mocks with MOCK_MODE=true); leave balances always come from the fixture
+// Kissflow data. Change TOP_K, SEARCH_ALPHA, ... between runs via the env.
+// A run writes eval/results/<name>.json and a <name>.md report next to it.
+require("dotenv").config();
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { createApp } = require("../server");
+const { loadAuthConfig, signToken } = require("../server/auth");
+const {
+  formatComparison,
+  formatScore,
+  runEvaluation,
+} = require("../server/evaluation");
+const { loadKissflowConfig } = require("../server/kissflowConfig");
+const { createLlmProvider } = require("../server/llm");
+const { createMockServices } = require("../server/mocks");
+const { connectWeaviate } = require("../server/weaviate");
+const { createFakeKissflow } = require("../src/mocks/fakeKissflow");
+const KISSFLOW_FIXTURES = require("../src/mocks/fixtures/kissflow.json");
+
+const DEFAULT_GOLDEN_SET = path.join(__dirname, "..", "eval", "goldenSet.json");
+const RESULTS_DIR = path.join(__dirname, "..", "eval", "results");
+
+const USAGE = `Usage:
+  node scripts/eval.js run --name <name> [--judge] [--golden <file>] [--out <file>]
+  node scripts/eval.js compare <a.json> <b.json> [--out <report.md>]`;
+
+/**
+ * Split argv into positional arguments and --flags (--name value / --judge)
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (["--name", "--golden", "--out"].includes(arg)) {
+      flags[arg.slice(2)] = argv[++i];
+    } else if (arg === "--judge") {
+      flags.judge = true;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+async function createServices(kissflowConfig) {
+  // Fixture Kissflow data either way: leave answers are scored against it
+  const kissflow = createFakeKissflow(kissflowConfig);
+  if (process.env.MOCK_MODE === "true") {
+    return { ...createMockServices(kissflowConfig), kissflow };
+  }
+  const client = await connectWeaviate();
+  if (!client) throw new Error("Weaviate is not available");
+  return { llm: createLlmProvider(), client, kissflow };
+}
+
+// Only this run's requests are signed with it
+const EVAL_JWT_SECRET = crypto.randomBytes(32).toString("base64url");
+
+/**
+ * The fixture user, with a JWT carrying their email: the Kissflow tool proxy
+ * only looks up the records of a verified email
+ */
+function leaveUser() {
+  const { _id: userId, Email: email } = KISSFLOW_FIXTURES.user;
+  const balance = KISSFLOW_FIXTURES.leaveBalances.find(
+    (b) => b.email === email
+  );
+  const token = signToken(
+    { sub: userId, email, exp: Math.floor(Date.now() / 1000) + 24 * 60 * 60 },
+    EVAL_JWT_SECRET
+  );
+  return { email, balance, token };
+}
+
+async function runCommand({ name, judge, golden = DEFAULT_GOLDEN_SET, out }) {
+  if (!name) throw new Error("run needs --name");
+
+  const goldenSet = JSON.parse(fs.readFileSync(golden, "utf8"));
+  const kissflowConfig = loadKissflowConfig();
+  const services = await createServices(kissflowConfig);
+  // Only this script talks to the in-process server
+  const app = createApp({
+    ...services,
+    kissflowConfig,
+    auth: loadAuthConfig({ AUTH_JWT_SECRET: EVAL_JWT_SECRET }),
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+
+  let run;
+  try {
+    run = await runEvaluation({
+      name,
+      goldenSet,
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      llm: services.llm,
+      judge,
+      leaveUser: leaveUser(),
+      onResult: (result) =>
+        console.error(
+          `[Eval] ${result.id}: ${
+            result.error ||
+            (result.type === "case_search"
+              ? `recall ${result.recall.toFixed(2)}`
+              : result.exact
+              ? "exact"
+              : "not exact")
+          }`
+        ),
+    });
+  } finally {
+    server.close();
+  }
+
+  // Results for `compare`, plus a readable report of this run alone
+  const file = out || path.join(RESULTS_DIR, `${name}.json`);
+  const reportFile = file.replace(/\.json$/, "") + ".md";
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(run, null, 2)}\n`);
+  fs.writeFileSync(reportFile, formatComparison(run));
+  console.error(
+    `[Eval] recall@k ${formatScore(
+      run.summary.recallAtK
+    )}, numeric exactness ${formatScore(
+      run.summary.numericExactness
+    )}, judge ${formatScore(run.summary.judgeScore)}, ${
+      run.summary.errors
+    } errors`
+  );
+  console.error(`[Eval] Results written to ${file} and ${reportFile}`);
+  return run.summary.errors === 0;
+}
+
+function compareCommand([fileA, fileB], { out }) {
+  if (!fileA || !fileB) throw new Error("compare needs two result files");
+  const [a, b] = [fileA, fileB].map((file) =>
+    JSON.parse(fs.readFileSync(file, "utf8"))
+  );
+  const report = formatComparison(a, b);
+  if (out) {
+    fs.writeFileSync(out, report);
+    console.log(`Report written to ${out}`);
+  } else {
+    process.stdout.write(report);
+  }
+  return true;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+
+  if (command === "run") return runCommand(flags);
+  if (command === "compare") return compareCommand(positional, flags);
+  console.log(USAGE);
+  return command === undefined || command === "help";
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((err) => {
+    console.error(`eval: ${err.message}`);
+    process.exit(1);
+  });
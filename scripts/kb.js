@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// ===== Knowledge Base CLI =====
+// Import, delete and reindex cases in the CaseSolutionKnowledgeBase
+// collection, with the same provider and Weaviate settings as server.js
+//
+//   node scripts/kb.js import <file> [--format csv|json|kissflow] [--dry-run]
+//   node scripts/kb.js delete <caseNumber> [<caseNumber> ...]
+//   node scripts/kb.js reindex
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const {
+  normalizeCaseRecords,
+  parseImportPayload,
+} = require("../server/caseImport");
+const {
+  deleteCases,
+  importCases,
+  reindexKnowledgeBase,
+} = require("../server/knowledgeBase");
+const { loadKissflowConfig } = require("../server/kissflowConfig");
+const { caseTypeOptions } = require("../src/kissflowCaseFields");
+const { createLlmProvider } = require("../server/llm");
+const { createMockServices } = require("../server/mocks");
+const { connectWeaviate } = require("../server/weaviate");
+
+const USAGE = `Usage:
+  node scripts/kb.js import <file> [--format csv|json|kissflow] [--dry-run]
+  node scripts/kb.js delete <caseNumber> [<caseNumber> ...]
+  node scripts/kb.js reindex`;
+
+/**
+ * Split argv into positional arguments and --flags (--name value / --name)
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--format") {
+      flags.format = argv[++i];
+    } else if (arg === "--dry-run") {
+      flags.dryRun = true;
+    } else if (arg.startsWith("--")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { positional, flags };
+}
+
+async function connectServices() {
+  if (process.env.MOCK_MODE === "true") {
+    console.warn("MOCK_MODE is on: changes only affect an in-memory store.");
+    return createMockServices(loadKissflowConfig());
+  }
+  const client = await connectWeaviate();
+  if (!client) throw new Error("Weaviate is not available");
+  return { client, llm: createLlmProvider() };
+}
+
+function formatDefault(file) {
+  const extension = path.extname(file).toLowerCase();
+  return extension === ".csv" ? "csv" : undefined;
+}
+
+async function runImport({ client, llm }, [file], { format, dryRun }) {
+  if (!file) throw new Error("import needs a file");
+
+  const kissflowConfig = loadKissflowConfig();
+  const { format: resolvedFormat, records } = parseImportPayload(
+    fs.readFileSync(file, "utf8"),
+    { format: format || formatDefault(file), kissflowConfig }
+  );
+  const { cases, errors, warnings } = normalizeCaseRecords(records, {
+    caseTypes: caseTypeOptions(kissflowConfig.processes.caseCreate),
+  });
+  const report = await importCases({ client, llm, cases, dryRun });
+
+  console.log(
+    `${dryRun ? "Dry run: " : ""}${records.length} ${resolvedFormat} records, ${
+      cases.length
+    } valid cases in ${report.chunks} chunks`
+  );
+  console.log(
+    `  ${dryRun ? "would create" : "created"}: ${report.created.length}`
+  );
+  console.log(
+    `  ${dryRun ? "would update" : "updated"}: ${report.updated.length}`
+  );
+  for (const { row, error } of errors) {
+    console.log(`  invalid row ${row}: ${error}`);
+  }
+  for (const { row, warning } of warnings) {
+    console.log(`  row ${row}: ${warning}`);
+  }
+  for (const { caseNumber, error } of report.failed) {
+    console.log(`  failed ${caseNumber}: ${error}`);
+  }
+  return report.failed.length === 0;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+
+  if (!["import", "delete", "reindex"].includes(command)) {
+    console.log(USAGE);
+    return command === undefined || command === "help";
+  }
+
+  const services = await connectServices();
+  if (command === "import") {
+    return runImport(services, positional, flags);
+  }
+  if (command === "delete") {
+    if (positional.length === 0) throw new Error("delete needs caseNumbers");
+    const deleted = await deleteCases(services.client, positional);
+    console.log(`Deleted ${deleted} objects`);
+    return true;
+  }
+
+  const { objects, failed, collection } = await reindexKnowledgeBase(services);
+  console.log(
+    failed.length === 0
+      ? `Reindexed ${objects} objects into ${collection}`
+      : `Reindex failed for ${failed.length} of ${objects} objects; ${collection} is unchanged`
+  );
+  return failed.length === 0;
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((err) => {
+    console.error(`kb: ${err.message}`);
+    process.exit(1);
+  });
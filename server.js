@@ -1,330 +1,846 @@
-require("dotenv").config();
+// quiet: the log is JSON lines only (see server/logger.js)
+require("dotenv").config({ quiet: true });
 const express = require("express");
 const cors = require("cors");
-const weaviate = require("weaviate-client").default;
-const OpenAI = require("openai");
-
-async function main() {
+const {
+  buildConversationMemory,
+  toModelMessages,
+} = require("./server/conversationMemory");
+const { classifyIntent } = require("./server/intentClassifier");
+const { extractLeaveRequest } = require("./server/leaveRequestParser");
+const { kissflowRequest, runKissflowTool } = require("./server/kissflowApi");
+const {
+  IDEMPOTENCY_KEY,
+  KissflowCreateError,
+  createIdempotencyCache,
+  createKissflowItemCreator,
+  loadKissflowCreateConfig,
+  parseCreateItems,
+} = require("./server/kissflowCreate");
+const { createLlmProvider } = require("./server/llm");
+const { parseSearchOptions } = require("./server/caseSearch");
+const { generateKissflowCaseData } = require("./server/caseDataGenerator");
+const {
+  buildCaseContext,
+  retrieveCases,
+} = require("./server/retrievalPipeline");
+const { createMockServices } = require("./server/mocks");
+const { connectWeaviate } = require("./server/weaviate");
+const { loadKissflowConfig } = require("./server/kissflowConfig");
+const { KISSFLOW_TOOLS, buildToolDefinitions } = require("./src/kissflowTools");
+const { caseTypeOptions } = require("./src/kissflowCaseFields");
+const { createSessionStore } = require("./server/sessionStore");
+const { createSessionRouter } = require("./server/sessionRoutes");
+const { createKnowledgeBaseRouter } = require("./server/knowledgeBaseRoutes");
+const { createLearningQueue } = require("./server/learningQueue");
+const {
+  parseCompletionEvent,
+  receiveResolvedCase,
+} = require("./server/autoLearn");
+const { secretsMatch } = require("./server/secrets");
+const { createFeedbackStore } = require("./server/feedbackStore");
+const { createAnswerStore } = require("./server/answerStore");
+const { createFeedbackRouter } = require("./server/feedbackRoutes");
+const { createPromptRegistry } = require("./server/promptRegistry");
+const { createPromptRouter } = require("./server/promptRoutes");
+const {
+  authEnabled,
+  authenticate,
+  corsOptions,
+  describeIdentity,
+  getRequestUserId,
+  loadAuthConfig,
+} = require("./server/auth");
+const { createUsageStore } = require("./server/usageStore");
+const {
+  limitModelUsage,
+  loadUsageConfig,
+  trackUsage,
+  usageContextMiddleware,
+} = require("./server/usageTracking");
+const { createUsageRouter } = require("./server/usageRoutes");
+const { createAuthRouter } = require("./server/authRoutes");
+const { createLogger, requestLogging } = require("./server/logger");
+const { loadPiiPolicy, scrubPii } = require("./server/pii");
+
+const log = createLogger("server");
+const kissflowLog = createLogger("kissflow");
+
+// Offline development and tests: fake OpenAI, in-memory knowledge base and
+// fake Kissflow API instead of the real services (see server/mocks)
+const MOCK_MODE = process.env.MOCK_MODE === "true";
+
+// /api routes that check their own secret (admin token, webhook secret)
+// instead of the caller's identity
+const SELF_AUTHENTICATED_PATHS = [
+  "/kb",
+  "/prompts",
+  "/feedback/export",
+  "/usage",
+  "/kissflow/webhook",
+];
+
+// Routes that call models: rate limited and subject to the user quotas
+const MODEL_ROUTES = [
+  "/api/chat",
+  "/api/ask",
+  "/api/intent",
+  "/api/kissflow/case-data",
+  "/api/leave/draft",
+];
+
+// {{language}} in the answer prompts (see server/prompts.js)
+const PROMPT_LANGUAGE = process.env.PROMPT_LANGUAGE || "Thai";
+
+/**
+ * Build the Express app around its services
+ * - llm: model provider from server/llm (or the mock-mode fake)
+ * - client: Weaviate client (or the in-memory case store); null disables /api/ask
+ * - kissflow: { api(path, options) } used by the Kissflow tool proxy
+ * - kissflowConfig: validated deployment config
+ * - learningQueue: resolved cases awaiting review (see server/learningQueue.js)
+ * - feedbackStore: thumbs up/down on answers (see server/feedbackStore.js)
+ * - answerStore: what produced each answer, for its feedback (see
+ *   server/answerStore.js)
+ * - promptRegistry: versioned prompt templates (see server/promptRegistry.js)
+ * - auth: credentials and CORS origins (see server/auth.js)
+ * - usageStore / usageConfig: model call records, prices, quotas and rate
+ *   limits (see server/usageTracking.js)
+ * - piiPolicy: personal data masked before model calls (see server/pii.js)
+ * - kissflowItems: { createItems(items) } behind /api/kissflow/create (see
+ *   server/kissflowCreate.js)
+ */
+function createApp({
+  llm: provider,
+  client,
+  kissflow,
+  kissflowConfig,
+  sessionStore = createSessionStore(),
+  learningQueue = createLearningQueue(),
+  feedbackStore = createFeedbackStore(),
+  answerStore = createAnswerStore(),
+  promptRegistry = createPromptRegistry(),
+  webhookSecret = process.env.KISSFLOW_WEBHOOK_SECRET,
+  auth = loadAuthConfig(),
+  usageStore = createUsageStore(),
+  usageConfig = loadUsageConfig(),
+  piiPolicy = loadPiiPolicy(),
+  kissflowItems = createKissflowItemCreator(loadKissflowCreateConfig()),
+}) {
   const app = express();
-  const port = 3001;
+  const idempotencyCache = createIdempotencyCache();
+  // Every model call is recorded for the user and route it serves, and sees
+  // placeholders instead of the personal data in its prompt
+  const llm = trackUsage(
+    scrubPii(provider, piiPolicy),
+    usageStore,
+    usageConfig
+  );
+
+  /**
+   * Keep what produced an answer under the client's `messageId`, so its
+   * feedback does not have to take the question, cases and model from the
+   * client. Answers without a messageId are not recorded.
+   */
+  async function recordAnswer(req, answer) {
+    const { messageId } = req.body;
+    if (typeof messageId !== "string" || !messageId) return;
+    try {
+      await answerStore.saveAnswer({
+        userId: getRequestUserId(req) || null,
+        messageId,
+        ...answer,
+      });
+    } catch (err) {
+      log.error("Error recording answer", { err });
+    }
+  }
 
-  app.use(cors());
+  // First, so every log line of the request carries its request ID
+  app.use(requestLogging);
+  app.use(cors(corsOptions(auth)));
+  app.use("/api", usageContextMiddleware);
+  // Mounted before the global JSON parser: imports have their own body limit
+  app.use(
+    "/api/kb",
+    createKnowledgeBaseRouter({ client, llm, kissflowConfig, learningQueue })
+  );
   app.use(express.json());
+  // Attaches req.identity to every other /api request, or answers 401
+  app.use("/api", authenticate(auth, { skip: SELF_AUTHENTICATED_PATHS }));
+  app.use(MODEL_ROUTES, limitModelUsage(usageStore, usageConfig));
+
+  // ===== Chat Endpoint (answers from context supplied by the client) =====
+  // Send `stream: true` to receive the answer as Server-Sent Events
+  // Send `tools` (names from src/kissflowTools.js) to let the model request
+  // Kissflow lookups: the response then carries `toolCalls` for the client to
+  // run, and the client calls again with the results in `toolMessages`
+  // `promptVersion` in the response names the prompt template used
+  // `messageId` (optional) is the chat message the answer goes into
+  app.post("/api/chat", async (req, res) => {
+    const {
+      question,
+      chatHistory = [],
+      context = "",
+      tools = [],
+      toolMessages = [],
+      userName,
+      stream,
+    } = req.body;
+
+    if (!question) {
+      return res.status(400).json({ error: "Question is required" });
+    }
 
-  console.log("Connecting to Weaviate...");
-  try {
-    const client = await weaviate.connectToWeaviateCloud(
-      process.env.WEAVIATE_ENDPOINT,
-      {
-        authCredentials: new weaviate.ApiKey(process.env.WEAVIATE_API_KEY),
-        headers: { "X-OpenAI-Api-Key": process.env.OPENAI_API_KEY },
-      }
+    if (!Array.isArray(tools) || !Array.isArray(toolMessages)) {
+      return res
+        .status(400)
+        .json({ error: "tools and toolMessages must be arrays" });
+    }
+
+    const unknownTool = tools.find(
+      (name) => !Object.hasOwn(KISSFLOW_TOOLS, name)
     );
+    if (unknownTool) {
+      return res.status(400).json({ error: `Unknown tool: ${unknownTool}` });
+    }
 
-    await client.isReady();
-    console.log("Successfully connected to Weaviate.");
+    const sendEvent = stream ? openEventStream(res) : null;
+    const controller = abortOnClose(res);
+
+    try {
+      const prompt = await promptRegistry.render("chat-answer", {
+        question,
+        context,
+        language: PROMPT_LANGUAGE,
+        userName,
+      });
+      const { answer, toolCalls } = await generateChatAnswer(
+        llm,
+        prompt,
+        { chatHistory, tools, toolMessages },
+        {
+          onDelta: sendEvent && ((text) => sendEvent("delta", { text })),
+          signal: controller.signal,
+        }
+      );
 
-    const openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+      const response = {
+        answer,
+        toolCalls,
+        model: llm.models.fast,
+        promptVersion: prompt.id,
+      };
+      // Tool rounds end with a call from the client; only the last is kept
+      if (!toolCalls?.length) {
+        await recordAnswer(req, {
+          question,
+          answer,
+          caseNumbers: [],
+          model: response.model,
+          promptVersion: response.promptVersion,
+        });
+      }
+      if (!sendEvent) {
+        return res.json(response);
+      }
+      sendEvent("done", response);
+      res.end();
+    } catch (err) {
+      handleRouteError(res, sendEvent, controller, "chat", err);
+    }
+  });
 
-    app.post("/api/ask", async (req, res) => {
-      const { question, chatHistory = [] } = req.body;
+  // Send `stream: true` to receive the answer as Server-Sent Events
+  // Optional search options (see server/caseSearch.js):
+  // `filters` { caseType, dateFrom, dateTo }, `alpha`, `minCertainty`
+  // `messageId` (optional) is the chat message the answer goes into
+  app.post("/api/ask", async (req, res) => {
+    const { question, chatHistory = [], userName, stream } = req.body;
 
-      if (!question) {
-        return res.status(400).json({ error: "Question is required" });
-      }
+    if (!question) {
+      return res.status(400).json({ error: "Question is required" });
+    }
 
-      console.log(`Step 1: Get text from user: "${question}"`);
-      try {
-        const { embedding } = await generateQuestionEmbedding(openai, question);
-        const docs = await searchWeaviate(client, embedding);
-        console.log(`Step 5: Using all ${docs.length} cases from Weaviate.`);
-
-        if (docs.length === 0) {
-          return res.json({
-            answer:
-              "I couldn't find any information matching your question. Please try rephrasing it.",
-            citations: [],
-          });
-        }
+    const { options: searchOptions, error } = parseSearchOptions(req.body, {
+      caseTypes: caseTypeOptions(kissflowConfig.processes.caseCreate),
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-        const context = docs
-          .map(
-            (d, i) =>
-              `Case #${i + 1}:\n- Case Number: ${d.caseNumber}\n- Title: ${
-                d.caseTitle
-              }\n- Type: ${d.caseType}\n- Description: ${
-                d.caseDescription
-              }\n- Solution: ${d.solutionDescription}\n- Instance ID: ${
-                d.instanceID
-              }\n- Relevance Score: ${(d._additional.certainty * 100).toFixed(
-                2
-              )}%`
-          )
-          .join("\n\n---\n\n");
+    if (!client) {
+      return res
+        .status(503)
+        .json({ error: "Knowledge base search is not available" });
+    }
 
-        const answer = await generateAnswer(
-          openai,
-          context,
-          question,
-          chatHistory
-        );
+    const sendEvent = stream ? openEventStream(res) : null;
+    const controller = abortOnClose(res);
 
-        // Generate Kissflow case data based on user question and Weaviate context
-        const kissflowData = await generateKissflowCaseData(
-          openai,
+    log.info("Answering question", {
+      user: describeIdentity(req.identity),
+      questionChars: question.length,
+    });
+    log.debug("Question", { question });
+    try {
+      const { embedding } = await generateQuestionEmbedding(llm, question);
+      // Over-fetch, dedupe, rerank and trim (see server/retrievalPipeline.js)
+      const { docs } = await retrieveCases({
+        client,
+        llm,
+        query: question,
+        vector: embedding,
+        options: searchOptions,
+        signal: controller.signal,
+      });
+      log.info("Using retrieved cases", { cases: docs.length });
+
+      if (docs.length === 0) {
+        const emptyResponse = {
+          answer:
+            "I couldn't find any information matching your question. Please try rephrasing it.",
+          citations: [],
+        };
+        await recordAnswer(req, {
           question,
-          context,
-          answer
-        );
-
-        const citations = docs.map((d, i) => ({
-          index: i + 1,
-          title: d.caseTitle,
-          caseNumber: d.caseNumber,
-          type: d.caseType,
-        }));
-
-        const response = { answer, citations, kissflowData };
-        console.log(
-          "Step 7: Returning final response:",
-          JSON.stringify(response, null, 2)
-        );
-        res.json(response);
-      } catch (err) {
-        console.error("Error in askQuestion:", err);
-        const errorMessage =
-          err instanceof Error ? err.message : "An unknown error occurred.";
-        res
-          .status(500)
-          .json({ error: `Internal server error: ${errorMessage}` });
+          answer: emptyResponse.answer,
+          caseNumbers: [],
+          model: null,
+          promptVersion: null,
+        });
+        if (!sendEvent) {
+          return res.json(emptyResponse);
+        }
+        sendEvent("done", emptyResponse);
+        return res.end();
+      }
+
+      const context = buildCaseContext(docs);
+
+      // index matches "Case #n" in the context and the [n] markers the
+      // answer cites; instanceID lets the client open the Kissflow item
+      const citations = docs.map((d, i) => ({
+        index: i + 1,
+        title: d.caseTitle,
+        caseNumber: d.caseNumber,
+        type: d.caseType,
+        instanceID: d.instanceID || null,
+        certainty: d._additional.certainty ?? null,
+      }));
+      if (sendEvent) {
+        sendEvent("citations", { citations });
       }
-    });
 
-    // ===== Kissflow Create Item Endpoint (CORS Proxy) =====
-    app.post("/api/kissflow/create", async (req, res) => {
-      const { caseData } = req.body;
+      const prompt = await promptRegistry.render("case-answer", {
+        question,
+        context,
+        language: PROMPT_LANGUAGE,
+        userName,
+      });
+      const answer = await generateAnswer(llm, prompt, chatHistory, {
+        onDelta: sendEvent && ((text) => sendEvent("delta", { text })),
+        signal: controller.signal,
+      });
+
+      // Generate Kissflow case data based on user question and Weaviate context
+      const { caseData: kissflowData } = await generateKissflowCaseData(
+        llm,
+        { promptRegistry, caseCreate: kissflowConfig.processes.caseCreate },
+        { question, context, answer }
+      );
 
-      if (!caseData) {
-        return res.status(400).json({ error: "caseData is required" });
+      const response = {
+        answer,
+        citations,
+        kissflowData,
+        model: llm.models.chat,
+        promptVersion: prompt.id,
+      };
+      log.info("Answer ready", {
+        answerChars: answer.length,
+        citations: citations.map((c) => c.caseNumber),
+        promptVersion: prompt.id,
+      });
+      log.debug("Response", { response });
+      await recordAnswer(req, {
+        question,
+        answer,
+        caseNumbers: citations.map((c) => c.caseNumber),
+        model: response.model,
+        promptVersion: response.promptVersion,
+      });
+      if (!sendEvent) {
+        return res.json(response);
       }
+      sendEvent("done", response);
+      res.end();
+    } catch (err) {
+      handleRouteError(res, sendEvent, controller, "askQuestion", err);
+    }
+  });
 
-      try {
-        console.log(
-          "[Kissflow API] Creating new item with data:",
-          JSON.stringify(caseData, null, 2)
-        );
-        console.log(
-          "[Kissflow API] Using Access Key ID:",
-          process.env.KISSFLOW_ACCESS_KEY_ID ? "✓ Present" : "✗ Missing"
-        );
-        console.log(
-          "[Kissflow API] Using Access Key Secret:",
-          process.env.KISSFLOW_ACCESS_KEY_SECRET ? "✓ Present" : "✗ Missing"
-        );
-        console.log(
-          "[Kissflow API] Using URL:",
-          process.env.REACT_APP_KISSFLOW_CREATE_ITEM_API
-        );
-
-        const formUrl = `${process.env.REACT_APP_KISSFLOW_CREATE_ITEM_API}`;
-
-        // Wrap caseData in an array as required by Kissflow API
-        const requestBody = JSON.stringify([caseData]);
-        console.log("[Kissflow API] Request body:", requestBody);
-
-        const response = await fetch(formUrl, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "X-Access-Key-Id": process.env.KISSFLOW_ACCESS_KEY_ID || "",
-            "X-Access-Key-Secret": process.env.KISSFLOW_ACCESS_KEY_SECRET || "",
-          },
-          body: requestBody,
-        });
+  // ===== Intent Classification (used by the client-side intent router) =====
+  app.post("/api/intent", async (req, res) => {
+    const { question, chatHistory = [], intents } = req.body;
 
-        const responseText = await response.text();
-        console.log(`[Kissflow API] Response status: ${response.status}`);
-        console.log(`[Kissflow API] Response body: ${responseText}`);
-
-        if (!response.ok) {
-          console.error(
-            `[Kissflow API] Error ${response.status}:`,
-            responseText
-          );
-          return res.status(response.status).json({
-            error: `Kissflow API error: ${response.statusText}`,
-            details: responseText,
-          });
-        }
+    if (!question || !Array.isArray(intents) || intents.length === 0) {
+      return res
+        .status(400)
+        .json({ error: "question and intents are required" });
+    }
 
-        const result = JSON.parse(responseText);
-        console.log("[Kissflow API] Item created successfully:", result);
-        res.json(result);
-      } catch (error) {
-        console.error("[Kissflow API] Error creating item:", error);
-        res.status(500).json({
-          error: "Failed to create Kissflow item",
-          details: error instanceof Error ? error.message : String(error),
-        });
-      }
-    });
+    try {
+      const intent = await classifyIntent(
+        llm,
+        promptRegistry,
+        question,
+        chatHistory,
+        intents
+      );
+      res.json({ intent });
+    } catch (err) {
+      handleRouteError(res, null, abortOnClose(res), "intent", err);
+    }
+  });
 
-    app.listen(port, () => {
-      console.log(`Server listening at http://localhost:${port}`);
-    });
-  } catch (error) {
-    console.error("Failed to connect to Weaviate or start the server:", error);
-    process.exit(1);
-  }
-}
+  // ===== Kissflow Case Draft (create-request intent) =====
+  app.post("/api/kissflow/case-data", async (req, res) => {
+    const { question, chatHistory = [] } = req.body;
+
+    if (!question) {
+      return res.status(400).json({ error: "Question is required" });
+    }
 
-async function generateQuestionEmbedding(openai, question) {
-  console.log("Step 2: Embedding text using OpenAI...");
-  const response = await openai.embeddings.create({
-    model: "text-embedding-3-small",
-    input: question,
+    // Recent conversation stands in for knowledge-base context
+    const context = toModelMessages(chatHistory)
+      .slice(-6)
+      .map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`)
+      .join("\n");
+
+    const { caseData, promptVersion, errors } = await generateKissflowCaseData(
+      llm,
+      { promptRegistry, caseCreate: kissflowConfig.processes.caseCreate },
+      { question, context, answer: "" }
+    );
+    // The body is the case data itself, so the prompt version and the fields
+    // that fell back go in headers
+    if (promptVersion) {
+      res.set("X-Prompt-Version", promptVersion);
+    }
+    if (errors.length > 0) {
+      res.set(
+        "X-Case-Data-Fallback",
+        errors.map(({ field }) => field).join(",")
+      );
+    }
+    res.json(caseData);
   });
-  const embedding = response.data[0].embedding;
-  console.log(
-    `Step 3: Embedding data: {*embedding data of length ${embedding.length}*}`
-  );
-  return { embedding };
-}
 
-async function searchWeaviate(client, vector) {
-  console.log(`Step 4: Searching Weaviate with semantic similarity...`);
-  const className = "CaseSolutionKnowledgeBase";
-  const topK = parseInt(process.env.TOP_K || "5", 10);
-
-  const query = `
-      {
-        Get {
-          ${className}(
-            nearVector: { vector: ${JSON.stringify(vector)} }
-            limit: ${topK}
-          ) {
-            caseNumber
-            caseTitle
-            caseType
-            caseDescription
-            solutionDescription
-            instanceID
-            _additional { certainty }
-          }
-        }
-      }
-    `;
-
-  try {
-    const result = await client.graphql.raw({ query });
-    const documents = result.data.Get[className] || [];
-    console.log(`Step 5: Found ${documents.length} documents in Weaviate`);
-    return documents;
-  } catch (error) {
-    console.error("Weaviate search failed:", error);
-    throw new Error(`Weaviate search failed: ${error.message}`);
-  }
-}
+  // ===== Leave Request Draft (leave-request intent) =====
+  app.post("/api/leave/draft", async (req, res) => {
+    const { question, chatHistory = [] } = req.body;
 
-async function generateAnswer(openai, context, question, chatHistory) {
-  console.log("Step 6: Generating answer with context using OpenAI...");
-  const systemPrompt = `You are a helpful AI assistant specializing in case management. Your task is to answer the user's question based on the provided case context and chat history. Synthesize the information from similar cases to provide a comprehensive and natural-sounding answer. If the information is not in the context, say that you couldn't find similar cases. Do not make up information. Maintain a conversational and friendly tone in Thai language, like a human would. If the user's question is a follow-up to a previous question, use the chat history to understand the context of the conversation.`;
-  const userPrompt = `Question: ${question}\n\nSimilar Cases Context:\n${context}`;
+    if (!question) {
+      return res.status(400).json({ error: "Question is required" });
+    }
 
-  const messages = [
-    { role: "system", content: systemPrompt },
-    ...chatHistory,
-    { role: "user", content: userPrompt },
-  ];
+    try {
+      res.json(
+        await extractLeaveRequest(llm, promptRegistry, question, chatHistory)
+      );
+    } catch (err) {
+      handleRouteError(res, null, abortOnClose(res), "leave-draft", err);
+    }
+  });
 
-  const response = await openai.chat.completions.create({
-    model: process.env.OPENAI_CHAT_MODEL || "gpt-4o",
-    temperature: 0.2,
-    messages: messages,
+  // ===== Kissflow Deployment Config (for bundles built without one) =====
+  app.get("/api/config/kissflow", (req, res) => {
+    res.json(kissflowConfig);
   });
 
-  const answer = response.choices[0].message.content.trim();
-  console.log(`Step 7: Generated answer: "${answer}"`);
-  return answer;
-}
+  // ===== Kissflow Tool Proxy (for clients without the Kissflow SDK) =====
+  app.post("/api/kissflow/tools/:name", async (req, res) => {
+    const { arguments: rawArguments } = req.body;
+    // The lookups run with the server's keys, so they are scoped to the
+    // verified email of the caller (user token or JWT), never one it sends
+    const { email } = req.identity;
+
+    if (!Object.hasOwn(KISSFLOW_TOOLS, req.params.name)) {
+      return res
+        .status(404)
+        .json({ error: `Unknown tool: ${req.params.name}` });
+    }
+    if (!email) {
+      return res.status(403).json({
+        error: "Kissflow lookups need a signed-in user with a verified email",
+      });
+    }
+
+    try {
+      const result = await runKissflowTool(req.params.name, rawArguments, {
+        email,
+        config: kissflowConfig,
+        kissflow,
+      });
+      res.json({ result });
+    } catch (err) {
+      kissflowLog.error("Tool failed", { tool: req.params.name, err });
+      res.status(502).json({ error: err.message });
+    }
+  });
 
-async function generateKissflowCaseData(openai, question, context, answer) {
-  console.log("Step 6: Generating Kissflow case data using OpenAI...");
+  // ===== User Sessions (page token → user token) =====
+  app.use("/api/auth", createAuthRouter({ auth, kissflow, kissflowConfig }));
 
-  const systemPrompt = `You are a case management expert. Your task is to generate structured case data for the Kissflow system based on the user's question and similar cases from the knowledge base. 
+  // ===== Chat Sessions (persisted per Kissflow user) =====
+  app.use("/api/sessions", createSessionRouter(sessionStore));
 
-Generate a JSON object with the following fields:
-- Case_Title: A concise title for the case (max 100 characters)
-- Case_Type: The type of case - must be one of: "Customer Service", "HR", "Legal", "Technical Support"
-- Case_Description: Detailed description of the case issue (max 500 characters)
-- AI_Suggestions: AI recommendations for solving the issue based on similar cases (max 300 characters)
-- Solution_Description: Detailed explanation of how to resolve the case (max 500 characters)
+  // ===== Answer Feedback (thumbs up/down, weekly export) =====
+  app.use(
+    "/api/feedback",
+    createFeedbackRouter(feedbackStore, { answerStore })
+  );
 
-Return ONLY valid JSON, no additional text or explanation.`;
+  // ===== Prompt Registry Admin (list, preview, switch versions) =====
+  app.use("/api/prompts", createPromptRouter(promptRegistry));
+
+  // ===== Usage Report (tokens and cost by user, route and model) =====
+  app.use("/api/usage", createUsageRouter(usageStore));
+
+  // ===== Kissflow Completion Webhook (auto-learn) =====
+  // Point a Kissflow webhook action at the end of the case process here, with
+  // an X-Webhook-Secret header set to KISSFLOW_WEBHOOK_SECRET. Resolved cases
+  // wait in the learning queue until a supervisor approves them (/api/kb)
+  app.post("/api/kissflow/webhook", async (req, res) => {
+    if (!webhookSecret) {
+      return res.status(503).json({
+        error: "Kissflow webhook is disabled: set KISSFLOW_WEBHOOK_SECRET",
+      });
+    }
+    if (!secretsMatch(req.get("X-Webhook-Secret") || "", webhookSecret)) {
+      return res.status(401).json({ error: "Invalid webhook secret" });
+    }
 
-  const userPrompt = `User's Question/Issue: ${question}
+    const event = parseCompletionEvent(req.body, kissflowConfig);
+    if (event.error) {
+      return res
+        .status(400)
+        .json({ error: `Invalid webhook payload: ${event.error}` });
+    }
+    if (event.ignored) {
+      return res.json({ ignored: event.ignored });
+    }
+    if (!client) {
+      return res.status(503).json({ error: "Knowledge base is not available" });
+    }
 
-Similar Cases from Knowledge Base:
-${context}
+    try {
+      const item = await receiveResolvedCase({
+        queue: learningQueue,
+        client,
+        llm,
+        event,
+      });
+      res.status(202).json({
+        itemId: item.id,
+        caseNumber: item.case.caseNumber,
+        status: item.status,
+      });
+    } catch (err) {
+      log.error("Error receiving resolved case", { err });
+      res.status(500).json({ error: "Failed to queue resolved case" });
+    }
+  });
 
-AI Generated Answer/Solution:
-${answer}
+  // ===== Kissflow Create Item Endpoint (CORS Proxy) =====
+  // caseData is one item or an array of items (batch create), keyed by
+  // Kissflow field IDs. Send the chat message ID as `Idempotency-Key` so a
+  // repeated submit returns the items already created. Failures carry a
+  // `code` from CREATE_ERROR_STATUS (server/kissflowCreate.js).
+  app.post("/api/kissflow/create", async (req, res) => {
+    const { items: requestedItems, error } = parseCreateItems(
+      req.body.caseData
+    );
+    if (error) {
+      return res.status(400).json({ error, code: "invalid_items" });
+    }
 
-Based on the above information, generate the Kissflow case data in JSON format.`;
+    const idempotencyKey = req.get("Idempotency-Key");
+    if (idempotencyKey !== undefined && !IDEMPOTENCY_KEY.test(idempotencyKey)) {
+      return res.status(400).json({
+        error:
+          "Idempotency-Key must be 1-100 letters, digits, '.', ':', '_' or '-'",
+        code: "invalid_idempotency_key",
+      });
+    }
 
-  try {
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_CHAT_MODEL || "gpt-4o-mini",
-      temperature: 0.3,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: userPrompt },
-      ],
+    // The signed-in user owns the items, whatever requester the body names
+    const requesterField =
+      kissflowConfig.processes.caseCreate.fields.Requester_Email;
+    const items =
+      req.identity.email && requesterField
+        ? requestedItems.map((item) => ({
+            ...item,
+            [requesterField]: req.identity.email,
+          }))
+        : requestedItems;
+
+    kissflowLog.info("Creating items", {
+      user: describeIdentity(req.identity),
+      count: items.length,
+      idempotencyKey,
     });
+    kissflowLog.debug("Item data", { items });
+
+    try {
+      const create = () => kissflowItems.createItems(items);
+      const { result, replayed } = idempotencyKey
+        ? await idempotencyCache.run(
+            // Keys are per user: two users' message IDs may collide
+            `${getRequestUserId(req) || "anonymous"}:${idempotencyKey}`,
+            items,
+            create
+          )
+        : { result: await create(), replayed: false };
+
+      kissflowLog.info(replayed ? "Items already created" : "Items created", {
+        count: result.length,
+      });
+      if (replayed) {
+        res.set("Idempotent-Replayed", "true");
+      }
+      res.json({ items: result });
+    } catch (err) {
+      if (!(err instanceof KissflowCreateError)) {
+        kissflowLog.error("Error creating items", { err });
+        return res.status(500).json({
+          error: "Failed to create Kissflow item",
+          code: "internal_error",
+        });
+      }
 
-    const jsonString = response.choices[0].message.content.trim();
-    console.log("Step 6: Generated Kissflow case data:", jsonString);
-
-    const caseData = JSON.parse(jsonString);
-
-    // Validate required fields
-    const requiredFields = [
-      "Case_Title",
-      "Case_Type",
-      "Case_Description",
-      "AI_Suggestions",
-      "Solution_Description",
-    ];
-    for (const field of requiredFields) {
-      if (!caseData.hasOwnProperty(field)) {
-        throw new Error(`Missing required field: ${field}`);
+      kissflowLog.error("Kissflow create failed", {
+        code: err.code,
+        message: err.message,
+        details: err.details,
+      });
+      if (err.retryAfterMs) {
+        res.set("Retry-After", String(Math.ceil(err.retryAfterMs / 1000)));
       }
+      res.status(err.status).json({
+        error: err.message,
+        code: err.code,
+        ...(err.details && { details: err.details }),
+      });
     }
+  });
 
-    // Validate Case_Type
-    const validTypes = ["Customer Service", "HR", "Legal", "Technical Support"];
-    if (!validTypes.includes(caseData.Case_Type)) {
+  return app;
+}
+
+async function main() {
+  const port = 3001;
+
+  // Tenant datasets, field IDs, processes and popups (see config/kissflow.json)
+  // Throws on schema errors so a misconfigured deployment never starts
+  const kissflowConfig = loadKissflowConfig();
+
+  // An open API would let anyone spend the model quota and create items
+  // with our Kissflow keys
+  const auth = loadAuthConfig();
+  if (!authEnabled(auth)) {
+    if (!MOCK_MODE && process.env.AUTH_DISABLED !== "true") {
       throw new Error(
-        `Invalid Case_Type: ${
-          caseData.Case_Type
-        }. Must be one of: ${validTypes.join(", ")}`
+        "API authentication is not configured: set AUTH_PAGE_SECRET, AUTH_JWT_SECRET or AUTH_API_KEYS (or AUTH_DISABLED=true for local development)"
       );
     }
+    log.warn("API authentication is disabled");
+  }
+
+  const services = MOCK_MODE
+    ? createMockServices(kissflowConfig)
+    : {
+        // LLM_PROVIDER / EMBEDDING_PROVIDER (see server/llm)
+        llm: createLlmProvider(),
+        // Weaviate is optional: without it /api/ask is unavailable but /api/chat still works
+        client: await connectWeaviate(),
+        kissflow: { api: kissflowRequest },
+      };
+  if (MOCK_MODE) {
+    log.warn("MOCK_MODE is on: using fake OpenAI, Weaviate and Kissflow");
+  }
+
+  const app = createApp({ ...services, kissflowConfig, auth });
+  app.listen(port, () => {
+    log.info(`Server listening at http://localhost:${port}`, { port });
+  });
+}
+
+/**
+ * Switch the response to Server-Sent Events
+ * Returns a sender: sendEvent(eventName, data) writes one JSON-encoded event
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+}
+
+/**
+ * Abort in-flight model calls when the client disconnects (e.g. Stop button)
+ */
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller;
+}
 
-    return caseData;
-  } catch (err) {
-    console.error("Error generating Kissflow case data:", err);
-    // Return default case data if generation fails
-    return {
-      Case_Title: question.substring(0, 100),
-      Case_Type: "Customer Service",
-      Case_Description: question.substring(0, 500),
-      AI_Suggestions: answer.substring(0, 300),
-      Solution_Description: answer.substring(0, 500),
-    };
+/**
+ * Report a route failure as JSON, or as an `error` event once streaming started
+ */
+function handleRouteError(res, sendEvent, controller, routeName, err) {
+  if (controller.signal.aborted) {
+    log.info("Client disconnected, generation stopped", { route: routeName });
+    return res.end();
   }
+
+  log.error("Route failed", { route: routeName, err });
+  const errorMessage =
+    err instanceof Error ? err.message : "An unknown error occurred.";
+  const error = `Internal server error: ${errorMessage}`;
+
+  if (!sendEvent) {
+    return res.status(500).json({ error });
+  }
+  sendEvent("error", { error });
+  res.end();
+}
+
+/**
+ * Convert the client's tool round-trip messages to OpenAI messages
+ * - { role: "assistant", toolCalls: [{ id, name, arguments }] }
+ * - { role: "tool", toolCallId, content }
+ */
+function toOpenAIToolMessages(toolMessages) {
+  return (Array.isArray(toolMessages) ? toolMessages : [])
+    .map((msg) => {
+      if (msg?.role === "assistant" && Array.isArray(msg.toolCalls)) {
+        return {
+          role: "assistant",
+          content: null,
+          tool_calls: msg.toolCalls.map((call) => ({
+            id: call.id,
+            type: "function",
+            function: { name: call.name, arguments: call.arguments || "{}" },
+          })),
+        };
+      }
+      if (msg?.role === "tool" && msg.toolCallId) {
+        return {
+          role: "tool",
+          tool_call_id: msg.toolCallId,
+          content: String(msg.content),
+        };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+async function generateQuestionEmbedding(llm, question) {
+  const [embedding] = await llm.embed([question]);
+  log.info("Embedded question", {
+    model: llm.models.embedding,
+    dimensions: embedding.length,
+  });
+  return { embedding };
+}
+
+/**
+ * Answer from similar cases
+ * - prompt: the rendered "case-answer" prompt ({ id, system, user })
+ */
+async function generateAnswer(llm, prompt, chatHistory, streamOptions) {
+  log.info("Generating answer", {
+    provider: llm.name,
+    model: llm.models.chat,
+    promptVersion: prompt.id,
+  });
+
+  const history = await buildConversationMemory(llm, chatHistory, {
+    signal: streamOptions?.signal,
+  });
+
+  const messages = [
+    { role: "system", content: prompt.system },
+    ...history,
+    { role: "user", content: prompt.user },
+  ];
+
+  const { content: answer } = await llm.complete({
+    model: "chat",
+    temperature: 0.2,
+    messages: messages,
+    ...streamOptions,
+  });
+  log.debug("Generated answer", { answer });
+  return answer;
+}
+
+/**
+ * Leave balance and case answer, optionally requesting Kissflow tool calls
+ * - prompt: the rendered "chat-answer" prompt ({ id, system, user }), with
+ *   the question and context in its user message
+ */
+async function generateChatAnswer(
+  llm,
+  prompt,
+  { chatHistory, tools = [], toolMessages = [] },
+  streamOptions
+) {
+  // Recent turns within the token budget, older turns summarized
+  const history = await buildConversationMemory(llm, chatHistory, {
+    signal: streamOptions?.signal,
+  });
+
+  const messages = [
+    { role: "system", content: prompt.system },
+    ...history,
+    { role: "user", content: prompt.user },
+    ...toOpenAIToolMessages(toolMessages),
+  ];
+
+  const { content, toolCalls } = await llm.complete({
+    model: "fast",
+    temperature: 0.2,
+    messages: messages,
+    ...(tools.length > 0 && { tools: buildToolDefinitions(tools) }),
+    ...streamOptions,
+  });
+
+  return { answer: content, toolCalls };
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    log.error("Server failed to start", { err });
+    process.exit(1);
+  });
 }
 
-main();
+module.exports = { createApp };
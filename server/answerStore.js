@@ -0,0 +1,137 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// ===== Answer Store Configuration =====
+// What produced each answer (question, retrieved cases, model, prompt
+// version), recorded when the answer is generated. Feedback looks the answer
+// up here by its message ID instead of trusting what the client reports.
+// File-based default: one JSON file per Kissflow user under ANSWER_STORE_DIR
+const ANSWER_STORE_DIR =
+  process.env.ANSWER_STORE_DIR || path.join(__dirname, "..", "data", "answers");
+// Answers older than this, or beyond the newest MAX_ANSWERS_PER_USER of a
+// user, are dropped when that user's next answer is recorded
+const ANSWER_RETENTION_DAYS = parseInt(
+  process.env.ANSWER_RETENTION_DAYS || "90",
+  10
+);
+const MAX_ANSWERS_PER_USER = parseInt(
+  process.env.MAX_ANSWERS_PER_USER || "500",
+  10
+);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * File-based answer store
+ * - One file per user: {dir}/{sha1(userId)}.json → { userId, answers } with
+ *   answers keyed by messageId: { createdAt, userId, messageId, question,
+ *   answer, caseNumbers, model, promptVersion }
+ * - A message answered again (e.g. another tool round) keeps its latest answer
+ * - Writes are serialized per user and replaced atomically (tmp + rename)
+ */
+function createFileAnswerStore(
+  dir = ANSWER_STORE_DIR,
+  {
+    retentionDays = ANSWER_RETENTION_DAYS,
+    maxAnswersPerUser = MAX_ANSWERS_PER_USER,
+  } = {}
+) {
+  const writeQueues = new Map();
+
+  function userFile(userId) {
+    const hashed = crypto
+      .createHash("sha1")
+      .update(String(userId))
+      .digest("hex");
+    return path.join(dir, `${hashed}.json`);
+  }
+
+  async function readUserAnswers(userId) {
+    try {
+      const raw = await fs.readFile(userFile(userId), "utf8");
+      return JSON.parse(raw).answers || {};
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+  }
+
+  async function writeUserAnswers(userId, answers) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = userFile(userId);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ userId, answers }));
+    await fs.rename(tmpFile, file);
+  }
+
+  function isExpired(record, now = Date.now()) {
+    return Date.parse(record.createdAt) < now - retentionDays * DAY_MS;
+  }
+
+  /**
+   * The user's answers within the retention period, newest
+   * maxAnswersPerUser only
+   */
+  function rotate(answers) {
+    const now = Date.now();
+    const kept = Object.values(answers)
+      .filter((record) => !isExpired(record, now))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, maxAnswersPerUser);
+    return Object.fromEntries(kept.map((record) => [record.messageId, record]));
+  }
+
+  return {
+    /**
+     * Record a generated answer
+     * Returns: the stored record with its createdAt
+     */
+    saveAnswer(answer) {
+      const { userId } = answer;
+      const record = { createdAt: new Date().toISOString(), ...answer };
+      const previous = writeQueues.get(userId) || Promise.resolve();
+      const next = previous
+        .catch(() => {})
+        .then(async () => {
+          const answers = await readUserAnswers(userId);
+          answers[record.messageId] = record;
+          await writeUserAnswers(userId, rotate(answers));
+          return record;
+        });
+      writeQueues.set(userId, next);
+      next
+        .finally(() => {
+          if (writeQueues.get(userId) === next) writeQueues.delete(userId);
+        })
+        .catch(() => {});
+      return next;
+    },
+
+    /**
+     * The answer generated for one user's message, or null (also once it is
+     * past the retention period)
+     */
+    async getAnswer(userId, messageId) {
+      await writeQueues.get(userId)?.catch(() => {});
+      const answers = await readUserAnswers(userId);
+      const record = Object.hasOwn(answers, messageId)
+        ? answers[messageId]
+        : null;
+      return record && !isExpired(record) ? record : null;
+    },
+  };
+}
+
+/**
+ * Create the configured answer store (ANSWER_STORE, default "file")
+ */
+function createAnswerStore() {
+  const storeType = process.env.ANSWER_STORE || "file";
+  if (storeType !== "file") {
+    throw new Error(`Unsupported ANSWER_STORE: ${storeType}`);
+  }
+  return createFileAnswerStore();
+}
+
+module.exports = { createAnswerStore, createFileAnswerStore };
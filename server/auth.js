@@ -0,0 +1,362 @@
+const crypto = require("crypto");
+const { secretsMatch } = require("./secrets");
+
+// ===== API Authentication =====
+// Every /api request (apart from the admin routes and the webhook, which check
+// their own secrets) carries one of:
+// - a page token: HS256 token signed with AUTH_PAGE_SECRET and built into the
+//   Kissflow custom page (REACT_APP_API_TOKEN). Everyone with the bundle has
+//   it, so it names no user: it opens a user session (POST /api/auth/session)
+//   and may call the routes that need no user
+// - a user token: issued by POST /api/auth/session to the Kissflow user who
+//   created the sign-in item holding the server's challenge (see
+//   server/authRoutes.js), signed with AUTH_PAGE_SECRET; carries the user's
+//   ID, email and name
+// - a JWT: HS256 token signed with AUTH_JWT_SECRET by another client's login;
+//   `sub` is the user, `email` / `name` are optional claims
+// - an API key: `X-API-Key` matching one of AUTH_API_KEYS ("name:key,...")
+// With none of them configured, authentication is off (local development)
+
+// `aud` claims that tell page and user tokens apart from JWTs
+const PAGE_TOKEN_AUDIENCE = "kissflow-page";
+const USER_TOKEN_AUDIENCE = "kissflow-user";
+// Sign-in challenges are tokens too, but never credentials
+const CHALLENGE_AUDIENCE = "kissflow-challenge";
+const DEFAULT_PAGE_TOKEN_DAYS = 180;
+const USER_TOKEN_HOURS = 12;
+const CHALLENGE_MINUTES = 5;
+
+class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuthError";
+  }
+}
+
+function base64url(value) {
+  return Buffer.from(value).toString("base64url");
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/**
+ * Sign an HS256 JWT
+ */
+function signToken(payload, secret) {
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify(payload));
+  return `${header}.${body}.${hmac(`${header}.${body}`, secret)}`;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch {
+    throw new AuthError("Malformed token");
+  }
+}
+
+/**
+ * Claims of a token, without checking its signature (used to pick the key)
+ */
+function readClaims(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw new AuthError("Malformed token");
+  const claims = decodeSegment(parts[1]);
+  if (!claims || typeof claims !== "object") {
+    throw new AuthError("Malformed token");
+  }
+  return claims;
+}
+
+/**
+ * Verify an HS256 JWT: signature, exp (required) / nbf and optionally aud
+ * and iss
+ * Returns: the claims; throws AuthError when the token is not acceptable
+ */
+function verifyToken(
+  token,
+  secret,
+  { audience, issuer, now = Date.now() } = {}
+) {
+  const claims = readClaims(token);
+  const [header, body, signature] = token.split(".");
+  const { alg } = decodeSegment(header);
+  if (alg !== "HS256") {
+    throw new AuthError(`Unsupported token algorithm: ${alg}`);
+  }
+  if (!secretsMatch(signature, hmac(`${header}.${body}`, secret))) {
+    throw new AuthError("Invalid token signature");
+  }
+
+  const seconds = Math.floor(now / 1000);
+  if (typeof claims.exp !== "number") {
+    throw new AuthError("Token has no expiry");
+  }
+  if (seconds >= claims.exp) {
+    throw new AuthError("Token expired");
+  }
+  if (typeof claims.nbf === "number" && seconds < claims.nbf) {
+    throw new AuthError("Token not valid yet");
+  }
+  if (audience && ![].concat(claims.aud).includes(audience)) {
+    throw new AuthError("Token audience mismatch");
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError("Token issuer mismatch");
+  }
+  return claims;
+}
+
+/**
+ * Page token for the Kissflow custom page, valid for `days`
+ */
+function issuePageToken(secret, { days = DEFAULT_PAGE_TOKEN_DAYS } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  return signToken(
+    {
+      sub: "kissflow-page",
+      aud: PAGE_TOKEN_AUDIENCE,
+      iat: now,
+      exp: now + Math.round(days * 24 * 60 * 60),
+    },
+    secret
+  );
+}
+
+/**
+ * User token for a Kissflow user, valid for USER_TOKEN_HOURS
+ * user: { userId, email, name } as Kissflow reports them
+ */
+function issueUserToken(secret, { userId, email, name }) {
+  const now = Math.floor(Date.now() / 1000);
+  return signToken(
+    {
+      sub: userId,
+      aud: USER_TOKEN_AUDIENCE,
+      email: email || undefined,
+      name: name || undefined,
+      iat: now,
+      exp: now + USER_TOKEN_HOURS * 60 * 60,
+    },
+    secret
+  );
+}
+
+/**
+ * Sign-in challenge for POST /api/auth/session, valid for CHALLENGE_MINUTES
+ * Returns: { challenge, nonce } where challenge is the signed token the page
+ * sends back and nonce the value its sign-in item has to hold
+ */
+function issueSignInChallenge(secret) {
+  const now = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const challenge = signToken(
+    {
+      aud: CHALLENGE_AUDIENCE,
+      nonce,
+      iat: now,
+      exp: now + CHALLENGE_MINUTES * 60,
+    },
+    secret
+  );
+  return { challenge, nonce };
+}
+
+/**
+ * Claims of a challenge from issueSignInChallenge ({ nonce, iat, exp })
+ * Throws AuthError when it is forged, expired or not a challenge
+ */
+function verifySignInChallenge(challenge, secret) {
+  const claims = verifyToken(challenge, secret, {
+    audience: CHALLENGE_AUDIENCE,
+  });
+  if (typeof claims.nonce !== "string" || !claims.nonce) {
+    throw new AuthError("Challenge has no nonce");
+  }
+  return claims;
+}
+
+/**
+ * "name:key,name2:key2" → [{ name, key }]
+ */
+function parseApiKeys(value = "") {
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      if (separator <= 0 || separator === entry.length - 1) {
+        throw new Error(`AUTH_API_KEYS entries must be name:key, got ${entry}`);
+      }
+      return {
+        name: entry.slice(0, separator),
+        key: entry.slice(separator + 1),
+      };
+    });
+}
+
+/**
+ * Authentication and CORS settings from the environment
+ */
+function loadAuthConfig(env = process.env) {
+  return {
+    pageSecret: env.AUTH_PAGE_SECRET || "",
+    jwtSecret: env.AUTH_JWT_SECRET || "",
+    jwtIssuer: env.AUTH_JWT_ISSUER || "",
+    jwtAudience: env.AUTH_JWT_AUDIENCE || "",
+    apiKeys: parseApiKeys(env.AUTH_API_KEYS),
+    corsOrigins: (env.CORS_ORIGINS || "")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+  };
+}
+
+function authEnabled(config) {
+  return Boolean(
+    config.pageSecret || config.jwtSecret || config.apiKeys.length > 0
+  );
+}
+
+/**
+ * Options for the cors middleware: only the configured origins may call the
+ * API from a browser; requests without an Origin header are unaffected
+ */
+function corsOptions(config) {
+  return { origin: config.corsOrigins.length > 0 ? config.corsOrigins : false };
+}
+
+/**
+ * Who is calling: { method: "page" | "kissflow" | "jwt" | "apiKey" | "none",
+ * userId, email?, name?, client?, tokenId? }
+ * X-User-Id is only read without authentication and from API keys; page
+ * callers have no user until they open a session
+ * Throws AuthError when authentication is on and the credentials are missing
+ * or invalid
+ */
+function identify(req, config) {
+  const headerUserId = req.get("X-User-Id") || "";
+  if (!authEnabled(config)) {
+    return { method: "none", userId: headerUserId };
+  }
+
+  const apiKey = req.get("X-API-Key");
+  if (apiKey) {
+    const match = config.apiKeys.find(({ key }) => secretsMatch(apiKey, key));
+    if (!match) throw new AuthError("Invalid API key");
+    // Integrations may act for a user; otherwise the key itself is the user
+    return {
+      method: "apiKey",
+      client: match.name,
+      userId: headerUserId || match.name,
+    };
+  }
+
+  const token = (req.get("Authorization") || "").replace(/^Bearer /, "");
+  if (!token) {
+    throw new AuthError(
+      "Authentication required: send a page token, JWT or X-API-Key"
+    );
+  }
+
+  const claims = readClaims(token);
+  const audiences = [].concat(claims.aud);
+  if (config.pageSecret && audiences.includes(PAGE_TOKEN_AUDIENCE)) {
+    verifyToken(token, config.pageSecret, { audience: PAGE_TOKEN_AUDIENCE });
+    // Tells page tokens apart (e.g. before and after a rotation) in limits
+    const tokenId = crypto
+      .createHash("sha256")
+      .update(token)
+      .digest("hex")
+      .slice(0, 12);
+    return { method: "page", userId: "", tokenId };
+  }
+  if (config.pageSecret && audiences.includes(USER_TOKEN_AUDIENCE)) {
+    const verified = verifyToken(token, config.pageSecret, {
+      audience: USER_TOKEN_AUDIENCE,
+    });
+    if (!verified.sub) throw new AuthError("Token has no subject");
+    return {
+      method: "kissflow",
+      userId: String(verified.sub),
+      email: verified.email || null,
+      name: verified.name || null,
+    };
+  }
+  if (config.jwtSecret) {
+    const verified = verifyToken(token, config.jwtSecret, {
+      audience: config.jwtAudience,
+      issuer: config.jwtIssuer,
+    });
+    if (!verified.sub) throw new AuthError("Token has no subject");
+    return {
+      method: "jwt",
+      userId: String(verified.sub),
+      email: verified.email || null,
+      name: verified.name || null,
+    };
+  }
+  throw new AuthError("Invalid token");
+}
+
+/**
+ * Middleware attaching req.identity, or answering 401
+ * - skip: path prefixes (relative to the mount point) that check their own
+ *   secrets
+ */
+function authenticate(config, { skip = [] } = {}) {
+  return (req, res, next) => {
+    if (skip.some((prefix) => req.path.startsWith(prefix))) {
+      return next();
+    }
+    try {
+      req.identity = identify(req, config);
+    } catch (err) {
+      if (err instanceof AuthError) {
+        return res.status(401).json({ error: err.message });
+      }
+      return next(err);
+    }
+    next();
+  };
+}
+
+/**
+ * User the request acts for (see identify); "" when unknown
+ */
+function getRequestUserId(req) {
+  return req.identity?.userId || "";
+}
+
+/**
+ * Short description of the caller for log lines
+ */
+function describeIdentity(identity) {
+  if (!identity) return "anonymous";
+  const user = identity.userId || "anonymous";
+  return identity.client
+    ? `${user} (${identity.method} ${identity.client})`
+    : `${user} (${identity.method})`;
+}
+
+module.exports = {
+  AuthError,
+  PAGE_TOKEN_AUDIENCE,
+  USER_TOKEN_AUDIENCE,
+  authEnabled,
+  authenticate,
+  corsOptions,
+  describeIdentity,
+  getRequestUserId,
+  issuePageToken,
+  issueSignInChallenge,
+  issueUserToken,
+  loadAuthConfig,
+  signToken,
+  verifySignInChallenge,
+  verifyToken,
+};
@@ -0,0 +1,115 @@
+const express = require("express");
+const {
+  AuthError,
+  authEnabled,
+  issueSignInChallenge,
+  issueUserToken,
+  verifySignInChallenge,
+} = require("./auth");
+const { getKissflowUser, getSignInProof } = require("./kissflowApi");
+const { createLogger } = require("./logger");
+
+const log = createLogger("auth");
+
+/**
+ * User session routes, mounted at /api/auth
+ * - POST /challenge  with the page token: { challenge, nonce }
+ * - POST /session    { challenge, proofItemId } with the page token. The page
+ *                    creates an item holding the challenge's nonce in
+ *                    processes.signIn through the Kissflow SDK, which acts as
+ *                    the signed-in Kissflow user; proofItemId is that item.
+ *                    The server reads the item with its own access keys and
+ *                    returns { token, user } for the user who created it,
+ *                    with the ID, email and name Kissflow reports
+ * Without authentication (local development) there is no challenge, the
+ * session body is { userId }, token is null and the page keeps naming its
+ * user in X-User-Id
+ */
+function createAuthRouter({ auth, kissflow, kissflowConfig }) {
+  const router = express.Router();
+  // Nonces already exchanged for a token, until their challenge expires
+  const usedNonces = new Map();
+
+  function claimNonce(nonce, expiresAt) {
+    const now = Date.now();
+    for (const [used, usedUntil] of usedNonces) {
+      if (usedUntil <= now) usedNonces.delete(used);
+    }
+    if (usedNonces.has(nonce)) return false;
+    usedNonces.set(nonce, expiresAt);
+    return true;
+  }
+
+  function requirePageToken(req, res, next) {
+    if (authEnabled(auth) && req.identity.method !== "page") {
+      return res
+        .status(403)
+        .json({ error: "User sessions are opened with the page token" });
+    }
+    next();
+  }
+
+  router.post("/challenge", requirePageToken, (req, res) => {
+    if (!authEnabled(auth)) {
+      return res.json({ challenge: null, nonce: null });
+    }
+    res.json(issueSignInChallenge(auth.pageSecret));
+  });
+
+  router.post("/session", requirePageToken, async (req, res) => {
+    const { userId, challenge, proofItemId } = req.body || {};
+    if (!authEnabled(auth)) {
+      if (typeof userId !== "string" || !userId) {
+        return res.status(400).json({ error: "userId is required" });
+      }
+      return res.json({ token: null, user: { userId } });
+    }
+    if (
+      typeof challenge !== "string" ||
+      typeof proofItemId !== "string" ||
+      !challenge ||
+      !proofItemId
+    ) {
+      return res
+        .status(400)
+        .json({ error: "challenge and proofItemId are required" });
+    }
+
+    let claims;
+    try {
+      claims = verifySignInChallenge(challenge, auth.pageSecret);
+    } catch (err) {
+      if (!(err instanceof AuthError)) throw err;
+      return res
+        .status(401)
+        .json({ error: `Invalid challenge: ${err.message}` });
+    }
+
+    let user;
+    try {
+      const proof = await getSignInProof(proofItemId, {
+        config: kissflowConfig,
+        kissflow,
+      });
+      if (proof.nonce !== claims.nonce || !proof.userId) {
+        return res
+          .status(401)
+          .json({ error: "The sign-in item does not hold this challenge" });
+      }
+      user = await getKissflowUser(proof.userId, { kissflow });
+    } catch (err) {
+      log.warn("Kissflow sign-in check failed", { proofItemId, err });
+      return res.status(401).json({ error: "Unknown Kissflow sign-in item" });
+    }
+    if (!claimNonce(claims.nonce, claims.exp * 1000)) {
+      return res.status(401).json({ error: "This challenge was already used" });
+    }
+
+    log.info("User session opened", { userId: user.userId });
+    res.json({ token: issueUserToken(auth.pageSecret, user), user });
+  });
+
+  return router;
+}
+
+module.exports = { createAuthRouter };
@@ -0,0 +1,152 @@
+const {
+  kissflowItemsToRecords,
+  normalizeCaseRecords,
+} = require("./caseImport");
+const { importCases } = require("./knowledgeBase");
+const { caseTypeOptions } = require("../src/kissflowCaseFields");
+const { LearningItemReviewedError } = require("./learningQueue");
+const { createLogger } = require("./logger");
+
+const log = createLogger("auto-learn");
+
+// ===== Auto-learn =====
+// Resolved Kissflow cases → learning queue → (supervisor approval) →
+// knowledge base. AUTO_LEARN_APPROVAL=auto skips the review step.
+const AUTO_LEARN_APPROVAL = process.env.AUTO_LEARN_APPROVAL || "review";
+if (!["review", "auto"].includes(AUTO_LEARN_APPROVAL)) {
+  throw new Error(
+    `AUTO_LEARN_APPROVAL must be "review" or "auto" (got "${AUTO_LEARN_APPROVAL}")`
+  );
+}
+
+// Kissflow item status once the process has finished
+const COMPLETED_STATUS = "Completed";
+// Solutions shorter than this are flagged for the reviewer
+const MIN_SOLUTION_CHARS = 20;
+
+/**
+ * Validate a Kissflow process completion webhook and map the item onto a
+ * knowledge-base case through the caseCreate field IDs
+ * Payload: the process item ({ _id, _status, Case_Title, ... }), as sent by
+ * a Kissflow webhook action
+ * Returns: { case, source, warnings } | { ignored } | { error }
+ */
+function parseCompletionEvent(payload, kissflowConfig) {
+  if (!payload || typeof payload !== "object" || Array.isArray(payload)) {
+    return { error: "payload must be a Kissflow item object" };
+  }
+  if (typeof payload._id !== "string" || !payload._id) {
+    return { error: "_id is required" };
+  }
+  // Only finished items carry a final solution
+  if (payload._status !== COMPLETED_STATUS) {
+    return {
+      ignored: payload._status
+        ? `item status is ${payload._status}`
+        : "item has no _status",
+    };
+  }
+
+  const records = kissflowItemsToRecords([payload], kissflowConfig);
+  const { cases, errors } = normalizeCaseRecords(records, {
+    caseTypes: caseTypeOptions(kissflowConfig.processes.caseCreate),
+  });
+  if (errors.length > 0) {
+    return { error: errors[0].error };
+  }
+
+  const caseData = cases[0];
+  return {
+    case: caseData,
+    source: {
+      instanceId: payload._id,
+      processId: kissflowConfig.processes.caseCreate.id,
+      completedAt: payload._modified_at || null,
+    },
+    warnings: solutionWarnings(caseData),
+  };
+}
+
+/**
+ * Hints for the reviewer about solutions that are unlikely to help anyone
+ */
+function solutionWarnings(caseData) {
+  const solution = caseData.solutionDescription.trim();
+  const warnings = [];
+  if (solution.length < MIN_SOLUTION_CHARS) {
+    warnings.push("solution is very short");
+  }
+  if (solution === caseData.caseDescription.trim()) {
+    warnings.push("solution repeats the case description");
+  }
+  return warnings;
+}
+
+/**
+ * Queue a resolved case; with AUTO_LEARN_APPROVAL=auto it is approved and
+ * imported straight away
+ * Returns: the queue item
+ */
+async function receiveResolvedCase({
+  queue,
+  client,
+  llm,
+  event,
+  approval = AUTO_LEARN_APPROVAL,
+}) {
+  const item = await queue.enqueue({
+    caseData: event.case,
+    source: event.source,
+    warnings: event.warnings,
+  });
+  log.info("Queued resolved case", {
+    caseNumber: item.case.caseNumber,
+    instanceId: event.source.instanceId,
+  });
+  if (approval !== "auto") return item;
+  return approveLearningItem({
+    queue,
+    client,
+    llm,
+    itemId: item.id,
+    reviewedBy: "auto",
+  });
+}
+
+/**
+ * Embed and upsert a pending case, then mark it approved
+ * The item stays pending when the import fails so it can be retried
+ */
+async function approveLearningItem({ queue, client, llm, itemId, reviewedBy }) {
+  const item = await queue.getItem(itemId);
+  if (item.status !== "pending") throw new LearningItemReviewedError(item);
+
+  const report = await importCases({ client, llm, cases: [item.case] });
+  if (report.failed.length > 0) {
+    throw new Error(
+      `Import of ${item.case.caseNumber} failed: ${report.failed[0].error}`
+    );
+  }
+  log.info("Approved case", { caseNumber: item.case.caseNumber });
+  return queue.review(itemId, { status: "approved", reviewedBy });
+}
+
+/**
+ * Keep a pending case out of the knowledge base
+ */
+async function rejectLearningItem({ queue, itemId, reviewedBy, reason }) {
+  const item = await queue.review(itemId, {
+    status: "rejected",
+    reviewedBy,
+    reason: reason || null,
+  });
+  log.info("Rejected case", { caseNumber: item.case.caseNumber });
+  return item;
+}
+
+module.exports = {
+  approveLearningItem,
+  parseCompletionEvent,
+  receiveResolvedCase,
+  rejectLearningItem,
+};
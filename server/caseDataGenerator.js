@@ -0,0 +1,163 @@
+const {
+  buildCaseDataSchema,
+  caseFieldRules,
+  validateCaseData,
+} = require("../src/kissflowCaseFields");
+const { createLogger } = require("./logger");
+
+const log = createLogger("case-data");
+
+// Follow-up calls asking the model to fix the fields that failed validation
+const CASE_DATA_REPAIR_ATTEMPTS = 1;
+
+/**
+ * Field list for the "case-data" prompt ({{caseFields}})
+ */
+function describeCaseFields(caseCreate) {
+  return caseFieldRules(caseCreate)
+    .map(({ name, description, required, options, maxLength }) => {
+      const rules = [
+        options &&
+          `one of: ${options.map((option) => `"${option}"`).join(", ")}`,
+        maxLength && `max ${maxLength} characters`,
+        !required && "optional, null when unknown",
+      ].filter(Boolean);
+      return `- ${name}: ${description}${
+        rules.length > 0 ? ` (${rules.join("; ")})` : ""
+      }`;
+    })
+    .join("\n");
+}
+
+/**
+ * The JSON object in a reply, also when the model wrapped it in a code
+ * fence or added text around it
+ */
+function parseJsonReply(content) {
+  const start = content.indexOf("{");
+  const end = content.lastIndexOf("}");
+  if (start === -1 || end < start) {
+    throw new SyntaxError("No JSON object in the reply");
+  }
+  return JSON.parse(content.slice(start, end + 1));
+}
+
+/**
+ * Parse and validate one reply
+ * Returns: { caseData, errors } (see validateCaseData)
+ */
+function checkReply(content, schema) {
+  let data;
+  try {
+    data = parseJsonReply(content);
+  } catch (err) {
+    return {
+      caseData: {},
+      errors: [{ field: "(root)", message: `invalid JSON: ${err.message}` }],
+    };
+  }
+  return validateCaseData(data, schema);
+}
+
+function repairRequest(errors) {
+  return `The JSON object has these problems:
+${errors.map(({ field, message }) => `- ${field}: ${message}`).join("\n")}
+
+Return the corrected JSON object with every field.`;
+}
+
+/**
+ * Values for fields the model never got right, copied from the question and
+ * answer like before structured output
+ */
+function fallbackCaseData(caseCreate, { question, answer }) {
+  const sources = {
+    Case_Title: question,
+    Case_Description: question,
+    AI_Suggestions: answer,
+    Solution_Description: answer,
+  };
+  return Object.fromEntries(
+    caseFieldRules(caseCreate).map(({ name, options, maxLength }) => [
+      name,
+      options ? options[0] : (sources[name] || "").substring(0, maxLength),
+    ])
+  );
+}
+
+/**
+ * Structured Kissflow case draft from the "case-data" prompt
+ * - The reply must follow a JSON schema built from processes.caseCreate
+ *   (Case_Type options, max lengths); fields that fail validation are sent
+ *   back for one repair attempt
+ * - Fields still invalid after that, or every field when the model fails,
+ *   fall back to text copied from the question and answer
+ * Returns: { caseData, promptVersion, errors } where errors lists the fields
+ * that fell back ([{ field, message }])
+ */
+async function generateKissflowCaseData(
+  llm,
+  { promptRegistry, caseCreate },
+  { question, context, answer }
+) {
+  log.info("Generating Kissflow case data", { provider: llm.name });
+  const schema = buildCaseDataSchema(caseCreate);
+  const fallback = fallbackCaseData(caseCreate, { question, answer });
+
+  let promptVersion = null;
+  let caseData = {};
+  let errors = [];
+  try {
+    const prompt = await promptRegistry.render("case-data", {
+      question,
+      context,
+      answer,
+      caseFields: describeCaseFields(caseCreate),
+    });
+    promptVersion = prompt.id;
+
+    const messages = [
+      { role: "system", content: prompt.system },
+      { role: "user", content: prompt.user },
+    ];
+    for (let attempt = 0; attempt <= CASE_DATA_REPAIR_ATTEMPTS; attempt++) {
+      const { content } = await llm.complete({
+        model: "fast",
+        temperature: 0.3,
+        json: { name: "kissflow_case_data", schema },
+        messages,
+      });
+      log.debug("Generated Kissflow case data", { attempt, content });
+
+      const reply = checkReply(content, schema);
+      // Keep what earlier attempts got right
+      caseData = { ...caseData, ...reply.caseData };
+      errors = reply.errors.filter(({ field }) => !(field in caseData));
+      if (errors.length === 0) break;
+
+      log.warn("Kissflow case data failed validation", { attempt, errors });
+      if (attempt === CASE_DATA_REPAIR_ATTEMPTS) break;
+      messages.push(
+        { role: "assistant", content },
+        { role: "user", content: repairRequest(errors) }
+      );
+    }
+  } catch (err) {
+    log.warn("Kissflow case data generation failed, using the fallback", {
+      err,
+    });
+    errors = [{ field: "(root)", message: err.message }];
+  }
+
+  return {
+    caseData: { ...fallback, ...caseData },
+    promptVersion,
+    errors,
+  };
+}
+
+module.exports = {
+  describeCaseFields,
+  generateKissflowCaseData,
+  parseJsonReply,
+};
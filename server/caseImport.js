@@ -0,0 +1,298 @@
+// ===== Case Import Parsing =====
+// Turns CSV, JSON or Kissflow process exports into knowledge-base cases:
+// { caseNumber, caseTitle, caseType, caseDescription, solutionDescription,
+//   instanceID, createdAt }
+
+const IMPORT_FORMATS = ["csv", "json", "kissflow"];
+
+// Long descriptions are split so each embedding covers a focused passage
+const CHUNK_MAX_CHARS = parseInt(process.env.KB_CHUNK_MAX_CHARS || "1500", 10);
+const CHUNK_OVERLAP_CHARS = parseInt(
+  process.env.KB_CHUNK_OVERLAP_CHARS || "200",
+  10
+);
+
+// Column/key spellings accepted for each case property, compared after
+// lowercasing and dropping everything but letters and digits
+const FIELD_ALIASES = {
+  caseNumber: ["casenumber", "caseno", "number"],
+  caseTitle: ["casetitle", "title"],
+  caseType: ["casetype", "type"],
+  caseDescription: ["casedescription", "description"],
+  solutionDescription: ["solutiondescription", "solution"],
+  instanceID: ["instanceid"],
+  createdAt: ["createdat", "created"],
+};
+const REQUIRED_FIELDS = ["caseNumber", "caseTitle", "solutionDescription"];
+
+function normalizeKey(key) {
+  return String(key)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and
+ * line breaks inside quotes. Returns rows as arrays of strings.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * CSV text → array of records keyed by header
+ */
+function csvToRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  return rows.map((values) =>
+    Object.fromEntries(header.map((name, i) => [name.trim(), values[i] ?? ""]))
+  );
+}
+
+/**
+ * Kissflow process items ({ Data: [...] } from the list API or an export)
+ * → records, reading field IDs from the deployment config
+ * caseNumber is the item's Case_Number field, falling back to its _id
+ */
+function kissflowItemsToRecords(items, kissflowConfig) {
+  const fields = kissflowConfig.processes.caseCreate.fields;
+  return items.map((item) => ({
+    caseNumber: item.Case_Number || item._id,
+    caseTitle: item[fields.Case_Title],
+    caseType: item[fields.Case_Type],
+    caseDescription: item[fields.Case_Description],
+    solutionDescription: item[fields.Solution_Description],
+    instanceID: item._id,
+    createdAt: item._created_at,
+  }));
+}
+
+/**
+ * Raw import payload → records
+ * - csv: text with a header row
+ * - json: an array of cases, or { cases: [...] }, as text or parsed
+ * - kissflow: Kissflow items, { Data: [...] } or an array
+ * format defaults to csv for strings that do not look like JSON, kissflow
+ * for objects with a Data array, and json otherwise
+ */
+function parseImportPayload(payload, { format, kissflowConfig } = {}) {
+  let data = payload;
+  if (typeof data === "string" && format !== "csv") {
+    const trimmed = data.trim();
+    if (format || trimmed.startsWith("[") || trimmed.startsWith("{")) {
+      data = JSON.parse(trimmed);
+    }
+  }
+
+  const resolvedFormat =
+    format ||
+    (typeof data === "string"
+      ? "csv"
+      : Array.isArray(data?.Data)
+      ? "kissflow"
+      : "json");
+  if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+    throw new Error(
+      `format must be one of ${IMPORT_FORMATS.join(", ")} (got "${format}")`
+    );
+  }
+
+  if (resolvedFormat === "csv") {
+    return { format: resolvedFormat, records: csvToRecords(data) };
+  }
+  if (resolvedFormat === "kissflow") {
+    const items = Array.isArray(data) ? data : data?.Data;
+    if (!Array.isArray(items)) {
+      throw new Error("Kissflow export must be an array or { Data: [...] }");
+    }
+    return {
+      format: resolvedFormat,
+      records: kissflowItemsToRecords(items, kissflowConfig),
+    };
+  }
+
+  const records = Array.isArray(data) ? data : data?.cases;
+  if (!Array.isArray(records)) {
+    throw new Error("JSON import must be an array or { cases: [...] }");
+  }
+  return { format: resolvedFormat, records };
+}
+
+/**
+ * Map one record onto the case properties and validate it
+ * caseTypes: the configured Case_Type options (caseTypeOptions)
+ * Returns: { case } or { error }
+ */
+function normalizeCaseRecord(record, { caseTypes }) {
+  if (!record || typeof record !== "object") {
+    return { error: "record must be an object" };
+  }
+
+  const byKey = {};
+  for (const [key, value] of Object.entries(record)) {
+    byKey[normalizeKey(key)] = value;
+  }
+
+  const normalized = {};
+  for (const [property, aliases] of Object.entries(FIELD_ALIASES)) {
+    const key = aliases.find((alias) => byKey[alias] != null);
+    const value = key === undefined ? "" : String(byKey[key]).trim();
+    if (value) normalized[property] = value;
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => !normalized[field]);
+  if (missing.length > 0) {
+    return { error: `missing ${missing.join(", ")}` };
+  }
+  if (normalized.caseType && !caseTypes.includes(normalized.caseType)) {
+    return {
+      error: `caseType "${
+        normalized.caseType
+      }" must be one of: ${caseTypes.join(", ")}`,
+    };
+  }
+  if (normalized.createdAt) {
+    const date = new Date(normalized.createdAt);
+    if (Number.isNaN(date.getTime())) {
+      return { error: `createdAt "${normalized.createdAt}" is not a date` };
+    }
+    normalized.createdAt = date.toISOString();
+  }
+
+  return {
+    case: {
+      caseDescription: "",
+      caseType: "",
+      instanceID: "",
+      ...normalized,
+    },
+  };
+}
+
+/**
+ * Validate records; later rows win when a caseNumber repeats
+ * Returns: { cases, errors: [{ row, error }], warnings: [{ row, caseNumber,
+ * warning }] } with 1-based rows
+ */
+function normalizeCaseRecords(records, { caseTypes }) {
+  const byCaseNumber = new Map();
+  const errors = [];
+  const warnings = [];
+
+  records.forEach((record, index) => {
+    const { case: normalized, error } = normalizeCaseRecord(record, {
+      caseTypes,
+    });
+    if (error) {
+      errors.push({ row: index + 1, error });
+      return;
+    }
+    if (byCaseNumber.has(normalized.caseNumber)) {
+      warnings.push({
+        row: index + 1,
+        caseNumber: normalized.caseNumber,
+        warning: "duplicate caseNumber, this row replaces the earlier one",
+      });
+    }
+    byCaseNumber.set(normalized.caseNumber, normalized);
+  });
+
+  return { cases: [...byCaseNumber.values()], errors, warnings };
+}
+
+/**
+ * Split text into pieces of at most maxChars, preferring whitespace breaks,
+ * with `overlap` characters repeated between neighbours for continuity
+ */
+function splitText(
+  text,
+  maxChars = CHUNK_MAX_CHARS,
+  overlap = CHUNK_OVERLAP_CHARS
+) {
+  if (text.length <= maxChars) return [text];
+
+  const pieces = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(start + maxChars, text.length);
+    if (end < text.length) {
+      const breakAt = text.lastIndexOf(" ", end);
+      if (breakAt > start + maxChars / 2) end = breakAt;
+    }
+    pieces.push(text.slice(start, end).trim());
+    if (end >= text.length) break;
+    start = Math.max(end - overlap, start + 1);
+  }
+  return pieces.filter(Boolean);
+}
+
+/**
+ * One knowledge-base object per description chunk; every chunk carries the
+ * title and solution so it stands on its own in retrieval
+ */
+function chunkCase(caseData, options = {}) {
+  const descriptions = splitText(
+    caseData.caseDescription,
+    options.maxChars,
+    options.overlap
+  );
+  return descriptions.map((caseDescription, chunkIndex) => ({
+    ...caseData,
+    caseDescription,
+    chunkIndex,
+  }));
+}
+
+/**
+ * Text embedded for a knowledge-base object
+ */
+function caseEmbeddingText(caseData) {
+  return `${caseData.caseTitle}\n${caseData.caseDescription}\n${caseData.solutionDescription}`;
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  caseEmbeddingText,
+  chunkCase,
+  kissflowItemsToRecords,
+  normalizeCaseRecords,
+  parseCsv,
+  parseImportPayload,
+  splitText,
+};
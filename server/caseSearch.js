@@ -0,0 +1,184 @@
+const { Filters } = require("weaviate-client");
+const { createLogger } = require("./logger");
+
+const log = createLogger("search");
+
+// ===== Knowledge Base Search Configuration =====
+const CASE_COLLECTION = "CaseSolutionKnowledgeBase";
+
+const SEARCH_TOP_K = parseInt(process.env.TOP_K || "5", 10);
+// 0 = pure BM25 keyword search, 1 = pure vector search
+const SEARCH_ALPHA = parseFloat(process.env.SEARCH_ALPHA || "0.5");
+// Cases whose vector certainty is below this are left out, even when the
+// keyword half matched them: the fused score is relative to the other hits,
+// so a weak keyword match can still top it
+const SEARCH_MIN_CERTAINTY = parseFloat(
+  process.env.SEARCH_MIN_CERTAINTY || "0.65"
+);
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Weaviate's cosine certainty of two vectors: (1 + cosine similarity) / 2
+ */
+function vectorCertainty(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return (1 + dot / (Math.sqrt(normA * normB) || 1)) / 2;
+}
+
+function isUnitInterval(value) {
+  return typeof value === "number" && value >= 0 && value <= 1;
+}
+
+/**
+ * Validate the search options of an /api/ask request body
+ * - filters: { caseType: string | string[], dateFrom, dateTo } (YYYY-MM-DD,
+ *   inclusive, matched against the case's createdAt)
+ * - alpha, minCertainty: numbers between 0 and 1 overriding the env defaults
+ * caseTypes: the configured Case_Type options (caseTypeOptions)
+ * Returns: { options } or { error } with a message for a 400 response
+ */
+function parseSearchOptions(
+  { filters = {}, alpha, minCertainty },
+  { caseTypes: knownTypes }
+) {
+  if (typeof filters !== "object" || Array.isArray(filters) || !filters) {
+    return { error: "filters must be an object" };
+  }
+
+  const { caseType, dateFrom, dateTo } = filters;
+  const caseTypes =
+    caseType === undefined ? [] : [].concat(caseType).filter(Boolean);
+  const unknownType = caseTypes.find((type) => !knownTypes.includes(type));
+  if (unknownType !== undefined) {
+    return {
+      error: `Unknown caseType: ${unknownType}. Must be one of: ${knownTypes.join(
+        ", "
+      )}`,
+    };
+  }
+
+  for (const [name, value] of Object.entries({ dateFrom, dateTo })) {
+    if (value !== undefined && !ISO_DATE.test(value)) {
+      return { error: `${name} must be a date in YYYY-MM-DD format` };
+    }
+  }
+
+  for (const [name, value] of Object.entries({ alpha, minCertainty })) {
+    if (value !== undefined && !isUnitInterval(value)) {
+      return { error: `${name} must be a number between 0 and 1` };
+    }
+  }
+
+  return {
+    options: {
+      caseTypes,
+      dateFrom,
+      dateTo,
+      alpha: alpha ?? SEARCH_ALPHA,
+      minCertainty: minCertainty ?? SEARCH_MIN_CERTAINTY,
+    },
+  };
+}
+
+/**
+ * Weaviate filter for the parsed caseType/date options (undefined = no filter)
+ */
+function buildCaseFilters(collection, { caseTypes, dateFrom, dateTo }) {
+  const filters = [];
+  if (caseTypes.length === 1) {
+    filters.push(collection.filter.byProperty("caseType").equal(caseTypes[0]));
+  } else if (caseTypes.length > 1) {
+    filters.push(
+      collection.filter.byProperty("caseType").containsAny(caseTypes)
+    );
+  }
+  if (dateFrom) {
+    filters.push(
+      collection.filter
+        .byProperty("createdAt")
+        .greaterOrEqual(new Date(`${dateFrom}T00:00:00Z`))
+    );
+  }
+  if (dateTo) {
+    filters.push(
+      collection.filter
+        .byProperty("createdAt")
+        .lessOrEqual(new Date(`${dateTo}T23:59:59.999Z`))
+    );
+  }
+
+  if (filters.length === 0) return undefined;
+  return filters.length === 1 ? filters[0] : Filters.and(...filters);
+}
+
+/**
+ * Hybrid (BM25 + vector) search over the case knowledge base
+ * - query: the user's question, for the keyword half (case numbers, codes)
+ * - vector: its embedding, for the semantic half
+ * - options: from parseSearchOptions
+ * - limit: number of cases to fetch (default TOP_K)
+ * Returns: case documents with _additional { id, score, certainty }: score is
+ * the fused score (0–1, relative to the other hits), certainty the case's
+ * vector certainty (at least options.minCertainty)
+ */
+async function searchWeaviate(
+  client,
+  { query, vector, options, limit = SEARCH_TOP_K }
+) {
+  log.info("Hybrid search in Weaviate", {
+    alpha: options.alpha,
+    minCertainty: options.minCertainty,
+    limit,
+  });
+  const collection = client.collections.get(CASE_COLLECTION);
+
+  try {
+    const { objects } = await collection.query.hybrid(query, {
+      vector,
+      alpha: options.alpha,
+      fusionType: "RelativeScore",
+      // Cosine distance = 2 × (1 − certainty)
+      maxVectorDistance: 2 * (1 - options.minCertainty),
+      filters: buildCaseFilters(collection, options),
+      limit,
+      includeVector: true,
+      returnMetadata: ["score"],
+    });
+
+    // maxVectorDistance only bounds the vector half: keyword-only hits are
+    // checked against the threshold here
+    const documents = objects
+      .map((object) => ({
+        ...object.properties,
+        _additional: {
+          id: object.uuid,
+          score: object.metadata?.score ?? 0,
+          certainty: vectorCertainty(vector, object.vectors?.default || []),
+        },
+      }))
+      .filter((doc) => doc._additional.certainty >= options.minCertainty);
+    log.info("Search finished", {
+      hits: objects.length,
+      documents: documents.length,
+    });
+    return documents;
+  } catch (error) {
+    log.error("Weaviate search failed", { err: error });
+    throw new Error(`Weaviate search failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  CASE_COLLECTION,
+  SEARCH_TOP_K,
+  parseSearchOptions,
+  searchWeaviate,
+};
@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+const { createLogger } = require("./logger");
+
+const log = createLogger("memory");
+
+// ===== Conversation Memory Configuration =====
+// Token budget for chat history sent to the model (question and context excluded)
+const HISTORY_TOKEN_BUDGET = parseInt(
+  process.env.HISTORY_TOKEN_BUDGET || "1500",
+  10
+);
+// Summarize turns that overflow the budget instead of dropping them
+const HISTORY_SUMMARY_ENABLED = process.env.HISTORY_SUMMARY !== "false";
+// Model name, or a provider role ("fast" by default, see server/llm)
+const HISTORY_SUMMARY_MODEL = process.env.HISTORY_SUMMARY_MODEL || "fast";
+const SUMMARY_CACHE_LIMIT = 200;
+
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const summaryCache = new Map();
+
+/**
+ * Rough token estimate without a tokenizer dependency
+ * Thai script packs fewer characters per token than Latin text
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const thaiChars = (text.match(/[\u0E00-\u0E7F]/g) || []).length;
+  const otherChars = text.length - thaiChars;
+  return Math.ceil(thaiChars / 2 + otherChars / 4);
+}
+
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Map chat history into model messages: { role, content }
+ * Accepts both model messages and UI messages ({ text, sender, role })
+ * and drops error bubbles and anything that is not a user/assistant turn with text
+ */
+function toModelMessages(chatHistory) {
+  if (!Array.isArray(chatHistory)) return [];
+
+  return chatHistory
+    .map((msg) => {
+      if (!msg || msg.isError) return null;
+      const role = msg.role || (msg.sender === "user" ? "user" : "assistant");
+      const content = typeof msg.content === "string" ? msg.content : msg.text;
+      return { role, content: typeof content === "string" ? content : "" };
+    })
+    .filter(
+      (msg) =>
+        msg &&
+        (msg.role === "user" || msg.role === "assistant") &&
+        msg.content.trim()
+    );
+}
+
+/**
+ * Split history into the newest messages that fit the token budget
+ * and the older overflow that does not
+ * Returns: { recent, overflow }
+ */
+function splitByTokenBudget(messages, tokenBudget) {
+  let used = 0;
+  let start = messages.length;
+
+  while (start > 0) {
+    const cost = estimateMessageTokens(messages[start - 1]);
+    if (used + cost > tokenBudget) break;
+    used += cost;
+    start -= 1;
+  }
+
+  return { recent: messages.slice(start), overflow: messages.slice(0, start) };
+}
+
+function hashMessages(messages) {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(messages))
+    .digest("hex");
+}
+
+function cacheSummary(key, summary) {
+  summaryCache.set(key, summary);
+  if (summaryCache.size > SUMMARY_CACHE_LIMIT) {
+    summaryCache.delete(summaryCache.keys().next().value);
+  }
+}
+
+/**
+ * Summarize overflowed turns, reusing the longest cached summary prefix
+ * so a growing conversation only summarizes the newly overflowed turns
+ */
+async function summarizeMessages(llm, messages, signal) {
+  const fullKey = hashMessages(messages);
+  if (summaryCache.has(fullKey)) {
+    return summaryCache.get(fullKey);
+  }
+
+  let previousSummary = "";
+  let pending = messages;
+  for (let n = messages.length - 1; n > 0; n--) {
+    const cached = summaryCache.get(hashMessages(messages.slice(0, n)));
+    if (cached) {
+      previousSummary = cached;
+      pending = messages.slice(n);
+      break;
+    }
+  }
+
+  const transcript = pending
+    .map((m) => `${m.role === "user" ? "User" : "Assistant"}: ${m.content}`)
+    .join("\n");
+  const userPrompt = previousSummary
+    ? `Existing summary:\n${previousSummary}\n\nNew conversation turns:\n${transcript}`
+    : `Conversation turns:\n${transcript}`;
+
+  const { content: summary } = await llm.complete({
+    model: HISTORY_SUMMARY_MODEL,
+    temperature: 0,
+    messages: [
+      {
+        role: "system",
+        content:
+          "Summarize the earlier part of a conversation between an employee and an HR/case-management assistant so it can be used as memory. Keep names, numbers, dates, case numbers and open questions. Write the summary in the same language as the conversation, in at most 120 words.",
+      },
+      { role: "user", content: userPrompt },
+    ],
+    signal,
+  });
+
+  cacheSummary(fullKey, summary);
+  return summary;
+}
+
+/**
+ * Build the history messages to send to the model
+ * - Normalizes UI/model messages
+ * - Keeps the newest turns within the token budget
+ * - Replaces older turns with a summary message (or drops them if disabled/failed)
+ */
+async function buildConversationMemory(
+  llm,
+  chatHistory,
+  {
+    tokenBudget = HISTORY_TOKEN_BUDGET,
+    summarize = HISTORY_SUMMARY_ENABLED,
+    signal,
+  } = {}
+) {
+  const messages = toModelMessages(chatHistory);
+  const { recent, overflow } = splitByTokenBudget(messages, tokenBudget);
+
+  if (overflow.length === 0 || !summarize) {
+    return recent;
+  }
+
+  try {
+    const summary = await summarizeMessages(llm, overflow, signal);
+    log.info("Summarized older messages", {
+      summarized: overflow.length,
+      kept: recent.length,
+    });
+    return [
+      {
+        role: "system",
+        content: `Summary of the earlier conversation:\n${summary}`,
+      },
+      ...recent,
+    ];
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    log.warn("Failed to summarize history, using recent turns only", {
+      err,
+    });
+    return recent;
+  }
+}
+
+module.exports = {
+  buildConversationMemory,
+  estimateTokens,
+  splitByTokenBudget,
+  toModelMessages,
+};
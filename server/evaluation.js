@@ -0,0 +1,418 @@
+// ===== Offline Evaluation =====
+// Runs a golden set of questions through the server.js endpoints and scores:
+// - case_search: recall@k of the expected caseNumbers in /api/ask citations
+// - leave_balance: numeric exactness of /api/chat tool answers against the
+//   fixture leave balances
+// - optionally an LLM judge (1–5) for every answer
+// Used by scripts/eval.js
+
+// Same lookups the leave-balance intent offers (src/intents/leaveBalance.js)
+const LEAVE_TOOLS = ["get_leave_balance", "search_cases", "get_case"];
+// Same bound as the client tool loop (src/chatApi.js)
+const MAX_TOOL_ROUNDS = 4;
+const JUDGE_MODEL = process.env.EVAL_JUDGE_MODEL || "chat";
+
+// Environment that changes retrieval or answers, recorded with every run
+const CONFIG_ENV = [
+  "LLM_PROVIDER",
+  "EMBEDDING_PROVIDER",
+  "TOP_K",
+  "SEARCH_ALPHA",
+  "SEARCH_MIN_CERTAINTY",
+  "RETRIEVAL_OVERFETCH",
+  "RETRIEVAL_DEDUPE",
+  "DEDUPE_SIMILARITY",
+  "RERANK_MODE",
+  "RERANK_MIN_SCORE",
+  "CONTEXT_TOKEN_BUDGET",
+  "PROMPT_LANGUAGE",
+];
+
+const THAI_DIGITS = "๐๑๒๓๔๕๖๗๘๙";
+
+/**
+ * Numbers mentioned in a text (Thai digits included), in order
+ */
+function extractNumbers(text) {
+  const normalized = String(text || "").replace(/[๐-๙]/g, (digit) =>
+    THAI_DIGITS.indexOf(digit)
+  );
+  return (normalized.match(/\d+(?:\.\d+)?/g) || []).map(Number);
+}
+
+/**
+ * Share of the expected caseNumbers among the first k retrieved ones
+ * With no expected cases, 1 when nothing was retrieved and 0 otherwise
+ */
+function recallAtK(retrieved, expected, k = retrieved.length) {
+  const top = retrieved.slice(0, k);
+  if (expected.length === 0) return top.length === 0 ? 1 : 0;
+  return expected.filter((n) => top.includes(n)).length / expected.length;
+}
+
+/**
+ * Numeric exactness of a leave-balance answer
+ * - expected: the fixture balances the question asks about
+ * - allowed: every fixture balance (true facts the answer may add)
+ * Returns: { exact, missing, unexpected }; exact when every expected number
+ * appears and no other number does, apart from allowed ones and numbers
+ * repeated from the question
+ */
+function scoreNumbers(answer, { question, expected, allowed = [] }) {
+  const found = extractNumbers(answer);
+  const known = new Set([...expected, ...allowed, ...extractNumbers(question)]);
+  const missing = expected.filter((n) => !found.includes(n));
+  const unexpected = [...new Set(found.filter((n) => !known.has(n)))];
+  return {
+    exact: missing.length === 0 && unexpected.length === 0,
+    missing,
+    unexpected,
+  };
+}
+
+/**
+ * Expected numbers for a leave_balance item from the fixture balances
+ * item.leaveTypes: any of "vacation", "personal", "sick"
+ */
+function expectedLeaveNumbers(item, balance) {
+  return {
+    expected: item.leaveTypes.map((type) => balance[type]),
+    allowed: [balance.vacation, balance.personal, balance.sick],
+  };
+}
+
+async function postJson(baseUrl, path, body, token) {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify(body),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`${path} ${response.status}: ${data.error || ""}`);
+  }
+  return data;
+}
+
+/**
+ * The client's /api/chat tool loop, with tools run through the server's
+ * Kissflow tool proxy as the fixture user (token: a JWT carrying the user's
+ * email, which the proxy scopes the lookups to)
+ */
+async function askWithTools(baseUrl, question, token) {
+  const toolMessages = [];
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const result = await postJson(
+      baseUrl,
+      "/api/chat",
+      {
+        question,
+        chatHistory: [],
+        tools: round < MAX_TOOL_ROUNDS - 1 ? LEAVE_TOOLS : [],
+        toolMessages,
+      },
+      token
+    );
+    if (!result.toolCalls?.length) return result;
+
+    toolMessages.push({ role: "assistant", toolCalls: result.toolCalls });
+    for (const call of result.toolCalls) {
+      const { result: output } = await postJson(
+        baseUrl,
+        `/api/kissflow/tools/${encodeURIComponent(call.name)}`,
+        { arguments: call.arguments },
+        token
+      );
+      toolMessages.push({
+        role: "tool",
+        toolCallId: call.id,
+        content: JSON.stringify(output),
+      });
+    }
+  }
+  return { answer: "" };
+}
+
+/**
+ * Ask the judge model to grade an answer
+ * Returns: { score: 1–5 | null, reason }
+ */
+async function judgeAnswer(llm, { question, answer, reference }) {
+  const { content } = await llm.complete({
+    model: JUDGE_MODEL,
+    temperature: 0,
+    json: true,
+    messages: [
+      {
+        role: "system",
+        content: `You grade an assistant's answer to a Thai employee's question. Score from 1 (wrong, unhelpful or not in Thai) to 5 (correct, complete, in natural Thai). When a reference answer is given, judge correctness against it. Reply with JSON: {"score": <1-5>, "reason": "<one sentence>"}`,
+      },
+      {
+        role: "user",
+        content: `Question: ${question}\n\nReference: ${
+          reference || "(none)"
+        }\n\nAnswer: ${answer}`,
+      },
+    ],
+  });
+  try {
+    const { score, reason } = JSON.parse(content);
+    const valid = Number.isInteger(score) && score >= 1 && score <= 5;
+    return { score: valid ? score : null, reason: reason || "" };
+  } catch (err) {
+    return { score: null, reason: `Unreadable judge reply: ${content}` };
+  }
+}
+
+async function evaluateItem(item, { baseUrl, llm, judge, leaveUser }) {
+  const started = Date.now();
+  const result = { id: item.id, type: item.type, question: item.question };
+
+  if (item.type === "case_search") {
+    const response = await postJson(
+      baseUrl,
+      "/api/ask",
+      { question: item.question, chatHistory: [], ...item.search },
+      leaveUser.token
+    );
+    const retrieved = (response.citations || []).map((c) => c.caseNumber);
+    Object.assign(result, {
+      answer: response.answer,
+      expected: item.expectedCaseNumbers,
+      retrieved,
+      recall: recallAtK(retrieved, item.expectedCaseNumbers),
+      model: response.model || null,
+      promptVersion: response.promptVersion || null,
+    });
+  } else if (item.type === "leave_balance") {
+    const response = await askWithTools(
+      baseUrl,
+      item.question,
+      leaveUser.token
+    );
+    const numbers = expectedLeaveNumbers(item, leaveUser.balance);
+    Object.assign(result, {
+      answer: response.answer,
+      expected: numbers.expected,
+      ...scoreNumbers(response.answer, { question: item.question, ...numbers }),
+      model: response.model || null,
+      promptVersion: response.promptVersion || null,
+    });
+  } else {
+    throw new Error(`Unknown golden item type: ${item.type}`);
+  }
+
+  if (judge) {
+    result.judge = await judgeAnswer(llm, {
+      question: item.question,
+      answer: result.answer,
+      reference: item.reference,
+    });
+  }
+  result.ms = Date.now() - started;
+  return result;
+}
+
+function average(values) {
+  return values.length === 0
+    ? null
+    : values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Aggregate scores of a run
+ */
+function summarizeResults(results) {
+  const cases = results.filter((r) => r.type === "case_search" && !r.error);
+  const leave = results.filter((r) => r.type === "leave_balance" && !r.error);
+  const judged = results.filter((r) => typeof r.judge?.score === "number");
+  return {
+    items: results.length,
+    errors: results.filter((r) => r.error).length,
+    recallAtK: average(cases.map((r) => r.recall)),
+    numericExactness: average(leave.map((r) => (r.exact ? 1 : 0))),
+    judgeScore: average(judged.map((r) => r.judge.score)),
+    avgMs: average(results.map((r) => r.ms)),
+  };
+}
+
+/**
+ * Run the golden set against a running server.js app
+ * - baseUrl: where the app listens
+ * - llm: provider for the judge
+ * - leaveUser: { email, balance: { vacation, personal, sick } } from fixtures,
+ *   and token: credentials of that user for every request
+ * Returns: { name, config, summary, results } with results in golden order
+ */
+async function runEvaluation({
+  name,
+  goldenSet,
+  baseUrl,
+  llm,
+  judge = false,
+  leaveUser,
+  onResult,
+}) {
+  const results = [];
+  for (const item of goldenSet) {
+    let result;
+    try {
+      result = await evaluateItem(item, { baseUrl, llm, judge, leaveUser });
+    } catch (err) {
+      result = {
+        id: item.id,
+        type: item.type,
+        question: item.question,
+        error: err.message,
+      };
+    }
+    results.push(result);
+    onResult?.(result);
+  }
+
+  const env = Object.fromEntries(
+    CONFIG_ENV.filter((key) => process.env[key] !== undefined).map((key) => [
+      key,
+      process.env[key],
+    ])
+  );
+  return {
+    name,
+    config: {
+      env,
+      models: {
+        ...llm.models,
+        judge: judge ? llm.models[JUDGE_MODEL] || JUDGE_MODEL : null,
+      },
+      promptVersions: [
+        ...new Set(results.map((r) => r.promptVersion).filter(Boolean)),
+      ].sort(),
+    },
+    summary: summarizeResults(results),
+    results,
+  };
+}
+
+// ===== Report =====
+
+function formatScore(value, digits = 2) {
+  return typeof value === "number" ? value.toFixed(digits) : "-";
+}
+
+function formatDelta(a, b) {
+  if (typeof a !== "number" || typeof b !== "number") return "";
+  const delta = b - a;
+  if (Math.abs(delta) < 0.005) return "=";
+  return `${delta > 0 ? "+" : ""}${delta.toFixed(2)}`;
+}
+
+function itemScore(result) {
+  if (result.error) return "error";
+  if (result.type === "case_search") {
+    return `recall ${formatScore(result.recall)} [${result.retrieved.join(
+      " "
+    )}]`;
+  }
+  return result.exact
+    ? "exact"
+    : `missing [${result.missing.join(" ")}] extra [${result.unexpected.join(
+        " "
+      )}]`;
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+}
+
+/**
+ * Markdown report comparing two runs (or describing one when b is omitted)
+ * Contains no timings or timestamps in its item rows so it diffs cleanly
+ */
+function formatComparison(a, b = null) {
+  const runs = b ? [a, b] : [a];
+  const lines = [
+    `# Evaluation: ${runs.map((run) => run.name).join(" vs ")}`,
+    "",
+    "## Configuration",
+    "",
+    `| Setting | ${runs.map((run) => run.name).join(" | ")} |`,
+    `| --- | ${runs.map(() => "---").join(" | ")} |`,
+  ];
+
+  const settings = (run) => ({
+    ...run.config.env,
+    ...Object.fromEntries(
+      Object.entries(run.config.models).map(([role, model]) => [
+        `model.${role}`,
+        model,
+      ])
+    ),
+    promptVersions: run.config.promptVersions.join(", "),
+  });
+  const allSettings = runs.map(settings);
+  const keys = [...new Set(allSettings.flatMap(Object.keys))].sort();
+  for (const key of keys) {
+    const values = allSettings.map((s) => s[key] ?? "(default)");
+    const changed = b && values[0] !== values[1] ? " **changed**" : "";
+    lines.push(`| ${key}${changed} | ${values.join(" | ")} |`);
+  }
+
+  lines.push(
+    "",
+    "## Summary",
+    "",
+    `| Metric | ${runs.map((run) => run.name).join(" | ")}${b ? " | Δ" : ""} |`,
+    `| --- | ${runs.map(() => "---").join(" | ")}${b ? " | ---" : ""} |`
+  );
+  for (const metric of ["recallAtK", "numericExactness", "judgeScore"]) {
+    const values = runs.map((run) => run.summary[metric]);
+    lines.push(
+      `| ${metric} | ${values.map((v) => formatScore(v)).join(" | ")}${
+        b ? ` | ${formatDelta(values[0], values[1])}` : ""
+      } |`
+    );
+  }
+  lines.push(
+    `| errors | ${runs.map((run) => run.summary.errors).join(" | ")}${
+      b ? " | " : ""
+    } |`
+  );
+
+  lines.push(
+    "",
+    "## Items",
+    "",
+    `| Item | Question | ${runs.map((run) => run.name).join(" | ")} |`,
+    `| --- | --- | ${runs.map(() => "---").join(" | ")} |`
+  );
+  const ids = [...new Set(runs.flatMap((run) => run.results.map((r) => r.id)))];
+  for (const id of ids) {
+    const results = runs.map((run) => run.results.find((r) => r.id === id));
+    const question = results.find(Boolean).question;
+    const cells = results.map((r) => {
+      if (!r) return "(not run)";
+      const judge =
+        typeof r.judge?.score === "number" ? `, judge ${r.judge.score}` : "";
+      return escapeCell(`${itemScore(r)}${judge}`);
+    });
+    const changed = b && cells[0] !== cells[1] ? " **changed**" : "";
+    lines.push(
+      `| ${id}${changed} | ${escapeCell(question)} | ${cells.join(" | ")} |`
+    );
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  extractNumbers,
+  formatComparison,
+  formatScore,
+  recallAtK,
+  runEvaluation,
+  scoreNumbers,
+  summarizeResults,
+};
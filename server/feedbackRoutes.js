@@ -0,0 +1,181 @@
+const express = require("express");
+const {
+  FEEDBACK_RATINGS,
+  FEEDBACK_REASONS,
+} = require("../src/feedbackReasons");
+const { getRequestUserId } = require("./auth");
+const { requireAdminToken } = require("./secrets");
+const { createLogger } = require("./logger");
+
+const log = createLogger("feedback");
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const EXPORT_FORMATS = ["csv", "jsonl"];
+const MAX_TEXT_LENGTH = 4000;
+const MAX_COMMENT_LENGTH = 1000;
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Column order of the CSV export
+const EXPORT_COLUMNS = [
+  "createdAt",
+  "userId",
+  "sessionId",
+  "messageId",
+  "rating",
+  "reasons",
+  "comment",
+  "intent",
+  "question",
+  "answer",
+  "caseNumbers",
+  "model",
+  "promptVersion",
+];
+
+function optionalString(value, maxLength = MAX_TEXT_LENGTH) {
+  return typeof value === "string" && value ? value.slice(0, maxLength) : null;
+}
+
+/**
+ * Validate a feedback body
+ * Returns: { feedback } or { error }
+ */
+function parseFeedback(body = {}) {
+  const { messageId, rating, reasons = [] } = body;
+
+  if (typeof messageId !== "string" || !messageId) {
+    return { error: "messageId is required" };
+  }
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    return {
+      error: `rating must be one of: ${FEEDBACK_RATINGS.join(", ")}`,
+    };
+  }
+  if (!Array.isArray(reasons)) {
+    return { error: "reasons must be an array" };
+  }
+  const unknownReason = reasons.find((r) => !FEEDBACK_REASONS[r]);
+  if (unknownReason !== undefined) {
+    return {
+      error: `Unknown reason: ${unknownReason}. Must be one of: ${Object.keys(
+        FEEDBACK_REASONS
+      ).join(", ")}`,
+    };
+  }
+
+  return {
+    feedback: {
+      messageId,
+      sessionId: optionalString(body.sessionId),
+      rating,
+      // Reasons explain a thumbs-down
+      reasons: rating === "down" ? [...new Set(reasons)] : [],
+      comment: optionalString(body.comment, MAX_COMMENT_LENGTH),
+      intent: optionalString(body.intent),
+    },
+  };
+}
+
+function csvValue(value) {
+  const raw = Array.isArray(value) ? value.join(";") : String(value ?? "");
+  const text = FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Feedback records as CSV (with a header row) or JSON lines
+ */
+function formatFeedbackExport(records, format) {
+  if (format === "jsonl") {
+    return records.map((record) => `${JSON.stringify(record)}\n`).join("");
+  }
+  const rows = records.map((record) =>
+    EXPORT_COLUMNS.map((column) => csvValue(record[column])).join(",")
+  );
+  // BOM so Excel opens the Thai text as UTF-8
+  return `\uFEFF${[EXPORT_COLUMNS.join(","), ...rows].join("\r\n")}\r\n`;
+}
+
+/**
+ * Answer feedback routes, mounted at /api/feedback
+ * - POST /        thumbs up/down on an answer { messageId, rating, reasons?,
+ *                 comment?, intent, sessionId } (req.identity names the
+ *                 user; voting again replaces their earlier vote). The
+ *                 question, answer, case numbers, model and prompt version
+ *                 come from answerStore, recorded when the answer was
+ *                 generated; they are empty for messages it has no answer
+ *                 for (e.g. a stopped answer)
+ * - GET  /export?format=csv|jsonl&from=YYYY-MM-DD&to=YYYY-MM-DD
+ *                 needs `Authorization: Bearer <KB_ADMIN_TOKEN>`
+ */
+function createFeedbackRouter(
+  store,
+  { answerStore, adminToken = process.env.KB_ADMIN_TOKEN }
+) {
+  const router = express.Router();
+
+  router.post("/", async (req, res) => {
+    const { feedback, error } = parseFeedback(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      const userId = getRequestUserId(req) || null;
+      const answer = await answerStore.getAnswer(userId, feedback.messageId);
+      const record = await store.saveFeedback({
+        userId,
+        ...feedback,
+        question: answer?.question ?? null,
+        answer: answer?.answer ?? null,
+        caseNumbers: answer?.caseNumbers ?? [],
+        model: answer?.model ?? null,
+        promptVersion: answer?.promptVersion ?? null,
+      });
+      res.status(201).json(record);
+    } catch (err) {
+      handleFeedbackError(res, "saving feedback", err);
+    }
+  });
+
+  router.get("/export", requireAdminToken(adminToken), async (req, res) => {
+    const { format = "csv", from, to } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+      });
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && !ISO_DATE.test(value)) {
+        return res
+          .status(400)
+          .json({ error: `${name} must be a date in YYYY-MM-DD format` });
+      }
+    }
+
+    try {
+      const records = await store.listFeedback({
+        from: from && `${from}T00:00:00.000Z`,
+        to: to && `${to}T23:59:59.999Z`,
+      });
+      const date = new Date().toISOString().slice(0, 10);
+      res
+        .type(format === "csv" ? "text/csv" : "application/x-ndjson")
+        .attachment(`feedback-${date}.${format}`)
+        .send(formatFeedbackExport(records, format));
+    } catch (err) {
+      handleFeedbackError(res, "exporting feedback", err);
+    }
+  });
+
+  return router;
+}
+
+function handleFeedbackError(res, action, err) {
+  log.error(`Error ${action}`, { err });
+  res.status(500).json({ error: `Failed ${action}` });
+}
+
+module.exports = { createFeedbackRouter, formatFeedbackExport };
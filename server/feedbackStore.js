@@ -0,0 +1,82 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// ===== Feedback Store Configuration =====
+// Thumbs up/down on answers, appended as JSON lines to FEEDBACK_FILE
+const FEEDBACK_FILE =
+  process.env.FEEDBACK_FILE ||
+  path.join(__dirname, "..", "data", "feedback.jsonl");
+
+/**
+ * File-based feedback store
+ * - Append-only JSONL: changing a vote appends a new line
+ * - Reads keep the latest line per (userId, messageId)
+ */
+function createFileFeedbackStore(file = FEEDBACK_FILE) {
+  let writeQueue = Promise.resolve();
+
+  async function readLines() {
+    try {
+      const raw = await fs.readFile(file, "utf8");
+      return raw
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  return {
+    /**
+     * Record feedback on one answer
+     * Returns: the stored record with its id and createdAt
+     */
+    saveFeedback(feedback) {
+      const record = {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        ...feedback,
+      };
+      const next = writeQueue
+        .catch(() => {})
+        .then(async () => {
+          await fs.mkdir(path.dirname(file), { recursive: true });
+          await fs.appendFile(file, `${JSON.stringify(record)}\n`);
+          return record;
+        });
+      writeQueue = next;
+      return next;
+    },
+
+    /**
+     * Current feedback, oldest first, optionally limited to createdAt in
+     * [from, to] (ISO dates or timestamps)
+     */
+    async listFeedback({ from, to } = {}) {
+      const latest = new Map();
+      for (const record of await readLines()) {
+        latest.set(`${record.userId}\n${record.messageId}`, record);
+      }
+      return [...latest.values()].filter(
+        (record) =>
+          (!from || record.createdAt >= from) && (!to || record.createdAt <= to)
+      );
+    },
+  };
+}
+
+/**
+ * Create the configured feedback store (FEEDBACK_STORE, default "file")
+ */
+function createFeedbackStore() {
+  const storeType = process.env.FEEDBACK_STORE || "file";
+  if (storeType !== "file") {
+    throw new Error(`Unsupported FEEDBACK_STORE: ${storeType}`);
+  }
+  return createFileFeedbackStore();
+}
+
+module.exports = { createFeedbackStore, createFileFeedbackStore };
@@ -0,0 +1,55 @@
+const { toModelMessages } = require("./conversationMemory");
+
+// Model name, or a provider role ("fast" by default, see server/llm)
+const INTENT_MODEL = process.env.INTENT_MODEL || "fast";
+const INTENT_HISTORY_MESSAGES = 4;
+
+/**
+ * Classify a chat message into one of the intents registered by the client
+ * intents: [{ id, description, examples }]
+ * The system prompt is the registry's "intent" prompt
+ * Returns: the chosen intent id, or null when none fits
+ */
+async function classifyIntent(
+  llm,
+  promptRegistry,
+  question,
+  chatHistory,
+  intents
+) {
+  const intentList = intents
+    .map(
+      (intent) =>
+        `- ${intent.id}: ${intent.description}${
+          intent.examples?.length
+            ? ` (examples: ${intent.examples.join(" | ")})`
+            : ""
+        }`
+    )
+    .join("\n");
+
+  const prompt = await promptRegistry.render("intent", {
+    intents: intentList,
+  });
+
+  // A few recent turns are enough to resolve follow-ups
+  const recentHistory = toModelMessages(chatHistory).slice(
+    -INTENT_HISTORY_MESSAGES
+  );
+
+  const { content } = await llm.complete({
+    model: INTENT_MODEL,
+    temperature: 0,
+    json: true,
+    messages: [
+      { role: "system", content: prompt.system },
+      ...recentHistory,
+      { role: "user", content: question },
+    ],
+  });
+
+  const { intent } = JSON.parse(content);
+  return intents.some((i) => i.id === intent) ? intent : null;
+}
+
+module.exports = { classifyIntent };
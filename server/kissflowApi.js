@@ -0,0 +1,104 @@
+const { getKissflowTool, parseToolArguments } = require("../src/kissflowTools");
+const { createLogger } = require("./logger");
+
+const log = createLogger("kissflow");
+
+// ===== Kissflow REST Configuration =====
+// e.g. https://yourcompany.kissflow.com
+const KISSFLOW_API_BASE_URL = process.env.KISSFLOW_API_BASE_URL || "";
+const KISSFLOW_ACCOUNT_ID = process.env.KISSFLOW_ACCOUNT_ID || "";
+
+/**
+ * Call the Kissflow REST API with the server's access keys
+ */
+async function kissflowRequest(path, { method = "GET", body } = {}) {
+  if (!KISSFLOW_API_BASE_URL) {
+    throw new Error("KISSFLOW_API_BASE_URL is not configured");
+  }
+
+  const response = await fetch(`${KISSFLOW_API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "X-Access-Key-Id": process.env.KISSFLOW_ACCESS_KEY_ID || "",
+      "X-Access-Key-Secret": process.env.KISSFLOW_ACCESS_KEY_SECRET || "",
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const responseText = await response.text();
+  if (!response.ok) {
+    throw new Error(
+      `Kissflow API error ${response.status}: ${response.statusText}`
+    );
+  }
+  return responseText ? JSON.parse(responseText) : null;
+}
+
+/**
+ * Run a registered Kissflow lookup tool server-side (proxy for clients
+ * without the Kissflow SDK). Only tools from src/kissflowTools.js can run.
+ * config: the deployment config from server/kissflowConfig.js
+ * kissflow: { api(path) } to call, the REST API unless mock mode swaps it
+ */
+async function runKissflowTool(
+  name,
+  rawArguments,
+  { email, config, kissflow = { api: kissflowRequest } }
+) {
+  const tool = getKissflowTool(name);
+  const args = parseToolArguments(rawArguments);
+  const ctx = { accountId: KISSFLOW_ACCOUNT_ID, email, config };
+
+  log.info("Running tool via REST proxy", { tool: name });
+  const response = await kissflow.api(tool.request(args, ctx));
+  return tool.transform(response, args, ctx);
+}
+
+/**
+ * A Kissflow user as Kissflow knows them, looked up with the server's keys
+ * Returns: { userId, email, name }; throws when Kissflow has no such user
+ */
+async function getKissflowUser(
+  userId,
+  { kissflow = { api: kissflowRequest } } = {}
+) {
+  const user = await kissflow.api(
+    `/user/2/${KISSFLOW_ACCOUNT_ID}/${encodeURIComponent(userId)}`
+  );
+  if (!user || user._id !== userId) {
+    throw new Error(`Kissflow user ${userId} not found`);
+  }
+  return { userId: user._id, email: user.Email || "", name: user.Name || "" };
+}
+
+/**
+ * The sign-in item the chat page created in processes.signIn
+ * Returns: { nonce, userId } where userId is the Kissflow user who created
+ * it; throws when Kissflow has no such item
+ */
+async function getSignInProof(
+  itemId,
+  { config, kissflow = { api: kissflowRequest } }
+) {
+  const { signIn } = config.processes;
+  const item = await kissflow.api(
+    `/process/2/${KISSFLOW_ACCOUNT_ID}/${signIn.id}/${encodeURIComponent(
+      itemId
+    )}`
+  );
+  if (!item || item._id !== itemId) {
+    throw new Error(`Sign-in item ${itemId} not found`);
+  }
+  return {
+    nonce: item[signIn.fields.challenge] || "",
+    userId: item._created_by?._id || "",
+  };
+}
+
+module.exports = {
+  getKissflowUser,
+  getSignInProof,
+  kissflowRequest,
+  runKissflowTool,
+};
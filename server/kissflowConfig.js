@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { assertValidKissflowConfig } = require("../src/kissflowConfigSchema");
+
+// ===== Kissflow Deployment Config =====
+// One file per tenant: set KISSFLOW_CONFIG_PATH to a .json, .yaml or .yml file
+const DEFAULT_KISSFLOW_CONFIG_PATH = path.join(
+  __dirname,
+  "..",
+  "config",
+  "kissflow.json"
+);
+
+/**
+ * Read and validate the deployment config (datasets, views, field IDs,
+ * processes and popups). Throws with every schema problem listed, so a
+ * misconfigured deployment fails at startup instead of on the first lookup.
+ * Used by server.js at startup and by webpack.config.js at build time.
+ */
+function loadKissflowConfig(
+  filePath = process.env.KISSFLOW_CONFIG_PATH || DEFAULT_KISSFLOW_CONFIG_PATH
+) {
+  const resolvedPath = path.resolve(filePath);
+
+  let text;
+  try {
+    text = fs.readFileSync(resolvedPath, "utf8");
+  } catch (err) {
+    throw new Error(
+      `Cannot read Kissflow config ${resolvedPath}: ${err.message}`
+    );
+  }
+
+  let config;
+  try {
+    config = /\.ya?ml$/i.test(resolvedPath)
+      ? YAML.parse(text)
+      : JSON.parse(text);
+  } catch (err) {
+    throw new Error(
+      `Cannot parse Kissflow config ${resolvedPath}: ${err.message}`
+    );
+  }
+
+  return assertValidKissflowConfig(config, resolvedPath);
+}
+
+module.exports = { DEFAULT_KISSFLOW_CONFIG_PATH, loadKissflowConfig };
@@ -0,0 +1,297 @@
+const crypto = require("crypto");
+const { createLogger } = require("./logger");
+
+const log = createLogger("kissflow");
+
+// ===== Kissflow Item Creation =====
+// /api/kissflow/create posts items to the Kissflow batch create API
+// (REACT_APP_KISSFLOW_CREATE_ITEM_API) with the server's access keys. Each
+// call has a timeout, and 429 / 503 answers are retried with exponential
+// backoff. A repeated submit carrying the same idempotency key (the chat
+// message ID) gets the items created the first time instead of new ones.
+
+const MAX_BATCH_ITEMS = 20;
+// Longest Retry-After from Kissflow that is waited out before retrying
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+// How long a key keeps returning the items created for it
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+// Keys remembered at most; the least recently used are forgotten first
+const IDEMPOTENCY_MAX_KEYS = 10000;
+// Same shape as request IDs (see server/logger.js)
+const IDEMPOTENCY_KEY = /^[\w.:-]{1,100}$/;
+
+// Error codes sent to the UI, with the HTTP status they are sent with
+const CREATE_ERROR_STATUS = {
+  invalid_items: 400,
+  invalid_idempotency_key: 400,
+  idempotency_key_reused: 422,
+  kissflow_rejected: 422,
+  kissflow_auth_failed: 502,
+  kissflow_unavailable: 502,
+  kissflow_rate_limited: 503,
+  kissflow_not_configured: 503,
+  kissflow_timeout: 504,
+};
+
+class KissflowCreateError extends Error {
+  /**
+   * code: one of CREATE_ERROR_STATUS
+   * details: Kissflow's response body, when it answered
+   */
+  constructor(code, message, { details, retryAfterMs } = {}) {
+    super(message);
+    this.name = "KissflowCreateError";
+    this.code = code;
+    this.status = CREATE_ERROR_STATUS[code];
+    this.details = details;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function optionalNumber(env, name, fallback) {
+  const value = env[name];
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Create API URL, timeout and retries from the environment
+ */
+function loadKissflowCreateConfig(env = process.env) {
+  return {
+    url: env.REACT_APP_KISSFLOW_CREATE_ITEM_API || "",
+    timeoutMs: optionalNumber(env, "KISSFLOW_CREATE_TIMEOUT_MS", 15000),
+    retries: optionalNumber(env, "KISSFLOW_CREATE_RETRIES", 3),
+    backoffMs: optionalNumber(env, "KISSFLOW_CREATE_BACKOFF_MS", 500),
+  };
+}
+
+/**
+ * Items of a create request body: one item, or an array for batch create
+ * Returns: { items } or { error }
+ */
+function parseCreateItems(caseData) {
+  const items = Array.isArray(caseData) ? caseData : [caseData];
+  if (caseData === undefined || caseData === null || items.length === 0) {
+    return { error: "caseData is required" };
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return { error: `At most ${MAX_BATCH_ITEMS} items can be created at once` };
+  }
+  if (items.some((item) => !item || typeof item !== "object")) {
+    return { error: "Every item in caseData must be an object" };
+  }
+  return { items };
+}
+
+/**
+ * Wait before retry `attempt` (0-based): Kissflow's Retry-After when it sent
+ * one, otherwise backoffMs doubled on every attempt
+ */
+function retryDelayMs(response, attempt, backoffMs) {
+  const retryAfter = Number(response.headers.get("Retry-After"));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+  return backoffMs * 2 ** attempt;
+}
+
+// Only answers that say nothing was created: after other 5xx errors Kissflow
+// may have created the items anyway
+function isRetryable(status) {
+  return status === 429 || status === 503;
+}
+
+/**
+ * Typed error for the answer Kissflow gave up with
+ */
+function responseError(response, body) {
+  const { status } = response;
+  const message = `Kissflow API error ${status}`;
+  if (status === 429) {
+    return new KissflowCreateError("kissflow_rate_limited", message, {
+      details: body,
+      retryAfterMs: retryDelayMs(response, 0, 0) || undefined,
+    });
+  }
+  if (status >= 500) {
+    return new KissflowCreateError("kissflow_unavailable", message, {
+      details: body,
+    });
+  }
+  if (status === 401 || status === 403) {
+    return new KissflowCreateError("kissflow_auth_failed", message, {
+      details: body,
+    });
+  }
+  return new KissflowCreateError("kissflow_rejected", message, {
+    details: body,
+  });
+}
+
+/**
+ * Created items from a successful answer; a body that is not JSON (e.g. a
+ * gateway error page) is a kissflow_unavailable error
+ */
+function parseCreatedItems(body) {
+  if (!body) return [];
+  let result;
+  try {
+    result = JSON.parse(body);
+  } catch {
+    throw new KissflowCreateError(
+      "kissflow_unavailable",
+      "Kissflow answered with a body that is not JSON",
+      { details: body }
+    );
+  }
+  return Array.isArray(result) ? result : [result];
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates items through the Kissflow batch create API
+ * createItems(items) → the created items, in request order
+ * Timeouts and network failures are not retried: Kissflow may have created
+ * the items before the answer was lost.
+ */
+function createKissflowItemCreator({
+  url,
+  timeoutMs,
+  retries,
+  backoffMs,
+  fetch = globalThis.fetch,
+  sleep = delay,
+}) {
+  async function post(items) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Access-Key-Id": process.env.KISSFLOW_ACCESS_KEY_ID || "",
+          "X-Access-Key-Secret": process.env.KISSFLOW_ACCESS_KEY_SECRET || "",
+        },
+        body: JSON.stringify(items),
+        signal: controller.signal,
+      });
+      return { response, body: await response.text() };
+    } catch (err) {
+      if (controller.signal.aborted) {
+        throw new KissflowCreateError(
+          "kissflow_timeout",
+          `Kissflow did not answer within ${timeoutMs} ms`
+        );
+      }
+      throw new KissflowCreateError(
+        "kissflow_unavailable",
+        `Kissflow request failed: ${err.message}`
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    async createItems(items) {
+      if (!url) {
+        throw new KissflowCreateError(
+          "kissflow_not_configured",
+          "REACT_APP_KISSFLOW_CREATE_ITEM_API is not configured"
+        );
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        const { response, body } = await post(items);
+        log.debug("Create response", { status: response.status, body });
+
+        if (response.ok) return parseCreatedItems(body);
+        if (!isRetryable(response.status) || attempt >= retries) {
+          throw responseError(response, body);
+        }
+
+        const delayMs = retryDelayMs(response, attempt, backoffMs);
+        log.warn("Kissflow create failed, retrying", {
+          status: response.status,
+          attempt: attempt + 1,
+          delayMs,
+        });
+        await sleep(delayMs);
+      }
+    },
+  };
+}
+
+/**
+ * Remembers create calls per idempotency key (in this process only)
+ * run(key, payload, create) → { result, replayed }
+ * - a key seen before returns the first call's result, waiting for it while
+ *   it is still running (double-clicks)
+ * - the same key with a different payload throws idempotency_key_reused
+ * - failed calls are forgotten, so the same key can be retried
+ * - past maxKeys the least recently used key is forgotten
+ */
+function createIdempotencyCache({
+  ttlMs = IDEMPOTENCY_TTL_MS,
+  maxKeys = IDEMPOTENCY_MAX_KEYS,
+} = {}) {
+  const entries = new Map();
+
+  function forgetExpired(now) {
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }
+
+  return {
+    async run(key, payload, create, now = Date.now()) {
+      forgetExpired(now);
+      const fingerprint = crypto
+        .createHash("sha256")
+        .update(JSON.stringify(payload))
+        .digest("hex");
+
+      const entry = entries.get(key);
+      if (entry) {
+        if (entry.fingerprint !== fingerprint) {
+          throw new KissflowCreateError(
+            "idempotency_key_reused",
+            "This idempotency key was used for different items"
+          );
+        }
+        // Map order is use order: move the key to the end
+        entries.delete(key);
+        entries.set(key, entry);
+        return { result: await entry.promise, replayed: true };
+      }
+
+      const promise = create();
+      entries.set(key, { fingerprint, promise, expiresAt: now + ttlMs });
+      if (entries.size > maxKeys) {
+        entries.delete(entries.keys().next().value);
+      }
+      try {
+        return { result: await promise, replayed: false };
+      } catch (err) {
+        if (entries.get(key)?.promise === promise) entries.delete(key);
+        throw err;
+      }
+    },
+  };
+}
+
+module.exports = {
+  CREATE_ERROR_STATUS,
+  IDEMPOTENCY_KEY,
+  KissflowCreateError,
+  MAX_BATCH_ITEMS,
+  createIdempotencyCache,
+  createKissflowItemCreator,
+  loadKissflowCreateConfig,
+  parseCreateItems,
+};
@@ -0,0 +1,303 @@
+const weaviate = require("weaviate-client").default;
+const { generateUuid5 } = require("weaviate-client");
+const { CASE_COLLECTION } = require("./caseSearch");
+const { caseEmbeddingText, chunkCase } = require("./caseImport");
+const { createLogger } = require("./logger");
+
+const log = createLogger("knowledge-base");
+
+// ===== Knowledge Base Writes =====
+// Schema, import (upsert by caseNumber), delete and reindex for the
+// CaseSolutionKnowledgeBase collection searched by server/caseSearch.js.
+// After the first reindex CaseSolutionKnowledgeBase is an alias for the
+// collection the last reindex built.
+
+const EMBEDDING_BATCH_SIZE = 100;
+const WRITE_BATCH_SIZE = 200;
+
+/**
+ * Collection schema; vectors come from the LLM provider (see server/llm)
+ */
+function caseCollectionConfig(name = CASE_COLLECTION) {
+  const { dataType, tokenization } = weaviate.configure;
+  return {
+    name,
+    vectorizers: weaviate.configure.vectorizer.none(),
+    properties: [
+      { name: "caseNumber", dataType: dataType.TEXT },
+      { name: "caseTitle", dataType: dataType.TEXT },
+      { name: "caseType", dataType: dataType.TEXT },
+      { name: "caseDescription", dataType: dataType.TEXT },
+      { name: "solutionDescription", dataType: dataType.TEXT },
+      {
+        name: "instanceID",
+        dataType: dataType.TEXT,
+        tokenization: tokenization.FIELD,
+      },
+      { name: "createdAt", dataType: dataType.DATE },
+      { name: "chunkIndex", dataType: dataType.INT },
+    ],
+  };
+}
+
+/**
+ * The collection CASE_COLLECTION stands for: the one its alias points to, or
+ * CASE_COLLECTION itself before the first reindex
+ * Returns: the collection name, or null when there is no knowledge base yet
+ */
+async function resolveCaseCollection(client) {
+  try {
+    return (await client.alias.get(CASE_COLLECTION)).collection;
+  } catch (err) {
+    // No such alias (or a Weaviate without aliases)
+    if (err.code !== 404) throw err;
+  }
+  return (await client.collections.exists(CASE_COLLECTION))
+    ? CASE_COLLECTION
+    : null;
+}
+
+/**
+ * Create the collection unless it exists
+ * Returns: true when it was created
+ */
+async function ensureCaseSchema(client) {
+  if (await resolveCaseCollection(client)) return false;
+  log.info("Creating collection", { collection: CASE_COLLECTION });
+  await client.collections.create(caseCollectionConfig());
+  return true;
+}
+
+/**
+ * Stable object ID per case chunk, so re-imports overwrite instead of adding
+ */
+function caseObjectId(caseNumber, chunkIndex = 0) {
+  return generateUuid5(`${caseNumber}#${chunkIndex}`);
+}
+
+function inBatches(items, size) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+}
+
+async function embedChunks(llm, chunks) {
+  const vectors = [];
+  for (const batch of inBatches(chunks, EMBEDDING_BATCH_SIZE)) {
+    vectors.push(...(await llm.embed(batch.map(caseEmbeddingText))));
+  }
+  return vectors;
+}
+
+/**
+ * Object IDs stored under the given caseNumbers that are already in the
+ * knowledge base
+ * Returns: Map caseNumber → [uuid]
+ */
+async function findExistingObjects(collection, caseNumbers) {
+  const existing = new Map();
+  for (const batch of inBatches(caseNumbers, WRITE_BATCH_SIZE)) {
+    const { objects } = await collection.query.fetchObjects({
+      filters: collection.filter.byProperty("caseNumber").containsAny(batch),
+      limit: 10000,
+      returnProperties: ["caseNumber"],
+    });
+    for (const { uuid, properties } of objects) {
+      const ids = existing.get(properties.caseNumber) || [];
+      existing.set(properties.caseNumber, [...ids, uuid]);
+    }
+  }
+  return existing;
+}
+
+async function insertObjects(collection, objects) {
+  const failures = [];
+  for (const batch of inBatches(objects, WRITE_BATCH_SIZE)) {
+    const result = await collection.data.insertMany(batch);
+    for (const [index, error] of Object.entries(result.errors || {})) {
+      failures.push({
+        caseNumber: batch[index].properties.caseNumber,
+        error: error.message,
+      });
+    }
+  }
+  return failures;
+}
+
+/**
+ * Import normalized cases (see server/caseImport.js)
+ * - Each case replaces every object stored under its caseNumber: its chunks
+ *   are written over their stable IDs, then chunks the new version no longer
+ *   has are deleted, so a failed write leaves the previous version searchable
+ * - dryRun: report what would change without embedding or writing
+ * Returns: { dryRun, cases, chunks, created, updated, failed }
+ *   created/updated: caseNumbers, failed: [{ caseNumber, error }]
+ */
+async function importCases({ client, llm, cases, dryRun = false }) {
+  const chunks = cases.flatMap((caseData) => chunkCase(caseData));
+  const caseNumbers = cases.map((c) => c.caseNumber);
+
+  const collectionExists = (await resolveCaseCollection(client)) !== null;
+  const existing = collectionExists
+    ? await findExistingObjects(
+        client.collections.get(CASE_COLLECTION),
+        caseNumbers
+      )
+    : new Map();
+
+  const report = {
+    dryRun,
+    cases: cases.length,
+    chunks: chunks.length,
+    created: caseNumbers.filter((n) => !existing.has(n)),
+    updated: caseNumbers.filter((n) => existing.has(n)),
+    failed: [],
+  };
+  if (dryRun || chunks.length === 0) return report;
+
+  log.info("Embedding cases", { chunks: chunks.length, cases: cases.length });
+  const vectors = await embedChunks(llm, chunks);
+
+  await ensureCaseSchema(client);
+  const collection = client.collections.get(CASE_COLLECTION);
+
+  const objects = chunks.map((chunk, i) => ({
+    id: caseObjectId(chunk.caseNumber, chunk.chunkIndex),
+    properties: chunk,
+    vectors: vectors[i],
+  }));
+  report.failed = await insertObjects(collection, objects);
+
+  // A case may now have fewer chunks; cases that failed keep what they had
+  const written = new Set(objects.map((object) => object.id));
+  const failed = new Set(report.failed.map((f) => f.caseNumber));
+  const staleIds = report.updated
+    .filter((caseNumber) => !failed.has(caseNumber))
+    .flatMap((caseNumber) => existing.get(caseNumber))
+    .filter((id) => !written.has(id));
+  await deleteObjects(collection, staleIds);
+
+  log.info("Imported cases", {
+    created: report.created.length,
+    updated: report.updated.length,
+    failed: report.failed.length,
+  });
+  return report;
+}
+
+async function deleteObjects(collection, ids) {
+  for (const batch of inBatches(ids, WRITE_BATCH_SIZE)) {
+    await collection.data.deleteMany(
+      collection.filter.byId().containsAny(batch)
+    );
+  }
+}
+
+/**
+ * Delete every object stored under the given caseNumbers
+ * Returns: number of objects deleted
+ */
+async function deleteCases(client, caseNumbers) {
+  if (!(await resolveCaseCollection(client))) return 0;
+  const collection = client.collections.get(CASE_COLLECTION);
+
+  let deleted = 0;
+  for (const batch of inBatches(caseNumbers, WRITE_BATCH_SIZE)) {
+    const result = await collection.data.deleteMany(
+      collection.filter.byProperty("caseNumber").containsAny(batch)
+    );
+    deleted += result.successful;
+  }
+  return deleted;
+}
+
+/**
+ * Point CASE_COLLECTION at the freshly built collection and drop the old one
+ */
+async function switchCaseCollection(client, source, target) {
+  if (source === CASE_COLLECTION) {
+    // First reindex: the name is taken by the collection itself, so searches
+    // fail until the alias is created
+    await client.collections.delete(CASE_COLLECTION);
+    await client.alias.create({ collection: target, alias: CASE_COLLECTION });
+    return;
+  }
+  await client.alias.update({
+    alias: CASE_COLLECTION,
+    newTargetCollection: target,
+  });
+  await client.collections.delete(source);
+}
+
+/**
+ * Re-embed the whole knowledge base with the current embedding provider
+ * Needed after changing EMBEDDING_PROVIDER / EMBEDDING_MODEL: the vector
+ * dimensions may differ, so the objects are copied into a new collection,
+ * EMBEDDING_BATCH_SIZE at a time, and CASE_COLLECTION switches to it only
+ * when every object was written. On any failure the new collection is
+ * dropped and the live one stays as it was.
+ * Imports made while it runs go to the old collection and are lost.
+ * Returns: { objects, failed, collection } with the collection now searched
+ */
+async function reindexKnowledgeBase({ client, llm }) {
+  const source = await resolveCaseCollection(client);
+  if (!source) {
+    return { objects: 0, failed: [], collection: null };
+  }
+
+  const target = `${CASE_COLLECTION}_${Date.now()}`;
+  log.info("Reindexing into a new collection", { source, target });
+  await client.collections.create(caseCollectionConfig(target));
+  const collection = client.collections.get(target);
+
+  let objects = 0;
+  const failed = [];
+  let batch = [];
+  async function writeBatch() {
+    const vectors = await llm.embed(
+      batch.map((object) => caseEmbeddingText(object.properties))
+    );
+    failed.push(
+      ...(await insertObjects(
+        collection,
+        batch.map((object, i) => ({ ...object, vectors: vectors[i] }))
+      ))
+    );
+    objects += batch.length;
+    batch = [];
+  }
+
+  try {
+    for await (const object of client.collections.get(source).iterator()) {
+      batch.push({ id: object.uuid, properties: object.properties });
+      if (batch.length === EMBEDDING_BATCH_SIZE) await writeBatch();
+    }
+    if (batch.length > 0) await writeBatch();
+  } catch (err) {
+    await client.collections.delete(target);
+    throw err;
+  }
+
+  if (failed.length > 0) {
+    log.warn("Reindex failed, keeping the live collection", {
+      source,
+      failed: failed.length,
+    });
+    await client.collections.delete(target);
+    return { objects, failed, collection: source };
+  }
+
+  await switchCaseCollection(client, source, target);
+  log.info("Reindexed knowledge base", { objects, collection: target });
+  return { objects, failed, collection: target };
+}
+
+module.exports = {
+  caseCollectionConfig,
+  deleteCases,
+  ensureCaseSchema,
+  importCases,
+  reindexKnowledgeBase,
+};
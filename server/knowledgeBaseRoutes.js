@@ -0,0 +1,169 @@
+const express = require("express");
+const { approveLearningItem, rejectLearningItem } = require("./autoLearn");
+const { normalizeCaseRecords, parseImportPayload } = require("./caseImport");
+const {
+  deleteCases,
+  importCases,
+  reindexKnowledgeBase,
+} = require("./knowledgeBase");
+const {
+  LEARNING_STATUSES,
+  LearningItemNotFoundError,
+  LearningItemReviewedError,
+} = require("./learningQueue");
+const { createLogger } = require("./logger");
+const { requireAdminToken } = require("./secrets");
+const { caseTypeOptions } = require("../src/kissflowCaseFields");
+
+const log = createLogger("knowledge-base");
+
+// Imports can be much larger than chat requests
+const IMPORT_BODY_LIMIT = process.env.KB_IMPORT_BODY_LIMIT || "20mb";
+
+/**
+ * Knowledge-base admin routes, mounted at /api/kb
+ * Every route needs `Authorization: Bearer <KB_ADMIN_TOKEN>`; without
+ * KB_ADMIN_TOKEN the routes are disabled
+ * - POST   /import?format=csv|json|kissflow&dryRun=true
+ *          body: CSV text (Content-Type: text/csv) or JSON
+ * - DELETE /cases/:caseNumber   remove a case (all of its chunks)
+ * - POST   /reindex             re-embed everything with the current provider
+ * - GET    /learning?status=pending        resolved cases from Kissflow
+ * - POST   /learning/:itemId/approve       add the case to the knowledge base
+ * - POST   /learning/:itemId/reject        { reason? } keep it out
+ */
+function createKnowledgeBaseRouter({
+  client,
+  llm,
+  kissflowConfig,
+  learningQueue,
+  adminToken = process.env.KB_ADMIN_TOKEN,
+}) {
+  const router = express.Router();
+
+  router.use(requireAdminToken(adminToken));
+  router.use((req, res, next) => {
+    if (!client) {
+      return res.status(503).json({ error: "Knowledge base is not available" });
+    }
+    next();
+  });
+
+  router.post(
+    "/import",
+    express.json({ limit: IMPORT_BODY_LIMIT }),
+    express.text({ type: "text/csv", limit: IMPORT_BODY_LIMIT }),
+    async (req, res) => {
+      const { format, dryRun } = req.query;
+
+      let parsed;
+      try {
+        const { records } = parseImportPayload(req.body, {
+          format,
+          kissflowConfig,
+        });
+        parsed = normalizeCaseRecords(records, {
+          caseTypes: caseTypeOptions(kissflowConfig.processes.caseCreate),
+        });
+      } catch (err) {
+        return res
+          .status(400)
+          .json({ error: `Invalid import data: ${err.message}` });
+      }
+
+      try {
+        const report = await importCases({
+          client,
+          llm,
+          cases: parsed.cases,
+          dryRun: dryRun === "true",
+        });
+        res.json({
+          ...report,
+          invalid: parsed.errors,
+          warnings: parsed.warnings,
+        });
+      } catch (err) {
+        handleKnowledgeBaseError(res, "importing cases", err);
+      }
+    }
+  );
+
+  router.delete("/cases/:caseNumber", async (req, res) => {
+    try {
+      const deleted = await deleteCases(client, [req.params.caseNumber]);
+      if (deleted === 0) {
+        return res.status(404).json({ error: "Case not found" });
+      }
+      res.json({ deleted });
+    } catch (err) {
+      handleKnowledgeBaseError(res, "deleting case", err);
+    }
+  });
+
+  router.post("/reindex", async (req, res) => {
+    try {
+      res.json(await reindexKnowledgeBase({ client, llm }));
+    } catch (err) {
+      handleKnowledgeBaseError(res, "reindexing", err);
+    }
+  });
+
+  router.get("/learning", async (req, res) => {
+    const { status } = req.query;
+    if (status && !LEARNING_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: `status must be one of: ${LEARNING_STATUSES.join(", ")}`,
+      });
+    }
+    try {
+      res.json({ items: await learningQueue.listItems({ status }) });
+    } catch (err) {
+      handleKnowledgeBaseError(res, "listing the learning queue", err);
+    }
+  });
+
+  router.post("/learning/:itemId/approve", express.json(), async (req, res) => {
+    try {
+      const item = await approveLearningItem({
+        queue: learningQueue,
+        client,
+        llm,
+        itemId: req.params.itemId,
+        reviewedBy: req.body?.reviewedBy || null,
+      });
+      res.json(item);
+    } catch (err) {
+      handleKnowledgeBaseError(res, "approving case", err);
+    }
+  });
+
+  router.post("/learning/:itemId/reject", express.json(), async (req, res) => {
+    try {
+      const item = await rejectLearningItem({
+        queue: learningQueue,
+        itemId: req.params.itemId,
+        reviewedBy: req.body?.reviewedBy || null,
+        reason: req.body?.reason,
+      });
+      res.json(item);
+    } catch (err) {
+      handleKnowledgeBaseError(res, "rejecting case", err);
+    }
+  });
+
+  return router;
+}
+
+function handleKnowledgeBaseError(res, action, err) {
+  if (err instanceof LearningItemNotFoundError) {
+    return res.status(404).json({ error: err.message });
+  }
+  if (err instanceof LearningItemReviewedError) {
+    return res.status(409).json({ error: err.message });
+  }
+  log.error(`Error ${action}`, { err });
+  res.status(500).json({ error: `Failed ${action}: ${err.message}` });
+}
+
+module.exports = { createKnowledgeBaseRouter };
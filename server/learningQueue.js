@@ -0,0 +1,165 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// ===== Learning Queue Configuration =====
+// Resolved Kissflow cases waiting for a supervisor before they are added to
+// the knowledge base (see server/autoLearn.js). File-based by default.
+const LEARNING_QUEUE_FILE =
+  process.env.LEARNING_QUEUE_FILE ||
+  path.join(__dirname, "..", "data", "learning-queue.json");
+
+const LEARNING_STATUSES = ["pending", "approved", "rejected"];
+
+class LearningItemNotFoundError extends Error {
+  constructor(itemId) {
+    super(`Learning queue item not found: ${itemId}`);
+    this.name = "LearningItemNotFoundError";
+  }
+}
+
+class LearningItemReviewedError extends Error {
+  constructor(item) {
+    super(`Learning queue item ${item.id} is already ${item.status}`);
+    this.name = "LearningItemReviewedError";
+  }
+}
+
+/**
+ * File-based learning queue
+ * - One file holding { items: [...] }, newest last
+ * - Item: { id, status, case, source, warnings, receivedAt, reviewedAt,
+ *   reviewedBy, reason }
+ * - Writes are serialized and replaced atomically (tmp + rename)
+ */
+function createFileLearningQueue(file = LEARNING_QUEUE_FILE) {
+  let writeQueue = Promise.resolve();
+
+  async function readItems() {
+    try {
+      const raw = await fs.readFile(file, "utf8");
+      return JSON.parse(raw).items || [];
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  async function writeItems(items) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ items }, null, 2));
+    await fs.rename(tmpFile, file);
+  }
+
+  // Run read-modify-write operations strictly one after another
+  function updateItems(updater) {
+    const next = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const items = await readItems();
+        const result = await updater(items);
+        await writeItems(items);
+        return result;
+      });
+    writeQueue = next;
+    return next;
+  }
+
+  function findItem(items, itemId) {
+    const item = items.find((i) => i.id === itemId);
+    if (!item) throw new LearningItemNotFoundError(itemId);
+    return item;
+  }
+
+  return {
+    async listItems({ status } = {}) {
+      const items = await readItems();
+      return items
+        .filter((item) => !status || item.status === status)
+        .reverse();
+    },
+
+    async getItem(itemId) {
+      return findItem(await readItems(), itemId);
+    },
+
+    /**
+     * Queue a case for review; a case that is still pending under the same
+     * caseNumber is replaced, so repeated webhooks do not pile up
+     */
+    enqueue({ caseData, source = {}, warnings = [] }) {
+      return updateItems((items) => {
+        const now = new Date().toISOString();
+        const pending = items.find(
+          (i) =>
+            i.status === "pending" && i.case.caseNumber === caseData.caseNumber
+        );
+        if (pending) {
+          Object.assign(pending, {
+            case: caseData,
+            source,
+            warnings,
+            receivedAt: now,
+          });
+          return pending;
+        }
+
+        const item = {
+          id: crypto.randomUUID(),
+          status: "pending",
+          case: caseData,
+          source,
+          warnings,
+          receivedAt: now,
+          reviewedAt: null,
+          reviewedBy: null,
+          reason: null,
+        };
+        items.push(item);
+        return item;
+      });
+    },
+
+    /**
+     * Record a supervisor decision on a pending item
+     */
+    review(itemId, { status, reviewedBy = null, reason = null }) {
+      if (!LEARNING_STATUSES.includes(status) || status === "pending") {
+        throw new Error(`Invalid review status: ${status}`);
+      }
+      return updateItems((items) => {
+        const item = findItem(items, itemId);
+        if (item.status !== "pending") {
+          throw new LearningItemReviewedError(item);
+        }
+        Object.assign(item, {
+          status,
+          reviewedAt: new Date().toISOString(),
+          reviewedBy,
+          reason,
+        });
+        return item;
+      });
+    },
+  };
+}
+
+/**
+ * Create the configured learning queue (LEARNING_QUEUE, default "file")
+ */
+function createLearningQueue() {
+  const queueType = process.env.LEARNING_QUEUE || "file";
+  if (queueType !== "file") {
+    throw new Error(`Unsupported LEARNING_QUEUE: ${queueType}`);
+  }
+  return createFileLearningQueue();
+}
+
+module.exports = {
+  LEARNING_STATUSES,
+  LearningItemNotFoundError,
+  LearningItemReviewedError,
+  createFileLearningQueue,
+  createLearningQueue,
+};
@@ -0,0 +1,75 @@
+const { toModelMessages } = require("./conversationMemory");
+
+const LEAVE_PARSER_HISTORY_MESSAGES = 4;
+const LEAVE_TIME_ZONE = "Asia/Bangkok";
+
+const LEAVE_TYPES = ["Vacation", "Personal", "Sick"];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Today's date (YYYY-MM-DD) in the company time zone, for relative dates
+ */
+function todayInTimeZone(now = new Date()) {
+  // en-CA formats as YYYY-MM-DD
+  return now.toLocaleDateString("en-CA", { timeZone: LEAVE_TIME_ZONE });
+}
+
+/**
+ * Keep only well-formed fields from the model's JSON
+ * Anything the model could not determine ends up in `missing`
+ */
+function normalizeLeaveDraft(raw) {
+  const draft = {
+    leaveType: LEAVE_TYPES.includes(raw.leaveType) ? raw.leaveType : null,
+    startDate: ISO_DATE.test(raw.startDate || "") ? raw.startDate : null,
+    endDate: ISO_DATE.test(raw.endDate || "") ? raw.endDate : null,
+    reason: typeof raw.reason === "string" ? raw.reason.trim() : "",
+  };
+
+  // A single day leave only names one date
+  if (draft.startDate && !draft.endDate) draft.endDate = draft.startDate;
+  if (draft.startDate && draft.endDate && draft.endDate < draft.startDate) {
+    [draft.startDate, draft.endDate] = [draft.endDate, draft.startDate];
+  }
+
+  draft.missing = ["leaveType", "startDate"].filter((field) => !draft[field]);
+  return draft;
+}
+
+/**
+ * Extract a leave request from a Thai or English chat message
+ * e.g. "ลาพักร้อนวันที่ 3–5 พฤศจิกายน ไปต่างจังหวัด"
+ * Returns: { leaveType, startDate, endDate, reason, missing }
+ * leaveType is one of LEAVE_TYPES; dates are YYYY-MM-DD (Gregorian)
+ * The system prompt is the registry's "leave-draft" prompt
+ */
+async function extractLeaveRequest(
+  llm,
+  promptRegistry,
+  question,
+  chatHistory = [],
+  now
+) {
+  const prompt = await promptRegistry.render("leave-draft", {
+    today: todayInTimeZone(now),
+  });
+
+  const recentHistory = toModelMessages(chatHistory).slice(
+    -LEAVE_PARSER_HISTORY_MESSAGES
+  );
+
+  const { content } = await llm.complete({
+    model: "fast",
+    temperature: 0,
+    json: true,
+    messages: [
+      { role: "system", content: prompt.system },
+      ...recentHistory,
+      { role: "user", content: question },
+    ],
+  });
+
+  return normalizeLeaveDraft(JSON.parse(content));
+}
+
+module.exports = { LEAVE_TYPES, extractLeaveRequest, normalizeLeaveDraft };
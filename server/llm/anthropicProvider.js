@@ -0,0 +1,190 @@
+// ===== Anthropic provider =====
+// Translates the OpenAI-style messages and tool definitions used across
+// server.js into the Anthropic Messages API and back. Anthropic has no
+// embeddings API, so pair it with another EMBEDDING_PROVIDER.
+
+const DEFAULT_MAX_TOKENS = 2048;
+const JSON_INSTRUCTION =
+  "Respond with a single JSON object only, without any other text or code fences.";
+
+/**
+ * JSON instruction for the system prompt, with the schema when one is given
+ */
+function jsonInstruction(json) {
+  if (json === true) return JSON_INSTRUCTION;
+  return `${JSON_INSTRUCTION} It must match this JSON schema:\n${JSON.stringify(
+    json.schema
+  )}`;
+}
+
+/**
+ * OpenAI tool definitions → Anthropic tools
+ */
+function toAnthropicTools(tools) {
+  return tools.map(({ function: fn }) => ({
+    name: fn.name,
+    description: fn.description,
+    input_schema: fn.parameters,
+  }));
+}
+
+/**
+ * OpenAI chat messages → { system, messages } for the Messages API
+ * - system messages are joined into the top-level system prompt
+ * - assistant tool_calls become tool_use blocks, tool messages tool_result
+ *   blocks in a user turn
+ * - consecutive turns of the same role are merged (roles must alternate)
+ */
+function toAnthropicMessages(messages) {
+  const system = [];
+  const turns = [];
+
+  const push = (role, blocks) => {
+    const previous = turns[turns.length - 1];
+    if (previous?.role === role) {
+      previous.content.push(...blocks);
+    } else {
+      turns.push({ role, content: blocks });
+    }
+  };
+
+  for (const message of messages) {
+    if (message.role === "system") {
+      system.push(message.content);
+    } else if (message.role === "tool") {
+      push("user", [
+        {
+          type: "tool_result",
+          tool_use_id: message.tool_call_id,
+          content: String(message.content),
+        },
+      ]);
+    } else {
+      const blocks = message.content
+        ? [{ type: "text", text: message.content }]
+        : [];
+      for (const call of message.tool_calls || []) {
+        blocks.push({
+          type: "tool_use",
+          id: call.id,
+          name: call.function.name,
+          input: JSON.parse(call.function.arguments || "{}"),
+        });
+      }
+      if (blocks.length > 0) push(message.role, blocks);
+    }
+  }
+
+  // The Messages API expects the conversation to open with a user turn
+  if (turns[0]?.role !== "user") {
+    turns.unshift({ role: "user", content: [{ type: "text", text: "..." }] });
+  }
+
+  return { system: system.join("\n\n"), messages: turns };
+}
+
+/**
+ * Pull the JSON object out of a reply that may wrap it in text or fences
+ */
+function extractJsonObject(text) {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
+
+/**
+ * Wrap an Anthropic SDK client in the provider interface (see ./index.js)
+ */
+function createAnthropicProvider({ client, models }) {
+  const resolveModel = (model = "chat") => models[model] || model;
+
+  async function complete({
+    model,
+    messages,
+    temperature,
+    maxTokens = DEFAULT_MAX_TOKENS,
+    tools,
+    json,
+    signal,
+    onDelta,
+    onUsage,
+  }) {
+    const { system, messages: turns } = toAnthropicMessages(messages);
+    const params = {
+      model: resolveModel(model),
+      max_tokens: maxTokens,
+      system: json ? `${system}\n\n${jsonInstruction(json)}` : system,
+      messages: turns,
+      ...(temperature !== undefined && { temperature }),
+      ...(tools?.length > 0 && { tools: toAnthropicTools(tools) }),
+    };
+
+    let content = "";
+    const toolCalls = [];
+    const usage = { inputTokens: 0, outputTokens: 0 };
+
+    if (!onDelta) {
+      const response = await client.messages.create(params, { signal });
+      usage.inputTokens = response.usage?.input_tokens || 0;
+      usage.outputTokens = response.usage?.output_tokens || 0;
+      for (const block of response.content) {
+        if (block.type === "text") content += block.text;
+        if (block.type === "tool_use") {
+          toolCalls.push({
+            id: block.id,
+            name: block.name,
+            arguments: JSON.stringify(block.input || {}),
+          });
+        }
+      }
+    } else {
+      const stream = await client.messages.create(
+        { ...params, stream: true },
+        { signal }
+      );
+      const blocks = [];
+      for await (const event of stream) {
+        if (event.type === "message_start") {
+          usage.inputTokens = event.message.usage?.input_tokens || 0;
+        } else if (event.type === "message_delta") {
+          // Cumulative output tokens so far
+          usage.outputTokens = event.usage?.output_tokens || 0;
+        } else if (event.type === "content_block_start") {
+          blocks[event.index] = event.content_block;
+          if (event.content_block.type === "tool_use") {
+            blocks[event.index].partialJson = "";
+          }
+        } else if (event.type === "content_block_delta") {
+          if (event.delta.type === "text_delta") {
+            content += event.delta.text;
+            // JSON replies are only useful once complete
+            if (!json) onDelta(event.delta.text);
+          } else if (event.delta.type === "input_json_delta") {
+            blocks[event.index].partialJson += event.delta.partial_json;
+          }
+        }
+      }
+      for (const block of blocks.filter((b) => b?.type === "tool_use")) {
+        toolCalls.push({
+          id: block.id,
+          name: block.name,
+          arguments: block.partialJson || "{}",
+        });
+      }
+    }
+
+    onUsage?.({ model: params.model, ...usage });
+    content = content.trim();
+    return { content: json ? extractJsonObject(content) : content, toolCalls };
+  }
+
+  async function embed() {
+    throw new Error(
+      "Anthropic has no embeddings API; set EMBEDDING_PROVIDER to openai, azure or local"
+    );
+  }
+
+  return { name: "anthropic", models, complete, embed };
+}
+
+module.exports = { createAnthropicProvider, toAnthropicMessages };
@@ -0,0 +1,136 @@
+const OpenAI = require("openai");
+const { createOpenAIProvider } = require("./openaiProvider");
+const { createAnthropicProvider } = require("./anthropicProvider");
+
+// ===== LLM Provider =====
+// Every model call in the server goes through one provider object:
+//
+//   llm.complete({ model, messages, temperature, maxTokens, tools, json,
+//                  signal, onDelta, onUsage }) → { content, toolCalls }
+//     - model: a role ("chat", "fast") or a concrete model/deployment name
+//     - messages/tools: OpenAI chat format, adapters translate as needed
+//     - json: ask for a single JSON object back; { name, schema } to have it
+//       follow a JSON schema (structured outputs where the provider has them)
+//     - onDelta(text): stream the answer; toolCalls are { id, name, arguments }
+//     - onUsage({ model, inputTokens, outputTokens }): tokens the call used
+//   llm.embed(inputs, { signal, onUsage }) → number[][]
+//
+// LLM_PROVIDER picks the chat provider, EMBEDDING_PROVIDER the embeddings
+// provider (default: the same one). Changing the embeddings provider or model
+// changes the vector space, so the knowledge base has to be reindexed.
+
+const PROVIDERS = ["openai", "azure", "anthropic", "local"];
+
+// Model roles per provider: chat (answers), fast (routing, parsing,
+// summaries), embedding. Override with LLM_CHAT_MODEL, LLM_FAST_MODEL and
+// EMBEDDING_MODEL; for Azure these are deployment names.
+const DEFAULT_MODELS = {
+  openai: {
+    chat: "gpt-4o",
+    fast: "gpt-4o-mini",
+    embedding: "text-embedding-3-small",
+  },
+  azure: {
+    chat: "gpt-4o",
+    fast: "gpt-4o-mini",
+    embedding: "text-embedding-3-small",
+  },
+  anthropic: {
+    chat: "claude-sonnet-4-5",
+    fast: "claude-haiku-4-5",
+    embedding: null,
+  },
+  local: { chat: "llama3.1", fast: "llama3.1", embedding: "nomic-embed-text" },
+};
+
+const DEFAULT_LOCAL_LLM_BASE_URL = "http://localhost:11434/v1";
+
+function assertProvider(name, variable) {
+  if (!PROVIDERS.includes(name)) {
+    throw new Error(
+      `${variable} must be one of ${PROVIDERS.join(", ")} (got "${name}")`
+    );
+  }
+}
+
+/**
+ * Model names for a provider, with env overrides
+ * OPENAI_CHAT_MODEL is still honoured for deployments configured before
+ * LLM_CHAT_MODEL existed
+ */
+function resolveModels(provider, env) {
+  const defaults = DEFAULT_MODELS[provider];
+  const legacyChatModel = provider === "openai" && env.OPENAI_CHAT_MODEL;
+  return {
+    chat: env.LLM_CHAT_MODEL || legacyChatModel || defaults.chat,
+    fast: env.LLM_FAST_MODEL || legacyChatModel || defaults.fast,
+    embedding: env.EMBEDDING_MODEL || defaults.embedding,
+  };
+}
+
+/**
+ * Construct the SDK client for a provider
+ */
+function createSdkClient(provider, env) {
+  switch (provider) {
+    case "openai":
+      return new OpenAI({ apiKey: env.OPENAI_API_KEY });
+    case "azure":
+      // Data stays in the Azure region of the resource (e.g. Southeast Asia)
+      return new OpenAI.AzureOpenAI({
+        endpoint: env.AZURE_OPENAI_ENDPOINT,
+        apiKey: env.AZURE_OPENAI_API_KEY,
+        apiVersion: env.AZURE_OPENAI_API_VERSION || "2024-10-21",
+      });
+    case "anthropic": {
+      const Anthropic = require("@anthropic-ai/sdk").default;
+      return new Anthropic({ apiKey: env.ANTHROPIC_API_KEY });
+    }
+    case "local":
+      // Ollama, vLLM, LM Studio... ignore the key but the SDK requires one
+      return new OpenAI({
+        baseURL: env.LOCAL_LLM_BASE_URL || DEFAULT_LOCAL_LLM_BASE_URL,
+        apiKey: env.LOCAL_LLM_API_KEY || "local",
+      });
+  }
+}
+
+function createProvider(provider, env) {
+  const client = createSdkClient(provider, env);
+  const models = resolveModels(provider, env);
+  return provider === "anthropic"
+    ? createAnthropicProvider({ client, models })
+    : createOpenAIProvider({ name: provider, client, models });
+}
+
+/**
+ * Build the provider configured by LLM_PROVIDER / EMBEDDING_PROVIDER
+ * Throws on unknown providers so a misconfigured deployment never starts
+ */
+function createLlmProvider(env = process.env) {
+  const chatProvider = env.LLM_PROVIDER || "openai";
+  const embeddingProvider = env.EMBEDDING_PROVIDER || chatProvider;
+  assertProvider(chatProvider, "LLM_PROVIDER");
+  assertProvider(embeddingProvider, "EMBEDDING_PROVIDER");
+
+  if (embeddingProvider === "anthropic") {
+    throw new Error(
+      "Anthropic has no embeddings API: set EMBEDDING_PROVIDER to openai, azure or local"
+    );
+  }
+
+  const chat = createProvider(chatProvider, env);
+  const embeddings =
+    embeddingProvider === chatProvider
+      ? chat
+      : createProvider(embeddingProvider, env);
+
+  return {
+    name: chat.name,
+    models: { ...chat.models, embedding: embeddings.models.embedding },
+    complete: chat.complete,
+    embed: embeddings.embed,
+  };
+}
+
+module.exports = { createLlmProvider, createOpenAIProvider, PROVIDERS };
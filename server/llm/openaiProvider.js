@@ -0,0 +1,154 @@
+// ===== OpenAI-compatible provider =====
+// Covers OpenAI, Azure OpenAI and local OpenAI-compatible servers (Ollama,
+// vLLM, LM Studio): they share the chat completions and embeddings API and
+// only differ in how the SDK client is constructed (see ./index.js)
+
+// Structured outputs reject these keywords; values are checked after parsing
+const UNSUPPORTED_SCHEMA_KEYWORDS = ["maxLength", "minLength"];
+
+function toStrictSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toStrictSchema);
+  if (!schema || typeof schema !== "object") return schema;
+  const strict = Object.fromEntries(
+    Object.entries(schema)
+      .filter(([key]) => !UNSUPPORTED_SCHEMA_KEYWORDS.includes(key))
+      .map(([key, value]) => [key, toStrictSchema(value)])
+  );
+  // Strict mode requires every property: optional ones become nullable
+  if (strict.properties && !Array.isArray(strict.properties)) {
+    const required = schema.required || [];
+    for (const [name, property] of Object.entries(strict.properties)) {
+      if (!required.includes(name) && property.type) {
+        strict.properties[name] = {
+          ...property,
+          type: [].concat(property.type, "null"),
+          ...(property.enum && { enum: [...property.enum, null] }),
+        };
+      }
+    }
+    strict.required = Object.keys(strict.properties);
+  }
+  return strict;
+}
+
+/**
+ * json: true → JSON mode; { name, schema } → schema-enforced structured output
+ */
+function toResponseFormat(json) {
+  if (json === true) return { type: "json_object" };
+  return {
+    type: "json_schema",
+    json_schema: {
+      name: json.name,
+      schema: toStrictSchema(json.schema),
+      strict: true,
+    },
+  };
+}
+
+/**
+ * Wrap an OpenAI SDK client (or anything with the same shape, e.g. the
+ * mock-mode fake) in the provider interface described in ./index.js
+ */
+function createOpenAIProvider({ name, client, models }) {
+  const resolveModel = (model = "chat") => models[model] || model;
+  // Local servers may reject stream_options, and their tokens cost nothing
+  const streamUsage = name !== "local";
+
+  function reportUsage(onUsage, model, usage) {
+    if (!onUsage || !usage) return;
+    onUsage({
+      model,
+      inputTokens: usage.prompt_tokens || 0,
+      outputTokens: usage.completion_tokens || 0,
+    });
+  }
+
+  async function complete({
+    model,
+    messages,
+    temperature,
+    maxTokens,
+    tools,
+    json,
+    signal,
+    onDelta,
+    onUsage,
+  }) {
+    const params = {
+      model: resolveModel(model),
+      messages,
+      ...(temperature !== undefined && { temperature }),
+      ...(maxTokens && { max_tokens: maxTokens }),
+      ...(tools?.length > 0 && { tools }),
+      ...(json && { response_format: toResponseFormat(json) }),
+    };
+
+    if (!onDelta) {
+      const response = await client.chat.completions.create(params, {
+        signal,
+      });
+      const message = response.choices[0].message;
+      reportUsage(onUsage, params.model, response.usage);
+      return {
+        content: (message.content || "").trim(),
+        toolCalls: (message.tool_calls || []).map((call) => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments,
+        })),
+      };
+    }
+
+    const stream = await client.chat.completions.create(
+      {
+        ...params,
+        stream: true,
+        ...(streamUsage && { stream_options: { include_usage: true } }),
+      },
+      { signal }
+    );
+
+    let content = "";
+    const toolCalls = [];
+    for await (const chunk of stream) {
+      // The usage chunk comes last, with no choices
+      reportUsage(onUsage, params.model, chunk.usage);
+      const delta = chunk.choices[0]?.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onDelta(delta.content);
+      }
+      // Tool calls arrive in fragments keyed by index
+      for (const fragment of delta.tool_calls || []) {
+        const call = (toolCalls[fragment.index] ||= {
+          id: "",
+          name: "",
+          arguments: "",
+        });
+        if (fragment.id) call.id = fragment.id;
+        if (fragment.function?.name) call.name += fragment.function.name;
+        if (fragment.function?.arguments) {
+          call.arguments += fragment.function.arguments;
+        }
+      }
+    }
+    return { content: content.trim(), toolCalls: toolCalls.filter(Boolean) };
+  }
+
+  async function embed(input, { signal, onUsage } = {}) {
+    const model = resolveModel("embedding");
+    const response = await client.embeddings.create(
+      { model, input },
+      { signal }
+    );
+    reportUsage(onUsage, model, response.usage);
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map((item) => item.embedding);
+  }
+
+  return { name, models, complete, embed };
+}
+
+module.exports = { createOpenAIProvider };
@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+const { PII_TYPES } = require("./pii");
+
+// ===== Structured Logging =====
+// One JSON object per line: { time, level, scope, requestId, msg, ...fields }
+// Messages and fields go through redact() before they are written, so emails,
+// phone numbers, Thai national ID and bank account numbers and Kissflow / API
+// credentials never reach the log. Lines logged while handling a request carry
+// its request ID, including those from embedding, search and generation deep in
+// the call.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// LOG_LEVEL: debug | info | warn | error | silent (default info). Questions,
+// answers and Kissflow payloads are only logged at debug, redacted.
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL]
+  ? process.env.LOG_LEVEL
+  : "info";
+
+// Headers and fields whose values are credentials, compared lowercase
+const SECRET_KEYS = new Set([
+  "authorization",
+  "x-access-key-id",
+  "x-access-key-secret",
+  "x-api-key",
+  "x-webhook-secret",
+  "cookie",
+]);
+
+// Also masked wherever they appear in a string
+const SECRET_ENV = ["KISSFLOW_ACCESS_KEY_ID", "KISSFLOW_ACCESS_KEY_SECRET"];
+
+// Incoming X-Request-Id values are kept only when they look like an ID
+const REQUEST_ID = /^[\w.-]{1,100}$/;
+
+const MAX_DEPTH = 8;
+
+// Same detectors as the prompt scrubbing (server/pii.js), then credentials
+const REDACTIONS = [
+  ...Object.values(PII_TYPES).map(({ label, pattern, validate }) => [
+    pattern,
+    (value) => (!validate || validate(value) ? `[${label}]` : value),
+  ]),
+  [
+    /\b(authorization|x-access-key-id|x-access-key-secret|x-api-key|x-webhook-secret)(["']?\s*[:=]\s*["']?)(?:(?:Bearer|Basic)\s+)?[^\s"',}]+/gi,
+    "$1$2[REDACTED]",
+  ],
+  [/\bBearer\s+[\w.~+/=-]+/g, "Bearer [REDACTED]"],
+];
+
+const requestContext = new AsyncLocalStorage();
+
+function redactString(text) {
+  let result = text;
+  for (const name of SECRET_ENV) {
+    const secret = process.env[name];
+    if (secret) result = result.split(secret).join("[REDACTED]");
+  }
+  for (const [pattern, replacement] of REDACTIONS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+/**
+ * Copy of a value with PII and credentials masked
+ * - strings: the PII in server/pii.js and credential headers
+ * - objects: values under credential keys (Authorization, X-Access-Key-*, ...)
+ * - errors: { name, message, code?, status?, stack }
+ */
+function redact(value, depth = 0) {
+  if (typeof value === "string") return redactString(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+
+  if (value instanceof Error) {
+    return redact(
+      {
+        name: value.name,
+        message: value.message,
+        ...(value.code !== undefined && { code: value.code }),
+        ...(value.status !== undefined && { status: value.status }),
+        stack: value.stack,
+      },
+      depth + 1
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  if (value instanceof Date) return value.toISOString();
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEYS.has(key.toLowerCase())
+        ? "[REDACTED]"
+        : redact(item, depth + 1),
+    ])
+  );
+}
+
+function writeLine(level, line) {
+  if (level === "error") console.error(line);
+  else if (level === "warn") console.warn(line);
+  else console.log(line);
+}
+
+/**
+ * Logger for one part of the server
+ * log.info("message", { fields }); an `err` field is serialized as an error
+ * - level: lowest level written (default LOG_LEVEL)
+ * - write(level, line): output, console by default
+ */
+function createLogger(scope, { level = LOG_LEVEL, write = writeLine } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function log(entryLevel, msg, fields = {}) {
+    if (LEVELS[entryLevel] < threshold) return;
+    const requestId = requestContext.getStore()?.requestId;
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      scope,
+      ...(requestId && { requestId }),
+      msg: redactString(msg),
+      ...redact(fields),
+    };
+    write(entryLevel, JSON.stringify(entry));
+  }
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+  };
+}
+
+const httpLog = createLogger("http");
+
+/**
+ * Middleware: gives the request an ID (the caller's X-Request-Id, or a new
+ * UUID), echoes it in the response and logs the request once it completes
+ */
+function requestLogging(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const requestId =
+    incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const start = Date.now();
+  req.id = requestId;
+  res.set("X-Request-Id", requestId);
+
+  requestContext.run({ requestId }, () => {
+    // Bound so the completion line carries the request ID too
+    res.on(
+      "close",
+      AsyncResource.bind(() => {
+        const status = res.statusCode;
+        httpLog[status >= 500 ? "error" : "info"]("Request completed", {
+          method: req.method,
+          path: req.originalUrl.split("?")[0],
+          status,
+          durationMs: Date.now() - start,
+          ...(req.identity?.userId && { userId: req.identity.userId }),
+          ...(!res.writableFinished && { aborted: true }),
+        });
+      })
+    );
+    next();
+  });
+}
+
+module.exports = { LEVELS, createLogger, redact, requestLogging };
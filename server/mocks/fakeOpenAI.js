@@ -0,0 +1,292 @@
+// ===== Fake OpenAI (mock mode) =====
+// Deterministic stand-in for the parts of the OpenAI SDK server.js uses:
+// chat.completions.create (plain, streaming, JSON mode, tool calls) and
+// embeddings.create. Same input → same output, no network.
+
+const EMBEDDING_DIMENSIONS = 256;
+const STREAM_CHUNK_DELAY_MS = 20;
+
+const THAI_MONTHS = [
+  "มกรา",
+  "กุมภา",
+  "มีนา",
+  "เมษา",
+  "พฤษภา",
+  "มิถุนา",
+  "กรกฎา",
+  "สิงหา",
+  "กันยา",
+  "ตุลา",
+  "พฤศจิกา",
+  "ธันวา",
+];
+const ENGLISH_MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * Character-trigram hashing embedding (works for Thai, which has no spaces)
+ * Similar texts share trigrams, so nearest-neighbour search stays meaningful
+ */
+function fakeEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  const normalized = ` ${String(text).toLowerCase().replace(/\s+/g, " ")} `;
+  for (let i = 0; i < normalized.length - 2; i++) {
+    let hash = 0;
+    for (const char of normalized.slice(i, i + 3)) {
+      hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    vector[hash % EMBEDDING_DIMENSIONS] += 1;
+  }
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map((value) => value / norm);
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+/**
+ * Rule-based stand-in for the leave request parser prompt
+ * Understands "<type> วันที่ 3–5 พฤศจิกายน" / "vacation Nov 3-5" style messages
+ */
+function parseLeaveMessage(text, today) {
+  const lower = text.toLowerCase();
+  const leaveType = /ลาพักร้อน|พักร้อน|vacation|annual/.test(lower)
+    ? "Vacation"
+    : /ลากิจ|personal/.test(lower)
+    ? "Personal"
+    : /ลาป่วย|sick/.test(lower)
+    ? "Sick"
+    : null;
+
+  const monthIndex = [...THAI_MONTHS, ...ENGLISH_MONTHS].findIndex((month) =>
+    lower.includes(month)
+  );
+  const range = lower.match(/(\d{1,2})\s*(?:[-–]|ถึง|to)\s*(\d{1,2})/);
+  const single = lower.match(/(?:วันที่|on)\s*(\d{1,2})/);
+  const [startDay, endDay] = range
+    ? [range[1], range[2]]
+    : single
+    ? [single[1], single[1]]
+    : [null, null];
+
+  let startDate = null;
+  let endDate = null;
+  if (startDay && monthIndex !== -1) {
+    const month = (monthIndex % 12) + 1;
+    let year = Number(today.slice(0, 4));
+    if (`${year}-${pad(month)}-${pad(startDay)}` < today) year += 1;
+    startDate = `${year}-${pad(month)}-${pad(startDay)}`;
+    endDate = `${year}-${pad(month)}-${pad(endDay)}`;
+  }
+
+  const reason = (text.match(/(?:เพราะ|เนื่องจาก|because)\s*(.+)$/i) || [])[1];
+  return { leaveType, startDate, endDate, reason: reason || "" };
+}
+
+/**
+ * Pick the fake reply for a chat completion request
+ * Returns: { content, toolCalls } in OpenAI message shape
+ */
+function fakeReply({ messages, tools, response_format: responseFormat }) {
+  const system = messages[0]?.role === "system" ? messages[0].content : "";
+  const last = messages[messages.length - 1];
+  const lastUser = [...messages].reverse().find((m) => m.role === "user");
+  const userText = lastUser?.content || "";
+  // Chat answers send "Q: <question>" followed by any context
+  const question = userText.split("\n")[0].replace(/^Q: /, "");
+
+  if (system.includes("structured case data")) {
+    const issue = (userText.match(/User's Question\/Issue: (.*)/) || [])[1];
+    const title = (issue || userText).trim();
+    return {
+      content: JSON.stringify({
+        Case_Title: title.slice(0, 100),
+        Case_Type: "Technical Support",
+        Case_Description: title.slice(0, 500),
+        AI_Suggestions: "ตรวจสอบเคสที่คล้ายกันในฐานความรู้",
+        Solution_Description: "ดำเนินการตามแนวทางของเคสที่คล้ายกัน",
+      }),
+    };
+  }
+
+  if (responseFormat?.type === "json_object") {
+    if (system.includes("extract leave requests")) {
+      const today = (system.match(/Today is (\d{4}-\d{2}-\d{2})/) || [])[1];
+      return { content: JSON.stringify(parseLeaveMessage(userText, today)) };
+    }
+    // Rerank: keep the retrieval order
+    if (system.includes("rate how well each knowledge-base case")) {
+      const count = (userText.match(/^\[\d+\] /gm) || []).length;
+      const scores = Array.from({ length: count }, (_, i) =>
+        Math.max(9 - i, 5)
+      );
+      return { content: JSON.stringify({ scores }) };
+    }
+    // Evaluation judge: a middling grade
+    if (system.includes("You grade an assistant's answer")) {
+      return { content: JSON.stringify({ score: 3, reason: "mock judge" }) };
+    }
+    // Intent classification: leave it to the router's default handler
+    return { content: JSON.stringify({ intent: null }) };
+  }
+
+  if (system.startsWith("Summarize the earlier part")) {
+    const turns = userText.split("\n").filter(Boolean).length;
+    return { content: `(โหมดจำลอง) สรุปบทสนทนาก่อนหน้า ${turns} บรรทัด` };
+  }
+
+  // Tool round trip: call the first usable tool once, then answer from it
+  if (tools?.length && last.role === "user") {
+    const tool = tools.find((t) => !t.function.parameters?.required?.length);
+    const queryTool = tools.find(
+      (t) => t.function.parameters?.properties?.query
+    );
+    const chosen = tool || queryTool;
+    if (chosen) {
+      return {
+        content: "",
+        toolCalls: [
+          {
+            id: "call_mock_1",
+            type: "function",
+            function: {
+              name: chosen.function.name,
+              arguments: JSON.stringify(
+                chosen === tool ? {} : { query: question }
+              ),
+            },
+          },
+        ],
+      };
+    }
+  }
+
+  if (last.role === "tool") {
+    return {
+      content: `(โหมดจำลอง) ข้อมูลจาก Kissflow: ${last.content}`,
+    };
+  }
+
+  // Knowledge-base answer: name the cases the context brought in
+  const titles = [...userText.matchAll(/- Title: (.*)/g)].map((m) => m[1]);
+  if (titles.length > 0) {
+    return {
+      content: `(โหมดจำลอง) พบเคสที่เกี่ยวข้อง:\n${titles
+        .map((title, i) => `${i + 1}. ${title} [${i + 1}]`)
+        .join("\n")}`,
+    };
+  }
+
+  return { content: `(โหมดจำลอง) คำตอบสำหรับ: ${question}` };
+}
+
+// Rough token count (~4 characters per token) so usage tracking has numbers
+function fakeTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+function fakeUsage(params, reply) {
+  const promptTokens = fakeTokens(
+    params.messages.map((m) => m.content || "").join("\n")
+  );
+  const completionTokens = fakeTokens(
+    reply.content + JSON.stringify(reply.toolCalls || [])
+  );
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+}
+
+function abortError() {
+  const err = new Error("Request was aborted.");
+  err.name = "AbortError";
+  return err;
+}
+
+async function* streamReply({ content, toolCalls }, signal, usage) {
+  // Word-sized chunks so the UI streams visibly
+  for (const piece of content.match(/\S+\s*|\s+/g) || []) {
+    await new Promise((resolve) => setTimeout(resolve, STREAM_CHUNK_DELAY_MS));
+    if (signal?.aborted) throw abortError();
+    yield { choices: [{ index: 0, delta: { content: piece } }] };
+  }
+  if (toolCalls) {
+    yield {
+      choices: [
+        {
+          index: 0,
+          delta: {
+            tool_calls: toolCalls.map((call, index) => ({ index, ...call })),
+          },
+        },
+      ],
+    };
+  }
+  if (usage) {
+    yield { choices: [], usage };
+  }
+}
+
+/**
+ * Fake OpenAI client for mock mode (MOCK_MODE=true) and tests
+ */
+function createFakeOpenAI() {
+  return {
+    chat: {
+      completions: {
+        async create(params, { signal } = {}) {
+          if (signal?.aborted) throw abortError();
+          const reply = fakeReply(params);
+          const usage = fakeUsage(params, reply);
+          if (params.stream) {
+            const includeUsage = params.stream_options?.include_usage;
+            return streamReply(reply, signal, includeUsage ? usage : null);
+          }
+          return {
+            choices: [
+              {
+                index: 0,
+                message: {
+                  role: "assistant",
+                  content: reply.content,
+                  ...(reply.toolCalls && { tool_calls: reply.toolCalls }),
+                },
+              },
+            ],
+            usage,
+          };
+        },
+      },
+    },
+    embeddings: {
+      async create({ input }) {
+        const inputs = Array.isArray(input) ? input : [input];
+        const tokens = fakeTokens(inputs.join(""));
+        return {
+          data: inputs.map((text, index) => ({
+            index,
+            embedding: fakeEmbedding(text),
+          })),
+          usage: { prompt_tokens: tokens, total_tokens: tokens },
+        };
+      },
+    },
+  };
+}
+
+module.exports = { createFakeOpenAI, fakeEmbedding };
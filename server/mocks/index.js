@@ -0,0 +1,36 @@
+const { createFakeKissflow } = require("../../src/mocks/fakeKissflow");
+const { createOpenAIProvider } = require("../llm/openaiProvider");
+const { createFakeOpenAI } = require("./fakeOpenAI");
+const { createMemoryCaseStore } = require("./memoryCaseStore");
+
+/**
+ * Services for MOCK_MODE=true and tests, in the shape createApp expects:
+ * OpenAI-compatible provider over a fake client, in-memory knowledge base seeded with fixture cases and the
+ * fake Kissflow API (the same one the browser uses in mock mode), which also
+ * takes the items created through /api/kissflow/create
+ */
+function createMockServices(kissflowConfig) {
+  const kissflow = createFakeKissflow(kissflowConfig);
+  return {
+    llm: createOpenAIProvider({
+      name: "mock",
+      client: createFakeOpenAI(),
+      models: { chat: "mock-chat", fast: "mock-fast", embedding: "mock-embed" },
+    }),
+    client: createMemoryCaseStore(),
+    kissflow,
+    kissflowItems: {
+      createItems: (items) =>
+        Promise.all(
+          items.map((item) =>
+            kissflow.api(
+              `/process/2/${kissflow.account._id}/${kissflowConfig.processes.caseCreate.id}/create/submit`,
+              { method: "POST", body: JSON.stringify(item) }
+            )
+          )
+        ),
+    },
+  };
+}
+
+module.exports = { createMockServices };
@@ -0,0 +1,259 @@
+const { CASE_FIXTURES } = require("../../src/mocks/fakeKissflow");
+const { caseEmbeddingText } = require("../caseImport");
+const { CASE_COLLECTION } = require("../caseSearch");
+const { fakeEmbedding } = require("./fakeOpenAI");
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA * normB) || 1);
+}
+
+/**
+ * Weaviate's default "word" tokenization: split on anything that is not a
+ * letter or digit, lowercase
+ */
+function tokenize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Evaluate a weaviate-client v3 filter value ({ operator, target, value })
+ * against a record ({ uuid, properties }); covers the operators
+ * searchWeaviate and the knowledge-base writes use
+ */
+function matchesFilter(record, filter) {
+  if (!filter) return true;
+  const property = filter.target?.property;
+  const actual = property === "_id" ? record.uuid : record.properties[property];
+  const asTime = (value) => new Date(value).getTime();
+
+  switch (filter.operator) {
+    case "And":
+      return filter.filters.every((f) => matchesFilter(record, f));
+    case "Or":
+      return filter.filters.some((f) => matchesFilter(record, f));
+    case "Equal":
+      return actual === filter.value;
+    case "ContainsAny":
+      return filter.value.includes(actual);
+    case "GreaterThanEqual":
+      return actual !== undefined && asTime(actual) >= asTime(filter.value);
+    case "LessThanEqual":
+      return actual !== undefined && asTime(actual) <= asTime(filter.value);
+    default:
+      throw new Error(`Unsupported filter operator: ${filter.operator}`);
+  }
+}
+
+/**
+ * Minimal stand-in for collection.filter (weaviate-client v3)
+ */
+const filterBuilder = {
+  byProperty: (property) => {
+    const build = (operator) => (value) => ({
+      operator,
+      target: { property },
+      value,
+    });
+    return {
+      equal: build("Equal"),
+      containsAny: build("ContainsAny"),
+      greaterOrEqual: build("GreaterThanEqual"),
+      lessOrEqual: build("LessThanEqual"),
+    };
+  },
+  byId: () => ({
+    containsAny: (value) => ({
+      operator: "ContainsAny",
+      target: { property: "_id" },
+      value,
+    }),
+  }),
+};
+
+/**
+ * One in-memory collection: the weaviate-client v3 calls the server makes on
+ * collections.get(name), i.e. query.hybrid (BM25-style keyword scores, i.e.
+ * the IDF-weighted share of the query terms, and cosine vector scores fused
+ * by alpha, with filters, maxVectorDistance, limit and includeVector),
+ * query.fetchObjects, data.insertMany / deleteMany and iterator
+ */
+function createMemoryCollection() {
+  const records = new Map();
+
+  const put = (uuid, properties, vector) => {
+    records.set(uuid, {
+      uuid,
+      properties,
+      tokens: new Set(tokenize(Object.values(properties).join(" "))),
+      vector,
+    });
+  };
+  const all = () => [...records.values()];
+
+  const idf = (token) => {
+    const df = all().filter((r) => r.tokens.has(token)).length;
+    return Math.log(1 + (records.size - df + 0.5) / (df + 0.5));
+  };
+
+  async function hybrid(
+    query,
+    {
+      vector,
+      alpha = 0.75,
+      maxVectorDistance = 2,
+      filters,
+      limit = 10,
+      includeVector = false,
+    }
+  ) {
+    const queryTokens = [...new Set(tokenize(query))];
+    const queryWeight = queryTokens.reduce((sum, t) => sum + idf(t), 0);
+
+    const objects = all()
+      .filter((record) => matchesFilter(record, filters))
+      .flatMap((record) => {
+        const keywordScore = queryWeight
+          ? queryTokens
+              .filter((t) => record.tokens.has(t))
+              .reduce((sum, t) => sum + idf(t), 0) / queryWeight
+          : 0;
+        const similarity = cosineSimilarity(vector, record.vector);
+        // Cosine distance, as Weaviate measures maxVectorDistance
+        const vectorScore =
+          1 - similarity <= maxVectorDistance ? Math.max(similarity, 0) : 0;
+        // Matched by neither half of the search
+        if (keywordScore === 0 && vectorScore === 0) return [];
+        return [
+          {
+            uuid: record.uuid,
+            properties: record.properties,
+            ...(includeVector && { vectors: { default: record.vector } }),
+            metadata: {
+              score: alpha * vectorScore + (1 - alpha) * keywordScore,
+            },
+          },
+        ];
+      })
+      .sort((a, b) => b.metadata.score - a.metadata.score)
+      .slice(0, limit);
+
+    return { objects };
+  }
+
+  async function fetchObjects({ filters, limit = 100 } = {}) {
+    const objects = all()
+      .filter((record) => matchesFilter(record, filters))
+      .slice(0, limit)
+      .map(({ uuid, properties }) => ({ uuid, properties }));
+    return { objects };
+  }
+
+  async function insertMany(objects) {
+    const uuids = {};
+    objects.forEach((object, i) => {
+      put(object.id, object.properties, object.vectors);
+      uuids[i] = object.id;
+    });
+    return { errors: {}, hasErrors: false, uuids };
+  }
+
+  async function deleteMany(filter) {
+    const matches = all().filter((r) => matchesFilter(r, filter));
+    matches.forEach((record) => records.delete(record.uuid));
+    return { failed: 0, matches: matches.length, successful: matches.length };
+  }
+
+  async function* iterator() {
+    for (const { uuid, properties } of all()) {
+      yield { uuid, properties };
+    }
+  }
+
+  const collection = {
+    filter: filterBuilder,
+    query: { hybrid, fetchObjects },
+    data: { insertMany, deleteMany },
+    iterator,
+  };
+
+  return { collection, put };
+}
+
+function notFound(message) {
+  return Object.assign(new Error(`Mock Weaviate: ${message}`), { code: 404 });
+}
+
+/**
+ * In-memory stand-in for the Weaviate client behind the case knowledge base
+ * - Seeded with a CaseSolutionKnowledgeBase collection of fixture cases
+ *   embedded by the fake embedding provider
+ * - collections.get / exists / create / delete by name; get also resolves
+ *   aliases, exists only sees collections, like Weaviate's schema lookup
+ * - alias.get / create / update / delete for the reindex switch
+ */
+function createMemoryCaseStore(cases = CASE_FIXTURES, embed = fakeEmbedding) {
+  const collections = new Map();
+  const aliases = new Map();
+
+  const seeded = createMemoryCollection();
+  cases.forEach((c, i) => {
+    seeded.put(
+      `00000000-0000-4000-8000-${String(i + 1).padStart(12, "0")}`,
+      c,
+      embed(caseEmbeddingText(c))
+    );
+  });
+  collections.set(CASE_COLLECTION, seeded.collection);
+
+  return {
+    collections: {
+      exists: async (name) => collections.has(name),
+      create: async ({ name }) => {
+        if (collections.has(name) || aliases.has(name)) {
+          throw new Error(`Mock Weaviate: ${name} already exists`);
+        }
+        collections.set(name, createMemoryCollection().collection);
+      },
+      delete: async (name) => {
+        collections.delete(name);
+      },
+      get: (name = CASE_COLLECTION) => {
+        const collection = collections.get(aliases.get(name) || name);
+        if (!collection) throw notFound(`collection ${name} not found`);
+        return collection;
+      },
+    },
+    alias: {
+      get: async (alias) => {
+        if (!aliases.has(alias)) throw notFound(`alias ${alias} not found`);
+        return { alias, collection: aliases.get(alias) };
+      },
+      create: async ({ collection, alias }) => {
+        if (collections.has(alias) || aliases.has(alias)) {
+          throw new Error(`Mock Weaviate: ${alias} already exists`);
+        }
+        aliases.set(alias, collection);
+      },
+      update: async ({ alias, newTargetCollection }) => {
+        if (!aliases.has(alias)) throw notFound(`alias ${alias} not found`);
+        aliases.set(alias, newTargetCollection);
+      },
+      delete: async (alias) => {
+        aliases.delete(alias);
+      },
+    },
+  };
+}
+
+module.exports = { createMemoryCaseStore };
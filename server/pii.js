@@ -0,0 +1,280 @@
+const fs = require("fs");
+const path = require("path");
+
+// ===== PII Scrubbing =====
+// Personal data in prompts (questions, chat history, retrieved cases, Kissflow
+// tool results) is swapped for placeholders such as [EMAIL_1] before a model
+// sees it, and put back into the model's answer, streamed text and tool call
+// arguments. The policy file picks which kinds are masked.
+
+const DEFAULT_PII_POLICY_PATH = path.join(
+  __dirname,
+  "..",
+  "config",
+  "pii-policy.json"
+);
+
+const PII_ACTIONS = ["mask", "keep"];
+
+/**
+ * Thai national ID check digit: the 13th digit is
+ * (11 - sum(digit[i] * (13 - i)) % 11) % 10 over the first 12
+ */
+function isThaiNationalId(value) {
+  const digits = value.replace(/\D/g, "");
+  let sum = 0;
+  for (let i = 0; i < 12; i += 1) sum += Number(digits[i]) * (13 - i);
+  return (11 - (sum % 11)) % 10 === Number(digits[12]);
+}
+
+// Applied in this order: 13-digit IDs and account numbers would otherwise be
+// read as phone numbers. A match is only PII when validate (if any) passes.
+const PII_TYPES = {
+  email: {
+    label: "EMAIL",
+    pattern: /[\w.%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  },
+  // 1-2345-67890-12-3, with or without separators, with a valid check digit
+  nationalId: {
+    label: "NATIONAL_ID",
+    pattern: /(?<!\d)\d[- ]?\d{4}[- ]?\d{5}[- ]?\d{2}[- ]?\d(?!\d)/g,
+    validate: isThaiNationalId,
+  },
+  // 123-4-56789-0, or 10–12 digits right after "บัญชี" / "account"
+  bankAccount: {
+    label: "BANK_ACCOUNT",
+    pattern:
+      /(?<!\d)\d{3}-\d-\d{5}-\d(?!\d)|(?<=(?:บัญชี|[Aa]ccount)\D{0,20})(?<!\d)\d(?:[- ]?\d){9,11}(?!\d)/g,
+  },
+  // 02-123-4567, 081 234 5678, +66812345678
+  phone: {
+    label: "PHONE",
+    pattern: /(?<![\d+])(?:\+66[- ]?|0)\d{1,2}[- ]?\d{3}[- ]?\d{3,4}(?!\d)/g,
+  },
+};
+
+const PLACEHOLDER = /\[([A-Z_]+_\d+)\]/g;
+// A placeholder cut off at the end of a streamed chunk
+const PARTIAL_PLACEHOLDER = /\[[A-Z_]*\d*$/;
+
+const PLACEHOLDER_NOTE =
+  "Values such as [EMAIL_1] or [PHONE_1] stand in for personal data. Keep them exactly as written when you refer to them.";
+
+/**
+ * Read and validate the PII policy (PII_POLICY_PATH, default
+ * config/pii-policy.json)
+ * { enabled, types: { email|nationalId|bankAccount|phone: "mask"|"keep" },
+ *   allowList: values always sent as is, scrubEmbeddings }
+ */
+function loadPiiPolicy(
+  filePath = process.env.PII_POLICY_PATH || DEFAULT_PII_POLICY_PATH
+) {
+  const resolvedPath = path.resolve(filePath);
+  let policy;
+  try {
+    policy = JSON.parse(fs.readFileSync(resolvedPath, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot read PII policy ${resolvedPath}: ${err.message}`);
+  }
+  return normalizePiiPolicy(policy);
+}
+
+/**
+ * Fill in defaults (mask every type) and reject unknown types and actions
+ */
+function normalizePiiPolicy({
+  enabled = true,
+  types = {},
+  allowList = [],
+  scrubEmbeddings = true,
+} = {}) {
+  for (const [type, action] of Object.entries(types)) {
+    if (!PII_TYPES[type]) {
+      throw new Error(
+        `Unknown PII type "${type}", expected one of ${Object.keys(
+          PII_TYPES
+        ).join(", ")}`
+      );
+    }
+    if (!PII_ACTIONS.includes(action)) {
+      throw new Error(
+        `PII type ${type} must be ${PII_ACTIONS.join(" or ")}, got "${action}"`
+      );
+    }
+  }
+  if (
+    !Array.isArray(allowList) ||
+    allowList.some((v) => typeof v !== "string")
+  ) {
+    throw new Error("PII allowList must be an array of strings");
+  }
+
+  return {
+    enabled: enabled !== false,
+    types: Object.fromEntries(
+      Object.keys(PII_TYPES).map((type) => [type, types[type] || "mask"])
+    ),
+    allowList: allowList.map((value) => value.toLowerCase()),
+    scrubEmbeddings: scrubEmbeddings !== false,
+  };
+}
+
+/**
+ * Placeholders for one model call: the same value always gets the same
+ * placeholder, so the model can tell people apart
+ * - mask(text) → text with placeholders
+ * - restore(text) → original values back; unknown placeholders are left alone
+ */
+function createPiiVault(policy) {
+  const placeholderByValue = new Map();
+  const valueByPlaceholder = new Map();
+  const counts = {};
+
+  function placeholderFor(label, value) {
+    if (!placeholderByValue.has(value)) {
+      counts[label] = (counts[label] || 0) + 1;
+      const placeholder = `[${label}_${counts[label]}]`;
+      placeholderByValue.set(value, placeholder);
+      valueByPlaceholder.set(placeholder, value);
+    }
+    return placeholderByValue.get(value);
+  }
+
+  return {
+    mask(text) {
+      if (typeof text !== "string") return text;
+      let result = text;
+      for (const [type, { label, pattern, validate }] of Object.entries(
+        PII_TYPES
+      )) {
+        if (policy.types[type] !== "mask") continue;
+        result = result.replace(pattern, (value) =>
+          policy.allowList.includes(value.toLowerCase()) ||
+          (validate && !validate(value))
+            ? value
+            : placeholderFor(label, value)
+        );
+      }
+      return result;
+    },
+
+    restore(text) {
+      if (typeof text !== "string") return text;
+      return text.replace(
+        PLACEHOLDER,
+        (placeholder) => valueByPlaceholder.get(placeholder) ?? placeholder
+      );
+    },
+
+    get size() {
+      return valueByPlaceholder.size;
+    },
+  };
+}
+
+/**
+ * onDelta wrapper restoring placeholders in streamed text
+ * A chunk ending in the middle of a placeholder is held back until the rest
+ * arrives; flush() sends whatever is left
+ */
+function createStreamRestorer(vault, onDelta) {
+  let pending = "";
+  return {
+    push(text) {
+      pending += text;
+      const cut = pending.search(PARTIAL_PLACEHOLDER);
+      const ready = cut === -1 ? pending : pending.slice(0, cut);
+      pending = cut === -1 ? "" : pending.slice(cut);
+      if (ready) onDelta(vault.restore(ready));
+    },
+    flush() {
+      if (pending) onDelta(vault.restore(pending));
+      pending = "";
+    },
+  };
+}
+
+function maskMessage(message, vault) {
+  return {
+    ...message,
+    content: vault.mask(message.content),
+    ...(Array.isArray(message.tool_calls) && {
+      tool_calls: message.tool_calls.map((call) => ({
+        ...call,
+        function: {
+          ...call.function,
+          arguments: vault.mask(call.function.arguments),
+        },
+      })),
+    }),
+  };
+}
+
+/**
+ * Tell the model to keep the placeholders, in the first system message
+ */
+function withPlaceholderNote(messages) {
+  if (messages[0]?.role !== "system") {
+    return [{ role: "system", content: PLACEHOLDER_NOTE }, ...messages];
+  }
+  const [system, ...rest] = messages;
+  return [
+    { ...system, content: `${system.content}\n\n${PLACEHOLDER_NOTE}` },
+    ...rest,
+  ];
+}
+
+/**
+ * Wrap a provider (see server/llm) so models never see the PII the policy
+ * masks. Embedding inputs are masked too (scrubEmbeddings); they have nothing
+ * to restore.
+ */
+function scrubPii(llm, policy) {
+  if (!policy.enabled) return llm;
+
+  return {
+    ...llm,
+    async complete(options) {
+      const vault = createPiiVault(policy);
+      const messages = options.messages.map((m) => maskMessage(m, vault));
+      if (vault.size === 0) return llm.complete(options);
+
+      const stream =
+        options.onDelta && createStreamRestorer(vault, options.onDelta);
+      try {
+        const result = await llm.complete({
+          ...options,
+          messages: withPlaceholderNote(messages),
+          ...(stream && { onDelta: stream.push }),
+        });
+        return {
+          ...result,
+          content: vault.restore(result.content),
+          toolCalls: result.toolCalls?.map((call) => ({
+            ...call,
+            arguments: vault.restore(call.arguments),
+          })),
+        };
+      } finally {
+        stream?.flush();
+      }
+    },
+    embed(inputs, options) {
+      if (!policy.scrubEmbeddings) return llm.embed(inputs, options);
+      const vault = createPiiVault(policy);
+      return llm.embed(
+        inputs.map((input) => vault.mask(input)),
+        options
+      );
+    },
+  };
+}
+
+module.exports = {
+  PII_TYPES,
+  createPiiVault,
+  createStreamRestorer,
+  loadPiiPolicy,
+  normalizePiiPolicy,
+  scrubPii,
+};
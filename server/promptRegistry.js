@@ -0,0 +1,228 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { PROMPT_TEMPLATES } = require("./prompts");
+
+// ===== Prompt Registry Configuration =====
+// Active version per prompt, switched at runtime through /api/prompts.
+// File-based by default; prompts missing from the file use defaultVersion.
+const PROMPT_REGISTRY_FILE =
+  process.env.PROMPT_REGISTRY_FILE ||
+  path.join(__dirname, "..", "data", "prompt-versions.json");
+
+// {{name}} or {{name|fallback}}
+const PLACEHOLDER = /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g;
+
+class PromptNotFoundError extends Error {
+  constructor(name) {
+    super(`Prompt not found: ${name}`);
+    this.name = "PromptNotFoundError";
+  }
+}
+
+class PromptVersionNotFoundError extends Error {
+  constructor(name, version) {
+    super(`Prompt ${name} has no version ${version}`);
+    this.name = "PromptVersionNotFoundError";
+  }
+}
+
+/**
+ * Replace {{name}} / {{name|fallback}} placeholders with variables
+ * Empty or missing variables use the fallback, or an empty string
+ */
+function interpolate(template, variables = {}) {
+  return template.replace(PLACEHOLDER, (match, name, fallback = "") => {
+    const value = variables[name];
+    return value === undefined || value === null || value === ""
+      ? fallback.trim()
+      : String(value);
+  });
+}
+
+/**
+ * Placeholder names used by a template, in order of first use
+ */
+function templateVariables(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER)].map((m) => m[1]))];
+}
+
+/**
+ * Check the templates once at startup: every version exists and only uses
+ * the variables its prompt declares
+ */
+function validateTemplates(templates) {
+  for (const [name, prompt] of Object.entries(templates)) {
+    if (!prompt.versions[prompt.defaultVersion]) {
+      throw new Error(
+        `Prompt ${name}: defaultVersion ${prompt.defaultVersion} does not exist`
+      );
+    }
+    for (const [version, { system, user = "" }] of Object.entries(
+      prompt.versions
+    )) {
+      const unknown = templateVariables(system + user).filter(
+        (v) => !prompt.variables.includes(v)
+      );
+      if (unknown.length > 0) {
+        throw new Error(
+          `Prompt ${name} version ${version} uses undeclared variables: ${unknown.join(
+            ", "
+          )}`
+        );
+      }
+    }
+  }
+}
+
+function versionId(name, version) {
+  return `${name}-${version}`;
+}
+
+/**
+ * File-based prompt registry
+ * - Templates come from server/prompts.js; the file only holds
+ *   { active: { [name]: { version, changedAt, changedBy } } }
+ * - The file is read on every render, so a switch applies to every server
+ *   sharing it without a restart
+ * - Writes are serialized and replaced atomically (tmp + rename)
+ */
+function createFilePromptRegistry(
+  file = PROMPT_REGISTRY_FILE,
+  templates = PROMPT_TEMPLATES
+) {
+  validateTemplates(templates);
+  let writeQueue = Promise.resolve();
+
+  async function readActive() {
+    try {
+      const raw = await fs.readFile(file, "utf8");
+      return JSON.parse(raw).active || {};
+    } catch (err) {
+      if (err.code === "ENOENT") return {};
+      throw err;
+    }
+  }
+
+  async function writeActive(active) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ active }, null, 2));
+    await fs.rename(tmpFile, file);
+  }
+
+  function findPrompt(name) {
+    if (!Object.hasOwn(templates, name)) throw new PromptNotFoundError(name);
+    return templates[name];
+  }
+
+  function findVersion(name, version) {
+    const prompt = findPrompt(name);
+    if (!Object.hasOwn(prompt.versions, String(version))) {
+      throw new PromptVersionNotFoundError(name, version);
+    }
+    return prompt.versions[version];
+  }
+
+  // A version switched to in the file may have been removed since
+  function activeVersion(name, active) {
+    const prompt = findPrompt(name);
+    const selected = active[name]?.version;
+    return prompt.versions[selected] ? selected : prompt.defaultVersion;
+  }
+
+  function describe(name, active, { withTemplates = false } = {}) {
+    const prompt = templates[name];
+    const current = activeVersion(name, active);
+    return {
+      name,
+      description: prompt.description,
+      variables: prompt.variables,
+      activeVersion: current,
+      activeId: versionId(name, current),
+      defaultVersion: prompt.defaultVersion,
+      changedAt: active[name]?.changedAt || null,
+      changedBy: active[name]?.changedBy || null,
+      versions: Object.entries(prompt.versions).map(([version, template]) => ({
+        version: Number(version),
+        id: versionId(name, version),
+        description: template.description,
+        ...(withTemplates && {
+          system: template.system,
+          user: template.user || null,
+        }),
+      })),
+    };
+  }
+
+  return {
+    async listPrompts() {
+      const active = await readActive();
+      return Object.keys(templates).map((name) => describe(name, active));
+    },
+
+    async getPrompt(name) {
+      findPrompt(name);
+      return describe(name, await readActive(), { withTemplates: true });
+    },
+
+    /**
+     * Fill in a prompt's templates
+     * - version: render this version instead of the active one (previews)
+     * Returns: { id, version, system, user } (user is null when the version
+     * has no user template)
+     */
+    async render(name, variables = {}, { version } = {}) {
+      const selected =
+        version === undefined
+          ? activeVersion(name, await readActive())
+          : version;
+      const template = findVersion(name, selected);
+      return {
+        id: versionId(name, selected),
+        version: Number(selected),
+        system: interpolate(template.system, variables),
+        user:
+          template.user === undefined
+            ? null
+            : interpolate(template.user, variables),
+      };
+    },
+
+    async setActiveVersion(name, version, { changedBy = null } = {}) {
+      findVersion(name, version);
+      const next = writeQueue
+        .catch(() => {})
+        .then(async () => {
+          const active = await readActive();
+          active[name] = {
+            version: Number(version),
+            changedAt: new Date().toISOString(),
+            changedBy,
+          };
+          await writeActive(active);
+          return describe(name, active);
+        });
+      writeQueue = next;
+      return next;
+    },
+  };
+}
+
+/**
+ * Create the configured prompt registry (PROMPT_REGISTRY, default "file")
+ */
+function createPromptRegistry() {
+  const registryType = process.env.PROMPT_REGISTRY || "file";
+  if (registryType !== "file") {
+    throw new Error(`Unsupported PROMPT_REGISTRY: ${registryType}`);
+  }
+  return createFilePromptRegistry();
+}
+
+module.exports = {
+  PromptNotFoundError,
+  PromptVersionNotFoundError,
+  createFilePromptRegistry,
+  createPromptRegistry,
+  interpolate,
+};
@@ -0,0 +1,95 @@
+const express = require("express");
+const {
+  PromptNotFoundError,
+  PromptVersionNotFoundError,
+} = require("./promptRegistry");
+const { requireAdminToken } = require("./secrets");
+const { createLogger } = require("./logger");
+
+const log = createLogger("prompts");
+
+/**
+ * Prompt admin routes, mounted at /api/prompts
+ * Every route needs `Authorization: Bearer <KB_ADMIN_TOKEN>`
+ * - GET /                     prompts with their versions and active version
+ * - GET /:name                one prompt, including the version templates
+ * - POST /:name/preview       { version?, variables } the rendered prompt
+ * - PUT /:name/active         { version, changedBy? } switch the version
+ *                             used by new answers
+ */
+function createPromptRouter(
+  registry,
+  { adminToken = process.env.KB_ADMIN_TOKEN } = {}
+) {
+  const router = express.Router();
+
+  router.use(requireAdminToken(adminToken));
+
+  router.get("/", async (req, res) => {
+    try {
+      res.json({ prompts: await registry.listPrompts() });
+    } catch (err) {
+      handlePromptError(res, "listing prompts", err);
+    }
+  });
+
+  router.get("/:name", async (req, res) => {
+    try {
+      res.json(await registry.getPrompt(req.params.name));
+    } catch (err) {
+      handlePromptError(res, "reading the prompt", err);
+    }
+  });
+
+  router.post("/:name/preview", async (req, res) => {
+    const { version, variables = {} } = req.body || {};
+    if (
+      typeof variables !== "object" ||
+      variables === null ||
+      Array.isArray(variables)
+    ) {
+      return res.status(400).json({ error: "variables must be an object" });
+    }
+
+    try {
+      res.json(await registry.render(req.params.name, variables, { version }));
+    } catch (err) {
+      handlePromptError(res, "previewing the prompt", err);
+    }
+  });
+
+  router.put("/:name/active", async (req, res) => {
+    const { version, changedBy } = req.body || {};
+    if (version === undefined) {
+      return res.status(400).json({ error: "version is required" });
+    }
+
+    try {
+      const prompt = await registry.setActiveVersion(req.params.name, version, {
+        changedBy: typeof changedBy === "string" ? changedBy : null,
+      });
+      log.info("Prompt version switched", {
+        prompt: prompt.name,
+        version: prompt.activeVersion,
+      });
+      res.json(prompt);
+    } catch (err) {
+      handlePromptError(res, "switching the prompt version", err);
+    }
+  });
+
+  return router;
+}
+
+function handlePromptError(res, action, err) {
+  if (err instanceof PromptNotFoundError) {
+    return res.status(404).json({ error: err.message });
+  }
+  if (err instanceof PromptVersionNotFoundError) {
+    return res.status(400).json({ error: err.message });
+  }
+  log.error(`Error ${action}`, { err });
+  res.status(500).json({ error: `Failed ${action}` });
+}
+
+module.exports = { createPromptRouter };
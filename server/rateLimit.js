@@ -0,0 +1,42 @@
+// ===== In-memory Rate Limiter =====
+// Sliding window per key (a user, or "*" for everyone). Counts live in this
+// process only: behind several servers each one allows the full limit.
+
+// Past this many keys, forget the ones with no hit inside the window
+const MAX_TRACKED_KEYS = 10000;
+
+/**
+ * Allow at most `limit` hits per key within `windowMs`
+ * hit(key) → { allowed, retryAfterMs }
+ */
+function createRateLimiter({ limit, windowMs = 60 * 1000 }) {
+  const hitsByKey = new Map();
+
+  function recentHits(key, now) {
+    const hits = (hitsByKey.get(key) || []).filter((t) => now - t < windowMs);
+    hitsByKey.set(key, hits);
+    return hits;
+  }
+
+  function forgetIdleKeys(now) {
+    for (const [key, hits] of hitsByKey) {
+      if (hits.every((t) => now - t >= windowMs)) hitsByKey.delete(key);
+    }
+  }
+
+  return {
+    hit(key, now = Date.now()) {
+      if (!limit) return { allowed: true, retryAfterMs: 0 };
+      if (hitsByKey.size > MAX_TRACKED_KEYS) forgetIdleKeys(now);
+
+      const hits = recentHits(key, now);
+      if (hits.length >= limit) {
+        return { allowed: false, retryAfterMs: windowMs - (now - hits[0]) };
+      }
+      hits.push(now);
+      return { allowed: true, retryAfterMs: 0 };
+    },
+  };
+}
+
+module.exports = { createRateLimiter };
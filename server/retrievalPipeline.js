@@ -0,0 +1,308 @@
+const { estimateTokens } = require("./conversationMemory");
+const { SEARCH_TOP_K, searchWeaviate } = require("./caseSearch");
+const { createLogger } = require("./logger");
+
+const log = createLogger("retrieval");
+
+// ===== Retrieval Pipeline Configuration =====
+// retrieve (over-fetch) → dedupe → rerank → trim to TOP_K and a token budget
+
+// Fetch this many times TOP_K so dedupe and rerank have candidates to drop
+const RETRIEVAL_OVERFETCH = parseInt(
+  process.env.RETRIEVAL_OVERFETCH || "3",
+  10
+);
+const DEDUPE_ENABLED = process.env.RETRIEVAL_DEDUPE !== "false";
+// Cases whose title + description overlap at least this much (character
+// trigram Jaccard) count as near-duplicates
+const DEDUPE_SIMILARITY = parseFloat(process.env.DEDUPE_SIMILARITY || "0.85");
+// "llm" (score with the fast model), "cross-encoder" (RERANK_URL) or "none"
+const RERANK_MODE = process.env.RERANK_MODE || "llm";
+// Text Embeddings Inference style /rerank endpoint: POST { query, texts }
+const RERANK_URL = process.env.RERANK_URL || "";
+const RERANK_MODEL = process.env.RERANK_MODEL || "fast";
+// Reranked cases scoring below this (0–1) are treated as weak matches
+const RERANK_MIN_SCORE = parseFloat(process.env.RERANK_MIN_SCORE || "0.2");
+const CONTEXT_TOKEN_BUDGET = parseInt(
+  process.env.CONTEXT_TOKEN_BUDGET || "2500",
+  10
+);
+
+const RERANK_MODES = ["llm", "cross-encoder", "none"];
+const RERANK_SNIPPET_CHARS = 300;
+
+if (!RERANK_MODES.includes(RERANK_MODE)) {
+  throw new Error(
+    `RERANK_MODE must be one of ${RERANK_MODES.join(
+      ", "
+    )} (got "${RERANK_MODE}")`
+  );
+}
+
+/**
+ * One case as it appears in the answer prompt
+ */
+function formatCase(doc, index) {
+  const score = doc._additional.rerankScore ?? doc._additional.score;
+  return `Case #${index + 1}:\n- Case Number: ${doc.caseNumber}\n- Title: ${
+    doc.caseTitle
+  }\n- Type: ${doc.caseType}\n- Description: ${
+    doc.caseDescription
+  }\n- Solution: ${doc.solutionDescription}\n- Instance ID: ${
+    doc.instanceID
+  }\n- Relevance Score: ${(score * 100).toFixed(2)}%`;
+}
+
+/**
+ * Context string for generateAnswer
+ */
+function buildCaseContext(docs) {
+  return docs.map(formatCase).join("\n\n---\n\n");
+}
+
+// ===== Dedupe =====
+
+function trigrams(text) {
+  const normalized = String(text || "")
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+  const grams = new Set();
+  for (let i = 0; i < normalized.length - 2; i++) {
+    grams.add(normalized.slice(i, i + 3));
+  }
+  return grams;
+}
+
+function jaccard(a, b) {
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union ? shared / union : 0;
+}
+
+/**
+ * Drop repeats of the same case (caseNumber / instanceID, e.g. several
+ * chunks of one case) and near-duplicate texts, keeping the best-ranked copy
+ */
+function dedupeCases(docs, similarity = DEDUPE_SIMILARITY) {
+  const seenIds = new Set();
+  const kept = [];
+
+  for (const doc of docs) {
+    const ids = [doc.caseNumber, doc.instanceID].filter(Boolean);
+    if (ids.some((id) => seenIds.has(id))) continue;
+
+    const grams = trigrams(`${doc.caseTitle} ${doc.caseDescription}`);
+    if (kept.some((k) => jaccard(k.grams, grams) >= similarity)) continue;
+
+    ids.forEach((id) => seenIds.add(id));
+    kept.push({ doc, grams });
+  }
+  return kept.map((k) => k.doc);
+}
+
+// ===== Rerank =====
+
+function rerankText(doc) {
+  return [doc.caseTitle, doc.caseDescription, doc.solutionDescription]
+    .map((text) => String(text || "").slice(0, RERANK_SNIPPET_CHARS))
+    .join("\n");
+}
+
+/**
+ * Score each case 0–1 for the question with the LLM provider
+ */
+async function scoreWithLlm(llm, question, docs, signal) {
+  const caseList = docs
+    .map((doc, i) => `[${i + 1}] ${rerankText(doc)}`)
+    .join("\n\n");
+
+  const { content } = await llm.complete({
+    model: RERANK_MODEL,
+    temperature: 0,
+    json: true,
+    messages: [
+      {
+        role: "system",
+        content: `You rate how well each knowledge-base case helps answer an employee's question.
+Return ONLY a JSON object: {"scores": [<integer 0-10 for case 1>, <case 2>, ...]} with exactly one score per case, in order.
+10 = same problem with a usable solution, 0 = unrelated.`,
+      },
+      {
+        role: "user",
+        content: `Question: ${question}\n\nCases:\n${caseList}`,
+      },
+    ],
+    signal,
+  });
+
+  const { scores } = JSON.parse(content);
+  if (!Array.isArray(scores) || scores.length !== docs.length) {
+    throw new Error(
+      `Expected ${docs.length} scores, got ${JSON.stringify(scores)}`
+    );
+  }
+  return scores.map(
+    (score) => Math.min(Math.max(Number(score) || 0, 0), 10) / 10
+  );
+}
+
+/**
+ * Score each case 0–1 with a cross-encoder served over HTTP
+ * Accepts [{ index, score }] (Text Embeddings Inference) or
+ * { results: [{ index, relevance_score }] } (Cohere/Jina style)
+ */
+async function scoreWithCrossEncoder(question, docs, signal) {
+  if (!RERANK_URL) {
+    throw new Error("RERANK_URL is not configured");
+  }
+
+  const response = await fetch(RERANK_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      query: question,
+      texts: docs.map(rerankText),
+      documents: docs.map(rerankText),
+    }),
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`Rerank API error ${response.status}`);
+  }
+
+  const body = await response.json();
+  const results = Array.isArray(body) ? body : body.results || [];
+  const scores = docs.map(() => 0);
+  for (const result of results) {
+    scores[result.index] = result.score ?? result.relevance_score ?? 0;
+  }
+  return scores;
+}
+
+/**
+ * Reorder cases by rerank score and drop weak matches
+ * Falls back to retrieval order when scoring fails
+ */
+async function rerankCases({ llm, question, docs, mode, signal }) {
+  if (mode === "none" || docs.length === 0) return docs;
+
+  let scores;
+  try {
+    scores =
+      mode === "cross-encoder"
+        ? await scoreWithCrossEncoder(question, docs, signal)
+        : await scoreWithLlm(llm, question, docs, signal);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    log.warn("Rerank failed, keeping retrieval order", { mode, err });
+    return docs;
+  }
+
+  return docs
+    .map((doc, i) => ({
+      ...doc,
+      _additional: { ...doc._additional, rerankScore: scores[i] },
+    }))
+    .filter((doc) => doc._additional.rerankScore >= RERANK_MIN_SCORE)
+    .sort((a, b) => b._additional.rerankScore - a._additional.rerankScore);
+}
+
+// ===== Trim =====
+
+/**
+ * Keep the best cases that fit the context token budget (at least one)
+ */
+function trimToBudget(docs, limit, tokenBudget) {
+  const kept = [];
+  let tokens = 0;
+  for (const doc of docs.slice(0, limit)) {
+    const cost = estimateTokens(formatCase(doc, kept.length));
+    if (kept.length > 0 && tokens + cost > tokenBudget) break;
+    kept.push(doc);
+    tokens += cost;
+  }
+  return kept;
+}
+
+// ===== Pipeline =====
+
+async function timed(timings, stage, run, describe) {
+  const start = Date.now();
+  const result = await run();
+  timings[stage] = Date.now() - start;
+  log.info(`Retrieval ${stage}`, {
+    result: describe(result),
+    durationMs: timings[stage],
+  });
+  return result;
+}
+
+/**
+ * Retrieve the cases for one /api/ask question
+ * - query/vector/options: as for searchWeaviate
+ * - stages: overrides of the env configuration
+ *   { overfetch, dedupe, rerank, tokenBudget, topK }
+ * Returns: { docs, timings } with per-stage durations in ms
+ */
+async function retrieveCases({
+  client,
+  llm,
+  query,
+  vector,
+  options,
+  signal,
+  stages = {},
+}) {
+  const {
+    overfetch = RETRIEVAL_OVERFETCH,
+    dedupe = DEDUPE_ENABLED,
+    rerank = RERANK_MODE,
+    tokenBudget = CONTEXT_TOKEN_BUDGET,
+    topK = SEARCH_TOP_K,
+  } = stages;
+
+  const timings = {};
+  const count = (docs) => `${docs.length} cases`;
+
+  let docs = await timed(
+    timings,
+    "retrieve",
+    () =>
+      searchWeaviate(client, {
+        query,
+        vector,
+        options,
+        limit: topK * Math.max(overfetch, 1),
+      }),
+    count
+  );
+  if (dedupe) {
+    docs = await timed(timings, "dedupe", () => dedupeCases(docs), count);
+  }
+  if (rerank !== "none") {
+    docs = await timed(
+      timings,
+      "rerank",
+      () => rerankCases({ llm, question: query, docs, mode: rerank, signal }),
+      count
+    );
+  }
+  docs = await timed(
+    timings,
+    "trim",
+    () => trimToBudget(docs, topK, tokenBudget),
+    count
+  );
+
+  return { docs, timings };
+}
+
+module.exports = {
+  buildCaseContext,
+  dedupeCases,
+  retrieveCases,
+  trimToBudget,
+};
@@ -0,0 +1,31 @@
+const crypto = require("crypto");
+
+/**
+ * Constant-time comparison of a shared secret sent by a caller
+ */
+function secretsMatch(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Middleware for admin routes: needs `Authorization: Bearer <adminToken>`
+ * Without an adminToken (KB_ADMIN_TOKEN) the routes are disabled
+ */
+function requireAdminToken(adminToken) {
+  return (req, res, next) => {
+    if (!adminToken) {
+      return res.status(503).json({
+        error: "Admin API is disabled: set KB_ADMIN_TOKEN",
+      });
+    }
+    const token = (req.get("Authorization") || "").replace(/^Bearer /, "");
+    if (!secretsMatch(token, adminToken)) {
+      return res.status(401).json({ error: "Invalid admin token" });
+    }
+    next();
+  };
+}
+
+module.exports = { requireAdminToken, secretsMatch };
@@ -0,0 +1,114 @@
+const express = require("express");
+const { getRequestUserId } = require("./auth");
+const { SessionNotFoundError } = require("./sessionStore");
+const { createLogger } = require("./logger");
+
+const log = createLogger("sessions");
+
+/**
+ * Chat session routes, mounted at /api/sessions
+ * - GET    /               list the user's sessions (newest first)
+ * - POST   /               create a session { title?, messages? }
+ * - GET    /:sessionId     load a session with its messages
+ * - PATCH  /:sessionId     rename and/or replace messages { title?, messages? }
+ * - DELETE /:sessionId     delete a session
+ */
+function createSessionRouter(store) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    req.userId = getRequestUserId(req);
+    // User tokens and JWTs carry the user; API keys name it in X-User-Id
+    if (!req.userId && req.identity?.method === "page") {
+      return res
+        .status(401)
+        .json({ error: "Open a user session (POST /api/auth/session) first" });
+    }
+    if (!req.userId) {
+      return res.status(400).json({ error: "X-User-Id header is required" });
+    }
+    next();
+  });
+
+  router.get("/", async (req, res) => {
+    try {
+      const sessions = await store.listSessions(req.userId);
+      res.json({ sessions });
+    } catch (err) {
+      handleSessionError(res, "listing sessions", err);
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    const { title, messages } = req.body || {};
+    if (!isValidTitle(title)) {
+      return res.status(400).json({ error: "title must be a string" });
+    }
+    try {
+      const session = await store.createSession(req.userId, {
+        title,
+        messages,
+      });
+      res.status(201).json(session);
+    } catch (err) {
+      handleSessionError(res, "creating session", err);
+    }
+  });
+
+  router.get("/:sessionId", async (req, res) => {
+    try {
+      const session = await store.getSession(req.userId, req.params.sessionId);
+      res.json(session);
+    } catch (err) {
+      handleSessionError(res, "loading session", err);
+    }
+  });
+
+  router.patch("/:sessionId", async (req, res) => {
+    const { title, messages } = req.body || {};
+    if (!isValidTitle(title)) {
+      return res.status(400).json({ error: "title must be a string" });
+    }
+    try {
+      const session = await store.updateSession(
+        req.userId,
+        req.params.sessionId,
+        { title, messages }
+      );
+      res.json(session);
+    } catch (err) {
+      handleSessionError(res, "updating session", err);
+    }
+  });
+
+  router.delete("/:sessionId", async (req, res) => {
+    try {
+      const result = await store.deleteSession(
+        req.userId,
+        req.params.sessionId
+      );
+      res.json(result);
+    } catch (err) {
+      handleSessionError(res, "deleting session", err);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * A title is optional, but when sent it must be a string
+ */
+function isValidTitle(title) {
+  return title === undefined || typeof title === "string";
+}
+
+function handleSessionError(res, action, err) {
+  if (err instanceof SessionNotFoundError) {
+    return res.status(404).json({ error: err.message });
+  }
+  log.error(`Error ${action}`, { err });
+  res.status(500).json({ error: `Failed ${action}` });
+}
+
+module.exports = { createSessionRouter };
@@ -0,0 +1,182 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+// ===== Session Store Configuration =====
+// File-based default: one JSON file per Kissflow user under SESSION_STORE_DIR
+const SESSION_STORE_DIR =
+  process.env.SESSION_STORE_DIR ||
+  path.join(__dirname, "..", "data", "sessions");
+const SESSION_TITLE_MAX_LENGTH = 80;
+
+class SessionNotFoundError extends Error {
+  constructor(sessionId) {
+    super(`Session not found: ${sessionId}`);
+    this.name = "SessionNotFoundError";
+  }
+}
+
+/**
+ * Default title for a session: the first user message, shortened
+ */
+function deriveSessionTitle(messages) {
+  const firstQuestion = (messages || []).find((m) => m.sender === "user");
+  const text = (firstQuestion?.text || "").replace(/\s+/g, " ").trim();
+  return text ? text.substring(0, SESSION_TITLE_MAX_LENGTH) : "New chat";
+}
+
+function toSessionSummary(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    messageCount: session.messages.length,
+  };
+}
+
+/**
+ * Only keep the message fields needed to render and resume a conversation
+ */
+function sanitizeMessages(messages) {
+  return (Array.isArray(messages) ? messages : [])
+    .filter((m) => m && typeof m.text === "string")
+    .map(({ isStreaming, ...message }) => message);
+}
+
+/**
+ * File-based chat session store
+ * - One file per user: {dir}/{sha1(userId)}.json → { sessions: [...] }
+ * - Writes are serialized per user and replaced atomically (tmp + rename)
+ */
+function createFileSessionStore(dir = SESSION_STORE_DIR) {
+  const writeQueues = new Map();
+
+  function userFile(userId) {
+    const hashed = crypto
+      .createHash("sha1")
+      .update(String(userId))
+      .digest("hex");
+    return path.join(dir, `${hashed}.json`);
+  }
+
+  async function readUserSessions(userId) {
+    try {
+      const raw = await fs.readFile(userFile(userId), "utf8");
+      return JSON.parse(raw).sessions || [];
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  async function writeUserSessions(userId, sessions) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = userFile(userId);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ userId, sessions }, null, 2));
+    await fs.rename(tmpFile, file);
+  }
+
+  // Run read-modify-write operations for one user strictly one after another
+  function updateUserSessions(userId, updater) {
+    const previous = writeQueues.get(userId) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(async () => {
+        const sessions = await readUserSessions(userId);
+        const result = await updater(sessions);
+        await writeUserSessions(userId, sessions);
+        return result;
+      });
+    writeQueues.set(userId, next);
+    next
+      .finally(() => {
+        if (writeQueues.get(userId) === next) writeQueues.delete(userId);
+      })
+      .catch(() => {});
+    return next;
+  }
+
+  function findSession(sessions, sessionId) {
+    const session = sessions.find((s) => s.id === sessionId);
+    if (!session) throw new SessionNotFoundError(sessionId);
+    return session;
+  }
+
+  return {
+    async listSessions(userId) {
+      const sessions = await readUserSessions(userId);
+      return sessions
+        .map(toSessionSummary)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    async getSession(userId, sessionId) {
+      const sessions = await readUserSessions(userId);
+      return findSession(sessions, sessionId);
+    },
+
+    async createSession(userId, { title, messages = [] } = {}) {
+      if (title !== undefined && typeof title !== "string") {
+        throw new TypeError("Session title must be a string");
+      }
+      return updateUserSessions(userId, (sessions) => {
+        const now = new Date().toISOString();
+        const cleanMessages = sanitizeMessages(messages);
+        const session = {
+          id: crypto.randomUUID(),
+          title: (title?.trim() || deriveSessionTitle(cleanMessages)).substring(
+            0,
+            SESSION_TITLE_MAX_LENGTH
+          ),
+          createdAt: now,
+          updatedAt: now,
+          messages: cleanMessages,
+        };
+        sessions.push(session);
+        return session;
+      });
+    },
+
+    updateSession(userId, sessionId, { title, messages }) {
+      return updateUserSessions(userId, (sessions) => {
+        const session = findSession(sessions, sessionId);
+        if (typeof title === "string" && title.trim()) {
+          session.title = title.trim().substring(0, SESSION_TITLE_MAX_LENGTH);
+        }
+        if (messages !== undefined) {
+          session.messages = sanitizeMessages(messages);
+        }
+        session.updatedAt = new Date().toISOString();
+        return session;
+      });
+    },
+
+    deleteSession(userId, sessionId) {
+      return updateUserSessions(userId, (sessions) => {
+        const index = sessions.findIndex((s) => s.id === sessionId);
+        if (index === -1) throw new SessionNotFoundError(sessionId);
+        sessions.splice(index, 1);
+        return { id: sessionId, deleted: true };
+      });
+    },
+  };
+}
+
+/**
+ * Create the configured session store (SESSION_STORE, default "file")
+ */
+function createSessionStore() {
+  const storeType = process.env.SESSION_STORE || "file";
+  if (storeType !== "file") {
+    throw new Error(`Unsupported SESSION_STORE: ${storeType}`);
+  }
+  return createFileSessionStore();
+}
+
+module.exports = {
+  SessionNotFoundError,
+  createFileSessionStore,
+  createSessionStore,
+};
@@ -0,0 +1,81 @@
+const express = require("express");
+const { requireAdminToken } = require("./secrets");
+const { addToTotals, emptyTotals } = require("./usageStore");
+const { createLogger } = require("./logger");
+
+const log = createLogger("usage");
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Totals per value of `key`, most expensive first
+ */
+function groupUsage(records, key) {
+  const groups = new Map();
+  for (const record of records) {
+    const value = record[key] ?? "(none)";
+    if (!groups.has(value)) groups.set(value, emptyTotals());
+    addToTotals(groups.get(value), record);
+  }
+  return [...groups.entries()]
+    .map(([value, totals]) => ({ [key]: value, ...roundCost(totals) }))
+    .sort((a, b) => b.costUsd - a.costUsd);
+}
+
+function roundCost(totals) {
+  return { ...totals, costUsd: Math.round(totals.costUsd * 1e6) / 1e6 };
+}
+
+/**
+ * Spending report over usage records
+ * Calls to models without a price count as 0 USD and are counted in
+ * unpricedCalls
+ */
+function summarizeUsage(records) {
+  return {
+    total: roundCost(records.reduce(addToTotals, emptyTotals())),
+    unpricedCalls: records.filter((r) => r.costUsd === null).length,
+    byUser: groupUsage(records, "userId"),
+    byRoute: groupUsage(records, "route"),
+    byModel: groupUsage(records, "model"),
+  };
+}
+
+/**
+ * Usage report, mounted at /api/usage
+ * - GET /?from=YYYY-MM-DD&to=YYYY-MM-DD   tokens and cost by user, route and
+ *   model; needs `Authorization: Bearer <KB_ADMIN_TOKEN>`
+ */
+function createUsageRouter(
+  store,
+  { adminToken = process.env.KB_ADMIN_TOKEN } = {}
+) {
+  const router = express.Router();
+
+  router.get("/", requireAdminToken(adminToken), async (req, res) => {
+    const { from, to } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && !ISO_DATE.test(value)) {
+        return res
+          .status(400)
+          .json({ error: `${name} must be a date in YYYY-MM-DD format` });
+      }
+    }
+
+    try {
+      const records = await store.listUsage({ from, to });
+      res.json({
+        from: from || null,
+        to: to || null,
+        ...summarizeUsage(records),
+      });
+    } catch (err) {
+      log.error("Error building the usage report", { err });
+      res.status(500).json({ error: "Failed building the usage report" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUsageRouter, summarizeUsage };
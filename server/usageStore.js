@@ -0,0 +1,124 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// ===== Usage Store Configuration =====
+// Tokens and cost of every model call, appended as JSON lines to USAGE_FILE
+const USAGE_FILE =
+  process.env.USAGE_FILE || path.join(__dirname, "..", "data", "usage.jsonl");
+
+function emptyTotals() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+function addToTotals(totals, record) {
+  totals.calls += 1;
+  totals.inputTokens += record.inputTokens;
+  totals.outputTokens += record.outputTokens;
+  totals.costUsd += record.costUsd || 0;
+  return totals;
+}
+
+/**
+ * File-based usage store
+ * - Append-only JSONL, one line per model call: { createdAt, day, userId,
+ *   route, model, inputTokens, outputTokens, costUsd }
+ * - day is the local date the quotas count in (see server/usageTracking.js)
+ * - Per-user day and month totals are kept in memory for the quota checks,
+ *   loaded from the file on first use
+ */
+function createFileUsageStore(file = USAGE_FILE) {
+  let writeQueue = Promise.resolve();
+  let totalsByPeriod = null;
+
+  async function readLines() {
+    try {
+      const raw = await fs.readFile(file, "utf8");
+      return raw
+        .split("\n")
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  function countRecord(record) {
+    for (const period of [record.day, record.day.slice(0, 7)]) {
+      const key = `${record.userId}\n${period}`;
+      if (!totalsByPeriod.has(key)) totalsByPeriod.set(key, emptyTotals());
+      addToTotals(totalsByPeriod.get(key), record);
+    }
+  }
+
+  async function loadTotals() {
+    if (!totalsByPeriod) {
+      const records = await readLines();
+      // Another call may have loaded them while the file was being read
+      if (!totalsByPeriod) {
+        totalsByPeriod = new Map();
+        records.forEach(countRecord);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Record one model call
+     */
+    recordUsage(record) {
+      const next = writeQueue
+        .catch(() => {})
+        .then(async () => {
+          await loadTotals();
+          await fs.mkdir(path.dirname(file), { recursive: true });
+          await fs.appendFile(file, `${JSON.stringify(record)}\n`);
+          countRecord(record);
+          return record;
+        });
+      writeQueue = next;
+      return next;
+    },
+
+    /**
+     * A user's totals for a day (YYYY-MM-DD) or month (YYYY-MM)
+     * Returns: { calls, inputTokens, outputTokens, costUsd }
+     */
+    async getTotals(userId, period) {
+      // Include calls still being written
+      await writeQueue.catch(() => {});
+      await loadTotals();
+      return {
+        ...(totalsByPeriod.get(`${userId}\n${period}`) || emptyTotals()),
+      };
+    },
+
+    /**
+     * Usage records, oldest first, optionally limited to days in [from, to]
+     * (YYYY-MM-DD)
+     */
+    async listUsage({ from, to } = {}) {
+      return (await readLines()).filter(
+        (record) => (!from || record.day >= from) && (!to || record.day <= to)
+      );
+    },
+  };
+}
+
+/**
+ * Create the configured usage store (USAGE_STORE, default "file")
+ */
+function createUsageStore() {
+  const storeType = process.env.USAGE_STORE || "file";
+  if (storeType !== "file") {
+    throw new Error(`Unsupported USAGE_STORE: ${storeType}`);
+  }
+  return createFileUsageStore();
+}
+
+module.exports = {
+  addToTotals,
+  createFileUsageStore,
+  createUsageStore,
+  emptyTotals,
+};
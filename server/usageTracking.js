@@ -0,0 +1,238 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { createRateLimiter } = require("./rateLimit");
+const { createLogger } = require("./logger");
+
+const log = createLogger("usage");
+
+// ===== Usage Tracking =====
+// Every model call made while handling a request is recorded with the user
+// and route it was made for, priced per model. The model routes are rate
+// limited per user and overall, and refused once a user's daily or monthly
+// spend reaches its quota.
+
+// USD per 1M tokens. LLM_PRICES (JSON, same shape) adds or overrides models,
+// e.g. Azure deployment names. Dated snapshots ("gpt-4o-2024-08-06") use the
+// longest matching prefix; calls to unknown models are recorded unpriced.
+const MODEL_PRICES = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "text-embedding-3-small": { input: 0.02, output: 0 },
+  "text-embedding-3-large": { input: 0.13, output: 0 },
+  "claude-sonnet-4-5": { input: 3, output: 15 },
+  "claude-haiku-4-5": { input: 1, output: 5 },
+};
+
+// Shown in the chat as the answer, so written for the employee
+const LIMIT_MESSAGES = {
+  rate_limited: "ส่งคำถามถี่เกินไป กรุณารอสักครู่แล้วลองใหม่อีกครั้ง",
+  daily_quota_exceeded:
+    "คุณใช้งานผู้ช่วย AI ครบโควตาของวันนี้แล้ว กรุณาลองใหม่อีกครั้งในวันพรุ่งนี้",
+  monthly_quota_exceeded:
+    "คุณใช้งานผู้ช่วย AI ครบโควตาของเดือนนี้แล้ว หากต้องการใช้งานเพิ่ม กรุณาติดต่อผู้ดูแลระบบ",
+};
+
+const usageContext = new AsyncLocalStorage();
+
+function optionalNumber(env, name, fallback = null) {
+  const value = env[name];
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${name} must be a non-negative number, got "${value}"`);
+  }
+  return number;
+}
+
+function parsePrices(value) {
+  if (!value) return {};
+  let prices;
+  try {
+    prices = JSON.parse(value);
+  } catch (err) {
+    throw new Error(`LLM_PRICES is not valid JSON: ${err.message}`);
+  }
+  for (const [model, price] of Object.entries(prices)) {
+    if (typeof price?.input !== "number" || typeof price?.output !== "number") {
+      throw new Error(`LLM_PRICES.${model} needs numeric input and output`);
+    }
+  }
+  return prices;
+}
+
+/**
+ * Prices, quotas and rate limits from the environment
+ * Quotas are USD per user; 0 or unset means no quota
+ */
+function loadUsageConfig(env = process.env) {
+  return {
+    prices: { ...MODEL_PRICES, ...parsePrices(env.LLM_PRICES) },
+    timeZone: env.USAGE_TIMEZONE || "Asia/Bangkok",
+    dailyQuotaUsd: optionalNumber(env, "USER_DAILY_QUOTA_USD"),
+    monthlyQuotaUsd: optionalNumber(env, "USER_MONTHLY_QUOTA_USD"),
+    userRequestsPerMinute: optionalNumber(
+      env,
+      "RATE_LIMIT_USER_PER_MINUTE",
+      20
+    ),
+    globalRequestsPerMinute: optionalNumber(
+      env,
+      "RATE_LIMIT_GLOBAL_PER_MINUTE",
+      300
+    ),
+  };
+}
+
+/**
+ * Cost of one call in USD, or null when the model has no price
+ */
+function priceUsage(prices, { model, inputTokens, outputTokens }) {
+  const match = Object.keys(prices)
+    .filter((name) => model === name || model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!match) return null;
+  const { input, output } = prices[match];
+  const cost = (inputTokens * input + outputTokens * output) / 1e6;
+  return Math.round(cost * 1e8) / 1e8;
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) in the quota time zone
+ */
+function localDay(date, timeZone) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+}
+
+/**
+ * Who a request's limits, quotas and usage records count against
+ * - the verified user (user token, JWT, or the user an API key acts for)
+ * - page token callers, who have no user: the token and their address
+ * - without authentication: the address, as X-User-Id is whatever the
+ *   caller sends
+ */
+function usageSubject(req) {
+  const identity = req.identity;
+  if (!identity || identity.method === "none") return `ip:${req.ip}`;
+  if (identity.method === "page") return `page:${identity.tokenId}@${req.ip}`;
+  return identity.userId || `ip:${req.ip}`;
+}
+
+function requestRoute(req) {
+  return `${req.baseUrl}${req.route?.path ?? req.path}`;
+}
+
+/**
+ * Middleware: model calls made while handling the request are recorded for
+ * its user and route
+ */
+function usageContextMiddleware(req, res, next) {
+  usageContext.run({ req }, next);
+}
+
+/**
+ * Wrap a provider (see server/llm) so every call is recorded in the store
+ * Calls outside a request (scripts, background work) count as "system"
+ */
+function trackUsage(llm, store, config) {
+  function record(usage) {
+    const req = usageContext.getStore()?.req;
+    const now = new Date();
+    const entry = {
+      createdAt: now.toISOString(),
+      day: localDay(now, config.timeZone),
+      userId: req ? usageSubject(req) : "system",
+      route: req ? requestRoute(req) : null,
+      model: usage.model,
+      inputTokens: usage.inputTokens,
+      outputTokens: usage.outputTokens,
+      costUsd: priceUsage(config.prices, usage),
+    };
+    store.recordUsage(entry).catch((err) => {
+      log.error("Error recording usage", { err });
+    });
+  }
+
+  const withRecording = (onUsage) => (usage) => {
+    record(usage);
+    onUsage?.(usage);
+  };
+
+  return {
+    ...llm,
+    complete: (options) =>
+      llm.complete({ ...options, onUsage: withRecording(options.onUsage) }),
+    embed: (input, options = {}) =>
+      llm.embed(input, { ...options, onUsage: withRecording(options.onUsage) }),
+  };
+}
+
+function refuse(res, code, retryAfterSeconds) {
+  if (retryAfterSeconds) {
+    res.set("Retry-After", String(retryAfterSeconds));
+  }
+  return res.status(429).json({ error: LIMIT_MESSAGES[code], code });
+}
+
+/**
+ * Middleware for the routes that call models: per-user and global rate
+ * limits, then the user's daily and monthly quotas
+ */
+function limitModelUsage(store, config) {
+  const userLimiter = createRateLimiter({
+    limit: config.userRequestsPerMinute,
+  });
+  const globalLimiter = createRateLimiter({
+    limit: config.globalRequestsPerMinute,
+  });
+
+  return async (req, res, next) => {
+    const userId = usageSubject(req);
+
+    for (const [limiter, key] of [
+      [userLimiter, userId],
+      [globalLimiter, "*"],
+    ]) {
+      const { allowed, retryAfterMs } = limiter.hit(key);
+      if (!allowed) {
+        return refuse(res, "rate_limited", Math.ceil(retryAfterMs / 1000));
+      }
+    }
+
+    try {
+      const day = localDay(new Date(), config.timeZone);
+      const quotas = [
+        [config.dailyQuotaUsd, day, "daily_quota_exceeded"],
+        [config.monthlyQuotaUsd, day.slice(0, 7), "monthly_quota_exceeded"],
+      ];
+      for (const [quotaUsd, period, code] of quotas) {
+        if (!quotaUsd) continue;
+        const { costUsd } = await store.getTotals(userId, period);
+        if (costUsd >= quotaUsd) {
+          log.warn("User is over quota", { userId, code, period });
+          return refuse(res, code);
+        }
+      }
+    } catch (err) {
+      // Usage bookkeeping must not take the assistant down
+      log.error("Error checking quotas", { err });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  LIMIT_MESSAGES,
+  MODEL_PRICES,
+  limitModelUsage,
+  loadUsageConfig,
+  localDay,
+  priceUsage,
+  trackUsage,
+  usageContextMiddleware,
+  usageSubject,
+};
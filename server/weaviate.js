@@ -0,0 +1,37 @@
+const weaviate = require("weaviate-client").default;
+const { createLogger } = require("./logger");
+
+const log = createLogger("weaviate");
+
+/**
+ * Connect to Weaviate Cloud (WEAVIATE_ENDPOINT / WEAVIATE_API_KEY)
+ * Returns: the client, or null when Weaviate is not configured or unreachable
+ */
+async function connectWeaviate() {
+  if (!process.env.WEAVIATE_ENDPOINT) {
+    log.warn("WEAVIATE_ENDPOINT is not set, /api/ask will be unavailable");
+    return null;
+  }
+
+  log.info("Connecting to Weaviate");
+  try {
+    const client = await weaviate.connectToWeaviateCloud(
+      process.env.WEAVIATE_ENDPOINT,
+      {
+        authCredentials: new weaviate.ApiKey(process.env.WEAVIATE_API_KEY),
+        headers: { "X-OpenAI-Api-Key": process.env.OPENAI_API_KEY },
+      }
+    );
+
+    await client.isReady();
+    log.info("Connected to Weaviate");
+    return client;
+  } catch (error) {
+    log.error("Failed to connect to Weaviate, /api/ask will be unavailable", {
+      err: error,
+    });
+    return null;
+  }
+}
+
+module.exports = { connectWeaviate };
@@ -1,138 +1,58 @@
 import React, { useState, useEffect, useRef } from "react";
 import ReactMarkdown from "react-markdown";
 import "./App.css";
-import KFSDK from "@kissflow/lowcode-client-sdk";
-
-// ===== Environment Variables =====
-const OPENAI_API_KEY = process.env.REACT_APP_OPENAI_API_KEY || "";
-
-// ===== Leave Dataset Configuration =====
-// TODO: Replace with your actual Dataset ID and View ID from Kissflow
-const LEAVE_DATASET_ID = "Process_With_AI_Chat_Leave_Request_Balan";
-const LEAVE_VIEW_ID = "leave_quota";
-// TODO: Replace with actual Field IDs in your Dataset
-const LEAVE_FIELDS = {
-  Vacation: "Vacation_Leave_Balance", // Field ID for Vacation Leave
-  Personal: "Personal_Leave_Balance", // Field ID for Personal Leave
-  Sick: "Sick_Leave_Balance", // Field ID for Sick Leave
-  Email: "Employee_Email", // Field ID for Email (used for search)
-};
+import { openUserSession } from "./api";
+import { buildHistoryPayload } from "./conversationMemory";
+import {
+  createSession,
+  deleteSession,
+  listSessions,
+  loadSession,
+  updateSession,
+} from "./sessionsApi";
+import SessionSidebar from "./SessionSidebar";
+import CaseReviewForm from "./CaseReviewForm";
+import ToolSteps from "./ToolSteps";
+import CitationSources, { citationMarkdownComponents } from "./CitationSources";
+import { linkCitationMarkers } from "./citations";
+import MessageFeedback from "./MessageFeedback";
+import { sendFeedback } from "./feedbackApi";
+import { intentRouter } from "./intents";
+import { aiMessage } from "./intents/aiMessage";
+import { requestCaseDraft } from "./chatApi";
+import { buildCaseDraft, buildKissflowItem } from "./kissflowCaseItem";
+import { buildLeaveRequestItem } from "./leaveRequest";
+import { getKissflowConfig } from "./kissflowConfig";
+import { createKissflowItems, describeCreateError } from "./kissflowCreateApi";
+import { initializeKissflow } from "./kissflowSdk";
 
 // ===== Kissflow integration config =====
-const KF_POPUP_ID = "Popup_ifoiwDki9p";
-const KISSFLOW_PROCESS_NAME = "Leave_Request_A57";
+// Popup, process, dataset and field IDs live in the deployment config
+// (config/kissflow.json, see kissflowConfig.js)
 const KISSFLOW_CREATE_ITEM_API =
   process.env.REACT_APP_KISSFLOW_CREATE_ITEM_API || "";
 const KISSFLOW_FORM_ID = process.env.REACT_APP_KISSFLOW_FORM_ID || "";
-const KISSFLOW_ACCESS_KEY_ID = process.env.KISSFLOW_ACCESS_KEY_ID || "";
-const KISSFLOW_ACCESS_KEY_SECRET = process.env.KISSFLOW_ACCESS_KEY_SECRET || "";
-
-// ===== Kissflow Field ID Mappings =====
-// TODO: Replace these with actual field IDs from your Kissflow process
-// Go to your process form in Kissflow and get the field IDs by inspecting the form
-const KISSFLOW_FIELD_MAPPING = {
-  Case_Title: "Case_Title", // Replace with actual field ID
-  Case_Type: "Case_Type", // Replace with actual field ID
-  Case_Description: "Case_Description", // Replace with actual field ID
-  AI_Suggestions: "AI_Suggestions", // Replace with actual field ID
-  Solution_Description: "Solution_Description", // Replace with actual field ID
-  Requester_Email: "Requester_Email", // Replace with actual field ID
-};
-
-// ===== Suggested Questions =====
-const SUGGESTED_QUESTIONS = [
-  "เช็ควันลาคงเหลือ",
-  "วันลาพักร้อนเหลือเท่าไหร่",
-  "ลากิจเหลือกี่วัน",
-  "ลาป่วยเหลือเท่าไหร่",
-  "ขอทราบสิทธิ์วันลา",
-];
-
-// ===== System Prompt =====
-const SYSTEM_PROMPT = `คุณคือผู้เชี่ยวชาญด้าน Case Management
-หน้าที่: วิเคราะห์ปัญหา และให้คำแนะนำการจัดการเพื่อแก้ไข
-
-【หลักการตอบ】
-1. ตอบแบบตรงไปตรงมา ไม่ต้องมีคำชำรุดหรือ personality
-2. มุ่งเน้นคำแนะนำเชิงปฏิบัติ (actionable steps) เพื่อแก้ปัญหาในเบื้องต้น
-3. อ้างอิงจากเคสที่คล้ายกัน (ถ้ามี) เพื่อให้การแนะนำมีความน่าเชื่อถือ
-4. ตอบเป็นภาษาไทยเท่านั้น
-5. ไม่ต้องการคำว่า "ยินดี", "ช่วยเหลือ", "ค่อนข้าง", "ประมาณ", ฯลฯ
-
-【รูปแบบคำตอบ】
-ประเมินสถานการณ์ → บ่งชี้สาเหตุเบื้องต้น → แนะนำวิธีแก้ไขขั้นแรก → ระบุขั้นตอนปฏิบัติ
-
-【ข้อห้าม】
-- ห้ามใส่คำลักษณะนาม ความรู้สึก หรือการสื่อสารแบบมนุษย์
-- ห้ามพูดถึงตัวเองหรือบทบาท
-- ห้ามใส่ emoji หรือสัญลักษณ์พิเศษ
-- ห้ามพูดว่า "พบเคสที่คล้ายกัน" ให้เอ่ยถึง "เคส" อย่างตรงไปตรงมา`;
-
-// ===== MERGED API FUNCTIONS FROM SERVER.JS =====
 
 /**
- * Generate answer from OpenAI using case context and chat history
+ * Unique ID for a chat message, used to update a streaming answer in place
  */
-async function generateAnswerFromOpenAI(context, question, chatHistory) {
-  if (!OPENAI_API_KEY) {
-    throw new Error("OPENAI_API_KEY is not configured");
-  }
-
-  const systemPrompt = `คุณคือผู้ช่วย AI สำหรับตรวจสอบวันลาคงเหลือของพนักงาน
-หน้าที่: ตอบคำถามเกี่ยวกับวันลาคงเหลือ โดยใช้ข้อมูลจาก Context ที่ได้รับ
-
-ข้อกำหนดการตอบ:
-1. ตอบเป็นภาษาไทยเท่านั้น
-2. ใช้ข้อมูลตัวเลขจาก Context เท่านั้น ห้ามกุตัวเลขขึ้นมาเอง
-3. ตอบให้ตรงกับสิ่งที่ผู้ใช้งานถาม:
-   - หากถามเจาะจงประเภทวันลา (เช่น "เหลือลาป่วยเท่าไหร่") ให้ตอบเฉพาะประเภทนั้น
-   - หากถามภาพรวม (เช่น "วันลาคงเหลือ", "เหลือวันลาอะไรบ้าง") ให้ตอบทั้งหมด
-4. หากคำถามไม่เกี่ยวข้องกับวันลาคงเหลือ ให้แจ้งกลับอย่างสุภาพว่า "ขออภัย ฉันสามารถให้ข้อมูลได้เฉพาะเรื่องวันลาคงเหลือเท่านั้น"
-5. ตอบสั้น กระชับ ตรงประเด็น`;
-
-  // Filter chatHistory to only include valid messages with role property
-  const validHistory = chatHistory.filter(
-    (msg) => msg && msg.role && msg.content
-  );
-  const recentHistory = validHistory.slice(-4); // Keep last 4 messages
-
-  const messages = [
-    { role: "system", content: systemPrompt },
-    ...recentHistory,
-    { role: "user", content: `Q: ${question}\n${context}` },
-  ];
-
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${OPENAI_API_KEY}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini",
-      temperature: 0.2,
-      messages: messages,
-    }),
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    throw new Error(
-      `LLM API error: ${errorData.error?.message || response.statusText}`
-    );
-  }
-
-  const data = await response.json();
-  const answer = data.choices[0].message.content.trim();
-  return answer;
+function createMessageId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
 }
 
 /**
- * Send Kissflow case data to create new item using native SDK API
+ * Send item data (keyed by Kissflow field IDs) to create and submit a new
+ * item of the given process using native SDK API
  * Uses kf.api() method instead of HTTP REST API
- * IMPORTANT: Update KISSFLOW_FIELD_MAPPING with your actual Kissflow field IDs
+ * IMPORTANT: Update KISSFLOW_FIELD_MAPPING in kissflowCaseItem.js and
+ * LEAVE_REQUEST_FIELDS in leaveRequest.js with your actual field IDs
  */
-async function sendKissflowCreateRequest(getKfFunc, getUserInfoFunc) {
+async function sendKissflowCreateRequest(
+  getKfFunc,
+  getUserInfoFunc,
+  processName,
+  item
+) {
   try {
     // Get Kissflow SDK instance and user info using passed functions
     const kf = await getKfFunc();
@@ -144,10 +64,10 @@ async function sendKissflowCreateRequest(getKfFunc, getUserInfoFunc) {
     const { accountId } = userInfo;
 
     // Format: /process/{processVersion}/{accountId}/{processName}/batch/create/submit
-    const apiEndpoint = `/process/2/${accountId}/${KISSFLOW_PROCESS_NAME}/create/submit`;
+    const apiEndpoint = `/process/2/${accountId}/${processName}/create/submit`;
     const options = {
       method: "POST",
-      body: "{}",
+      body: JSON.stringify(item),
     };
 
     const result = await kf.api(apiEndpoint, options);
@@ -161,10 +81,23 @@ function App() {
   const [messages, setMessages] = useState([]);
   const [input, setInput] = useState("");
   const [isTyping, setIsTyping] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
   const [isDarkMode, setIsDarkMode] = useState(false);
   const [createdItemData, setCreatedItemData] = useState(null);
+  const [caseReview, setCaseReview] = useState(null);
+  const [isSubmittingCase, setIsSubmittingCase] = useState(false);
+  const [isSidebarOpen, setIsSidebarOpen] = useState(
+    () => window.innerWidth > 768
+  );
+  const [sessionUserId, setSessionUserId] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [activeSessionId, setActiveSessionId] = useState(null);
   const messagesEndRef = useRef(null);
   const kfRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  // The first turn's createSession call, so a second turn sent before it
+  // answers saves into the same session instead of creating another
+  const pendingSessionRef = useRef(null);
 
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -178,10 +111,35 @@ function App() {
     }
   }, [isDarkMode]);
 
+  // Load the Kissflow user's saved chat sessions (only available inside Kissflow)
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const userInfo = await getKissflowUserInfo();
+        const { userId } = userInfo;
+        if (cancelled || !userId) return;
+        await openUserSession(
+          await getKf(),
+          userInfo,
+          getKissflowConfig().processes.signIn
+        );
+        if (cancelled) return;
+        setSessionUserId(userId);
+        setSessions(await listSessions(userId));
+      } catch (err) {
+        console.warn("Chat history unavailable:", err.message);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   async function getKf() {
     if (!kfRef.current) {
       try {
-        kfRef.current = await KFSDK.initialize();
+        kfRef.current = await initializeKissflow();
       } catch (err) {
         kfRef.current = null;
       }
@@ -212,144 +170,218 @@ function App() {
   }
 
   /**
-   * Send message handler with short memory (session-only)
-   * - Messages stored in React state only (not persistent)
-   * - Full conversation history passed to LLM for context
-   * - Auto-clears on page refresh or browser close
+   * Send message handler with conversation memory
+   * - Messages stored in React state and saved to the active chat session
+   * - History mapped to model messages; server trims it to a token budget
+   *   and summarizes older turns (see conversationMemory.js)
+   * - AI answer is streamed into its message bubble as tokens arrive
    */
   const sendMessage = async (e) => {
     e.preventDefault();
-    if (!input.trim()) return;
-
-    const userMessage = { text: input, sender: "user", role: "user" };
+    if (!input.trim() || isTyping) return;
+
+    const question = input;
+    const userMessage = {
+      id: createMessageId(),
+      text: question,
+      sender: "user",
+      role: "user",
+    };
+    const aiMessageId = createMessageId();
     setMessages((prev) => [...prev, userMessage]);
     setInput("");
     setIsTyping(true);
+    setIsGenerating(true);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    // Create the AI bubble on the first update, then patch it in place
+    const updateAiMessage = (update) => {
+      setMessages((prev) => {
+        if (!prev.some((m) => m.id === aiMessageId)) {
+          const bubble = {
+            id: aiMessageId,
+            text: "",
+            sender: "ai",
+            role: "assistant",
+            isStreaming: true,
+          };
+          return [...prev, { ...bubble, ...update(bubble) }];
+        }
+        return prev.map((m) =>
+          m.id === aiMessageId ? { ...m, ...update(m) } : m
+        );
+      });
+    };
+
+    const onDelta = (delta) => {
+      updateAiMessage((m) => ({ text: m.text + delta }));
+    };
+
+    // Tool calls show up as "looked up ..." steps, updated when they finish
+    const onToolStep = (step) => {
+      updateAiMessage((m) => {
+        const steps = m.toolSteps || [];
+        return {
+          toolSteps: steps.some((s) => s.id === step.id)
+            ? steps.map((s) => (s.id === step.id ? step : s))
+            : [...steps, step],
+        };
+      });
+    };
+
+    // Knowledge-base sources arrive before the answer text
+    const onCitations = (citations) => {
+      updateAiMessage(() => ({ knowledgeBase: citations }));
+    };
 
     // Pass full conversation history for LLM context
-    const aiResponse = await handleQuestion(input, [...messages]);
-    setMessages((prev) => [...prev, aiResponse]);
+    const aiResponse = await handleQuestion(question, [...messages], {
+      onDelta,
+      onToolStep,
+      onCitations,
+      signal: controller.signal,
+      messageId: aiMessageId,
+    });
+    const finalMessage = { ...aiResponse, id: aiMessageId, isStreaming: false };
+    setMessages((prev) =>
+      prev.some((m) => m.id === aiMessageId)
+        ? prev.map((m) => (m.id === aiMessageId ? finalMessage : m))
+        : [...prev, finalMessage]
+    );
+
+    abortControllerRef.current = null;
+    setIsGenerating(false);
     setIsTyping(false);
+
+    await saveSession([...messages, userMessage, finalMessage]);
+  };
+
+  const stopGenerating = () => {
+    abortControllerRef.current?.abort();
   };
 
   const selectSuggestedQuestion = (question) => {
     setInput(question);
   };
 
+  // ===== Chat Sessions =====
   /**
-   * Fetch user leave data from Kissflow Dataset
+   * Save the conversation to the active session, creating one on the first turn
    */
-  async function fetchUserLeaveData(email) {
+  async function saveSession(nextMessages) {
+    if (!sessionUserId) return;
     try {
-      const kf = await getKf();
-      if (!kf) throw new Error("KF SDK not initialized");
+      const pending = pendingSessionRef.current;
+      const sessionId = activeSessionId || (pending && (await pending).id);
+      if (sessionId) {
+        await updateSession(sessionUserId, sessionId, {
+          messages: nextMessages,
+        });
+      } else {
+        const creating = createSession(sessionUserId, {
+          messages: nextMessages,
+        });
+        pendingSessionRef.current = creating;
+        let session;
+        try {
+          session = await creating;
+        } catch (err) {
+          if (pendingSessionRef.current === creating) {
+            pendingSessionRef.current = null;
+          }
+          throw err;
+        }
+        // Not if the user started a new chat or opened another meanwhile
+        if (pendingSessionRef.current === creating) {
+          setActiveSessionId(session.id);
+        }
+      }
+      setSessions(await listSessions(sessionUserId));
+    } catch (err) {
+      console.error("Failed to save chat session:", err);
+    }
+  }
 
-      const { accountId } = await getKissflowUserInfo();
+  const startNewChat = () => {
+    pendingSessionRef.current = null;
+    setMessages([]);
+    setActiveSessionId(null);
+  };
 
-      // API: /dataset/2/:account_id/:dataset_id/view/:view_id/list
-      const endpoint = `/dataset/2/${accountId}/${LEAVE_DATASET_ID}/view/${LEAVE_VIEW_ID}/list?q=${email}&page_number=1&page_size=10&search_field=${LEAVE_FIELDS.Email}`;
+  async function resumeSession(sessionId) {
+    try {
+      const session = await loadSession(sessionUserId, sessionId);
+      pendingSessionRef.current = null;
+      setMessages(session.messages);
+      setActiveSessionId(session.id);
+    } catch (err) {
+      alert(`ไม่สามารถเปิดประวัติแชทได้: ${err.message}`);
+    }
+  }
 
-      console.log("Fetching leave data from:", endpoint);
-      const response = await kf.api(endpoint, { method: "GET" });
+  async function renameSession(sessionId, title) {
+    try {
+      await updateSession(sessionUserId, sessionId, { title });
+      setSessions(await listSessions(sessionUserId));
+    } catch (err) {
+      alert(`ไม่สามารถเปลี่ยนชื่อแชทได้: ${err.message}`);
+    }
+  }
 
-      // Assuming response is the list of items or contains it
-      // Adjust based on actual API response structure if needed
-      return response.Data || response || [];
+  async function removeSession(sessionId) {
+    try {
+      await deleteSession(sessionUserId, sessionId);
+      if (sessionId === activeSessionId) {
+        startNewChat();
+      }
+      setSessions(await listSessions(sessionUserId));
     } catch (err) {
-      console.error("Error fetching leave data:", err);
-      throw err;
+      alert(`ไม่สามารถลบแชทได้: ${err.message}`);
     }
   }
 
   /**
-   * Main Case Solver Flow with Conversation Context:
-   * - Step 1: Get User Email
-   * - Step 2: Fetch Leave Data from Kissflow Dataset
-   * - Step 3: Format Response
+   * Route the question to the matching chat skill (see intents/index.js)
+   * Each skill streams its answer through streamOptions when it supports it
    */
-  async function handleQuestion(question, chatHistory) {
+  async function handleQuestion(question, chatHistory, streamOptions) {
     try {
-      // Get current user info
-      const userInfo = await getKissflowUserInfo();
-      if (!userInfo.email) {
-        return {
-          text: "ไม่สามารถดึงข้อมูล Email ของคุณได้ กรุณาตรวจสอบการเข้าสู่ระบบ Kissflow",
-          sender: "ai",
-          role: "assistant",
-          knowledgeBase: [],
-          kissflowData: null,
-        };
-      }
-
-      // Fetch leave data
-      const leaveDataList = await fetchUserLeaveData(userInfo.email);
-
-      // Find the record that matches the email exactly (double check)
-      const userRecord =
-        leaveDataList.find(
-          (item) => item[LEAVE_FIELDS.Email] === userInfo.email
-        ) || leaveDataList[0]; // Fallback to first item if search was exact
-
-      if (!userRecord) {
-        return {
-          text: `ไม่พบข้อมูลวันลาสำหรับ Email: ${userInfo.email}`,
-          sender: "ai",
-          role: "assistant",
-          knowledgeBase: [],
-          kissflowData: null,
-        };
-      }
-
-      // Extract balances
-      const vacation = userRecord[LEAVE_FIELDS.Vacation] || 0;
-      const personal = userRecord[LEAVE_FIELDS.Personal] || 0;
-      const sick = userRecord[LEAVE_FIELDS.Sick] || 0;
-
-      // Build context for AI
-      const context = `ข้อมูลวันลาคงเหลือของพนักงาน:
-- ลาพักร้อน: ${vacation} วัน
-- ลากิจ: ${personal} วัน
-- ลาป่วย: ${sick} วัน`;
-
-      // Generate answer using AI
-      const answer = await generateAnswerFromOpenAI(
-        context,
-        question,
-        chatHistory
-      );
-
-      return {
-        text: answer,
-        sender: "ai",
-        role: "assistant",
-        knowledgeBase: [],
-        showCreateButton: true, // Always show button for AI responses
-      };
+      return await intentRouter.handle(question, {
+        chatHistory: buildHistoryPayload(chatHistory),
+        streamOptions,
+        getKf,
+        getUserInfo: getKissflowUserInfo,
+      });
     } catch (err) {
+      // Rate limit / quota messages are written for the employee as they are
+      if (err?.userMessage) {
+        return aiMessage(err.userMessage, { isError: true });
+      }
       const msg = err instanceof Error ? err.message : "Unknown error";
-      return {
-        text: `เกิดข้อผิดพลาดในการดึงข้อมูล: ${msg}`,
-        sender: "ai",
-        role: "assistant",
-        knowledgeBase: [],
-        showCreateButton: false,
-      };
+      return aiMessage(`เกิดข้อผิดพลาดในการดึงข้อมูล: ${msg}`, {
+        isError: true,
+      });
     }
   }
+
   // ===== Kissflow opener =====
   async function openInKissflow(instanceData) {
     // instanceData: Object with _id and _activity_instance_id from creation response
-    // Maps to Kissflow popup parameters: leavereqpopupinsid and leavereqpopupatvid
+    // Maps to the popup parameters named in the deployment config (popups.item)
+    const popup = getKissflowConfig().popups.item;
 
     let popupParameters = {};
 
     if (typeof instanceData === "object" && instanceData !== null) {
       // Map response fields to Kissflow popup parameter names
       if (instanceData._id) {
-        popupParameters.leavereqpopupinsid = instanceData._id;
+        popupParameters[popup.instanceIdParam] = instanceData._id;
       }
       if (instanceData._activity_instance_id) {
-        popupParameters.leavereqpopupatvid = instanceData._activity_instance_id;
+        popupParameters[popup.activityInstanceIdParam] =
+          instanceData._activity_instance_id;
       }
     }
 
@@ -368,38 +400,105 @@ function App() {
     }
 
     try {
-      await kf.app.page.openPopup(KF_POPUP_ID, popupParameters);
+      await kf.app.page.openPopup(popup.id, popupParameters);
     } catch (err) {
       alert("เปิด popup ไม่สำเร็จ: " + (err?.message || "unknown error"));
     }
   }
 
+  /**
+   * Store a thumbs up/down for an answer (the server adds the question,
+   * retrieved cases, model and prompt version it recorded for the message),
+   * and remember the vote on the message so it survives a session reload
+   */
+  async function submitFeedback(msg, feedback) {
+    try {
+      await sendFeedback(sessionUserId, {
+        ...feedback,
+        messageId: msg.id,
+        sessionId: activeSessionId,
+        intent: msg.intent,
+      });
+    } catch (err) {
+      alert(`ส่งความคิดเห็นไม่สำเร็จ: ${err.message}`);
+      return;
+    }
+
+    const nextMessages = messages.map((m) =>
+      m.id === msg.id ? { ...m, feedback } : m
+    );
+    setMessages(nextMessages);
+    await saveSession(nextMessages);
+  }
+
+  // Source case behind an answer citation
+  function openCitedCase(citation) {
+    openInKissflow({ _id: citation.instanceID });
+  }
+
   // ===== Kissflow Create New Item =====
-  async function createNewItemInKissflow() {
+  /**
+   * Open the review form for the case data behind an AI message
+   * Messages without generated case data (e.g. leave answers) get a fresh
+   * draft from the question they answered
+   */
+  async function reviewNewItem(msg) {
     try {
       setIsTyping(true);
 
       // Verify Kissflow SDK is available
       const kf = await getKf();
       if (!kf) {
-        setIsTyping(false);
         alert(
           "Kissflow SDK not available. This feature must be accessed from within Kissflow."
         );
-        return null;
+        return;
       }
 
-      // Create item using native Kissflow SDK API
-      const result = await sendKissflowCreateRequest(
-        getKf,
-        getKissflowUserInfo
+      const { email } = await getKissflowUserInfo();
+
+      let caseData = msg.kissflowData;
+      if (!caseData) {
+        const msgIndex = messages.indexOf(msg);
+        const history = messages.slice(0, msgIndex);
+        const question = history.filter((m) => m.sender === "user").pop();
+        caseData = await requestCaseDraft(
+          question?.text || msg.text,
+          buildHistoryPayload(history)
+        );
+      }
+
+      setCaseReview({
+        messageId: msg.id,
+        values: buildCaseDraft(caseData, email),
+      });
+    } catch (err) {
+      alert(`❌ ไม่สามารถเตรียมข้อมูล New Item ได้:\n${err.message}`);
+    } finally {
+      setIsTyping(false);
+    }
+  }
+
+  /**
+   * Create the reviewed case through the server proxy
+   * The message ID is the idempotency key: submitting the same message twice
+   * returns the item created the first time
+   */
+  async function createNewItemInKissflow(caseDraft, messageId) {
+    try {
+      setIsSubmittingCase(true);
+
+      const [result] = await createKissflowItems(
+        [buildKissflowItem(caseDraft)],
+        { idempotencyKey: messageId }
       );
+      if (!result) {
+        throw new Error("Kissflow ไม่ได้ส่งข้อมูล Request ที่สร้างกลับมา");
+      }
 
       // Store created item data for future use
       setCreatedItemData(result);
-
-      // Unlock chat immediately
-      setIsTyping(false);
+      setCaseReview(null);
 
       // Open Kissflow popup directly (no browser alert on success)
       if (result._id || result._activity_instance_id) {
@@ -411,10 +510,49 @@ function App() {
 
       return result;
     } catch (err) {
-      // Show error alert only on failure
-      setIsTyping(false);
-      alert(`❌ ไม่สามารถสร้าง New Item ได้:\n${err.message}`);
+      // Show error alert only on failure; the form stays open for a retry
+      alert(`❌ ไม่สามารถสร้าง New Item ได้:\n${describeCreateError(err)}`);
       return null;
+    } finally {
+      setIsSubmittingCase(false);
+    }
+  }
+
+  // ===== Kissflow Leave Request =====
+  /**
+   * Create the leave request drafted in an AI message and open it in Kissflow
+   * The message remembers the created item so it is not filed twice
+   */
+  async function submitLeaveRequest(msg) {
+    try {
+      setIsTyping(true);
+
+      const { email } = await getKissflowUserInfo();
+      const { days, ...draft } = msg.leaveRequest;
+      const result = await sendKissflowCreateRequest(
+        getKf,
+        getKissflowUserInfo,
+        getKissflowConfig().processes.leaveRequest.id,
+        buildLeaveRequestItem(draft, days, email)
+      );
+
+      const leaveRequest = { ...msg.leaveRequest, instanceId: result._id };
+      const nextMessages = messages.map((m) =>
+        m === msg ? { ...m, leaveRequest } : m
+      );
+      setMessages(nextMessages);
+      setIsTyping(false);
+
+      if (result._id || result._activity_instance_id) {
+        setTimeout(() => {
+          openInKissflow(result).catch(() => {});
+        }, 100);
+      }
+
+      await saveSession(nextMessages);
+    } catch (err) {
+      setIsTyping(false);
+      alert(`❌ ไม่สามารถยื่นใบลาได้:\n${err.message}`);
     }
   }
 
@@ -422,6 +560,25 @@ function App() {
   return (
     <div className="App">
       <div className="chat-header">
+        <button
+          className="sidebar-toggle-btn"
+          onClick={() => setIsSidebarOpen(!isSidebarOpen)}
+          title={isSidebarOpen ? "ซ่อนประวัติแชท" : "แสดงประวัติแชท"}
+          aria-label="Toggle chat history"
+        >
+          <svg
+            width="20"
+            height="20"
+            viewBox="0 0 24 24"
+            fill="none"
+            stroke="currentColor"
+            strokeWidth="2"
+          >
+            <line x1="3" y1="6" x2="21" y2="6"></line>
+            <line x1="3" y1="12" x2="21" y2="12"></line>
+            <line x1="3" y1="18" x2="21" y2="18"></line>
+          </svg>
+        </button>
         <div className="header-title">Nong Cassy AI Assistant</div>
         <button
           className="theme-toggle-btn"
@@ -462,108 +619,222 @@ function App() {
         </button>
       </div>
 
-      <div className="chat-container">
-        <div className="chat-messages">
-          {messages.map((msg, idx) => (
-            <div key={idx} className={`message-row ${msg.sender}-row`}>
-              <div className="message-avatar">
-                {msg.sender === "user" ? (
-                  <div className="avatar user-avatar">U</div>
-                ) : (
-                  <div className="avatar ai-avatar">AI</div>
-                )}
-              </div>
-              <div className={`message-bubble ${msg.sender}-message`}>
-                <div className="message-text">
-                  <ReactMarkdown>{msg.text}</ReactMarkdown>
+      <div className="app-body">
+        {isSidebarOpen && (
+          <SessionSidebar
+            sessions={sessions}
+            activeSessionId={activeSessionId}
+            isAvailable={Boolean(sessionUserId)}
+            disabled={isTyping}
+            onNewChat={startNewChat}
+            onSelect={resumeSession}
+            onRename={renameSession}
+            onDelete={removeSession}
+          />
+        )}
+
+        <div className="chat-container">
+          <div className="chat-messages">
+            {messages.map((msg, idx) => (
+              <div key={idx} className={`message-row ${msg.sender}-row`}>
+                <div className="message-avatar">
+                  {msg.sender === "user" ? (
+                    <div className="avatar user-avatar">U</div>
+                  ) : (
+                    <div className="avatar ai-avatar">AI</div>
+                  )}
                 </div>
-
-                {msg.sender === "ai" && msg.showCreateButton && (
-                  <div className="refs-inline">
-                    <div className="refs-inline-header">
-                      <strong>ต้องการสร้าง Request ใน Kissflow หรือไม่?</strong>
-                      <button
-                        type="button"
-                        className="refs-create-new"
-                        onClick={() =>
-                          createNewItemInKissflow({
-                            Case_Title: "New Case from AI Chat",
-                            Case_Type: "Customer Service",
-                            Case_Description: "Created via AI Chat",
-                            AI_Suggestions: "",
-                            Solution_Description: "",
-                          })
-                        }
-                        title="Create new case from this response"
+                <div className={`message-bubble ${msg.sender}-message`}>
+                  {msg.sender === "ai" && msg.toolSteps?.length > 0 && (
+                    <ToolSteps steps={msg.toolSteps} />
+                  )}
+
+                  <div className="message-text">
+                    {msg.sender === "ai" && msg.knowledgeBase?.length > 0 ? (
+                      <ReactMarkdown
+                        components={citationMarkdownComponents(
+                          msg.knowledgeBase,
+                          openCitedCase
+                        )}
                       >
-                        ➕ New Item
-                      </button>
-                    </div>
+                        {linkCitationMarkers(msg.text, msg.knowledgeBase)}
+                      </ReactMarkdown>
+                    ) : (
+                      <ReactMarkdown>{msg.text}</ReactMarkdown>
+                    )}
                   </div>
-                )}
-              </div>
-            </div>
-          ))}
 
-          {isTyping && (
-            <div className="typing-indicator">
-              <span></span>
-              <span></span>
-              <span></span>
-            </div>
-          )}
-          <div ref={messagesEndRef} />
-        </div>
+                  {msg.sender === "ai" && msg.stopped && (
+                    <div className="message-stopped">หยุดการสร้างคำตอบแล้ว</div>
+                  )}
+
+                  {msg.sender === "ai" && msg.knowledgeBase?.length > 0 && (
+                    <CitationSources
+                      citations={msg.knowledgeBase}
+                      onOpen={openCitedCase}
+                    />
+                  )}
+
+                  {msg.sender === "ai" && msg.leaveRequest && (
+                    <div className="refs-inline">
+                      <div className="refs-inline-header">
+                        <strong>
+                          {msg.leaveRequest.instanceId
+                            ? "ยื่นใบลาใน Kissflow แล้ว"
+                            : "ต้องการยื่นใบลานี้ใน Kissflow หรือไม่?"}
+                        </strong>
+                        {msg.leaveRequest.instanceId ? (
+                          <button
+                            type="button"
+                            className="refs-create-new"
+                            onClick={() =>
+                              openInKissflow({
+                                _id: msg.leaveRequest.instanceId,
+                              })
+                            }
+                          >
+                            เปิดใบลา
+                          </button>
+                        ) : (
+                          <button
+                            type="button"
+                            className="refs-create-new"
+                            onClick={() => submitLeaveRequest(msg)}
+                            disabled={isTyping}
+                            title="Create leave request in Kissflow"
+                          >
+                            📝 ยื่นใบลา
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  )}
+
+                  {msg.sender === "ai" && msg.showCreateButton && (
+                    <div className="refs-inline">
+                      <div className="refs-inline-header">
+                        <strong>
+                          ต้องการสร้าง Request ใน Kissflow หรือไม่?
+                        </strong>
+                        <button
+                          type="button"
+                          className="refs-create-new"
+                          onClick={() => reviewNewItem(msg)}
+                          disabled={isTyping}
+                          title="Create new case from this response"
+                        >
+                          ➕ New Item
+                        </button>
+                      </div>
+                    </div>
+                  )}
+
+                  {msg.sender === "ai" &&
+                    msg.id &&
+                    !msg.isStreaming &&
+                    !msg.isError &&
+                    msg.text && (
+                      <MessageFeedback
+                        feedback={msg.feedback}
+                        disabled={isTyping}
+                        onSubmit={(feedback) => submitFeedback(msg, feedback)}
+                      />
+                    )}
+                </div>
+              </div>
+            ))}
 
-        <form onSubmit={sendMessage} className="chat-input-form">
-          <textarea
-            value={input}
-            onChange={(e) => setInput(e.target.value)}
-            onKeyDown={(e) => {
-              if (e.key === "Enter" && !e.shiftKey) {
-                e.preventDefault();
-                sendMessage(e);
-              }
-            }}
-            placeholder="พิมพ์คำถามของคุณที่นี่... (Shift+Enter สำหรับบรรทัดใหม่)"
-            disabled={isTyping}
-            rows="3"
-            className="chat-input-textarea"
-          />
-          <button type="submit" disabled={isTyping} aria-label="Send">
-            <svg
-              xmlns="http://www.w3.org/2000/svg"
-              width="24"
-              height="24"
-              viewBox="0 0 24 24"
-              fill="none"
-              stroke="currentColor"
-              strokeWidth="2"
-              strokeLinecap="round"
-              strokeLinejoin="round"
-            >
-              <line x1="22" y1="2" x2="11" y2="13"></line>
-              <polygon points="22 2 15 22 11 13 2 9 22 2"></polygon>
-            </svg>
-          </button>
-        </form>
+            {isTyping && !messages.some((m) => m.isStreaming) && (
+              <div className="typing-indicator">
+                <span></span>
+                <span></span>
+                <span></span>
+              </div>
+            )}
+            <div ref={messagesEndRef} />
+          </div>
 
-        <div className="suggested-questions-wrapper">
-          <p className="suggested-questions-label">แนะนำคำถาม</p>
-          <div className="suggested-questions-grid">
-            {SUGGESTED_QUESTIONS.map((question, idx) => (
+          <form onSubmit={sendMessage} className="chat-input-form">
+            <textarea
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && !e.shiftKey) {
+                  e.preventDefault();
+                  sendMessage(e);
+                }
+              }}
+              placeholder="พิมพ์คำถามของคุณที่นี่... (Shift+Enter สำหรับบรรทัดใหม่)"
+              disabled={isTyping}
+              rows="3"
+              className="chat-input-textarea"
+            />
+            {isGenerating ? (
               <button
-                key={idx}
                 type="button"
-                className="suggested-question-btn"
-                onClick={() => selectSuggestedQuestion(question)}
+                className="stop-generating-btn"
+                onClick={stopGenerating}
+                aria-label="Stop"
+                title="หยุดการสร้างคำตอบ"
               >
-                {question}
+                <svg
+                  xmlns="http://www.w3.org/2000/svg"
+                  width="24"
+                  height="24"
+                  viewBox="0 0 24 24"
+                  fill="currentColor"
+                >
+                  <rect x="6" y="6" width="12" height="12" rx="2"></rect>
+                </svg>
               </button>
-            ))}
+            ) : (
+              <button type="submit" disabled={isTyping} aria-label="Send">
+                <svg
+                  xmlns="http://www.w3.org/2000/svg"
+                  width="24"
+                  height="24"
+                  viewBox="0 0 24 24"
+                  fill="none"
+                  stroke="currentColor"
+                  strokeWidth="2"
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                >
+                  <line x1="22" y1="2" x2="11" y2="13"></line>
+                  <polygon points="22 2 15 22 11 13 2 9 22 2"></polygon>
+                </svg>
+              </button>
+            )}
+          </form>
+
+          <div className="suggested-questions-wrapper">
+            <p className="suggested-questions-label">แนะนำคำถาม</p>
+            <div className="suggested-questions-grid">
+              {intentRouter.suggestedQuestions.map((question, idx) => (
+                <button
+                  key={idx}
+                  type="button"
+                  className="suggested-question-btn"
+                  onClick={() => selectSuggestedQuestion(question)}
+                >
+                  {question}
+                </button>
+              ))}
+            </div>
           </div>
         </div>
       </div>
+
+      {caseReview && (
+        <CaseReviewForm
+          initialValues={caseReview.values}
+          isSubmitting={isSubmittingCase}
+          onSubmit={(values) =>
+            createNewItemInKissflow(values, caseReview.messageId)
+          }
+          onCancel={() => setCaseReview(null)}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,77 @@
+import React, { useState } from "react";
+import { getCaseFormFields } from "./kissflowCaseItem";
+
+/**
+ * Pre-submit review of the AI-drafted Kissflow request
+ * Every field can be edited before the item is created (except the requester)
+ */
+function CaseReviewForm({ initialValues, isSubmitting, onSubmit, onCancel }) {
+  const [values, setValues] = useState(initialValues);
+  const fields = getCaseFormFields();
+  const missingRequired = fields.some(
+    (field) => field.required && !values[field.name]?.trim()
+  );
+
+  const setField = (name, value) => {
+    setValues((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    onSubmit(values);
+  };
+
+  return (
+    <div className="case-review-overlay">
+      <form className="case-review-form" onSubmit={submit}>
+        <h2>ตรวจสอบข้อมูลก่อนสร้าง Request</h2>
+
+        {fields.map((field) => {
+          const inputProps = {
+            id: `case-review-${field.name}`,
+            value: values[field.name],
+            onChange: (e) => setField(field.name, e.target.value),
+            readOnly: field.readOnly,
+            required: field.required,
+            maxLength: field.maxLength,
+            disabled: isSubmitting,
+          };
+
+          return (
+            <label key={field.name} htmlFor={inputProps.id}>
+              <span>{field.label}</span>
+              {field.options ? (
+                <select {...inputProps}>
+                  {field.options.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              ) : field.multiline ? (
+                <textarea rows="3" {...inputProps} />
+              ) : (
+                <input type="text" {...inputProps} />
+              )}
+            </label>
+          );
+        })}
+
+        <div className="case-review-actions">
+          <button type="button" onClick={onCancel} disabled={isSubmitting}>
+            ยกเลิก
+          </button>
+          <button
+            type="submit"
+            className="case-review-submit"
+            disabled={isSubmitting || missingRequired}
+          >
+            {isSubmitting ? "กำลังสร้าง..." : "สร้าง Request"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default CaseReviewForm;
@@ -0,0 +1,76 @@
+import React from "react";
+import { findCitation, formatCertainty } from "./citations";
+
+/**
+ * Sources panel under a knowledge-base answer: one row per cited case,
+ * opening the original Kissflow item when it has an instance ID
+ */
+function CitationSources({ citations, onOpen }) {
+  return (
+    <div className="refs-inline">
+      <div className="refs-inline-header">
+        <strong>แหล่งที่มา</strong>
+      </div>
+      <ul className="refs-inline-list">
+        {citations.map((citation) => (
+          <li key={citation.index} className="refs-inline-item">
+            <span className="citation-index">[{citation.index}]</span>
+            <div className="refs-inline-meta">
+              <div className="refs-inline-title">
+                {citation.caseNumber} • {citation.title || "Untitled"}
+              </div>
+              <div className="refs-inline-sub">
+                {citation.type || "-"} • ความคล้าย{" "}
+                {formatCertainty(citation.certainty)}
+              </div>
+            </div>
+            <button
+              type="button"
+              className="refs-open-one"
+              onClick={() => onOpen(citation)}
+              disabled={!citation.instanceID}
+              title={
+                citation.instanceID
+                  ? "เปิดเคสต้นฉบับใน Kissflow"
+                  : "เคสนี้ไม่มี instance ID ใน Kissflow"
+              }
+            >
+              เปิด
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * react-markdown `components` that render [n] links (see
+ * linkCitationMarkers) as buttons opening the cited case
+ */
+export function citationMarkdownComponents(citations, onOpen) {
+  return {
+    a({ href, children, node, ...props }) {
+      const citation = findCitation(href, citations);
+      if (!citation) {
+        return (
+          <a href={href} {...props}>
+            {children}
+          </a>
+        );
+      }
+      return (
+        <button
+          type="button"
+          className="citation-marker"
+          onClick={() => onOpen(citation)}
+          title={`${citation.caseNumber} • ${citation.title || ""}`}
+        >
+          {citation.index}
+        </button>
+      );
+    },
+  };
+}
+
+export default CitationSources;
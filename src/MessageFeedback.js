@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { FEEDBACK_REASONS } from "./feedbackReasons";
+
+/**
+ * Thumbs up/down under an AI answer
+ * - Thumbs up is sent straight away
+ * - Thumbs down first asks for optional reason tags and a comment
+ * - feedback: the vote already given ({ rating, reasons }), if any
+ */
+function MessageFeedback({ feedback, disabled, onSubmit }) {
+  const [isExplaining, setIsExplaining] = useState(false);
+  const [reasons, setReasons] = useState([]);
+  const [comment, setComment] = useState("");
+
+  const toggleReason = (reason) => {
+    setReasons((prev) =>
+      prev.includes(reason)
+        ? prev.filter((r) => r !== reason)
+        : [...prev, reason]
+    );
+  };
+
+  const submitDown = (e) => {
+    e.preventDefault();
+    onSubmit({ rating: "down", reasons, comment: comment.trim() });
+    setIsExplaining(false);
+  };
+
+  return (
+    <div className="message-feedback">
+      <div className="message-feedback-buttons">
+        <button
+          type="button"
+          className="feedback-btn"
+          aria-pressed={feedback?.rating === "up"}
+          onClick={() => {
+            setIsExplaining(false);
+            onSubmit({ rating: "up", reasons: [], comment: "" });
+          }}
+          disabled={disabled}
+          title="คำตอบนี้มีประโยชน์"
+        >
+          👍
+        </button>
+        <button
+          type="button"
+          className="feedback-btn"
+          aria-pressed={feedback?.rating === "down"}
+          onClick={() => setIsExplaining((open) => !open)}
+          disabled={disabled}
+          title="คำตอบนี้ไม่มีประโยชน์"
+        >
+          👎
+        </button>
+        {feedback && !isExplaining && (
+          <span className="message-feedback-thanks">
+            ขอบคุณสำหรับความคิดเห็น
+          </span>
+        )}
+      </div>
+
+      {isExplaining && (
+        <form className="message-feedback-form" onSubmit={submitDown}>
+          <div className="message-feedback-reasons">
+            {Object.entries(FEEDBACK_REASONS).map(([reason, label]) => (
+              <button
+                key={reason}
+                type="button"
+                className="feedback-reason"
+                aria-pressed={reasons.includes(reason)}
+                onClick={() => toggleReason(reason)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <input
+            type="text"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="รายละเอียดเพิ่มเติม (ไม่บังคับ)"
+            maxLength={1000}
+          />
+          <button type="submit" className="refs-open-one" disabled={disabled}>
+            ส่ง
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default MessageFeedback;
@@ -0,0 +1,123 @@
+import React, { useState } from "react";
+
+/**
+ * Sidebar listing the user's past chat sessions
+ * - Start a new chat, resume, rename (inline) and delete sessions
+ * - Sessions are only available when the page runs inside Kissflow
+ */
+function SessionSidebar({
+  sessions,
+  activeSessionId,
+  isAvailable,
+  disabled,
+  onNewChat,
+  onSelect,
+  onRename,
+  onDelete,
+}) {
+  const [editingId, setEditingId] = useState(null);
+  const [draftTitle, setDraftTitle] = useState("");
+
+  const startRename = (session) => {
+    setEditingId(session.id);
+    setDraftTitle(session.title);
+  };
+
+  const submitRename = (e) => {
+    e.preventDefault();
+    if (draftTitle.trim()) {
+      onRename(editingId, draftTitle.trim());
+    }
+    setEditingId(null);
+  };
+
+  const confirmDelete = (session) => {
+    if (window.confirm(`ลบแชท "${session.title}" ใช่หรือไม่?`)) {
+      onDelete(session.id);
+    }
+  };
+
+  return (
+    <aside className="session-sidebar">
+      <button
+        type="button"
+        className="session-new-btn"
+        onClick={onNewChat}
+        disabled={disabled}
+      >
+        ＋ แชทใหม่
+      </button>
+
+      {!isAvailable ? (
+        <p className="session-empty">
+          ประวัติแชทใช้ได้เมื่อเปิดจาก Custom Page ภายใน Kissflow
+        </p>
+      ) : sessions.length === 0 ? (
+        <p className="session-empty">ยังไม่มีประวัติแชท</p>
+      ) : (
+        <ul className="session-list">
+          {sessions.map((session) => (
+            <li
+              key={session.id}
+              className={`session-item ${
+                session.id === activeSessionId ? "active" : ""
+              }`}
+            >
+              {editingId === session.id ? (
+                <form onSubmit={submitRename} className="session-rename-form">
+                  <input
+                    value={draftTitle}
+                    onChange={(e) => setDraftTitle(e.target.value)}
+                    onBlur={submitRename}
+                    onKeyDown={(e) => e.key === "Escape" && setEditingId(null)}
+                    maxLength={80}
+                    autoFocus
+                  />
+                </form>
+              ) : (
+                <>
+                  <button
+                    type="button"
+                    className="session-select-btn"
+                    onClick={() => onSelect(session.id)}
+                    disabled={disabled}
+                    title={session.title}
+                  >
+                    <span className="session-title">{session.title}</span>
+                    <span className="session-meta">
+                      {new Date(session.updatedAt).toLocaleString("th-TH", {
+                        dateStyle: "short",
+                        timeStyle: "short",
+                      })}
+                    </span>
+                  </button>
+                  <div className="session-actions">
+                    <button
+                      type="button"
+                      onClick={() => startRename(session)}
+                      title="เปลี่ยนชื่อ"
+                      aria-label="Rename"
+                    >
+                      ✎
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => confirmDelete(session)}
+                      disabled={disabled}
+                      title="ลบ"
+                      aria-label="Delete"
+                    >
+                      🗑
+                    </button>
+                  </div>
+                </>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
+
+export default SessionSidebar;
@@ -0,0 +1,34 @@
+import React from "react";
+import { KISSFLOW_TOOLS } from "./kissflowTools";
+
+const STATUS_ICONS = { running: "⏳", done: "🔎", error: "⚠️" };
+
+/**
+ * Collapsible "looked up ..." list for the Kissflow tool calls behind an answer
+ * Expanding a step shows the arguments and the (trimmed) result the model saw
+ */
+function ToolSteps({ steps }) {
+  return (
+    <div className="tool-steps">
+      {steps.map((step) => (
+        <details key={step.id} className={`tool-step ${step.status}`}>
+          <summary>
+            {STATUS_ICONS[step.status]} ค้นหา{" "}
+            {KISSFLOW_TOOLS[step.name]?.label || step.name}
+            {step.status === "running" && "..."}
+            {step.status === "error" && " (ไม่สำเร็จ)"}
+          </summary>
+          {step.arguments && step.arguments !== "{}" && (
+            <pre>{step.arguments}</pre>
+          )}
+          {step.status === "done" && (
+            <pre>{JSON.stringify(step.result, null, 2)}</pre>
+          )}
+          {step.status === "error" && <pre>{step.error}</pre>}
+        </details>
+      ))}
+    </div>
+  );
+}
+
+export default ToolSteps;
@@ -0,0 +1,90 @@
+// ===== Server API =====
+// All model calls go through server.js so no provider key ever reaches the bundle
+export const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || "";
+// Signed page token from `npm run auth -- page-token` (see server/auth.js)
+const API_TOKEN = process.env.REACT_APP_API_TOKEN || "";
+// User token from openUserSession, used instead of the page token once set
+let userToken = null;
+
+/**
+ * Credentials sent with every request to server.js
+ */
+export function authHeaders() {
+  const token = userToken || API_TOKEN;
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * Error for a non-2xx response from server.js
+ * - status: HTTP status
+ * - code: the server's error code, when it sent one (e.g. the Kissflow
+ *   create failures in kissflowCreateApi.js)
+ * - userMessage: set when the server's message is meant for the employee
+ *   (429: rate limit or usage quota reached, already in Thai)
+ */
+export function apiError(message, status, data = {}) {
+  const err = new Error(message);
+  err.status = status;
+  if (data.code) {
+    err.code = data.code;
+  }
+  if (status === 429 && data.error) {
+    err.userMessage = data.error;
+  }
+  return err;
+}
+
+/**
+ * JSON request to server.js
+ * Throws an apiError carrying the server's `error` message on non-2xx
+ * responses
+ */
+export async function requestJson(
+  path,
+  { method = "GET", body, headers } = {}
+) {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      ...authHeaders(),
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw apiError(data.error || response.statusText, response.status, data);
+  }
+  return data;
+}
+
+/**
+ * Exchange the page token for a token of the Kissflow user, so sessions,
+ * feedback and Kissflow lookups act for that user (see server/authRoutes.js)
+ * The page proves who the user is by creating an item holding the server's
+ * challenge in the sign-in process (processes.signIn) through the SDK, which
+ * only the signed-in user's Kissflow session can do as that user
+ */
+export async function openUserSession(kf, { userId, accountId }, signIn) {
+  const { challenge, nonce } = await requestJson("/api/auth/challenge", {
+    method: "POST",
+  });
+
+  // No challenge: authentication is off and the page names its user
+  let body = { userId };
+  if (challenge) {
+    const proof = await kf.api(`/process/2/${accountId}/${signIn.id}/create`, {
+      method: "POST",
+      body: JSON.stringify({ [signIn.fields.challenge]: nonce }),
+    });
+    body = { challenge, proofItemId: proof._id };
+  }
+
+  const { token } = await requestJson("/api/auth/session", {
+    method: "POST",
+    body,
+  });
+  userToken = token;
+}
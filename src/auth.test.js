@@ -0,0 +1,335 @@
+/**
+ * @jest-environment node
+ */
+// API authentication: page tokens, JWTs, API keys and CORS
+import kissflowConfig from "../config/kissflow.json";
+import CASE_FIXTURES from "./mocks/fixtures/cases.json";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../server");
+const { issuePageToken, loadAuthConfig, signToken } = require("../server/auth");
+const { createMockServices } = require("../server/mocks");
+const { createFileSessionStore } = require("../server/sessionStore");
+
+let server;
+let baseUrl;
+let sessionDir;
+let kissflow;
+
+const auth = loadAuthConfig({
+  AUTH_PAGE_SECRET: "page-secret",
+  AUTH_JWT_SECRET: "jwt-secret",
+  AUTH_JWT_ISSUER: "hr-portal",
+  AUTH_API_KEYS: "reporting:key-123",
+  CORS_ORIGINS: "https://acme.kissflow.com",
+});
+
+const pageToken = issuePageToken("page-secret", { days: 1 });
+const userJwt = (claims = {}) =>
+  signToken(
+    {
+      sub: "user-42",
+      email: "somchai@example.com",
+      iss: "hr-portal",
+      exp: Math.floor(Date.now() / 1000) + 60,
+      ...claims,
+    },
+    "jwt-secret"
+  );
+
+function get(pathname, headers = {}) {
+  return fetch(`${baseUrl}${pathname}`, { headers });
+}
+
+function post(pathname, body, headers = {}) {
+  return fetch(`${baseUrl}${pathname}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), "auth-sessions-"));
+  const services = createMockServices(kissflowConfig);
+  // The fake SDK shares its data with the server's fake REST API
+  ({ kissflow } = services);
+  const app = createApp({
+    ...services,
+    kissflowConfig,
+    sessionStore: createFileSessionStore(sessionDir),
+    auth,
+  });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  fs.rmSync(sessionDir, { recursive: true, force: true });
+  await new Promise((resolve) => server.close(resolve));
+  console.log.mockRestore();
+});
+
+test("rejects requests without valid credentials", async () => {
+  const anonymous = await post("/api/chat", { question: "วันลาคงเหลือ" });
+  expect(anonymous.status).toBe(401);
+
+  const forged = signToken({ aud: "kissflow-page" }, "guessed-secret");
+  const responses = await Promise.all([
+    post("/api/chat", { question: "hi" }, bearer(forged)),
+    post("/api/chat", { question: "hi" }, bearer(userJwt({ exp: 1 }))),
+    post("/api/chat", { question: "hi" }, bearer(userJwt({ exp: undefined }))),
+    post("/api/chat", { question: "hi" }, bearer(userJwt({ iss: "other" }))),
+    post("/api/chat", { question: "hi" }, bearer("not-a-token")),
+    post("/api/chat", { question: "hi" }, { "X-API-Key": "key-999" }),
+  ]);
+  expect(await Promise.all(responses.map((r) => r.json()))).toEqual([
+    { error: "Invalid token signature" },
+    { error: "Token expired" },
+    { error: "Token has no expiry" },
+    { error: "Token issuer mismatch" },
+    { error: "Malformed token" },
+    { error: "Invalid API key" },
+  ]);
+
+  // Admin routes keep their own admin token check
+  expect((await get("/api/prompts")).status).toBe(503);
+});
+
+// Sign-in item created through the signed-in user's Kissflow SDK session
+async function createSignInItem(nonce) {
+  const { signIn } = kissflowConfig.processes;
+  const { _id } = await kissflow.api(
+    `/process/2/${kissflow.account._id}/${signIn.id}/create`,
+    {
+      method: "POST",
+      body: JSON.stringify({ [signIn.fields.challenge]: nonce }),
+    }
+  );
+  return _id;
+}
+
+async function newChallenge() {
+  return (await post("/api/auth/challenge", {}, bearer(pageToken))).json();
+}
+
+test("opens user sessions only for the user who proved it in Kissflow", async () => {
+  // The shared page token names no user, whatever X-User-Id says
+  const spoofed = await get("/api/sessions", {
+    ...bearer(pageToken),
+    "X-User-Id": "Us_mock_somchai",
+  });
+  expect(spoofed.status).toBe(401);
+
+  // A bare user ID is no proof
+  const bare = await post(
+    "/api/auth/session",
+    { userId: "Us_mock_somchai" },
+    bearer(pageToken)
+  );
+  expect(bare.status).toBe(400);
+
+  // Someone else's sign-in item does not hold this challenge
+  const { challenge, nonce } = await newChallenge();
+  const other = await newChallenge();
+  const otherItem = await createSignInItem(other.nonce);
+  const mismatched = await post(
+    "/api/auth/session",
+    { challenge, proofItemId: otherItem },
+    bearer(pageToken)
+  );
+  expect(mismatched.status).toBe(401);
+
+  const forged = await post(
+    "/api/auth/session",
+    {
+      challenge: signToken(
+        { aud: "kissflow-challenge", nonce, exp: 9999999999 },
+        "guessed-secret"
+      ),
+      proofItemId: await createSignInItem(nonce),
+    },
+    bearer(pageToken)
+  );
+  expect(await forged.json()).toEqual({
+    error: "Invalid challenge: Invalid token signature",
+  });
+
+  const unknown = await post(
+    "/api/auth/session",
+    { challenge, proofItemId: "Pk_nothing" },
+    bearer(pageToken)
+  );
+  expect(unknown.status).toBe(401);
+
+  const proofItemId = await createSignInItem(nonce);
+  const opened = await post(
+    "/api/auth/session",
+    { challenge, proofItemId },
+    bearer(pageToken)
+  );
+  const { token, user } = await opened.json();
+  // Email and name come from Kissflow, not from the page
+  expect(user).toEqual({
+    userId: "Us_mock_somchai",
+    email: "somchai@example.com",
+    name: "สมชาย ใจดี",
+  });
+
+  // A challenge opens one session
+  const replayed = await post(
+    "/api/auth/session",
+    { challenge, proofItemId },
+    bearer(pageToken)
+  );
+  expect(await replayed.json()).toEqual({
+    error: "This challenge was already used",
+  });
+
+  // Only the page token opens sessions
+  const fromJwt = await post(
+    "/api/auth/session",
+    { challenge, proofItemId },
+    bearer(userJwt())
+  );
+  expect(fromJwt.status).toBe(403);
+
+  const created = await post(
+    "/api/sessions",
+    { title: "จากหน้า Kissflow" },
+    { ...bearer(token), "X-User-Id": "kf-user-1" }
+  );
+  expect(created.status).toBe(201);
+});
+
+test("identifies user token, JWT and API key callers", async () => {
+  // JWT: the token's subject is the user, whatever X-User-Id says
+  const jwtHeaders = { ...bearer(userJwt()), "X-User-Id": "Us_mock_somchai" };
+  const { sessions } = await (await get("/api/sessions", jwtHeaders)).json();
+  expect(sessions).toEqual([]);
+
+  // Integrations name the user they act for
+  const keyHeaders = { "X-API-Key": "key-123", "X-User-Id": "Us_mock_somchai" };
+  const { sessions: keySessions } = await (
+    await get("/api/sessions", keyHeaders)
+  ).json();
+  expect(keySessions.map((s) => s.title)).toEqual(["จากหน้า Kissflow"]);
+});
+
+test("refuses session titles that are not strings", async () => {
+  const invalid = await post("/api/sessions", { title: 42 }, bearer(userJwt()));
+  expect(invalid.status).toBe(400);
+
+  const created = await post(
+    "/api/sessions",
+    { title: "  ลาพักร้อน  " },
+    bearer(userJwt())
+  );
+  const session = await created.json();
+  expect(session.title).toBe("ลาพักร้อน");
+  const rename = await fetch(`${baseUrl}/api/sessions/${session.id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json", ...bearer(userJwt()) },
+    body: JSON.stringify({ title: { text: "x" } }),
+  });
+  expect(rename.status).toBe(400);
+
+  await expect(
+    createFileSessionStore(sessionDir).createSession("user-42", { title: 42 })
+  ).rejects.toThrow("Session title must be a string");
+});
+
+test("limits Kissflow lookups to the caller's verified email", async () => {
+  // A body email is ignored: the balance is the token's own
+  const ownRecords = await post(
+    "/api/kissflow/tools/get_leave_balance",
+    { arguments: "{}", email: "someone.else@example.com" },
+    bearer(userJwt())
+  );
+  expect(await ownRecords.json()).toEqual({
+    result: expect.objectContaining({ found: true, vacationDays: 6 }),
+  });
+
+  // No record for the email: nobody else's balance instead
+  const noRecord = await post(
+    "/api/kissflow/tools/get_leave_balance",
+    { arguments: "{}" },
+    bearer(userJwt({ email: "new.hire@example.com" }))
+  );
+  expect(await noRecord.json()).toEqual({ result: { found: false } });
+
+  const otherCases = await post(
+    "/api/kissflow/tools/search_cases",
+    { arguments: '{"query":"VPN"}' },
+    bearer(userJwt({ email: "new.hire@example.com" }))
+  );
+  expect(await otherCases.json()).toEqual({ result: [] });
+
+  // An instance ID alone does not open someone else's case
+  const caseArguments = JSON.stringify({
+    instanceId: CASE_FIXTURES[0].instanceID,
+  });
+  const ownCase = await post(
+    "/api/kissflow/tools/get_case",
+    { arguments: caseArguments },
+    bearer(userJwt())
+  );
+  expect((await ownCase.json()).result).toMatchObject({
+    _id: CASE_FIXTURES[0].instanceID,
+    Case_Title: CASE_FIXTURES[0].caseTitle,
+  });
+  const otherCase = await post(
+    "/api/kissflow/tools/get_case",
+    { arguments: caseArguments },
+    bearer(userJwt({ email: "new.hire@example.com" }))
+  );
+  expect(await otherCase.json()).toEqual({ result: { found: false } });
+
+  // The shared page token has no email to scope the lookup to
+  const page = await post(
+    "/api/kissflow/tools/get_leave_balance",
+    { arguments: "{}", email: "somchai@example.com" },
+    bearer(pageToken)
+  );
+  expect(page.status).toBe(403);
+});
+
+test("refuses tool names that are not Kissflow tools", async () => {
+  const chat = await post(
+    "/api/chat",
+    { question: "hi", tools: ["constructor"], toolMessages: [] },
+    bearer(userJwt())
+  );
+  expect(chat.status).toBe(400);
+  expect(await chat.json()).toEqual({ error: "Unknown tool: constructor" });
+
+  const lookup = await post(
+    "/api/kissflow/tools/constructor",
+    { arguments: "{}" },
+    bearer(userJwt())
+  );
+  expect(lookup.status).toBe(404);
+});
+
+test("only allows configured browser origins", async () => {
+  const allowed = await get("/api/config/kissflow", {
+    ...bearer(pageToken),
+    Origin: "https://acme.kissflow.com",
+  });
+  expect(allowed.headers.get("access-control-allow-origin")).toBe(
+    "https://acme.kissflow.com"
+  );
+
+  const denied = await get("/api/config/kissflow", {
+    ...bearer(pageToken),
+    Origin: "https://evil.example",
+  });
+  expect(denied.headers.get("access-control-allow-origin")).toBeNull();
+});
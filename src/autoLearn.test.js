@@ -0,0 +1,155 @@
+/**
+ * @jest-environment node
+ */
+// Kissflow completion webhook → learning queue → supervisor review →
+// knowledge base, against the mock services
+import kissflowConfig from "../config/kissflow.json";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../server");
+const { createFileLearningQueue } = require("../server/learningQueue");
+const { createMockServices } = require("../server/mocks");
+const { createFileUsageStore } = require("../server/usageStore");
+
+let server;
+let baseUrl;
+let services;
+let queueDir;
+
+const resolvedItem = {
+  _id: "Pk_resolved_1",
+  _status: "Completed",
+  Case_Title: "Teams ไม่มีเสียง",
+  Case_Type: "Technical Support",
+  Case_Description: "ประชุมผ่าน Teams แล้วไม่ได้ยินเสียง",
+  Solution_Description: "เลือกอุปกรณ์เสียงใน Teams ใหม่และอัปเดตไดรเวอร์",
+};
+
+function post(pathname, body, headers = {}) {
+  return fetch(`${baseUrl}${pathname}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+const sendWebhook = (body, secret = "hook-secret") =>
+  post("/api/kissflow/webhook", body, { "X-Webhook-Secret": secret });
+const admin = { Authorization: "Bearer admin-token" };
+
+async function storedCase(caseNumber) {
+  const collection = services.client.collections.get();
+  const { objects } = await collection.query.fetchObjects({
+    filters: collection.filter.byProperty("caseNumber").equal(caseNumber),
+  });
+  return objects[0]?.properties;
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  process.env.KB_ADMIN_TOKEN = "admin-token";
+  queueDir = fs.mkdtempSync(path.join(os.tmpdir(), "learning-queue-"));
+  services = createMockServices(kissflowConfig);
+  const app = createApp({
+    ...services,
+    kissflowConfig,
+    learningQueue: createFileLearningQueue(path.join(queueDir, "queue.json")),
+    usageStore: createFileUsageStore(path.join(queueDir, "usage.jsonl")),
+    webhookSecret: "hook-secret",
+  });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  delete process.env.KB_ADMIN_TOKEN;
+  fs.rmSync(queueDir, { recursive: true, force: true });
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test("rejects webhooks without the secret or with an invalid payload", async () => {
+  expect((await sendWebhook(resolvedItem, "wrong")).status).toBe(401);
+
+  const missingSolution = await sendWebhook({
+    ...resolvedItem,
+    Solution_Description: "",
+  });
+  expect(missingSolution.status).toBe(400);
+  expect(await missingSolution.json()).toEqual({
+    error: "Invalid webhook payload: missing solutionDescription",
+  });
+
+  const inProgress = await sendWebhook({
+    ...resolvedItem,
+    _status: "InProgress",
+  });
+  expect(await inProgress.json()).toEqual({
+    ignored: "item status is InProgress",
+  });
+
+  const { _status, ...withoutStatus } = resolvedItem;
+  const unknownStatus = await sendWebhook(withoutStatus);
+  expect(unknownStatus.status).toBe(200);
+  expect(await unknownStatus.json()).toEqual({
+    ignored: "item has no _status",
+  });
+  expect(await storedCase("Pk_resolved_1")).toBeUndefined();
+});
+
+test("queues resolved cases until a supervisor approves them", async () => {
+  const received = await sendWebhook(resolvedItem);
+  expect(received.status).toBe(202);
+  const { itemId, status } = await received.json();
+  expect(status).toBe("pending");
+  expect(await storedCase("Pk_resolved_1")).toBeUndefined();
+
+  const pending = await fetch(`${baseUrl}/api/kb/learning?status=pending`, {
+    headers: admin,
+  }).then((res) => res.json());
+  expect(pending.items).toEqual([
+    expect.objectContaining({
+      id: itemId,
+      case: expect.objectContaining({
+        caseTitle: "Teams ไม่มีเสียง",
+        solutionDescription: resolvedItem.Solution_Description,
+      }),
+      warnings: [],
+    }),
+  ]);
+
+  const approved = await post(`/api/kb/learning/${itemId}/approve`, {}, admin);
+  expect((await approved.json()).status).toBe("approved");
+  expect(await storedCase("Pk_resolved_1")).toMatchObject({
+    caseTitle: "Teams ไม่มีเสียง",
+    instanceID: "Pk_resolved_1",
+  });
+
+  const again = await post(`/api/kb/learning/${itemId}/approve`, {}, admin);
+  expect(again.status).toBe(409);
+});
+
+test("keeps rejected solutions out of the knowledge base", async () => {
+  const received = await sendWebhook({
+    ...resolvedItem,
+    _id: "Pk_resolved_2",
+    Solution_Description: "แก้แล้ว",
+  });
+  const { itemId } = await received.json();
+
+  const rejected = await post(
+    `/api/kb/learning/${itemId}/reject`,
+    { reason: "ไม่มีขั้นตอนการแก้ไข", reviewedBy: "supervisor@example.com" },
+    admin
+  );
+  expect(await rejected.json()).toMatchObject({
+    status: "rejected",
+    reason: "ไม่มีขั้นตอนการแก้ไข",
+    reviewedBy: "supervisor@example.com",
+    warnings: ["solution is very short"],
+  });
+  expect(await storedCase("Pk_resolved_2")).toBeUndefined();
+});
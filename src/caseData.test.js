@@ -0,0 +1,192 @@
+/**
+ * @jest-environment node
+ */
+// Kissflow case drafts: schema from the deployment config, per-field
+// validation, repair retry and fallback
+import kissflowConfig from "../config/kissflow.json";
+
+const { generateKissflowCaseData } = require("../server/caseDataGenerator");
+const { createOpenAIProvider } = require("../server/llm/openaiProvider");
+const { createFilePromptRegistry } = require("../server/promptRegistry");
+const {
+  buildCaseDataSchema,
+  validateCaseData,
+} = require("../src/kissflowCaseFields");
+
+const caseCreate = {
+  ...kissflowConfig.processes.caseCreate,
+  caseTypeOptions: ["IT", "HR"],
+  maxLengths: { Case_Title: 20 },
+};
+const input = {
+  question: "ลืมรหัสผ่านเข้าระบบเงินเดือน",
+  context: "",
+  answer: "รีเซ็ตรหัสผ่านผ่านพอร์ทัล",
+};
+const validCase = {
+  Case_Title: "ลืมรหัสผ่าน",
+  Case_Type: "IT",
+  Case_Description: "ผู้ใช้ลืมรหัสผ่านเข้าระบบเงินเดือน",
+  AI_Suggestions: "รีเซ็ตรหัสผ่าน",
+  Solution_Description: "รีเซ็ตรหัสผ่านผ่านพอร์ทัล",
+};
+
+// OpenAI provider over a fake client that answers with `replies` in turn
+function fakeLlm(replies) {
+  const create = jest.fn(async () => ({
+    choices: [{ message: { content: replies.shift() } }],
+  }));
+  const llm = createOpenAIProvider({
+    name: "openai",
+    client: { chat: { completions: { create } } },
+    models: { chat: "gpt-4o", fast: "gpt-4o-mini" },
+  });
+  return { llm, create };
+}
+
+// Registry file that never exists: the default versions are used
+const promptRegistry = createFilePromptRegistry("/nonexistent/prompts.json");
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterAll(() => jest.restoreAllMocks());
+
+test("builds the schema from the configured options and limits", () => {
+  const schema = buildCaseDataSchema(caseCreate);
+
+  expect(schema.properties.Case_Type).toMatchObject({ enum: ["IT", "HR"] });
+  expect(schema.properties.Case_Title.maxLength).toBe(20);
+  // Limits the config leaves out keep their defaults
+  expect(schema.properties.AI_Suggestions.maxLength).toBe(300);
+  expect(schema.required).toHaveLength(5);
+  expect(schema.additionalProperties).toBe(false);
+});
+
+test("drafts the configured fields and only requires the listed ones", () => {
+  const schema = buildCaseDataSchema({
+    ...caseCreate,
+    fields: {
+      Case_Title: "Title",
+      Case_Type: "Type",
+      Case_Description: "Description",
+      Solution_Description: "Solution",
+      Priority: "Priority_Level",
+      Requester_Email: "Email",
+    },
+    requiredFields: ["Case_Title", "Case_Type"],
+    fieldDescriptions: { Priority: "Low, Medium or High" },
+  });
+
+  expect(Object.keys(schema.properties)).toEqual([
+    "Case_Title",
+    "Case_Type",
+    "Case_Description",
+    "Solution_Description",
+    "Priority",
+  ]);
+  expect(schema.properties.Priority.description).toBe("Low, Medium or High");
+  expect(schema.required).toEqual(["Case_Title", "Case_Type"]);
+
+  // Optional fields may be missing or empty
+  expect(
+    validateCaseData(
+      { Case_Title: "ลืมรหัสผ่าน", Case_Type: "IT", Priority: "" },
+      schema
+    ).errors
+  ).toEqual([]);
+});
+
+test("requests structured output and reads fenced JSON", async () => {
+  const { llm, create } = fakeLlm([
+    `\`\`\`json\n${JSON.stringify(validCase)}\n\`\`\``,
+  ]);
+
+  const result = await generateKissflowCaseData(
+    llm,
+    { promptRegistry, caseCreate },
+    input
+  );
+
+  expect(result).toEqual({
+    caseData: validCase,
+    promptVersion: "case-data-2",
+    errors: [],
+  });
+  const params = create.mock.calls[0][0];
+  expect(params.response_format).toMatchObject({
+    type: "json_schema",
+    json_schema: { name: "kissflow_case_data", strict: true },
+  });
+  // Structured outputs reject maxLength; it is checked after parsing instead
+  const { properties } = params.response_format.json_schema.schema;
+  expect(properties.Case_Title).not.toHaveProperty("maxLength");
+  expect(properties.Case_Type.enum).toEqual(["IT", "HR"]);
+  expect(params.messages[0].content).toContain('one of: "IT", "HR"');
+});
+
+test("sends field errors back once, then falls back per field", async () => {
+  const { llm, create } = fakeLlm([
+    JSON.stringify({
+      ...validCase,
+      Case_Title: "ลืมรหัสผ่านเข้าระบบเงินเดือนของบริษัท",
+      Case_Type: "Technical Support",
+    }),
+    // The repair fixes the title but not the type
+    JSON.stringify({
+      ...validCase,
+      Case_Type: "Support",
+      Solution_Description: 42,
+    }),
+  ]);
+
+  const { caseData, errors } = await generateKissflowCaseData(
+    llm,
+    { promptRegistry, caseCreate },
+    input
+  );
+
+  const repair = create.mock.calls[1][0].messages;
+  expect(repair[repair.length - 1].content).toContain(
+    "- Case_Title: must be at most 20 characters (got 37)"
+  );
+  expect(repair[repair.length - 1].content).toContain(
+    '- Case_Type: must be one of: IT, HR (got "Technical Support")'
+  );
+  expect(create).toHaveBeenCalledTimes(2);
+
+  expect(caseData).toEqual({
+    ...validCase,
+    // Still invalid after the repair: the first option
+    Case_Type: "IT",
+  });
+  expect(errors).toEqual([
+    { field: "Case_Type", message: 'must be one of: IT, HR (got "Support")' },
+  ]);
+});
+
+test("falls back to the question and answer when the model fails", async () => {
+  const llm = {
+    name: "openai",
+    complete: jest.fn(async () => {
+      throw new Error("Rate limit reached");
+    }),
+  };
+
+  const { caseData, errors } = await generateKissflowCaseData(
+    llm,
+    { promptRegistry, caseCreate },
+    input
+  );
+
+  expect(caseData).toEqual({
+    Case_Title: input.question.substring(0, 20),
+    Case_Type: "IT",
+    Case_Description: input.question,
+    AI_Suggestions: input.answer,
+    Solution_Description: input.answer,
+  });
+  expect(errors).toEqual([{ field: "(root)", message: "Rate limit reached" }]);
+});
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+// Hybrid knowledge-base search (server/caseSearch.js) against the in-memory
+// case store used by mock mode
+const { parseSearchOptions, searchWeaviate } = require("../server/caseSearch");
+const { DEFAULT_CASE_TYPE_OPTIONS } = require("./kissflowCaseFields");
+const { createMemoryCaseStore } = require("../server/mocks/memoryCaseStore");
+const { fakeEmbedding } = require("../server/mocks/fakeOpenAI");
+
+const client = createMemoryCaseStore();
+const caseTypes = DEFAULT_CASE_TYPE_OPTIONS;
+
+function search(query, body = {}) {
+  const { options, error } = parseSearchOptions(body, { caseTypes });
+  if (error) throw new Error(error);
+  return searchWeaviate(client, {
+    query,
+    vector: fakeEmbedding(query),
+    options,
+  });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+test("finds an exact case number through the keyword half", async () => {
+  const docs = await search("CASE-0004", { alpha: 0.25, minCertainty: 0.5 });
+
+  expect(docs[0].caseNumber).toBe("CASE-0004");
+  expect(docs[0]._additional.score).toBeGreaterThan(0);
+  expect(docs[0]._additional.certainty).toBeGreaterThanOrEqual(0.5);
+});
+
+test("applies the certainty threshold to keyword matches too", async () => {
+  // The keyword half tops the fused score, the vector is far off
+  expect(await search("CASE-0004", { alpha: 0.25 })).toEqual([]);
+});
+
+test("narrows results by caseType and created date", async () => {
+  const byType = await search("ระบบใช้งานไม่ได้", {
+    filters: { caseType: ["HR", "Legal"] },
+    minCertainty: 0,
+  });
+  expect(byType.length).toBeGreaterThan(0);
+  expect(byType.every((d) => ["HR", "Legal"].includes(d.caseType))).toBe(true);
+
+  const byDate = await search("ระบบใช้งานไม่ได้", {
+    filters: { dateFrom: "2025-02-01", dateTo: "2025-05-31" },
+    minCertainty: 0,
+  });
+  expect(byDate.map((d) => d.caseNumber).sort()).toEqual([
+    "CASE-0002",
+    "CASE-0003",
+    "CASE-0004",
+  ]);
+});
+
+test("returns nothing when no case clears the certainty threshold", async () => {
+  expect(await search("สูตรทำต้มยำกุ้ง")).toEqual([]);
+});
+
+test("rejects malformed search options", () => {
+  expect(
+    parseSearchOptions({ filters: { caseType: "IT" } }, { caseTypes }).error
+  ).toMatch(/Unknown caseType: IT/);
+  expect(
+    parseSearchOptions({ filters: { dateFrom: "1/2/2025" } }, { caseTypes })
+      .error
+  ).toMatch(/dateFrom must be a date/);
+  expect(parseSearchOptions({ alpha: 2 }, { caseTypes }).error).toMatch(
+    /alpha must be a number between 0 and 1/
+  );
+});
+
+test("accepts the case types of the deployment config", () => {
+  const configured = { caseTypes: ["IT", "HR"] };
+
+  expect(
+    parseSearchOptions({ filters: { caseType: "IT" } }, configured).options
+      .caseTypes
+  ).toEqual(["IT"]);
+  expect(
+    parseSearchOptions({ filters: { caseType: "Legal" } }, configured).error
+  ).toBe("Unknown caseType: Legal. Must be one of: IT, HR");
+});
@@ -0,0 +1,195 @@
+import { API_BASE_URL, apiError, authHeaders, requestJson } from "./api";
+import { readEventStream } from "./eventStream";
+
+// ===== Chat API (server.js) =====
+
+/**
+ * POST a streaming request and collect its Server-Sent Events
+ * - Streams answer tokens to onDelta as they arrive
+ * - Passes source cases to onCitations before the answer starts (/api/ask)
+ * - Aborting the signal stops generation and resolves with the partial answer
+ * - messageId: the chat message the answer goes into; the server keeps what
+ *   produced the answer under it for the message's feedback
+ * Returns: { answer, stopped, result } where result is the `done` payload
+ */
+async function requestAnswerStream(
+  path,
+  body,
+  { onDelta, onCitations, signal, messageId } = {}
+) {
+  let answer = "";
+  let result = {};
+
+  try {
+    const response = await fetch(`${API_BASE_URL}${path}`, {
+      method: "POST",
+      headers: { ...authHeaders(), "Content-Type": "application/json" },
+      body: JSON.stringify({ ...body, messageId, stream: true }),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw apiError(
+        `Chat API error: ${errorData.error || response.statusText}`,
+        response.status,
+        errorData
+      );
+    }
+
+    await readEventStream(response, (event, data) => {
+      if (event === "delta") {
+        answer += data.text;
+        onDelta?.(data.text);
+      } else if (event === "citations") {
+        // Kept for stopped answers, which never get a `done` event
+        result = { ...result, citations: data.citations };
+        onCitations?.(data.citations);
+      } else if (event === "done") {
+        result = data;
+        answer = data.answer;
+      } else if (event === "error") {
+        throw new Error(`Chat API error: ${data.error}`);
+      }
+    });
+
+    return { answer, stopped: false, result };
+  } catch (err) {
+    if (err.name === "AbortError") {
+      return { answer, stopped: true, result };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Generate answer through the server-side /api/chat endpoint
+ * The server owns the model call, system prompt and history trimming
+ * Returns: { answer, stopped }
+ */
+export async function requestChatAnswer(
+  context,
+  question,
+  chatHistory,
+  streamOptions
+) {
+  const { answer, stopped } = await requestAnswerStream(
+    "/api/chat",
+    { question, chatHistory, context },
+    streamOptions
+  );
+  return { answer, stopped };
+}
+
+// Upper bound on model ↔ tool round trips for a single question
+const MAX_TOOL_ROUNDS = 4;
+
+/**
+ * Chat answer where the model may call Kissflow lookup tools (/api/chat)
+ * - tools: tool names from kissflowTools.js offered to the model
+ * - runTool(call): executes one call and returns its result
+ * - onToolStep(step): reports each call as it runs ({ id, name, status, ... })
+ * - userName: fills {{userName}} in the server's prompt template
+ * Returns: { answer, stopped, toolSteps }
+ */
+export async function requestToolChatAnswer(
+  question,
+  chatHistory,
+  { tools, runTool, onToolStep, userName, ...streamOptions }
+) {
+  const toolMessages = [];
+  const toolSteps = [];
+
+  for (let round = 0; round < MAX_TOOL_ROUNDS; round++) {
+    const { answer, stopped, result } = await requestAnswerStream(
+      "/api/chat",
+      {
+        question,
+        chatHistory,
+        userName,
+        // Last round: no tools, so the model has to answer
+        tools: round < MAX_TOOL_ROUNDS - 1 ? tools : [],
+        toolMessages,
+      },
+      streamOptions
+    );
+
+    const toolCalls = result.toolCalls || [];
+    if (stopped || toolCalls.length === 0) {
+      return { answer, stopped, toolSteps };
+    }
+
+    toolMessages.push({ role: "assistant", toolCalls });
+    for (const call of toolCalls) {
+      const step = { id: call.id, name: call.name, arguments: call.arguments };
+      onToolStep?.({ ...step, status: "running" });
+
+      let content;
+      try {
+        const output = await runTool(call);
+        Object.assign(step, { status: "done", result: output });
+        content = JSON.stringify(output);
+      } catch (err) {
+        Object.assign(step, { status: "error", error: err.message });
+        content = JSON.stringify({ error: err.message });
+      }
+
+      toolSteps.push(step);
+      onToolStep?.(step);
+      toolMessages.push({ role: "tool", toolCallId: call.id, content });
+    }
+  }
+
+  return { answer: "", stopped: false, toolSteps };
+}
+
+/**
+ * Answer from similar cases in the knowledge base (/api/ask)
+ * Returns: { answer, stopped, citations, kissflowData }
+ */
+export async function requestCaseAnswer(question, chatHistory, streamOptions) {
+  const { answer, stopped, result } = await requestAnswerStream(
+    "/api/ask",
+    { question, chatHistory },
+    streamOptions
+  );
+  return {
+    answer,
+    stopped,
+    citations: result.citations || [],
+    kissflowData: result.kissflowData || null,
+  };
+}
+
+/**
+ * Ask the server to classify a message into one of the registered intents
+ * Returns: intent id, or null when the model could not decide
+ */
+export async function classifyIntent(question, chatHistory, intents) {
+  const { intent } = await requestJson("/api/intent", {
+    method: "POST",
+    body: { question, chatHistory, intents },
+  });
+  return intent || null;
+}
+
+/**
+ * Draft structured Kissflow case data from a free-text issue description
+ */
+export function requestCaseDraft(question, chatHistory) {
+  return requestJson("/api/kissflow/case-data", {
+    method: "POST",
+    body: { question, chatHistory },
+  });
+}
+
+/**
+ * Extract leave type, date range and reason from a chat message
+ * Returns: { leaveType, startDate, endDate, reason, missing }
+ */
+export function requestLeaveDraft(question, chatHistory) {
+  return requestJson("/api/leave/draft", {
+    method: "POST",
+    body: { question, chatHistory },
+  });
+}
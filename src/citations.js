@@ -0,0 +1,35 @@
+// ===== Answer Citations =====
+// /api/ask answers cite their source cases as [1], [2], ... matching the
+// `index` of each entry in the response's `citations`
+
+const CITATION_HREF_PREFIX = "#citation-";
+
+/**
+ * Turn [n] markers into markdown links that the message renderer shows as
+ * clickable citations; markers without a matching source stay plain text
+ */
+export function linkCitationMarkers(text, citations) {
+  if (!text || !citations?.length) return text;
+  const indexes = new Set(citations.map((c) => c.index));
+  return text.replace(/\[(\d+)\](?!\()/g, (marker, n) =>
+    indexes.has(Number(n)) ? `[${n}](${CITATION_HREF_PREFIX}${n})` : marker
+  );
+}
+
+/**
+ * The citation a link produced by linkCitationMarkers points to, or null
+ */
+export function findCitation(href, citations) {
+  if (!href?.startsWith(CITATION_HREF_PREFIX)) return null;
+  const index = Number(href.slice(CITATION_HREF_PREFIX.length));
+  return citations?.find((c) => c.index === index) || null;
+}
+
+/**
+ * Vector certainty (0–1) of a cited case as a percentage label
+ */
+export function formatCertainty(certainty) {
+  return typeof certainty === "number"
+    ? `${Math.round(certainty * 100)}%`
+    : "-";
+}
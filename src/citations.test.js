@@ -0,0 +1,31 @@
+import {
+  findCitation,
+  formatCertainty,
+  linkCitationMarkers,
+} from "./citations";
+
+const citations = [
+  { index: 1, caseNumber: "CASE-0001", instanceID: "Pk_1", certainty: 0.873 },
+  { index: 2, caseNumber: "CASE-0004", instanceID: null, certainty: 0.61 },
+];
+
+test("links [n] markers that match a source", () => {
+  expect(
+    linkCitationMarkers("รีเซ็ตรหัสผ่าน [1][2] แล้วลองใหม่ [3]", citations)
+  ).toBe("รีเซ็ตรหัสผ่าน [1](#citation-1)[2](#citation-2) แล้วลองใหม่ [3]");
+  // Existing markdown links are left alone
+  expect(linkCitationMarkers("[1](https://example.com)", citations)).toBe(
+    "[1](https://example.com)"
+  );
+  expect(linkCitationMarkers("ไม่มีแหล่งที่มา [1]", [])).toBe(
+    "ไม่มีแหล่งที่มา [1]"
+  );
+});
+
+test("resolves citation links and formats certainty", () => {
+  expect(findCitation("#citation-2", citations)).toBe(citations[1]);
+  expect(findCitation("#citation-9", citations)).toBeNull();
+  expect(findCitation("https://example.com", citations)).toBeNull();
+  expect(formatCertainty(0.873)).toBe("87%");
+  expect(formatCertainty(undefined)).toBe("-");
+});
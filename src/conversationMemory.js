@@ -0,0 +1,28 @@
+// ===== Conversation Memory (client side) =====
+// Upper bound on history uploaded with each question. server.js applies the
+// real token budget (HISTORY_TOKEN_BUDGET) and summarizes what overflows.
+export const HISTORY_UPLOAD_MAX_MESSAGES = 40;
+
+/**
+ * Map UI messages ({ text, sender, role }) to model messages ({ role, content })
+ * - Skips error bubbles and empty messages (e.g. stopped before the first token)
+ */
+export function toModelMessages(messages) {
+  return (messages || [])
+    .filter((msg) => msg && !msg.isError && msg.text && msg.text.trim())
+    .map((msg) => ({
+      role: msg.role || (msg.sender === "user" ? "user" : "assistant"),
+      content: msg.text,
+    }))
+    .filter((msg) => msg.role === "user" || msg.role === "assistant");
+}
+
+/**
+ * History payload for /api/chat and /api/ask: newest model messages only
+ */
+export function buildHistoryPayload(
+  messages,
+  maxMessages = HISTORY_UPLOAD_MAX_MESSAGES
+) {
+  return toModelMessages(messages).slice(-maxMessages);
+}
@@ -0,0 +1,27 @@
+import { buildHistoryPayload, toModelMessages } from "./conversationMemory";
+
+test("maps UI messages to model messages and skips errors", () => {
+  const messages = [
+    { text: "วันลาพักร้อนเหลือเท่าไหร่", sender: "user", role: "user" },
+    { text: "เหลือ 5 วัน", sender: "ai", role: "assistant" },
+    { text: "เกิดข้อผิดพลาด", sender: "ai", role: "assistant", isError: true },
+    { text: "", sender: "ai", role: "assistant", stopped: true },
+  ];
+
+  expect(toModelMessages(messages)).toEqual([
+    { role: "user", content: "วันลาพักร้อนเหลือเท่าไหร่" },
+    { role: "assistant", content: "เหลือ 5 วัน" },
+  ]);
+});
+
+test("keeps only the newest messages in the payload", () => {
+  const messages = Array.from({ length: 6 }, (_, i) => ({
+    text: `message ${i}`,
+    sender: i % 2 === 0 ? "user" : "ai",
+  }));
+
+  expect(buildHistoryPayload(messages, 2)).toEqual([
+    { role: "user", content: "message 4" },
+    { role: "assistant", content: "message 5" },
+  ]);
+});
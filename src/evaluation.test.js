@@ -0,0 +1,74 @@
+/**
+ * @jest-environment node
+ */
+// Offline evaluation scoring and the run comparison report
+const {
+  extractNumbers,
+  formatComparison,
+  recallAtK,
+  scoreNumbers,
+  summarizeResults,
+} = require("../server/evaluation");
+
+test("scores retrieval and leave-balance numbers", () => {
+  expect(
+    extractNumbers("พักร้อนเหลือ ๖ วัน ลาป่วย 30 วัน (0.5 วันรออนุมัติ)")
+  ).toEqual([6, 30, 0.5]);
+
+  expect(
+    recallAtK(["CASE-0002", "CASE-0001", "CASE-0004"], ["CASE-0001"], 1)
+  ).toBe(0);
+  expect(
+    recallAtK(["CASE-0002", "CASE-0001"], ["CASE-0001", "CASE-0009"])
+  ).toBe(0.5);
+
+  const allowed = [6, 3, 30];
+  expect(
+    scoreNumbers("ลาพักร้อนเหลือ 6 วัน", {
+      question: "พักร้อนเหลือกี่วัน",
+      expected: [6],
+      allowed,
+    })
+  ).toEqual({ exact: true, missing: [], unexpected: [] });
+  expect(
+    scoreNumbers("ลาพักร้อนเหลือ 10 วัน จาก 6 วันของปี 2025", {
+      question: "พักร้อนปี 2025 เหลือกี่วัน",
+      expected: [6],
+      allowed,
+    })
+  ).toEqual({ exact: false, missing: [], unexpected: [10] });
+});
+
+test("compares two runs and marks what changed", () => {
+  const run = (name, env, results) => ({
+    name,
+    config: {
+      env,
+      models: { chat: "gpt-4o" },
+      promptVersions: ["case-answer-2"],
+    },
+    summary: summarizeResults(results),
+    results,
+  });
+  const item = (recall, retrieved) => ({
+    id: "vpn",
+    type: "case_search",
+    question: "VPN | ต่อไม่ได้",
+    retrieved,
+    recall,
+    judge: null,
+    ms: 100,
+  });
+
+  const report = formatComparison(
+    run("base", {}, [item(1, ["CASE-0001"])]),
+    run("topk2", { TOP_K: "2" }, [item(0, ["CASE-0004"])])
+  );
+
+  expect(report).toContain("# Evaluation: base vs topk2");
+  expect(report).toContain("| TOP_K **changed** | (default) | 2 |");
+  expect(report).toContain("| model.chat | gpt-4o | gpt-4o |");
+  expect(report).toContain("| recallAtK | 1.00 | 0.00 |");
+  // Pipes in questions must not break the table
+  expect(report).toContain("| vpn **changed** | VPN \\| ต่อไม่ได้ |");
+});
@@ -0,0 +1,45 @@
+/**
+ * Read a Server-Sent Events response body produced by server.js
+ * Calls onEvent(eventName, data) for every event, with data JSON-decoded
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary = buffer.indexOf("\n\n");
+    while (boundary !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      dispatchEvent(rawEvent, onEvent);
+      boundary = buffer.indexOf("\n\n");
+    }
+  }
+
+  if (buffer.trim()) {
+    dispatchEvent(buffer, onEvent);
+  }
+}
+
+function dispatchEvent(rawEvent, onEvent) {
+  let eventName = "message";
+  const dataLines = [];
+
+  for (const line of rawEvent.split("\n")) {
+    if (line.startsWith("event:")) {
+      eventName = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      dataLines.push(line.slice(5).trimStart());
+    }
+  }
+
+  if (dataLines.length > 0) {
+    onEvent(eventName, JSON.parse(dataLines.join("\n")));
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * @jest-environment node
+ */
+// Answer feedback: storage through /api/feedback, with the answer details
+// recorded by /api/ask, and the weekly export
+import kissflowConfig from "../config/kissflow.json";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../server");
+const { createFileAnswerStore } = require("../server/answerStore");
+const { createFileFeedbackStore } = require("../server/feedbackStore");
+const { createMockServices } = require("../server/mocks");
+const { createFileUsageStore } = require("../server/usageStore");
+
+let server;
+let baseUrl;
+let dataDir;
+let answered;
+
+const admin = { Authorization: "Bearer admin-token" };
+
+const vote = {
+  messageId: "msg-1",
+  sessionId: "session-1",
+  rating: "down",
+  reasons: ["wrong_number", "irrelevant_case"],
+  comment: 'บอกว่าเหลือ "10" วัน, จริง ๆ เหลือ 6',
+  intent: "case_search",
+};
+
+function post(pathname, body, userId = "user-1") {
+  return fetch(`${baseUrl}${pathname}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-User-Id": userId },
+    body: JSON.stringify(body),
+  });
+}
+
+const postFeedback = (body, userId) => post("/api/feedback", body, userId);
+
+function exportFeedback(query, headers = admin) {
+  return fetch(`${baseUrl}/api/feedback/export?${query}`, { headers });
+}
+
+beforeAll(async () => {
+  process.env.KB_ADMIN_TOKEN = "admin-token";
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "feedback-"));
+  const app = createApp({
+    ...createMockServices(kissflowConfig),
+    kissflowConfig,
+    feedbackStore: createFileFeedbackStore(
+      path.join(dataDir, "feedback.jsonl")
+    ),
+    answerStore: createFileAnswerStore(path.join(dataDir, "answers")),
+    usageStore: createFileUsageStore(path.join(dataDir, "usage.jsonl")),
+  });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const response = await post("/api/ask", {
+    question: "VPN เชื่อมต่อไม่ได้",
+    messageId: "msg-1",
+  });
+  answered = await response.json();
+});
+
+afterAll(async () => {
+  delete process.env.KB_ADMIN_TOKEN;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  await new Promise((resolve) => server.close(resolve));
+});
+
+test("validates feedback", async () => {
+  const badRating = await postFeedback({ ...vote, rating: "meh" });
+  expect(badRating.status).toBe(400);
+
+  const badReason = await postFeedback({ ...vote, reasons: ["too_long"] });
+  expect(await badReason.json()).toEqual({
+    error: expect.stringContaining("Unknown reason: too_long"),
+  });
+});
+
+test("exports the latest vote per user and message", async () => {
+  expect((await postFeedback(vote)).status).toBe(201);
+  await postFeedback({ ...vote, messageId: "msg-2", rating: "up" });
+  // Changing a vote replaces the earlier one; thumbs up carries no reasons
+  await postFeedback({ ...vote, rating: "up" }, "user-2");
+  await postFeedback({ ...vote, messageId: "msg-2", rating: "down" });
+
+  expect((await exportFeedback("format=csv", {})).status).toBe(401);
+
+  const jsonl = await exportFeedback("format=jsonl");
+  const records = (await jsonl.text())
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  expect(
+    records.map(({ userId, messageId, rating, reasons }) => ({
+      userId,
+      messageId,
+      rating,
+      reasons,
+    }))
+  ).toEqual([
+    {
+      userId: "user-1",
+      messageId: "msg-1",
+      rating: "down",
+      reasons: ["wrong_number", "irrelevant_case"],
+    },
+    {
+      userId: "user-1",
+      messageId: "msg-2",
+      rating: "down",
+      reasons: vote.reasons,
+    },
+    { userId: "user-2", messageId: "msg-1", rating: "up", reasons: [] },
+  ]);
+
+  const csv = await exportFeedback("format=csv");
+  expect(csv.headers.get("content-type")).toMatch(/^text\/csv/);
+  // Read the raw bytes: Response.text() would drop the BOM
+  const text = Buffer.from(await csv.arrayBuffer()).toString("utf8");
+  const [header, firstRow] = text.split("\r\n");
+  expect(header).toBe(
+    "\uFEFFcreatedAt,userId,sessionId,messageId,rating,reasons,comment,intent,question,answer,caseNumbers,model,promptVersion"
+  );
+  expect(firstRow).toContain(
+    ',user-1,session-1,msg-1,down,wrong_number;irrelevant_case,"บอกว่าเหลือ ""10"" วัน, จริง ๆ เหลือ 6",case_search,VPN เชื่อมต่อไม่ได้,'
+  );
+  const caseNumbers = answered.citations.map((c) => c.caseNumber).join(";");
+  expect(firstRow).toMatch(
+    new RegExp(`,${caseNumbers},mock-chat,${answered.promptVersion}$`)
+  );
+});
+
+test("takes the answer details from the server, not the client", async () => {
+  await postFeedback({
+    ...vote,
+    messageId: "msg-3",
+    question: "ถามอะไรก็ได้",
+    answer: "=1+1",
+    model: "gpt-from-client",
+  });
+  // Recorded for user-1 only
+  await postFeedback({ ...vote, messageId: "msg-1", rating: "up" }, "user-3");
+
+  const jsonl = await exportFeedback("format=jsonl");
+  const records = (await jsonl.text())
+    .trim()
+    .split("\n")
+    .map((line) => JSON.parse(line));
+  const unknown = {
+    question: null,
+    answer: null,
+    caseNumbers: [],
+    model: null,
+    promptVersion: null,
+  };
+  expect(records.find((r) => r.messageId === "msg-3")).toMatchObject(unknown);
+  expect(records.find((r) => r.userId === "user-3")).toMatchObject(unknown);
+  expect(
+    records.find((r) => r.userId === "user-1" && r.messageId === "msg-1")
+  ).toMatchObject({
+    question: "VPN เชื่อมต่อไม่ได้",
+    answer: answered.answer,
+    model: "mock-chat",
+  });
+});
+
+test("keeps spreadsheet formulas out of the CSV export", async () => {
+  await postFeedback({
+    ...vote,
+    messageId: "msg-4",
+    comment: '=HYPERLINK("http://evil.example","x")',
+  });
+  await postFeedback({ ...vote, messageId: "msg-5", comment: "@SUM(A1)" });
+  await postFeedback({ ...vote, messageId: "msg-6", comment: "-1+2" });
+  await postFeedback({ ...vote, messageId: "msg-7", comment: "\t=1+2" });
+
+  const csv = await (await exportFeedback("format=csv")).text();
+  expect(csv).toContain(',"\'=HYPERLINK(""http://evil.example"",""x"")",');
+  expect(csv).toContain(",'@SUM(A1),");
+  expect(csv).toContain(",'-1+2,");
+  expect(csv).toContain(",'\t=1+2,");
+});
+
+test("filters the export by date", async () => {
+  const future = await exportFeedback("format=jsonl&from=2999-01-01");
+  expect(await future.text()).toBe("");
+
+  const badDate = await exportFeedback("format=csv&to=last-week");
+  expect(badDate.status).toBe(400);
+});
+
+test("keeps each user's recent answers only", async () => {
+  const store = createFileAnswerStore(path.join(dataDir, "rotated"), {
+    retentionDays: 30,
+    maxAnswersPerUser: 2,
+  });
+  const answer = { question: "q", answer: "a", caseNumbers: [] };
+  for (const messageId of ["m-1", "m-2", "m-3"]) {
+    await store.saveAnswer({ userId: "user-9", messageId, ...answer });
+  }
+  await store.saveAnswer({
+    userId: "user-9",
+    messageId: "m-old",
+    ...answer,
+    createdAt: "2020-01-01T00:00:00.000Z",
+  });
+
+  expect(await store.getAnswer("user-9", "m-1")).toBeNull();
+  expect(await store.getAnswer("user-9", "m-old")).toBeNull();
+  expect(await store.getAnswer("user-9", "m-3")).toMatchObject({
+    messageId: "m-3",
+  });
+  // Another user's answers are in another file
+  expect(await store.getAnswer("user-1", "m-3")).toBeNull();
+  expect(fs.readdirSync(path.join(dataDir, "rotated"))).toHaveLength(1);
+});
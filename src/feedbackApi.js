@@ -0,0 +1,16 @@
+import { requestJson } from "./api";
+
+// ===== Answer Feedback API (server.js /api/feedback) =====
+
+/**
+ * Record a thumbs up/down on an answer; voting again replaces the earlier vote
+ * feedback: { messageId, rating, reasons, comment, intent, sessionId }; the
+ * server adds the question, cases and model it recorded for the message
+ */
+export function sendFeedback(userId, feedback) {
+  return requestJson("/api/feedback", {
+    method: "POST",
+    headers: userId ? { "X-User-Id": userId } : {},
+    body: feedback,
+  });
+}
@@ -0,0 +1,15 @@
+// ===== Answer Feedback Reasons =====
+// Tags a user can attach to a thumbs-down. Shared by App.js (labels) and
+// server/feedbackRoutes.js (validation), so this file stays CommonJS.
+
+const FEEDBACK_REASONS = {
+  wrong_number: "ตัวเลขไม่ถูกต้อง",
+  irrelevant_case: "เคสไม่เกี่ยวข้อง",
+  wrong_language: "ภาษาไม่ถูกต้อง",
+  incomplete: "คำตอบไม่ครบ",
+  other: "อื่น ๆ",
+};
+
+const FEEDBACK_RATINGS = ["up", "down"];
+
+module.exports = { FEEDBACK_RATINGS, FEEDBACK_REASONS };
@@ -0,0 +1,13 @@
+/**
+ * Build an AI chat message in the shape App.js renders
+ */
+export function aiMessage(text, fields = {}) {
+  return {
+    text,
+    sender: "ai",
+    role: "assistant",
+    knowledgeBase: [],
+    showCreateButton: false,
+    ...fields,
+  };
+}
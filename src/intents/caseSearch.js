@@ -0,0 +1,33 @@
+import { requestCaseAnswer } from "../chatApi";
+import { aiMessage } from "./aiMessage";
+
+/**
+ * Similar-case search skill: answers from the Weaviate knowledge base (/api/ask)
+ */
+export const caseSearchIntent = {
+  id: "case_search",
+  description:
+    "Problems, incidents or how-to questions answered from similar resolved cases in the knowledge base",
+  suggestedQuestions: ["อุปกรณ์พัง", "ระบบล่ม", "ปัญหาการเชื่อมต่อ"],
+  keywords: [
+    /ปัญหา/,
+    /เสีย|พัง|ล่ม/,
+    /วิธีแก้|แก้ไขยังไง|ทำยังไง/,
+    /เคสที่คล้าย|เคสคล้าย/,
+    /\berror\b/i,
+    /\bissue\b/i,
+    /not working/i,
+  ],
+
+  async handle(question, { chatHistory, streamOptions }) {
+    const { answer, stopped, citations, kissflowData } =
+      await requestCaseAnswer(question, chatHistory, streamOptions);
+
+    return aiMessage(answer, {
+      stopped,
+      knowledgeBase: citations,
+      kissflowData,
+      showCreateButton: !stopped && citations.length > 0,
+    });
+  },
+};
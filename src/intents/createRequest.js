@@ -0,0 +1,29 @@
+import { requestCaseDraft } from "../chatApi";
+import { aiMessage } from "./aiMessage";
+
+/**
+ * Create-request skill: drafts Kissflow case data from the user's description
+ * and offers the "New Item" button to create it
+ */
+export const createRequestIntent = {
+  id: "create_request",
+  description:
+    "The user explicitly wants to open/create a new case or request in Kissflow",
+  suggestedQuestions: ["ต้องการเปิดเคสใหม่", "สร้าง Request แจ้งปัญหา"],
+  keywords: [
+    /เปิดเคส|สร้างเคส|แจ้งเคส/,
+    /สร้าง\s*request|เปิด\s*request/i,
+    /ขอเปิด|ต้องการเปิด/,
+    /create (a |new )?(case|request|ticket)/i,
+    /open (a |new )?(case|request|ticket)/i,
+  ],
+
+  async handle(question, { chatHistory }) {
+    const kissflowData = await requestCaseDraft(question, chatHistory);
+
+    return aiMessage(
+      `เตรียมข้อมูล Request ให้แล้ว:\n\n**${kissflowData.Case_Title}** (${kissflowData.Case_Type})\n\n${kissflowData.Case_Description}`,
+      { kissflowData, showCreateButton: true }
+    );
+  },
+};
@@ -0,0 +1,17 @@
+import { createIntentRouter } from "./router";
+import { leaveBalanceIntent } from "./leaveBalance";
+import { leaveRequestIntent } from "./leaveRequest";
+import { caseSearchIntent } from "./caseSearch";
+import { createRequestIntent } from "./createRequest";
+
+// ===== Registered Chat Skills =====
+// Add new HR/support skills here; each handler brings its own suggested questions
+export const intentRouter = createIntentRouter(
+  [
+    leaveBalanceIntent,
+    leaveRequestIntent,
+    caseSearchIntent,
+    createRequestIntent,
+  ],
+  { defaultIntent: caseSearchIntent.id }
+);
@@ -0,0 +1,62 @@
+import { requestToolChatAnswer } from "../chatApi";
+import { runKissflowToolCall } from "../kissflowToolRunner";
+import { aiMessage } from "./aiMessage";
+
+// Kissflow lookups the model may run while answering (see kissflowTools.js)
+const LEAVE_TOOLS = ["get_leave_balance", "search_cases", "get_case"];
+
+/**
+ * Leave balance skill: answers vacation/personal/sick balance questions
+ * - The model looks up the balance (and case status) itself via Kissflow tools
+ * - Each lookup is reported to the UI as a tool step
+ */
+export const leaveBalanceIntent = {
+  id: "leave_balance",
+  description:
+    "Questions about the employee's remaining leave days (vacation, personal, sick leave)",
+  suggestedQuestions: [
+    "เช็ควันลาคงเหลือ",
+    "วันลาพักร้อนเหลือเท่าไหร่",
+    "ลากิจเหลือกี่วัน",
+    "ลาป่วยเหลือเท่าไหร่",
+    "ขอทราบสิทธิ์วันลา",
+  ],
+  keywords: [
+    /วันลา/,
+    /ลาพักร้อน|พักร้อน/,
+    /ลากิจ/,
+    /ลาป่วย/,
+    /สิทธิ์(การ)?ลา/,
+    /\bleave\b/i,
+    /\bvacation\b/i,
+  ],
+
+  async handle(question, { chatHistory, streamOptions, getKf, getUserInfo }) {
+    // Outside Kissflow the lookups run through the server's tool proxy,
+    // which answers for the signed-in user (see kissflowToolRunner.js)
+    const kf = await getKf();
+    const userInfo = kf ? await getUserInfo() : {};
+    if (kf && !userInfo.email) {
+      return aiMessage(
+        "ไม่สามารถดึงข้อมูล Email ของคุณได้ กรุณาตรวจสอบการเข้าสู่ระบบ Kissflow"
+      );
+    }
+
+    const { answer, stopped, toolSteps } = await requestToolChatAnswer(
+      question,
+      chatHistory,
+      {
+        ...streamOptions,
+        tools: LEAVE_TOOLS,
+        userName: userInfo.name,
+        runTool: (call) => runKissflowToolCall(call, { kf, userInfo }),
+      }
+    );
+
+    return aiMessage(answer, {
+      stopped,
+      toolSteps,
+      showCreateButton: !stopped,
+    });
+  },
+};
@@ -0,0 +1,108 @@
+import { requestLeaveDraft } from "../chatApi";
+import { runKissflowToolCall } from "../kissflowToolRunner";
+import { LEAVE_TYPE_LABELS, checkLeaveBalance } from "../leaveRequest";
+import { aiMessage } from "./aiMessage";
+
+const MISSING_FIELD_LABELS = {
+  leaveType: "ประเภทการลา (ลาพักร้อน / ลากิจ / ลาป่วย)",
+  startDate: "วันที่ต้องการลา",
+};
+
+function formatThaiDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00`).toLocaleDateString("th-TH", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+}
+
+/**
+ * Leave request skill: drafts a leave from a message like
+ * "ลาพักร้อนวันที่ 3–5 พฤศจิกายน" and checks it against the balance
+ * - The draft is attached as `leaveRequest`; App.js creates the Kissflow item
+ *   when the user confirms
+ */
+export const leaveRequestIntent = {
+  id: "leave_request",
+  description:
+    "The user wants to file/submit a leave (vacation, personal or sick) for specific dates",
+  suggestedQuestions: ["ขอลาพักร้อนวันที่ 3–5 พฤศจิกายน", "ขอลาป่วยพรุ่งนี้"],
+  keywords: [
+    /ขอลา|ยื่นลา|ยื่นใบลา|แจ้งลา/,
+    /วันที่\s*\d/,
+    /\d{1,2}\s*[-–]\s*\d{1,2}/,
+    /มกรา|กุมภา|มีนา|เมษา|พฤษภา|มิถุนา|กรกฎา|สิงหา|กันยา|ตุลา|พฤศจิกา|ธันวา/,
+    /พรุ่งนี้|มะรืน|สัปดาห์หน้า|อาทิตย์หน้า/,
+    /\b(request|take|book|apply for)\b.*\bleave\b/i,
+  ],
+
+  async handle(question, { chatHistory, getKf, getUserInfo }) {
+    // Outside Kissflow the lookups run through the server's tool proxy,
+    // which answers for the signed-in user (see kissflowToolRunner.js)
+    const kf = await getKf();
+    const userInfo = kf ? await getUserInfo() : {};
+    if (kf && !userInfo.email) {
+      return aiMessage(
+        "ไม่สามารถดึงข้อมูล Email ของคุณได้ กรุณาตรวจสอบการเข้าสู่ระบบ Kissflow"
+      );
+    }
+
+    const draft = await requestLeaveDraft(question, chatHistory);
+    if (draft.missing.length > 0) {
+      const missing = draft.missing.map((f) => `- ${MISSING_FIELD_LABELS[f]}`);
+      return aiMessage(
+        `กรุณาระบุข้อมูลเพิ่มเติมเพื่อยื่นใบลา:\n${missing.join(
+          "\n"
+        )}\n\nตัวอย่าง: "ขอลาพักร้อนวันที่ 3–5 พฤศจิกายน ไปต่างจังหวัด"`
+      );
+    }
+
+    // Same lookup the leave balance skill offers to the model
+    const balance = await runKissflowToolCall(
+      { name: "get_leave_balance", arguments: "{}" },
+      { kf, userInfo }
+    ).catch((err) => {
+      console.warn("Leave balance unavailable:", err);
+      return null;
+    });
+    const { days, remaining, exceedsBalance } = checkLeaveBalance(
+      draft,
+      balance
+    );
+
+    const leaveTypeLabel = LEAVE_TYPE_LABELS[draft.leaveType];
+    const dateRange =
+      draft.startDate === draft.endDate
+        ? formatThaiDate(draft.startDate)
+        : `${formatThaiDate(draft.startDate)} – ${formatThaiDate(
+            draft.endDate
+          )}`;
+
+    if (days === 0) {
+      return aiMessage(
+        `${dateRange} ตรงกับวันหยุดสุดสัปดาห์ทั้งหมด ไม่ต้องยื่นใบ${leaveTypeLabel}`
+      );
+    }
+
+    const lines = [
+      "เตรียมใบลาให้แล้ว:",
+      "",
+      `- ประเภท: ${leaveTypeLabel}`,
+      `- วันที่: ${dateRange} (${days} วันทำการ)`,
+      `- เหตุผล: ${draft.reason || "-"}`,
+      remaining === null
+        ? "- วันลาคงเหลือ: ไม่สามารถตรวจสอบได้"
+        : `- วันลาคงเหลือ: ${remaining} วัน`,
+    ];
+    if (exceedsBalance) {
+      lines.push(
+        "",
+        `⚠️ จำนวนวันลา (${days} วัน) เกินวันลาคงเหลือ (${remaining} วัน) กรุณาตรวจสอบก่อนยื่น`
+      );
+    }
+
+    return aiMessage(lines.join("\n"), {
+      leaveRequest: { ...draft, days, remaining, exceedsBalance },
+    });
+  },
+};
@@ -0,0 +1,75 @@
+import { classifyIntent } from "../chatApi";
+
+/**
+ * Intent router: classifies a message and dispatches it to a registered handler
+ *
+ * A handler is a plain object:
+ * - id: unique intent id
+ * - description: what the intent covers (used by the LLM classifier)
+ * - suggestedQuestions: example questions shown in the UI
+ * - keywords: RegExps for fast local matching
+ * - handle(question, ctx): returns an AI message (see aiMessage.js)
+ *
+ * Classification: keyword scores first; if no single handler wins, the server
+ * classifies with the LLM; if that fails too, the default handler is used
+ */
+export function createIntentRouter(handlers, { defaultIntent } = {}) {
+  const byId = new Map(handlers.map((handler) => [handler.id, handler]));
+  const fallback = byId.get(defaultIntent) || handlers[0];
+
+  function scoreKeywords(handler, question) {
+    return (handler.keywords || []).filter((re) => re.test(question)).length;
+  }
+
+  async function classify(question, chatHistory) {
+    const scored = handlers
+      .map((handler) => ({ handler, score: scoreKeywords(handler, question) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    if (
+      scored.length === 1 ||
+      (scored.length > 1 && scored[0].score > scored[1].score)
+    ) {
+      return scored[0].handler;
+    }
+
+    try {
+      const intentId = await classifyIntent(
+        question,
+        chatHistory,
+        handlers.map(({ id, description, suggestedQuestions }) => ({
+          id,
+          description,
+          examples: suggestedQuestions,
+        }))
+      );
+      if (byId.has(intentId)) {
+        return byId.get(intentId);
+      }
+    } catch (err) {
+      console.warn("Intent classification failed, using default:", err);
+    }
+
+    return fallback;
+  }
+
+  return {
+    classify,
+
+    /**
+     * Classify the question and run the matching handler
+     * Returns the handler's AI message tagged with its intent id
+     */
+    async handle(question, ctx) {
+      const handler = await classify(question, ctx.chatHistory);
+      const message = await handler.handle(question, ctx);
+      return { ...message, intent: handler.id };
+    },
+
+    // Suggested questions from every registered handler, in registration order
+    suggestedQuestions: handlers.flatMap(
+      (handler) => handler.suggestedQuestions || []
+    ),
+  };
+}
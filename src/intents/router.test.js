@@ -0,0 +1,53 @@
+import { createIntentRouter } from "./router";
+import { classifyIntent } from "../chatApi";
+
+jest.mock("../chatApi", () => ({ classifyIntent: jest.fn() }));
+
+const makeHandler = (id, keywords) => ({
+  id,
+  description: id,
+  suggestedQuestions: [`${id} question`],
+  keywords,
+  handle: jest.fn(async () => ({ text: id, sender: "ai" })),
+});
+
+test("dispatches on a clear keyword match without calling the server", async () => {
+  const leave = makeHandler("leave_balance", [/ลาป่วย/]);
+  const cases = makeHandler("case_search", [/ปัญหา/]);
+  const router = createIntentRouter([leave, cases]);
+
+  const message = await router.handle("ลาป่วยเหลือเท่าไหร่", {
+    chatHistory: [],
+  });
+
+  expect(message).toEqual({
+    text: "leave_balance",
+    sender: "ai",
+    intent: "leave_balance",
+  });
+  expect(classifyIntent).not.toHaveBeenCalled();
+});
+
+test("falls back to the LLM classifier, then to the default intent", async () => {
+  const leave = makeHandler("leave_balance", [/ลาป่วย/]);
+  const cases = makeHandler("case_search", [/ปัญหา/]);
+  const router = createIntentRouter([leave, cases], {
+    defaultIntent: "case_search",
+  });
+
+  classifyIntent.mockResolvedValueOnce("leave_balance");
+  expect((await router.classify("แล้วอีกสองวันล่ะ", [])).id).toBe(
+    "leave_balance"
+  );
+
+  classifyIntent.mockRejectedValueOnce(new Error("offline"));
+  expect((await router.classify("สวัสดี", [])).id).toBe("case_search");
+});
+
+test("collects suggested questions from every handler", () => {
+  const router = createIntentRouter([
+    makeHandler("a", []),
+    makeHandler("b", []),
+  ]);
+  expect(router.suggestedQuestions).toEqual(["a question", "b question"]);
+});
@@ -0,0 +1,147 @@
+// ===== Kissflow Case Fields =====
+// The case fields the model drafts: the fields of processes.caseCreate in the
+// deployment config, with its Case_Type options, length limits and required
+// fields. Shared by the server (structured output schema, validation) and the
+// review form, so this file stays CommonJS.
+
+// Used when the deployment config leaves caseTypeOptions / maxLengths out
+const DEFAULT_CASE_TYPE_OPTIONS = [
+  "Customer Service",
+  "HR",
+  "Legal",
+  "Technical Support",
+];
+const DEFAULT_MAX_LENGTHS = {
+  Case_Title: 100,
+  Case_Description: 500,
+  AI_Suggestions: 300,
+  Solution_Description: 500,
+};
+
+// What the model is told about the standard fields; other configured fields
+// are described through processes.caseCreate.fieldDescriptions
+const DEFAULT_FIELD_DESCRIPTIONS = {
+  Case_Title: "A concise title for the case",
+  Case_Type: "The type of case",
+  Case_Description: "Detailed description of the case issue",
+  AI_Suggestions:
+    "AI recommendations for solving the issue based on similar cases",
+  Solution_Description: "Detailed explanation of how to resolve the case",
+};
+
+// Filled in from the signed-in user, never drafted
+const REQUESTER_FIELD = "Requester_Email";
+
+/**
+ * Case types processes.caseCreate accepts; drafts, imports and search
+ * filters are all checked against this list
+ */
+function caseTypeOptions(caseCreate = {}) {
+  return caseCreate.caseTypeOptions || DEFAULT_CASE_TYPE_OPTIONS;
+}
+
+/**
+ * Fields the model drafts, in review-form order: the configured
+ * processes.caseCreate.fields except the requester
+ */
+function caseDataFields(caseCreate = {}) {
+  const fields = caseCreate.fields || DEFAULT_FIELD_DESCRIPTIONS;
+  return Object.keys(fields).filter((name) => name !== REQUESTER_FIELD);
+}
+
+/**
+ * Per-field rules from processes.caseCreate
+ * - required: listed in requiredFields (every drafted field when left out)
+ * Returns: [{ name, description, required, options?, maxLength? }]
+ */
+function caseFieldRules(caseCreate = {}) {
+  const names = caseDataFields(caseCreate);
+  const options = caseTypeOptions(caseCreate);
+  const maxLengths = { ...DEFAULT_MAX_LENGTHS, ...caseCreate.maxLengths };
+  const descriptions = {
+    ...DEFAULT_FIELD_DESCRIPTIONS,
+    ...caseCreate.fieldDescriptions,
+  };
+  const required = caseCreate.requiredFields || names;
+
+  return names.map((name) => ({
+    name,
+    description: descriptions[name] || name.replace(/_/g, " "),
+    required: required.includes(name),
+    ...(name === "Case_Type" ? { options } : {}),
+    ...(maxLengths[name] ? { maxLength: maxLengths[name] } : {}),
+  }));
+}
+
+/**
+ * JSON schema of the case data the model returns
+ */
+function buildCaseDataSchema(caseCreate) {
+  const rules = caseFieldRules(caseCreate);
+  return {
+    type: "object",
+    properties: Object.fromEntries(
+      rules.map(({ name, description, options, maxLength }) => [
+        name,
+        {
+          type: "string",
+          description,
+          ...(options && { enum: options }),
+          ...(maxLength && { maxLength }),
+        },
+      ])
+    ),
+    required: rules.filter((rule) => rule.required).map(({ name }) => name),
+    additionalProperties: false,
+  };
+}
+
+/**
+ * Check case data against buildCaseDataSchema
+ * Returns: { caseData, errors } where caseData keeps only the valid fields
+ * and errors is [{ field, message }]; unknown fields are dropped
+ */
+function validateCaseData(data, schema) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return {
+      caseData: {},
+      errors: [{ field: "(root)", message: "expected a JSON object" }],
+    };
+  }
+
+  const caseData = {};
+  const errors = [];
+  for (const [field, rule] of Object.entries(schema.properties)) {
+    const value = data[field];
+    const required = schema.required.includes(field);
+    let message = null;
+    if (value === undefined || value === null) {
+      message = required ? "is required" : null;
+    } else if (typeof value !== "string") {
+      message = `must be a string, got ${typeof value}`;
+    } else if (!value.trim()) {
+      message = required ? "must not be empty" : null;
+    } else if (rule.enum && !rule.enum.includes(value)) {
+      message = `must be one of: ${rule.enum.join(", ")} (got "${value}")`;
+    } else if (rule.maxLength && value.length > rule.maxLength) {
+      message = `must be at most ${rule.maxLength} characters (got ${value.length})`;
+    }
+
+    if (message) {
+      errors.push({ field, message });
+    } else if (value !== undefined && value !== null) {
+      caseData[field] = value.trim();
+    }
+  }
+  return { caseData, errors };
+}
+
+module.exports = {
+  DEFAULT_CASE_TYPE_OPTIONS,
+  DEFAULT_MAX_LENGTHS,
+  buildCaseDataSchema,
+  caseDataFields,
+  caseFieldRules,
+  caseTypeOptions,
+  validateCaseData,
+};
@@ -0,0 +1,80 @@
+import { getKissflowConfig } from "./kissflowConfig";
+import { caseFieldRules } from "./kissflowCaseFields";
+
+// Labels and layout of the pre-submit review form
+const CASE_FIELD_LAYOUT = {
+  Case_Title: { label: "หัวข้อ" },
+  Case_Type: { label: "ประเภท" },
+  Case_Description: { label: "รายละเอียด", multiline: true },
+  AI_Suggestions: { label: "คำแนะนำจาก AI", multiline: true },
+  Solution_Description: { label: "แนวทางแก้ไข", multiline: true },
+};
+
+/**
+ * Fields shown in the review form, in display order
+ * The fields, Case_Type options, max lengths and required fields come from
+ * processes.caseCreate, the same rules generateKissflowCaseData gives the
+ * model; fields without a layout are labelled with their name
+ */
+export function getCaseFormFields(
+  caseCreate = getKissflowConfig().processes.caseCreate
+) {
+  return [
+    ...caseFieldRules(caseCreate).map(
+      ({ name, required, options, maxLength }) => ({
+        name,
+        label: name.replace(/_/g, " "),
+        ...CASE_FIELD_LAYOUT[name],
+        required,
+        ...(options && { options }),
+        ...(maxLength && { maxLength }),
+      })
+    ),
+    { name: "Requester_Email", label: "อีเมลผู้แจ้ง", readOnly: true },
+  ];
+}
+
+/**
+ * Initial review-form values from AI case data (missing fields → "")
+ * Requester_Email always comes from the signed-in Kissflow user
+ */
+export function buildCaseDraft(
+  caseData,
+  requesterEmail,
+  caseCreate = getKissflowConfig().processes.caseCreate
+) {
+  const fields = getCaseFormFields(caseCreate);
+  const draft = {};
+  for (const { name } of fields) {
+    draft[name] = caseData?.[name] ?? "";
+  }
+  // The select can only show known types
+  const { options } = fields.find(({ name }) => name === "Case_Type");
+  if (!options.includes(draft.Case_Type)) {
+    draft.Case_Type = options[0];
+  }
+  draft.Requester_Email = requesterEmail || "";
+  return draft;
+}
+
+/**
+ * Kissflow create payload: case fields renamed to their Kissflow field IDs
+ * (processes.caseCreate.fields in the deployment config)
+ * Empty values are left out so the form's own defaults apply
+ */
+export function buildKissflowItem(
+  caseDraft,
+  fieldMapping = getKissflowConfig().processes.caseCreate.fields
+) {
+  const item = {};
+  for (const [field, fieldId] of Object.entries(fieldMapping)) {
+    const value =
+      typeof caseDraft[field] === "string"
+        ? caseDraft[field].trim()
+        : caseDraft[field];
+    if (value !== undefined && value !== null && value !== "") {
+      item[fieldId] = value;
+    }
+  }
+  return item;
+}
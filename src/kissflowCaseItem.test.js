@@ -0,0 +1,63 @@
+import { buildCaseDraft, buildKissflowItem } from "./kissflowCaseItem";
+import { setKissflowConfig } from "./kissflowConfig";
+import kissflowConfig from "../config/kissflow.json";
+
+beforeAll(() => setKissflowConfig(kissflowConfig));
+
+test("fills the draft from AI case data and the Kissflow user email", () => {
+  const draft = buildCaseDraft(
+    {
+      Case_Title: "VPN เชื่อมต่อไม่ได้",
+      Case_Type: "Technical Support",
+      Requester_Email: "model@example.com",
+    },
+    "somchai@example.com"
+  );
+
+  expect(draft).toEqual({
+    Case_Title: "VPN เชื่อมต่อไม่ได้",
+    Case_Type: "Technical Support",
+    Case_Description: "",
+    AI_Suggestions: "",
+    Solution_Description: "",
+    Requester_Email: "somchai@example.com",
+  });
+});
+
+test("maps draft fields to Kissflow field IDs and drops empty values", () => {
+  const fieldMapping = {
+    ...kissflowConfig.processes.caseCreate.fields,
+    Case_Title: "Title_Field",
+  };
+
+  expect(
+    buildKissflowItem(
+      {
+        Case_Title: "  VPN เชื่อมต่อไม่ได้ ",
+        Case_Type: "Technical Support",
+        Case_Description: "",
+        Requester_Email: "somchai@example.com",
+      },
+      fieldMapping
+    )
+  ).toEqual({
+    Title_Field: "VPN เชื่อมต่อไม่ได้",
+    Case_Type: "Technical Support",
+    Requester_Email: "somchai@example.com",
+  });
+});
+
+test("offers the Case_Type options of the deployment config", () => {
+  const caseCreate = {
+    ...kissflowConfig.processes.caseCreate,
+    caseTypeOptions: ["IT", "HR"],
+  };
+
+  expect(buildCaseDraft({ Case_Type: "HR" }, "", caseCreate).Case_Type).toBe(
+    "HR"
+  );
+  // Types the form cannot show become the first option
+  expect(
+    buildCaseDraft({ Case_Type: "Technical Support" }, "", caseCreate).Case_Type
+  ).toBe("IT");
+});
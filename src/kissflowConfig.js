@@ -0,0 +1,37 @@
+import { requestJson } from "./api";
+import { assertValidKissflowConfig } from "./kissflowConfigSchema";
+
+// ===== Kissflow Deployment Config (client) =====
+// Bundled by webpack.config.js at build time; bundles built with
+// KISSFLOW_CONFIG_SOURCE=server fetch it from server.js on startup instead
+/* global __KISSFLOW_CONFIG__ */
+let kissflowConfig =
+  typeof __KISSFLOW_CONFIG__ !== "undefined" ? __KISSFLOW_CONFIG__ : null;
+
+/**
+ * Make sure the config is available before the app renders
+ */
+export async function loadKissflowConfig() {
+  if (!kissflowConfig) {
+    const config = await requestJson("/api/config/kissflow");
+    kissflowConfig = assertValidKissflowConfig(config, "/api/config/kissflow");
+  }
+  return kissflowConfig;
+}
+
+/**
+ * Current deployment config: datasets, views, field IDs, processes, popups
+ */
+export function getKissflowConfig() {
+  if (!kissflowConfig) {
+    throw new Error("Kissflow config has not been loaded yet");
+  }
+  return kissflowConfig;
+}
+
+/**
+ * Replace the config (tests and local tooling)
+ */
+export function setKissflowConfig(config) {
+  kissflowConfig = config;
+}
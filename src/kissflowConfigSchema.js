@@ -0,0 +1,153 @@
+// ===== Kissflow Deployment Config Validation =====
+// Shared by server.js, webpack.config.js and the client bundle, so this file
+// stays CommonJS. The schema itself is config/kissflow.schema.json.
+const KISSFLOW_CONFIG_SCHEMA = require("../config/kissflow.schema.json");
+
+/**
+ * Resolve a local "#/definitions/..." reference
+ */
+function resolveSchema(schema, rootSchema) {
+  if (!schema.$ref) return schema;
+  const path = schema.$ref.replace(/^#\//, "").split("/");
+  return path.reduce((node, key) => node[key], rootSchema);
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Closest allowed key for a mistyped one (case-insensitive, ≤ 2 edits)
+ */
+function suggestKey(key, allowedKeys) {
+  const distance = (a, b) => {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      let previous = row[0];
+      row[0] = i;
+      for (let j = 1; j <= b.length; j++) {
+        const current = row[j];
+        row[j] = Math.min(
+          row[j] + 1,
+          row[j - 1] + 1,
+          previous + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        previous = current;
+      }
+    }
+    return row[b.length];
+  };
+
+  const lower = key.toLowerCase();
+  return allowedKeys.find(
+    (allowed) => distance(lower, allowed.toLowerCase()) <= 2
+  );
+}
+
+/**
+ * Validate a value against the subset of JSON Schema the config schema uses:
+ * type, required, properties, additionalProperties (false or a schema for
+ * the other keys), items, minItems, minLength, pattern and local $ref
+ */
+function validateNode(value, schema, rootSchema, path, errors) {
+  const node = resolveSchema(schema, rootSchema);
+  const at = path || "(root)";
+
+  if (node.type && typeOf(value) !== node.type) {
+    const expected = node.pattern ? node.description : node.type;
+    errors.push(`${at}: expected ${expected}, got ${typeOf(value)}`);
+    return;
+  }
+
+  if (node.type === "string") {
+    if (node.minLength && value.length < node.minLength) {
+      errors.push(`${at}: must not be empty`);
+    } else if (node.pattern && !new RegExp(node.pattern).test(value)) {
+      errors.push(
+        `${at}: "${value}" is not ${
+          node.description || `matching ${node.pattern}`
+        }`
+      );
+    }
+  }
+
+  if (node.type === "array") {
+    if (node.minItems && value.length < node.minItems) {
+      errors.push(`${at}: needs at least ${node.minItems} item(s)`);
+    }
+    value.forEach((item, i) =>
+      validateNode(item, node.items, rootSchema, `${path}[${i}]`, errors)
+    );
+  }
+
+  if (node.type === "object") {
+    const properties = node.properties || {};
+    const keyPath = (key) => (path ? `${path}.${key}` : key);
+
+    for (const key of node.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${keyPath(key)}: is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validateNode(
+          propertyValue,
+          properties[key],
+          rootSchema,
+          keyPath(key),
+          errors
+        );
+      } else if (typeof node.additionalProperties === "object") {
+        validateNode(
+          propertyValue,
+          node.additionalProperties,
+          rootSchema,
+          keyPath(key),
+          errors
+        );
+      } else if (node.additionalProperties === false) {
+        const suggestion = suggestKey(key, Object.keys(properties));
+        errors.push(
+          `${keyPath(key)}: unknown key${
+            suggestion ? ` (did you mean "${suggestion}"?)` : ""
+          }`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Validate a deployment config against config/kissflow.schema.json
+ * Returns: list of error messages ("path: problem"), empty when valid
+ */
+function validateKissflowConfig(config, schema = KISSFLOW_CONFIG_SCHEMA) {
+  const errors = [];
+  validateNode(config, schema, schema, "", errors);
+  return errors;
+}
+
+/**
+ * Throw one error listing every problem, naming where the config came from
+ */
+function assertValidKissflowConfig(config, source) {
+  const errors = validateKissflowConfig(config);
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid Kissflow config (${source}):\n${errors
+        .map((error) => `  - ${error}`)
+        .join("\n")}`
+    );
+  }
+  return config;
+}
+
+module.exports = {
+  KISSFLOW_CONFIG_SCHEMA,
+  assertValidKissflowConfig,
+  validateKissflowConfig,
+};
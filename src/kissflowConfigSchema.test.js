@@ -0,0 +1,36 @@
+import { validateKissflowConfig } from "./kissflowConfigSchema";
+import kissflowConfig from "../config/kissflow.json";
+
+const cloneConfig = () => JSON.parse(JSON.stringify(kissflowConfig));
+
+test("accepts the default deployment config", () => {
+  expect(validateKissflowConfig(kissflowConfig)).toEqual([]);
+});
+
+test("reports missing and mistyped keys with their path", () => {
+  const config = cloneConfig();
+  const { leaveBalance } = config.datasets;
+  leaveBalance.viewID = leaveBalance.viewId;
+  delete leaveBalance.viewId;
+  delete config.processes.leaveRequest.fields.reason;
+
+  expect(validateKissflowConfig(config)).toEqual([
+    "datasets.leaveBalance.viewId: is required",
+    'datasets.leaveBalance.viewID: unknown key (did you mean "viewId"?)',
+    "processes.leaveRequest.fields.reason: is required",
+  ]);
+});
+
+test("rejects values that are not Kissflow IDs", () => {
+  const config = cloneConfig();
+  config.popups.item.id = "Leave popup";
+  config.processes.caseLookup.fields = ["Case_Title", 42];
+  // Extra case fields are allowed, but still map to Kissflow IDs
+  config.processes.caseCreate.fields.Priority = "Priority level";
+
+  expect(validateKissflowConfig(config)).toEqual([
+    'popups.item.id: "Leave popup" is not a Kissflow ID (letters, digits and _ only)',
+    "processes.caseLookup.fields[1]: expected a Kissflow ID (letters, digits and _ only), got number",
+    'processes.caseCreate.fields.Priority: "Priority level" is not a Kissflow ID (letters, digits and _ only)',
+  ]);
+});
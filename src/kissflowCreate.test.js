@@ -0,0 +1,251 @@
+/**
+ * @jest-environment node
+ */
+// Kissflow create proxy: retries, timeouts, idempotency and batch create
+import kissflowConfig from "../config/kissflow.json";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../server");
+const { loadAuthConfig } = require("../server/auth");
+const { createMockServices } = require("../server/mocks");
+const { createFileUsageStore } = require("../server/usageStore");
+const {
+  KissflowCreateError,
+  createIdempotencyCache,
+  createKissflowItemCreator,
+} = require("../server/kissflowCreate");
+
+const config = {
+  url: "https://kissflow.test/batch/create",
+  timeoutMs: 50,
+  retries: 2,
+  backoffMs: 100,
+};
+
+// fetch answering with `responses` ({ status, body, headers }) in turn;
+// string bodies are sent as they are, anything else as JSON
+function fakeFetch(responses) {
+  return jest.fn(async () => {
+    const { status = 200, body = [], headers = {} } = responses.shift();
+    const text = typeof body === "string" ? body : JSON.stringify(body);
+    return new Response(text, { status, headers });
+  });
+}
+
+let dataDir;
+let server;
+let baseUrl;
+let kissflowItems;
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "kissflow-create-"));
+  const services = createMockServices(kissflowConfig);
+  kissflowItems = services.kissflowItems;
+  const app = createApp({
+    ...services,
+    kissflowConfig,
+    auth: loadAuthConfig({ AUTH_API_KEYS: "portal:key-123" }),
+    usageStore: createFileUsageStore(path.join(dataDir, "usage.jsonl")),
+  });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  await new Promise((resolve) => server.close(resolve));
+});
+
+function create(caseData, { userId = "u1", idempotencyKey } = {}) {
+  return fetch(`${baseUrl}/api/kissflow/create`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-API-Key": "key-123",
+      "X-User-Id": userId,
+      ...(idempotencyKey && { "Idempotency-Key": idempotencyKey }),
+    },
+    body: JSON.stringify({ caseData }),
+  });
+}
+
+test("retries 503 and 429 answers with exponential backoff", async () => {
+  const fetch = fakeFetch([
+    { status: 503 },
+    { status: 429 },
+    { body: [{ _id: "Pk_1" }] },
+  ]);
+  const sleep = jest.fn(async () => {});
+  const creator = createKissflowItemCreator({ ...config, fetch, sleep });
+
+  await expect(creator.createItems([{ a: 1 }])).resolves.toEqual([
+    { _id: "Pk_1" },
+  ]);
+  expect(fetch).toHaveBeenCalledTimes(3);
+  expect(sleep.mock.calls).toEqual([[100], [200]]);
+  expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual([{ a: 1 }]);
+});
+
+test("gives up with a typed error once the retries are spent", async () => {
+  const sleep = jest.fn(async () => {});
+  const creator = createKissflowItemCreator({
+    ...config,
+    sleep,
+    fetch: fakeFetch([
+      { status: 429, headers: { "Retry-After": "2" } },
+      { status: 429, headers: { "Retry-After": "2" } },
+      { status: 429, headers: { "Retry-After": "2" } },
+    ]),
+  });
+
+  await expect(creator.createItems([{}])).rejects.toMatchObject({
+    code: "kissflow_rate_limited",
+    status: 503,
+    retryAfterMs: 2000,
+  });
+  // Kissflow's Retry-After wins over the backoff
+  expect(sleep.mock.calls).toEqual([[2000], [2000]]);
+});
+
+test("does not retry rejected items, other 5xx errors or timeouts", async () => {
+  const rejected = createKissflowItemCreator({
+    ...config,
+    fetch: fakeFetch([{ status: 400, body: { message: "Bad field" } }]),
+  });
+  await expect(rejected.createItems([{}])).rejects.toMatchObject({
+    code: "kissflow_rejected",
+    details: '{"message":"Bad field"}',
+  });
+
+  // Kissflow may have created the items before failing
+  const serverError = fakeFetch([{ status: 500 }, { body: [{ _id: "Pk_1" }] }]);
+  const failed = createKissflowItemCreator({ ...config, fetch: serverError });
+  await expect(failed.createItems([{}])).rejects.toMatchObject({
+    code: "kissflow_unavailable",
+    status: 502,
+  });
+  expect(serverError).toHaveBeenCalledTimes(1);
+
+  // Never answers; rejects once the timeout aborts the request
+  const fetch = jest.fn(
+    (url, { signal }) =>
+      new Promise((resolve, reject) => {
+        signal.addEventListener("abort", () => reject(signal.reason));
+      })
+  );
+  const slow = createKissflowItemCreator({ ...config, fetch });
+  await expect(slow.createItems([{}])).rejects.toMatchObject({
+    code: "kissflow_timeout",
+    status: 504,
+  });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test("turns a success answer that is not JSON into a typed error", async () => {
+  const creator = createKissflowItemCreator({
+    ...config,
+    fetch: fakeFetch([{ body: "<html>Gateway error</html>" }]),
+  });
+
+  await expect(creator.createItems([{}])).rejects.toMatchObject({
+    name: "KissflowCreateError",
+    code: "kissflow_unavailable",
+    status: 502,
+    details: "<html>Gateway error</html>",
+  });
+});
+
+test("creates a batch and returns the same items for a repeated key", async () => {
+  const items = [
+    { Case_Title: "จอเสีย", Requester_Email: "someone@example.com" },
+    { Case_Title: "เมาส์เสีย" },
+  ];
+  const spy = jest.spyOn(kissflowItems, "createItems");
+
+  // A double-click: both submits are in flight at once
+  const [first, second] = await Promise.all([
+    create(items, { idempotencyKey: "msg-1" }),
+    create(items, { idempotencyKey: "msg-1" }),
+  ]);
+  expect(first.status).toBe(200);
+  expect(second.status).toBe(200);
+  const created = await first.json();
+  expect(created.items).toHaveLength(2);
+  expect(await second.json()).toEqual(created);
+  expect(spy).toHaveBeenCalledTimes(1);
+
+  const later = await create(items, { idempotencyKey: "msg-1" });
+  expect(later.headers.get("Idempotent-Replayed")).toBe("true");
+  expect(await later.json()).toEqual(created);
+
+  // Another user's message with the same ID is a different key
+  await create(items, { userId: "u2", idempotencyKey: "msg-1" });
+  expect(spy).toHaveBeenCalledTimes(2);
+
+  const reused = await create([{ Case_Title: "อื่น" }], {
+    idempotencyKey: "msg-1",
+  });
+  expect(reused.status).toBe(422);
+  expect(await reused.json()).toMatchObject({ code: "idempotency_key_reused" });
+  spy.mockRestore();
+});
+
+test("forgets the least recently used key past maxKeys", async () => {
+  const cache = createIdempotencyCache({ maxKeys: 2 });
+  const create = jest.fn(async () => "created");
+
+  await cache.run("a", {}, create);
+  await cache.run("b", {}, create);
+  // Using "a" again makes "b" the least recently used
+  expect(await cache.run("a", {}, create)).toEqual({
+    result: "created",
+    replayed: true,
+  });
+  await cache.run("c", {}, create);
+  expect(create).toHaveBeenCalledTimes(3);
+
+  expect((await cache.run("a", {}, create)).replayed).toBe(true);
+  expect((await cache.run("b", {}, create)).replayed).toBe(false);
+  expect(create).toHaveBeenCalledTimes(4);
+});
+
+test("answers with typed error codes", async () => {
+  const missing = await create(undefined);
+  expect(missing.status).toBe(400);
+  expect(await missing.json()).toMatchObject({ code: "invalid_items" });
+
+  const badItem = await create([{ Case_Title: "ok" }, "text"]);
+  expect(await badItem.json()).toMatchObject({ code: "invalid_items" });
+
+  const badKey = await create({}, { idempotencyKey: "not a key" });
+  expect(await badKey.json()).toMatchObject({
+    code: "invalid_idempotency_key",
+  });
+
+  const spy = jest
+    .spyOn(kissflowItems, "createItems")
+    .mockImplementation(async () => {
+      throw new KissflowCreateError(
+        "kissflow_unavailable",
+        "Kissflow API error 502",
+        { details: "Bad Gateway" }
+      );
+    });
+  const failed = await create({ Case_Title: "จอเสีย" });
+  expect(failed.status).toBe(502);
+  expect(await failed.json()).toEqual({
+    error: "Kissflow API error 502",
+    code: "kissflow_unavailable",
+    details: "Bad Gateway",
+  });
+  spy.mockRestore();
+});
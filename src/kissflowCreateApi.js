@@ -0,0 +1,45 @@
+import { requestJson } from "./api";
+
+// ===== Kissflow Item Creation API (server.js /api/kissflow/create) =====
+
+// Shown to the employee for the error codes the proxy answers with (see
+// server/kissflowCreate.js)
+export const CREATE_ERROR_MESSAGES = {
+  invalid_items: "ข้อมูล Request ไม่ครบถ้วน กรุณาตรวจสอบแล้วลองใหม่อีกครั้ง",
+  idempotency_key_reused:
+    "ข้อความนี้ถูกใช้สร้าง Request ด้วยข้อมูลชุดอื่นไปแล้ว กรุณาสร้างจากข้อความใหม่",
+  kissflow_rejected:
+    "Kissflow ไม่รับข้อมูล Request นี้ กรุณาตรวจสอบข้อมูลแล้วลองใหม่อีกครั้ง",
+  kissflow_auth_failed:
+    "ระบบไม่ได้รับสิทธิ์สร้าง Request ใน Kissflow กรุณาติดต่อผู้ดูแลระบบ",
+  kissflow_unavailable:
+    "Kissflow ไม่พร้อมให้บริการในขณะนี้ กรุณาลองใหม่อีกครั้งในภายหลัง",
+  kissflow_rate_limited:
+    "มีการสร้าง Request ใน Kissflow มากเกินไป กรุณารอสักครู่แล้วลองใหม่อีกครั้ง",
+  kissflow_not_configured:
+    "ยังไม่ได้ตั้งค่าการสร้าง Request ใน Kissflow กรุณาติดต่อผู้ดูแลระบบ",
+  kissflow_timeout:
+    "Kissflow ตอบกลับช้าเกินไป Request อาจถูกสร้างแล้ว กรุณาตรวจสอบใน Kissflow ก่อนลองใหม่",
+};
+
+/**
+ * Create one or more items (keyed by Kissflow field IDs) of the case process
+ * idempotencyKey: the chat message the items come from; submitting again
+ * with the same key returns the items created the first time
+ * Returns: the created items ({ _id, _activity_instance_id, ... })
+ */
+export async function createKissflowItems(items, { idempotencyKey } = {}) {
+  const { items: created } = await requestJson("/api/kissflow/create", {
+    method: "POST",
+    headers: idempotencyKey ? { "Idempotency-Key": idempotencyKey } : {},
+    body: { caseData: items },
+  });
+  return created;
+}
+
+/**
+ * Message for the employee about a failed createKissflowItems call
+ */
+export function describeCreateError(err) {
+  return CREATE_ERROR_MESSAGES[err.code] || err.message;
+}
@@ -0,0 +1,21 @@
+import KFSDK from "@kissflow/lowcode-client-sdk";
+import { getKissflowConfig } from "./kissflowConfig";
+
+// Set by webpack.config.js from MOCK_MODE=true at build time
+/* global __MOCK_MODE__ */
+export const MOCK_MODE = typeof __MOCK_MODE__ !== "undefined" && __MOCK_MODE__;
+
+/**
+ * Kissflow SDK instance for this page
+ * - Inside Kissflow: the real SDK (KFSDK.initialize fails anywhere else)
+ * - Mock mode: a fake with fixture user, account, data and popups, so the
+ *   page runs on localhost
+ */
+export async function initializeKissflow() {
+  if (MOCK_MODE) {
+    // Loaded on demand so fixtures stay out of production bundles
+    const { createFakeKissflow } = await import("./mocks/fakeKissflow");
+    return createFakeKissflow(getKissflowConfig());
+  }
+  return KFSDK.initialize();
+}
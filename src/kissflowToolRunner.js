@@ -0,0 +1,34 @@
+import { requestJson } from "./api";
+import { getKissflowConfig } from "./kissflowConfig";
+import { getKissflowTool, parseToolArguments } from "./kissflowTools";
+
+/**
+ * Run one model tool call against Kissflow
+ * - Inside Kissflow: through the SDK (kf.api) as the signed-in user
+ * - Elsewhere: through the server.js REST proxy (/api/kissflow/tools/:name),
+ *   for the user of the user token or JWT
+ * Returns the trimmed tool result that is fed back to the model
+ */
+export async function runKissflowToolCall(call, { kf, userInfo }) {
+  const tool = getKissflowTool(call.name);
+  const args = parseToolArguments(call.arguments);
+
+  if (!kf) {
+    const { result } = await requestJson(
+      `/api/kissflow/tools/${encodeURIComponent(call.name)}`,
+      {
+        method: "POST",
+        body: { arguments: call.arguments },
+      }
+    );
+    return result;
+  }
+
+  const ctx = {
+    accountId: userInfo.accountId,
+    email: userInfo.email,
+    config: getKissflowConfig(),
+  };
+  const response = await kf.api(tool.request(args, ctx), { method: "GET" });
+  return tool.transform(response, args, ctx);
+}
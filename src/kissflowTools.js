@@ -0,0 +1,171 @@
+// ===== Kissflow Lookup Tools =====
+// Shared by App.js (runs calls through kf.api) and server.js (runs calls
+// through the Kissflow REST proxy), so this file stays CommonJS.
+
+const MAX_LIST_ITEMS = 10;
+
+/**
+ * Keep only the listed fields of a Kissflow item (plus its instance ID)
+ */
+function pickFields(item, fields) {
+  const picked = { _id: item._id };
+  for (const field of fields) {
+    if (item[field] !== undefined) picked[field] = item[field];
+  }
+  return picked;
+}
+
+/**
+ * Whether the user requested the case (its requester email field is theirs)
+ */
+function isRequester(item, email, config) {
+  return (
+    Boolean(email) && item[config.processes.caseLookup.requesterEmail] === email
+  );
+}
+
+function listItems(response) {
+  const items = response?.Data || response || [];
+  return Array.isArray(items) ? items.slice(0, MAX_LIST_ITEMS) : [];
+}
+
+/**
+ * Tool registry
+ * - definition: OpenAI function definition shown to the model
+ * - label: what the UI shows for the call ("looked up ...")
+ * - request(args, ctx): Kissflow API path for the call
+ *   ctx = { accountId, email, config } where config is the deployment config
+ *   (config/kissflow.json); user-scoped lookups take the email from ctx,
+ *   never from model arguments
+ * - transform(response, args, ctx): trims the API response before it reaches the model
+ */
+const KISSFLOW_TOOLS = {
+  get_leave_balance: {
+    label: "ข้อมูลวันลาคงเหลือ",
+    definition: {
+      description:
+        "Get the current user's remaining leave days (vacation, personal, sick) from the Kissflow leave dataset.",
+      parameters: {
+        type: "object",
+        properties: {},
+        additionalProperties: false,
+      },
+    },
+    request: (args, { accountId, email, config }) => {
+      const dataset = config.datasets.leaveBalance;
+      return `/dataset/2/${accountId}/${dataset.id}/view/${
+        dataset.viewId
+      }/list?q=${encodeURIComponent(
+        email
+      )}&page_number=1&page_size=10&search_field=${dataset.fields.email}`;
+    },
+    transform: (response, args, { email, config }) => {
+      const fields = config.datasets.leaveBalance.fields;
+      const items = listItems(response);
+      // The search is a text match: only the exact email is the user's record
+      const record = items.find((item) => item[fields.email] === email);
+      if (!record) return { found: false };
+      return {
+        found: true,
+        vacationDays: record[fields.vacation] || 0,
+        personalDays: record[fields.personal] || 0,
+        sickDays: record[fields.sick] || 0,
+      };
+    },
+  },
+
+  search_cases: {
+    label: "รายการเคสใน Kissflow",
+    definition: {
+      description:
+        "Search the user's own cases in the Kissflow case process by keyword, e.g. to check their status.",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string", description: "Keyword to search for" },
+        },
+        required: ["query"],
+        additionalProperties: false,
+      },
+    },
+    // Non-admin list: the caller's items (the server's own items through the
+    // REST proxy, i.e. those it created), narrowed to the user's requests
+    request: ({ query }, { accountId, config }) =>
+      `/process/2/${accountId}/${
+        config.processes.caseLookup.id
+      }/myitems?page_number=1&page_size=${MAX_LIST_ITEMS}&q=${encodeURIComponent(
+        query || ""
+      )}`,
+    transform: (response, args, { email, config }) =>
+      listItems(response)
+        .filter((item) => isRequester(item, email, config))
+        .map((item) => pickFields(item, config.processes.caseLookup.fields)),
+  },
+
+  get_case: {
+    label: "รายละเอียดเคส",
+    definition: {
+      description:
+        "Get the details of one of the user's own Kissflow cases by its instance ID.",
+      parameters: {
+        type: "object",
+        properties: {
+          instanceId: {
+            type: "string",
+            description: "Kissflow instance ID (_id) of the case",
+          },
+        },
+        required: ["instanceId"],
+        additionalProperties: false,
+      },
+    },
+    request: ({ instanceId }, { accountId, config }) =>
+      `/process/2/${accountId}/${
+        config.processes.caseLookup.id
+      }/${encodeURIComponent(instanceId || "")}`,
+    // An instance ID reads any case: only the user's own is returned
+    transform: (response, args, { email, config }) => {
+      if (!isRequester(response || {}, email, config)) return { found: false };
+      return pickFields(response, config.processes.caseLookup.fields);
+    },
+  },
+};
+
+/**
+ * OpenAI `tools` array for the given tool names (default: all)
+ */
+function buildToolDefinitions(names = Object.keys(KISSFLOW_TOOLS)) {
+  return names.map((name) => ({
+    type: "function",
+    function: { name, ...KISSFLOW_TOOLS[name].definition },
+  }));
+}
+
+/**
+ * Look up a tool, throwing for names the model invented
+ */
+function getKissflowTool(name) {
+  // Own keys only: "constructor" or "toString" are not tools
+  if (!Object.hasOwn(KISSFLOW_TOOLS, name)) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+  return KISSFLOW_TOOLS[name];
+}
+
+/**
+ * Parse the model's JSON arguments string (empty/invalid → {})
+ */
+function parseToolArguments(rawArguments) {
+  try {
+    return JSON.parse(rawArguments || "{}") || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+module.exports = {
+  KISSFLOW_TOOLS,
+  buildToolDefinitions,
+  getKissflowTool,
+  parseToolArguments,
+};
@@ -0,0 +1,259 @@
+/**
+ * @jest-environment node
+ */
+// Knowledge-base ingestion (server/caseImport.js, server/knowledgeBase.js)
+// against the in-memory case store used by mock mode
+import kissflowConfig from "../config/kissflow.json";
+
+const {
+  chunkCase,
+  normalizeCaseRecords,
+  parseImportPayload,
+} = require("../server/caseImport");
+const { CASE_COLLECTION } = require("../server/caseSearch");
+const {
+  deleteCases,
+  importCases,
+  reindexKnowledgeBase,
+} = require("../server/knowledgeBase");
+const { DEFAULT_CASE_TYPE_OPTIONS } = require("./kissflowCaseFields");
+const { createMemoryCaseStore } = require("../server/mocks/memoryCaseStore");
+const { fakeEmbedding } = require("../server/mocks/fakeOpenAI");
+
+const llm = { embed: jest.fn(async (texts) => texts.map(fakeEmbedding)) };
+
+function storedChunks(client, caseNumber) {
+  return client.collections
+    .get()
+    .query.fetchObjects({
+      filters: {
+        operator: "Equal",
+        target: { property: "caseNumber" },
+        value: caseNumber,
+      },
+    })
+    .then(({ objects }) => objects.map((o) => o.properties));
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  llm.embed.mockClear();
+});
+
+test("parses CSV with quoted fields and flexible headers", () => {
+  const csv = [
+    "Case Number,Title,case_type,Description,Solution,Created At",
+    'CASE-1,"Outlook ขึ้น ""disconnected""",Technical Support,"บรรทัดแรก',
+    'บรรทัดสอง",ลบโปรไฟล์แล้วสร้างใหม่,2025-09-01',
+    "CASE-2,ไม่มีวิธีแก้,HR,,,",
+  ].join("\n");
+
+  const { format, records } = parseImportPayload(csv);
+  const { cases, errors } = normalizeCaseRecords(records, {
+    caseTypes: DEFAULT_CASE_TYPE_OPTIONS,
+  });
+
+  expect(format).toBe("csv");
+  expect(cases).toEqual([
+    {
+      caseNumber: "CASE-1",
+      caseTitle: 'Outlook ขึ้น "disconnected"',
+      caseType: "Technical Support",
+      caseDescription: "บรรทัดแรก\nบรรทัดสอง",
+      solutionDescription: "ลบโปรไฟล์แล้วสร้างใหม่",
+      instanceID: "",
+      createdAt: "2025-09-01T00:00:00.000Z",
+    },
+  ]);
+  expect(errors).toEqual([{ row: 2, error: "missing solutionDescription" }]);
+});
+
+test("maps Kissflow exports through the configured field IDs", () => {
+  const { format, records } = parseImportPayload(
+    {
+      Data: [
+        {
+          _id: "Pk_1",
+          _created_at: "2025-10-01T08:00:00Z",
+          Case_Title: "เครื่องพิมพ์ไม่ทำงาน",
+          Case_Type: "Technical Support",
+          Case_Description: "พิมพ์ไม่ออก",
+          Solution_Description: "เปลี่ยนหมึก",
+        },
+      ],
+    },
+    { kissflowConfig }
+  );
+
+  expect(format).toBe("kissflow");
+  expect(
+    normalizeCaseRecords(records, {
+      caseTypes: DEFAULT_CASE_TYPE_OPTIONS,
+    }).cases[0]
+  ).toMatchObject({
+    caseNumber: "Pk_1",
+    instanceID: "Pk_1",
+    caseTitle: "เครื่องพิมพ์ไม่ทำงาน",
+    solutionDescription: "เปลี่ยนหมึก",
+  });
+});
+
+test("validates caseType against the configured options", () => {
+  const records = [
+    { caseNumber: "CASE-1", title: "t", caseType: "IT", solution: "s" },
+    { caseNumber: "CASE-2", title: "t", caseType: "Legal", solution: "s" },
+  ];
+
+  const { cases, errors } = normalizeCaseRecords(records, {
+    caseTypes: ["IT", "HR"],
+  });
+
+  expect(cases.map((c) => c.caseNumber)).toEqual(["CASE-1"]);
+  expect(errors).toEqual([
+    { row: 2, error: 'caseType "Legal" must be one of: IT, HR' },
+  ]);
+});
+
+test("chunks long descriptions with overlap", () => {
+  const words = Array.from({ length: 60 }, (_, i) => `word${i}`).join(" ");
+  const chunks = chunkCase(
+    { caseNumber: "CASE-1", caseTitle: "t", caseDescription: words },
+    { maxChars: 100, overlap: 20 }
+  );
+
+  expect(chunks.length).toBeGreaterThan(3);
+  expect(chunks.every((c) => c.caseDescription.length <= 100)).toBe(true);
+  expect(chunks.map((c) => c.chunkIndex)).toEqual(chunks.map((c, i) => i));
+  // Neighbouring chunks share text
+  expect(chunks[1].caseDescription.startsWith("word")).toBe(true);
+  expect(chunks[0].caseDescription).toContain(
+    chunks[1].caseDescription.split(" ")[0]
+  );
+});
+
+test("dry runs, then upserts by caseNumber and deletes", async () => {
+  const client = createMemoryCaseStore();
+  const updated = {
+    caseNumber: "CASE-0001",
+    caseTitle: "VPN ใช้ไม่ได้",
+    caseType: "Technical Support",
+    caseDescription: "เชื่อมต่อ VPN ไม่ได้",
+    solutionDescription: "รีเซ็ตรหัสผ่าน",
+    instanceID: "",
+  };
+  const created = { ...updated, caseNumber: "CASE-9000" };
+
+  const dryRun = await importCases({
+    client,
+    llm,
+    cases: [updated, created],
+    dryRun: true,
+  });
+  expect(dryRun).toMatchObject({
+    created: ["CASE-9000"],
+    updated: ["CASE-0001"],
+  });
+  expect(llm.embed).not.toHaveBeenCalled();
+  expect(await storedChunks(client, "CASE-9000")).toEqual([]);
+
+  await importCases({ client, llm, cases: [updated, created] });
+  expect(await storedChunks(client, "CASE-0001")).toEqual([
+    { ...updated, chunkIndex: 0 },
+  ]);
+  expect(await storedChunks(client, "CASE-9000")).toHaveLength(1);
+
+  expect(await deleteCases(client, ["CASE-9000"])).toBe(1);
+  expect(await storedChunks(client, "CASE-9000")).toEqual([]);
+});
+
+test("overwrites a re-imported case before dropping its stale chunks", async () => {
+  const client = createMemoryCaseStore([]);
+  const long = {
+    caseNumber: "CASE-1",
+    caseTitle: "อีเมลส่งไม่ออก",
+    caseType: "Technical Support",
+    caseDescription: "ส่งอีเมลไม่ได้ ".repeat(300),
+    solutionDescription: "ล้างกล่องขาออก",
+    instanceID: "",
+  };
+  const short = { ...long, caseDescription: "ส่งอีเมลไม่ได้" };
+
+  await importCases({ client, llm, cases: [long] });
+  expect((await storedChunks(client, "CASE-1")).length).toBeGreaterThan(1);
+
+  await importCases({ client, llm, cases: [short] });
+  expect(await storedChunks(client, "CASE-1")).toEqual([
+    { ...short, chunkIndex: 0 },
+  ]);
+
+  // A failed write keeps the stored version instead of deleting it first
+  const { data } = client.collections.get();
+  const insertMany = jest
+    .spyOn(data, "insertMany")
+    .mockResolvedValue({ errors: { 0: { message: "timeout" } } });
+  const report = await importCases({
+    client,
+    llm,
+    cases: [{ ...long, solutionDescription: "รีสตาร์ท Outlook" }],
+  });
+  insertMany.mockRestore();
+
+  expect(report.failed).toEqual([{ caseNumber: "CASE-1", error: "timeout" }]);
+  expect(await storedChunks(client, "CASE-1")).toEqual([
+    { ...short, chunkIndex: 0 },
+  ]);
+});
+
+test("reindexes into a new collection and switches the alias to it", async () => {
+  const client = createMemoryCaseStore();
+  const before = await storedChunks(client, "CASE-0001");
+
+  const first = await reindexKnowledgeBase({ client, llm });
+  expect(first).toMatchObject({ objects: 6, failed: [] });
+  expect(await client.alias.get(CASE_COLLECTION)).toEqual({
+    alias: CASE_COLLECTION,
+    collection: first.collection,
+  });
+  expect(await storedChunks(client, "CASE-0001")).toEqual(before);
+
+  // Later reindexes move the alias and drop the collection it left
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  const second = await reindexKnowledgeBase({ client, llm });
+  expect((await client.alias.get(CASE_COLLECTION)).collection).toBe(
+    second.collection
+  );
+  expect(await client.collections.exists(first.collection)).toBe(false);
+});
+
+test("keeps the live collection when the reindex fails", async () => {
+  const client = createMemoryCaseStore();
+
+  // Writes to the new collection fail
+  const get = client.collections.get;
+  jest.spyOn(client.collections, "get").mockImplementation((name) => {
+    const collection = get(name);
+    if (name !== CASE_COLLECTION) {
+      jest
+        .spyOn(collection.data, "insertMany")
+        .mockResolvedValue({ errors: { 0: { message: "timeout" } } });
+    }
+    return collection;
+  });
+  const report = await reindexKnowledgeBase({ client, llm });
+  client.collections.get.mockRestore();
+
+  expect(report.failed).toHaveLength(1);
+  expect(report.collection).toBe(CASE_COLLECTION);
+  expect(await client.collections.exists(CASE_COLLECTION)).toBe(true);
+  expect(await storedChunks(client, "CASE-0001")).toHaveLength(1);
+
+  // An embedding error drops the half-built collection too
+  llm.embed.mockRejectedValueOnce(new Error("quota exceeded"));
+  await expect(reindexKnowledgeBase({ client, llm })).rejects.toThrow(
+    "quota exceeded"
+  );
+  expect(await storedChunks(client, "CASE-0001")).toHaveLength(1);
+});
@@ -0,0 +1,70 @@
+import { getKissflowConfig } from "./kissflowConfig";
+
+// Display names of the leave types the parser returns
+export const LEAVE_TYPE_LABELS = {
+  Vacation: "ลาพักร้อน",
+  Personal: "ลากิจ",
+  Sick: "ลาป่วย",
+};
+
+// Balance field returned by the get_leave_balance tool for each leave type
+const BALANCE_KEYS = {
+  Vacation: "vacationDays",
+  Personal: "personalDays",
+  Sick: "sickDays",
+};
+
+/**
+ * Working days (Mon–Fri) between two YYYY-MM-DD dates, inclusive
+ * Public holidays are not known here and still count
+ */
+export function countLeaveDays(startDate, endDate) {
+  const end = new Date(`${endDate}T00:00:00Z`);
+  let days = 0;
+  for (
+    let day = new Date(`${startDate}T00:00:00Z`);
+    day <= end;
+    day.setUTCDate(day.getUTCDate() + 1)
+  ) {
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) days++;
+  }
+  return days;
+}
+
+/**
+ * Compare a drafted leave with the balance from get_leave_balance
+ * Returns: { days, remaining, exceedsBalance }
+ */
+export function checkLeaveBalance(draft, balance) {
+  const days = countLeaveDays(draft.startDate, draft.endDate);
+  const remaining = balance?.found
+    ? Number(balance[BALANCE_KEYS[draft.leaveType]]) || 0
+    : null;
+  return {
+    days,
+    remaining,
+    exceedsBalance: remaining !== null && days > remaining,
+  };
+}
+
+/**
+ * Kissflow create payload for a leave request draft
+ * Field IDs and dropdown values come from processes.leaveRequest in the
+ * deployment config
+ */
+export function buildLeaveRequestItem(
+  draft,
+  days,
+  email,
+  { fields, leaveTypeOptions } = getKissflowConfig().processes.leaveRequest
+) {
+  return {
+    [fields.leaveType]: leaveTypeOptions[draft.leaveType],
+    [fields.startDate]: draft.startDate,
+    [fields.endDate]: draft.endDate,
+    [fields.days]: days,
+    [fields.reason]: draft.reason,
+    [fields.email]: email,
+  };
+}
@@ -0,0 +1,70 @@
+import {
+  buildLeaveRequestItem,
+  checkLeaveBalance,
+  countLeaveDays,
+} from "./leaveRequest";
+import { setKissflowConfig } from "./kissflowConfig";
+import kissflowConfig from "../config/kissflow.json";
+
+beforeEach(() => setKissflowConfig(kissflowConfig));
+
+test("counts working days only, both ends inclusive", () => {
+  // Mon 3 – Wed 5 November 2025
+  expect(countLeaveDays("2025-11-03", "2025-11-05")).toBe(3);
+  // Fri 7 – Mon 10 November 2025 spans a weekend
+  expect(countLeaveDays("2025-11-07", "2025-11-10")).toBe(2);
+  expect(countLeaveDays("2025-11-04", "2025-11-04")).toBe(1);
+});
+
+test("flags leave that exceeds the balance of its type", () => {
+  const draft = {
+    leaveType: "Vacation",
+    startDate: "2025-11-03",
+    endDate: "2025-11-05",
+  };
+
+  expect(
+    checkLeaveBalance(draft, { found: true, vacationDays: 2, sickDays: 30 })
+  ).toEqual({ days: 3, remaining: 2, exceedsBalance: true });
+  expect(checkLeaveBalance(draft, { found: true, vacationDays: 10 })).toEqual({
+    days: 3,
+    remaining: 10,
+    exceedsBalance: false,
+  });
+});
+
+test("does not flag leave when the balance is unknown", () => {
+  const draft = {
+    leaveType: "Sick",
+    startDate: "2025-11-03",
+    endDate: "2025-11-03",
+  };
+
+  expect(checkLeaveBalance(draft, { found: false })).toEqual({
+    days: 1,
+    remaining: null,
+    exceedsBalance: false,
+  });
+});
+
+test("maps the draft to leave request field IDs", () => {
+  expect(
+    buildLeaveRequestItem(
+      {
+        leaveType: "Personal",
+        startDate: "2025-11-03",
+        endDate: "2025-11-03",
+        reason: "ไปทำธุระที่อำเภอ",
+      },
+      1,
+      "somchai@example.com"
+    )
+  ).toEqual({
+    Leave_Type: "ลากิจ",
+    Start_Date: "2025-11-03",
+    End_Date: "2025-11-03",
+    Number_of_Days: 1,
+    Reason: "ไปทำธุระที่อำเภอ",
+    Employee_Email: "somchai@example.com",
+  });
+});
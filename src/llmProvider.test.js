@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+// Server-side LLM provider layer (server/llm): provider selection and the
+// OpenAI → Anthropic message translation
+const { createLlmProvider } = require("../server/llm");
+const {
+  createAnthropicProvider,
+  toAnthropicMessages,
+} = require("../server/llm/anthropicProvider");
+
+test("defaults to OpenAI and keeps the legacy OPENAI_CHAT_MODEL override", () => {
+  const llm = createLlmProvider({
+    OPENAI_API_KEY: "test",
+    OPENAI_CHAT_MODEL: "gpt-4.1-mini",
+  });
+
+  expect(llm.name).toBe("openai");
+  expect(llm.models).toEqual({
+    chat: "gpt-4.1-mini",
+    fast: "gpt-4.1-mini",
+    embedding: "text-embedding-3-small",
+  });
+});
+
+test("pairs Anthropic chat with a separate embeddings provider", () => {
+  const env = { LLM_PROVIDER: "anthropic", ANTHROPIC_API_KEY: "test" };
+
+  expect(() => createLlmProvider(env)).toThrow(/EMBEDDING_PROVIDER/);
+
+  const llm = createLlmProvider({
+    ...env,
+    EMBEDDING_PROVIDER: "local",
+    LLM_FAST_MODEL: "claude-haiku-4-5",
+  });
+  expect(llm.name).toBe("anthropic");
+  expect(llm.models.fast).toBe("claude-haiku-4-5");
+  expect(llm.models.embedding).toBe("nomic-embed-text");
+});
+
+test("rejects unknown providers", () => {
+  expect(() => createLlmProvider({ LLM_PROVIDER: "gemini" })).toThrow(
+    /LLM_PROVIDER must be one of/
+  );
+});
+
+test("translates system prompts and tool round trips for Anthropic", () => {
+  const { system, messages } = toAnthropicMessages([
+    { role: "system", content: "You are an HR assistant." },
+    { role: "system", content: "Summary of the earlier conversation: ..." },
+    { role: "user", content: "วันลาเหลือเท่าไหร่" },
+    {
+      role: "assistant",
+      content: null,
+      tool_calls: [
+        {
+          id: "call_1",
+          type: "function",
+          function: { name: "get_leave_balance", arguments: "{}" },
+        },
+      ],
+    },
+    { role: "tool", tool_call_id: "call_1", content: '{"vacationDays":6}' },
+  ]);
+
+  expect(system).toBe(
+    "You are an HR assistant.\n\nSummary of the earlier conversation: ..."
+  );
+  expect(messages).toEqual([
+    { role: "user", content: [{ type: "text", text: "วันลาเหลือเท่าไหร่" }] },
+    {
+      role: "assistant",
+      content: [
+        {
+          type: "tool_use",
+          id: "call_1",
+          name: "get_leave_balance",
+          input: {},
+        },
+      ],
+    },
+    {
+      role: "user",
+      content: [
+        {
+          type: "tool_result",
+          tool_use_id: "call_1",
+          content: '{"vacationDays":6}',
+        },
+      ],
+    },
+  ]);
+});
+
+test("streams Anthropic text and tool calls in the provider shape", async () => {
+  const events = [
+    { type: "content_block_start", index: 0, content_block: { type: "text" } },
+    {
+      type: "content_block_delta",
+      index: 0,
+      delta: { type: "text_delta", text: "กำลังตรวจสอบ" },
+    },
+    {
+      type: "content_block_start",
+      index: 1,
+      content_block: { type: "tool_use", id: "toolu_1", name: "search_cases" },
+    },
+    {
+      type: "content_block_delta",
+      index: 1,
+      delta: { type: "input_json_delta", partial_json: '{"query":' },
+    },
+    {
+      type: "content_block_delta",
+      index: 1,
+      delta: { type: "input_json_delta", partial_json: '"VPN"}' },
+    },
+  ];
+  const create = jest.fn(async function* () {
+    yield* events;
+  });
+  const llm = createAnthropicProvider({
+    client: { messages: { create } },
+    models: { chat: "claude-sonnet-4-5", fast: "claude-haiku-4-5" },
+  });
+
+  const deltas = [];
+  const result = await llm.complete({
+    model: "fast",
+    messages: [{ role: "user", content: "เคส VPN" }],
+    onDelta: (text) => deltas.push(text),
+  });
+
+  expect(create.mock.calls[0][0]).toMatchObject({
+    model: "claude-haiku-4-5",
+    max_tokens: 2048,
+    stream: true,
+  });
+  expect(deltas).toEqual(["กำลังตรวจสอบ"]);
+  expect(result).toEqual({
+    content: "กำลังตรวจสอบ",
+    toolCalls: [
+      { id: "toolu_1", name: "search_cases", arguments: '{"query":"VPN"}' },
+    ],
+  });
+});
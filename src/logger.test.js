@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+// Structured logging: redaction, levels and request IDs
+import kissflowConfig from "../config/kissflow.json";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Read when server/logger.js loads: questions and answers only log at debug
+process.env.LOG_LEVEL = "debug";
+process.env.KISSFLOW_ACCESS_KEY_SECRET = "kf-secret-value";
+
+const { createApp } = require("../server");
+const { loadAuthConfig } = require("../server/auth");
+const { createLogger, redact } = require("../server/logger");
+const { createMockServices } = require("../server/mocks");
+const { createFileUsageStore } = require("../server/usageStore");
+
+afterAll(() => {
+  delete process.env.LOG_LEVEL;
+  delete process.env.KISSFLOW_ACCESS_KEY_SECRET;
+});
+
+test("masks emails, phone numbers, Thai IDs and credentials", () => {
+  expect(
+    redact({
+      question:
+        "ผม somchai.j@example.co.th โทร 081-234-5678 หรือ 02 123 4567 บัตร 1-1037-02071-81-1",
+      note: "เหลือวันลา 6 วัน ตั้งแต่ 2024-10-18, เลขบัตร 1103702071811, ใบสั่งซื้อ 1103702071818",
+      headers: {
+        "X-Access-Key-Id": "AK123",
+        "x-access-key-secret": "kf-secret-value",
+        "Content-Type": "application/json",
+      },
+      raw: 'sent with X-Access-Key-Id: AK123 and Authorization: "Bearer abc.def"',
+      leaked: "secret kf-secret-value in a message",
+      err: new Error("No user with email malee@example.com"),
+    })
+  ).toEqual({
+    question: "ผม [EMAIL] โทร [PHONE] หรือ [PHONE] บัตร [NATIONAL_ID]",
+    note: "เหลือวันลา 6 วัน ตั้งแต่ 2024-10-18, เลขบัตร [NATIONAL_ID], ใบสั่งซื้อ 1103702071818",
+    headers: {
+      "X-Access-Key-Id": "[REDACTED]",
+      "x-access-key-secret": "[REDACTED]",
+      "Content-Type": "application/json",
+    },
+    raw: 'sent with X-Access-Key-Id: [REDACTED] and Authorization: "[REDACTED]"',
+    leaked: "secret [REDACTED] in a message",
+    err: expect.objectContaining({
+      name: "Error",
+      message: "No user with email [EMAIL]",
+    }),
+  });
+  expect(redact("+66 81 234 5678")).toBe("[PHONE]");
+});
+
+test("writes JSON lines at or above the configured level", () => {
+  const lines = [];
+  const log = createLogger("test", {
+    level: "warn",
+    write: (level, line) => lines.push(JSON.parse(line)),
+  });
+
+  log.info("not written");
+  log.warn("Quota reached for somchai@example.com", { userId: "u1" });
+
+  expect(lines).toEqual([
+    {
+      time: expect.any(String),
+      level: "warn",
+      scope: "test",
+      msg: "Quota reached for [EMAIL]",
+      userId: "u1",
+    },
+  ]);
+});
+
+test("tags every line of a request with its request ID", async () => {
+  const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), "logger-usage-"));
+  const output = [];
+  const capture = (line) => output.push(line);
+  jest.spyOn(console, "log").mockImplementation(capture);
+  jest.spyOn(console, "warn").mockImplementation(capture);
+  jest.spyOn(console, "error").mockImplementation(capture);
+
+  const app = createApp({
+    ...createMockServices(kissflowConfig),
+    kissflowConfig,
+    auth: loadAuthConfig({}),
+    usageStore: createFileUsageStore(path.join(usageDir, "usage.jsonl")),
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+
+  try {
+    const response = await fetch(
+      `http://127.0.0.1:${server.address().port}/api/ask`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Request-Id": "req-123",
+        },
+        body: JSON.stringify({
+          question:
+            "ลาพักร้อนต้องแจ้งล่วงหน้ากี่วัน ติดต่อ somchai@example.com",
+        }),
+      }
+    );
+    expect(response.status).toBe(200);
+    expect(response.headers.get("x-request-id")).toBe("req-123");
+    await response.json();
+    // The completion line is written once the response closes
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    fs.rmSync(usageDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  }
+
+  const entries = output.map((line) => JSON.parse(line));
+  const scopes = new Set(
+    entries.filter((e) => e.requestId === "req-123").map((e) => e.scope)
+  );
+  expect([...scopes]).toEqual(
+    expect.arrayContaining(["server", "retrieval", "http"])
+  );
+  expect(entries).toContainEqual(
+    expect.objectContaining({
+      msg: "Question",
+      question: "ลาพักร้อนต้องแจ้งล่วงหน้ากี่วัน ติดต่อ [EMAIL]",
+    })
+  );
+  expect(output.join("\n")).not.toContain("somchai@example.com");
+});
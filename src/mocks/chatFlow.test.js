@@ -0,0 +1,156 @@
+/**
+ * @jest-environment node
+ */
+// End-to-end chat flow in mock mode: intent router → chatApi → server.js
+// (fake OpenAI, in-memory knowledge base) → fake Kissflow, with no network
+import kissflowConfig from "../../config/kissflow.json";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../../server");
+const { createFileAnswerStore } = require("../../server/answerStore");
+const { loadAuthConfig, signToken } = require("../../server/auth");
+const { createMockServices } = require("../../server/mocks");
+const { createFileUsageStore } = require("../../server/usageStore");
+const { createFakeKissflow } = require("./fakeKissflow");
+const KISSFLOW_FIXTURES = require("./fixtures/kissflow.json");
+
+let server;
+let usageDir;
+let intentRouter;
+let kf;
+let answerStore;
+let usageStore;
+
+beforeAll(async () => {
+  usageDir = fs.mkdtempSync(path.join(os.tmpdir(), "chat-flow-usage-"));
+  answerStore = createFileAnswerStore(path.join(usageDir, "answers"));
+  usageStore = createFileUsageStore(path.join(usageDir, "usage.jsonl"));
+  const app = createApp({
+    ...createMockServices(kissflowConfig),
+    kissflowConfig,
+    answerStore,
+    usageStore,
+    auth: loadAuthConfig({ AUTH_JWT_SECRET: "chat-flow-secret" }),
+  });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  process.env.REACT_APP_API_BASE_URL = `http://127.0.0.1:${
+    server.address().port
+  }`;
+  // Signed in as the fixture user, like a client outside Kissflow
+  process.env.REACT_APP_API_TOKEN = signToken(
+    {
+      sub: KISSFLOW_FIXTURES.user._id,
+      email: KISSFLOW_FIXTURES.user.Email,
+      exp: Math.floor(Date.now() / 1000) + 60 * 60,
+    },
+    "chat-flow-secret"
+  );
+
+  // Loaded after the base URL and token are set; api.js reads them on import
+  jest.isolateModules(() => {
+    require("../kissflowConfig").setKissflowConfig(kissflowConfig);
+    ({ intentRouter } = require("../intents"));
+  });
+});
+
+afterAll(async () => {
+  delete process.env.REACT_APP_API_TOKEN;
+  await new Promise((resolve) => server.close(resolve));
+  // Usage is recorded after the answer is sent; wait for the last write
+  await usageStore.getTotals("", "");
+  fs.rmSync(usageDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  kf = createFakeKissflow(kissflowConfig);
+});
+
+// inKissflow: false runs the Kissflow lookups through the server's proxy
+function ask(question, { inKissflow = true, messageId } = {}) {
+  return intentRouter.handle(question, {
+    chatHistory: [],
+    streamOptions: { messageId },
+    getKf: async () => (inKissflow ? kf : null),
+    getUserInfo: async () => ({
+      userId: kf.user._id,
+      accountId: kf.account._id,
+      email: kf.user.Email,
+    }),
+  });
+}
+
+test("answers a leave balance question through the Kissflow tool", async () => {
+  const message = await ask("ลาป่วยเหลือเท่าไหร่");
+
+  expect(message.intent).toBe("leave_balance");
+  expect(message.toolSteps).toEqual([
+    expect.objectContaining({ name: "get_leave_balance", status: "done" }),
+  ]);
+  expect(message.toolSteps[0].result).toEqual({
+    found: true,
+    vacationDays: 6,
+    personalDays: 3,
+    sickDays: 30,
+  });
+  expect(message.text).toContain('"sickDays":30');
+});
+
+test("answers a problem from the in-memory knowledge base", async () => {
+  const message = await ask("เชื่อมต่อ VPN ไม่ได้หลังเปลี่ยนรหัสผ่าน", {
+    messageId: "msg-vpn",
+  });
+
+  expect(message.intent).toBe("case_search");
+  expect(message.knowledgeBase[0]).toEqual(
+    expect.objectContaining({
+      index: 1,
+      caseNumber: "CASE-0001",
+      instanceID: expect.any(String),
+      certainty: expect.any(Number),
+    })
+  );
+  expect(message.text).toContain("เชื่อมต่อ VPN ไม่ได้หลังเปลี่ยนรหัสผ่าน [1]");
+  // Kept on the server for the message's feedback
+  expect(
+    await answerStore.getAnswer(KISSFLOW_FIXTURES.user._id, "msg-vpn")
+  ).toMatchObject({
+    question: "เชื่อมต่อ VPN ไม่ได้หลังเปลี่ยนรหัสผ่าน",
+    answer: message.text,
+    caseNumbers: expect.arrayContaining(["CASE-0001"]),
+    model: "mock-chat",
+    promptVersion: expect.any(String),
+  });
+  expect(message.kissflowData).toEqual(
+    expect.objectContaining({ Case_Type: "Technical Support" })
+  );
+});
+
+test("drafts a leave request checked against the fixture balance", async () => {
+  const message = await ask("ขอลาพักร้อนวันที่ 3–5 พฤศจิกายน");
+
+  expect(message.intent).toBe("leave_request");
+  expect(message.leaveRequest).toEqual(
+    expect.objectContaining({
+      leaveType: "Vacation",
+      remaining: 6,
+      exceedsBalance: false,
+    })
+  );
+  expect(message.leaveRequest.startDate).toMatch(/^\d{4}-11-03$/);
+  expect(message.leaveRequest.endDate).toMatch(/^\d{4}-11-05$/);
+});
+
+test("answers a leave balance outside Kissflow through the tool proxy", async () => {
+  const message = await ask("ลาป่วยเหลือเท่าไหร่", { inKissflow: false });
+
+  expect(message.toolSteps).toEqual([
+    expect.objectContaining({ name: "get_leave_balance", status: "done" }),
+  ]);
+  expect(message.toolSteps[0].result).toEqual(
+    expect.objectContaining({ found: true, sickDays: 30 })
+  );
+});
@@ -0,0 +1,151 @@
+// ===== Fake Kissflow (mock mode) =====
+// Stands in for KFSDK in the browser and for the Kissflow REST API in
+// server.js, so this file stays CommonJS. Data comes from ./fixtures.
+const KISSFLOW_FIXTURES = require("./fixtures/kissflow.json");
+const CASE_FIXTURES = require("./fixtures/cases.json");
+
+/**
+ * Fake Kissflow SDK instance: kf.user, kf.account, kf.api and
+ * kf.app.page.openPopup, answering from fixture data
+ * - config: deployment config, so fixture records carry the configured field IDs
+ * - Created items and opened popups are kept for inspection in tests
+ */
+function createFakeKissflow(config, fixtures = KISSFLOW_FIXTURES) {
+  const { leaveBalance } = config.datasets;
+  const createdItems = [];
+  const openedPopups = [];
+
+  const balanceRecords = fixtures.leaveBalances.map((balance) => ({
+    _id: `Pk_mock_balance_${balance.email}`,
+    [leaveBalance.fields.email]: balance.email,
+    [leaveBalance.fields.vacation]: balance.vacation,
+    [leaveBalance.fields.personal]: balance.personal,
+    [leaveBalance.fields.sick]: balance.sick,
+  }));
+
+  // Knowledge-base fixtures double as Kissflow case items
+  const caseItems = CASE_FIXTURES.map((c) => ({
+    _id: c.instanceID,
+    Case_Title: c.caseTitle,
+    Case_Type: c.caseType,
+    Case_Description: c.caseDescription,
+    Solution_Description: c.solutionDescription,
+    // Every fixture case was requested by the fixture user
+    [config.processes.caseLookup.requesterEmail]: fixtures.user.Email,
+    _status: "Completed",
+    _created_at: "2025-01-15T09:00:00Z",
+  }));
+
+  const routes = [
+    {
+      method: "GET",
+      pattern: /^\/user\/2\/[^/]*\/([^/]+)$/,
+      handle: (match) => {
+        if (decodeURIComponent(match[1]) !== fixtures.user._id) {
+          throw new Error(`Mock Kissflow: user ${match[1]} not found`);
+        }
+        return fixtures.user;
+      },
+    },
+    {
+      method: "GET",
+      pattern: new RegExp(
+        `^/dataset/2/[^/]*/${leaveBalance.id}/view/${leaveBalance.viewId}/list$`
+      ),
+      handle: (match, query) => ({
+        Data: balanceRecords.filter(
+          (record) => record[leaveBalance.fields.email] === query.get("q")
+        ),
+      }),
+    },
+    {
+      method: "GET",
+      pattern: new RegExp(
+        `^/process/2/[^/]*/${config.processes.caseLookup.id}/myitems$`
+      ),
+      handle: (match, query) => {
+        // Any search word matching any field is a hit
+        const words = (query.get("q") || "").toLowerCase().split(/\s+/);
+        return {
+          Data: caseItems.filter((item) => {
+            const text = JSON.stringify(item).toLowerCase();
+            return words.some((word) => text.includes(word));
+          }),
+        };
+      },
+    },
+    {
+      method: "GET",
+      pattern: new RegExp(
+        `^/process/2/[^/]*/${config.processes.caseLookup.id}/([^/]+)$`
+      ),
+      handle: (match) => {
+        const item = caseItems.find((c) => c._id === match[1]);
+        if (!item) throw new Error(`Mock Kissflow: case ${match[1]} not found`);
+        return item;
+      },
+    },
+    {
+      method: "GET",
+      pattern: /^\/process\/2\/[^/]*\/([^/]+)\/([^/]+)$/,
+      handle: (match) => {
+        const item = createdItems.find(
+          (c) => c.processId === match[1] && c._id === match[2]
+        );
+        if (!item) throw new Error(`Mock Kissflow: item ${match[2]} not found`);
+        return item;
+      },
+    },
+    {
+      // create (draft) and create/submit; the fixture user is the creator
+      method: "POST",
+      pattern: /^\/process\/2\/[^/]*\/([^/]+)\/create(\/submit)?$/,
+      handle: (match, query, body) => {
+        const n = createdItems.length + 1;
+        const item = {
+          _id: `Pk_mock_item_${n}`,
+          _activity_instance_id: `Ak_mock_item_${n}`,
+          processId: match[1],
+          ...body,
+          // Set by Kissflow, whatever the body says
+          _created_by: { _id: fixtures.user._id, Name: fixtures.user.Name },
+        };
+        createdItems.push(item);
+        return {
+          _id: item._id,
+          _activity_instance_id: item._activity_instance_id,
+        };
+      },
+    },
+  ];
+
+  async function api(url, { method = "GET", body } = {}) {
+    const [path, search = ""] = url.split("?");
+    const query = new URLSearchParams(search);
+    const payload = typeof body === "string" ? JSON.parse(body || "{}") : body;
+
+    for (const route of routes) {
+      const match = route.method === method && path.match(route.pattern);
+      if (match) return route.handle(match, query, payload);
+    }
+    throw new Error(`Mock Kissflow: no fixture for ${method} ${path}`);
+  }
+
+  return {
+    user: fixtures.user,
+    account: fixtures.account,
+    api,
+    app: {
+      page: {
+        async openPopup(popupId, parameters) {
+          console.info("[Mock Kissflow] openPopup", popupId, parameters);
+          openedPopups.push({ popupId, parameters });
+        },
+      },
+    },
+    createdItems,
+    openedPopups,
+  };
+}
+
+module.exports = { CASE_FIXTURES, createFakeKissflow };
@@ -0,0 +1,149 @@
+/**
+ * @jest-environment node
+ */
+// PII scrubbing before model calls: Thai examples, policy and round trips
+const {
+  createPiiVault,
+  createStreamRestorer,
+  normalizePiiPolicy,
+  scrubPii,
+} = require("../server/pii");
+
+const maskAll = normalizePiiPolicy({});
+
+describe("detects personal data in Thai text", () => {
+  test.each([
+    [
+      "ติดต่อผมที่ somchai.j@example.co.th ได้เลยครับ",
+      "ติดต่อผมที่ [EMAIL_1] ได้เลยครับ",
+    ],
+    ["เบอร์มือถือ 081-234-5678 ค่ะ", "เบอร์มือถือ [PHONE_1] ค่ะ"],
+    ["โทร 0812345678 หรือ 02 123 4567", "โทร [PHONE_1] หรือ [PHONE_2]"],
+    ["โทรจากต่างประเทศ +66 81 234 5678", "โทรจากต่างประเทศ [PHONE_1]"],
+    [
+      "เลขบัตรประชาชน 1-1037-02071-81-1 หมดอายุแล้ว",
+      "เลขบัตรประชาชน [NATIONAL_ID_1] หมดอายุแล้ว",
+    ],
+    ["บัตร ปชช. 1103702071811", "บัตร ปชช. [NATIONAL_ID_1]"],
+    [
+      "โอนเงินเดือนเข้าบัญชี 123-4-56789-0 ไม่ได้",
+      "โอนเงินเดือนเข้าบัญชี [BANK_ACCOUNT_1] ไม่ได้",
+    ],
+    [
+      "เลขที่บัญชีกสิกร 0123456789 ครับ",
+      "เลขที่บัญชีกสิกร [BANK_ACCOUNT_1] ครับ",
+    ],
+    // Dates, leave balances, case numbers and citations are not PII, nor
+    // 13-digit numbers failing the national ID check digit
+    ["เลขที่ใบสั่งซื้อ 1103702071818", "เลขที่ใบสั่งซื้อ 1103702071818"],
+    [
+      "ลาพักร้อน 3-5 พ.ย. 2568 เหลือ 6 วัน (CS-2024-0012) [1]",
+      "ลาพักร้อน 3-5 พ.ย. 2568 เหลือ 6 วัน (CS-2024-0012) [1]",
+    ],
+  ])("%s", (text, expected) => {
+    const vault = createPiiVault(maskAll);
+    const masked = vault.mask(text);
+    expect(masked).toBe(expected);
+    expect(vault.restore(masked)).toBe(text);
+  });
+});
+
+test("follows the policy's types and allow list", () => {
+  const policy = normalizePiiPolicy({
+    types: { phone: "keep" },
+    allowList: ["HR@example.com"],
+  });
+  const vault = createPiiVault(policy);
+
+  expect(
+    vault.mask(
+      "ส่งใบลาให้ hr@example.com และ malee@example.com โทร 081-234-5678"
+    )
+  ).toBe("ส่งใบลาให้ hr@example.com และ [EMAIL_1] โทร 081-234-5678");
+  expect(() => normalizePiiPolicy({ types: { passport: "mask" } })).toThrow(
+    'Unknown PII type "passport"'
+  );
+  expect(() => normalizePiiPolicy({ types: { email: "hash" } })).toThrow(
+    'PII type email must be mask or keep, got "hash"'
+  );
+});
+
+test("restores placeholders split across streamed chunks", () => {
+  const vault = createPiiVault(maskAll);
+  vault.mask("somchai@example.com");
+  const received = [];
+  const stream = createStreamRestorer(vault, (text) => received.push(text));
+
+  ["ส่งอีเมลถึง [EMA", "IL_", "1] แล้วค่ะ [", "1]"].forEach(stream.push);
+  stream.flush();
+
+  expect(received.join("")).toBe("ส่งอีเมลถึง somchai@example.com แล้วค่ะ [1]");
+  expect(received).not.toContainEqual(expect.stringContaining("[EMA"));
+});
+
+test("models only see placeholders and answers get the values back", async () => {
+  const calls = [];
+  const llm = {
+    name: "fake",
+    models: { chat: "fake-chat" },
+    async complete(options) {
+      calls.push(options);
+      options.onDelta?.("ยอดวันลาของ [EMA");
+      options.onDelta?.("IL_1] คือ 6 วัน");
+      return {
+        content: "ยอดวันลาของ [EMAIL_1] คือ 6 วัน",
+        toolCalls: [
+          { id: "call_1", name: "lookup", arguments: '{"phone":"[PHONE_1]"}' },
+        ],
+      };
+    },
+    async embed(inputs) {
+      calls.push(inputs);
+      return inputs.map(() => [0]);
+    },
+  };
+  const scrubbed = scrubPii(llm, maskAll);
+  const deltas = [];
+
+  const result = await scrubbed.complete({
+    model: "chat",
+    messages: [
+      { role: "system", content: "คุณคือผู้ช่วยฝ่ายบุคคล" },
+      { role: "user", content: "somchai@example.com เบอร์ 081-234-5678" },
+      {
+        role: "tool",
+        tool_call_id: "call_0",
+        content: '{"Employee_Email":"somchai@example.com","Vacation":6}',
+      },
+    ],
+    onDelta: (text) => deltas.push(text),
+  });
+  await scrubbed.embed(["ลาป่วย โทร 081-234-5678"]);
+
+  const sent = JSON.stringify(calls);
+  expect(sent).not.toContain("somchai@example.com");
+  expect(sent).not.toContain("081-234-5678");
+  expect(calls[0].messages[0].content).toContain("stand in for personal data");
+  expect(calls[0].messages[1].content).toBe("[EMAIL_1] เบอร์ [PHONE_1]");
+  expect(calls[0].messages[2].content).toBe(
+    '{"Employee_Email":"[EMAIL_1]","Vacation":6}'
+  );
+  expect(calls[1]).toEqual(["ลาป่วย โทร [PHONE_1]"]);
+
+  expect(result.content).toBe("ยอดวันลาของ somchai@example.com คือ 6 วัน");
+  expect(deltas.join("")).toBe(result.content);
+  expect(result.toolCalls[0].arguments).toBe('{"phone":"081-234-5678"}');
+});
+
+test("leaves prompts without personal data untouched", async () => {
+  const complete = jest.fn(async () => ({ content: "ok", toolCalls: [] }));
+  const messages = [{ role: "user", content: "วันหยุดประจำปีมีกี่วัน" }];
+
+  await scrubPii({ complete }, maskAll).complete({ messages });
+  await scrubPii({ complete }, { ...maskAll, enabled: false }).complete({
+    messages: [{ role: "user", content: "a@b.co" }],
+  });
+
+  expect(complete.mock.calls[0][0].messages).toEqual(messages);
+  expect(complete.mock.calls[1][0].messages[0].content).toBe("a@b.co");
+});
@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+// Prompt registry: interpolation, admin routes and the prompt version
+// recorded with each answer
+import kissflowConfig from "../config/kissflow.json";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../server");
+const { createMockServices } = require("../server/mocks");
+const {
+  createFilePromptRegistry,
+  interpolate,
+} = require("../server/promptRegistry");
+const { createFileUsageStore } = require("../server/usageStore");
+
+let server;
+let baseUrl;
+let registryDir;
+
+const admin = {
+  "Content-Type": "application/json",
+  Authorization: "Bearer admin-token",
+};
+
+function request(method, pathname, body, headers = admin) {
+  return fetch(`${baseUrl}${pathname}`, {
+    method,
+    headers,
+    body: body && JSON.stringify(body),
+  });
+}
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  process.env.KB_ADMIN_TOKEN = "admin-token";
+  registryDir = fs.mkdtempSync(path.join(os.tmpdir(), "prompts-"));
+  const app = createApp({
+    ...createMockServices(kissflowConfig),
+    kissflowConfig,
+    promptRegistry: createFilePromptRegistry(
+      path.join(registryDir, "prompt-versions.json")
+    ),
+    usageStore: createFileUsageStore(path.join(registryDir, "usage.jsonl")),
+  });
+  await new Promise((resolve) => {
+    server = app.listen(0, resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  delete process.env.KB_ADMIN_TOKEN;
+  fs.rmSync(registryDir, { recursive: true, force: true });
+  await new Promise((resolve) => server.close(resolve));
+  console.log.mockRestore();
+});
+
+test("interpolates variables and fallbacks", () => {
+  expect(
+    interpolate("สวัสดีคุณ{{ userName|พนักงาน }} ({{language}}) {{missing}}.", {
+      language: "Thai",
+      userName: "",
+    })
+  ).toBe("สวัสดีคุณพนักงาน (Thai) .");
+
+  expect(() =>
+    createFilePromptRegistry(path.join(registryDir, "unused.json"), {
+      greeting: {
+        variables: ["userName"],
+        defaultVersion: 1,
+        versions: { 1: { system: "Hi {{userNmae}}" } },
+      },
+    })
+  ).toThrow("undeclared variables: userNmae");
+});
+
+test("lists, previews and switches prompt versions", async () => {
+  expect((await request("GET", "/api/prompts", null, {})).status).toBe(401);
+
+  const { prompts } = await (await request("GET", "/api/prompts")).json();
+  expect(prompts.map((p) => [p.name, p.activeId])).toEqual([
+    ["case-answer", "case-answer-2"],
+    ["chat-answer", "chat-answer-3"],
+    ["case-data", "case-data-2"],
+    ["intent", "intent-1"],
+    ["leave-draft", "leave-draft-1"],
+  ]);
+
+  const preview = await request("POST", "/api/prompts/chat-answer/preview", {
+    version: 2,
+    variables: { userName: "สมชาย", question: "ลาป่วยเหลือกี่วัน" },
+  });
+  expect(await preview.json()).toMatchObject({
+    id: "chat-answer-2",
+    system: expect.stringContaining('เรียกผู้ใช้งานว่า "คุณสมชาย"'),
+    user: "Q: ลาป่วยเหลือกี่วัน\n",
+  });
+
+  // Language and context are variables, as in case-answer
+  const english = await request("POST", "/api/prompts/chat-answer/preview", {
+    variables: {
+      question: "How many sick days do I have left?",
+      context: "Sick_Leave_Balance: 4",
+      language: "English",
+    },
+  });
+  expect(await english.json()).toMatchObject({
+    id: "chat-answer-3",
+    system: expect.stringContaining("Answer in English language only"),
+    user: "Q: How many sick days do I have left?\nSick_Leave_Balance: 4",
+  });
+
+  const unknown = await request("PUT", "/api/prompts/case-answer/active", {
+    version: 9,
+  });
+  expect(unknown.status).toBe(400);
+  expect((await request("GET", "/api/prompts/greeting")).status).toBe(404);
+
+  const switched = await request("PUT", "/api/prompts/case-answer/active", {
+    version: 1,
+    changedBy: "qa-lead",
+  });
+  expect(await switched.json()).toMatchObject({
+    activeId: "case-answer-1",
+    changedBy: "qa-lead",
+  });
+
+  // New answers use and report the switched version
+  const ask = await request(
+    "POST",
+    "/api/ask",
+    { question: "VPN เชื่อมต่อไม่ได้" },
+    { "Content-Type": "application/json" }
+  );
+  expect(await ask.json()).toMatchObject({ promptVersion: "case-answer-1" });
+
+  const chat = await request(
+    "POST",
+    "/api/chat",
+    { question: "วันลาคงเหลือ" },
+    { "Content-Type": "application/json" }
+  );
+  expect(await chat.json()).toMatchObject({ promptVersion: "chat-answer-3" });
+});
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+// Retrieval stages between knowledge-base search and generateAnswer
+// (server/retrievalPipeline.js)
+const {
+  dedupeCases,
+  retrieveCases,
+  trimToBudget,
+} = require("../server/retrievalPipeline");
+const { parseSearchOptions } = require("../server/caseSearch");
+const { DEFAULT_CASE_TYPE_OPTIONS } = require("./kissflowCaseFields");
+const { createMemoryCaseStore } = require("../server/mocks/memoryCaseStore");
+const { fakeEmbedding } = require("../server/mocks/fakeOpenAI");
+
+function makeCase(caseNumber, caseTitle, extra = {}) {
+  return {
+    caseNumber,
+    caseTitle,
+    caseType: "Technical Support",
+    caseDescription: `${caseTitle} รายละเอียด`,
+    solutionDescription: "วิธีแก้",
+    instanceID: `Pk_${caseNumber}`,
+    _additional: { score: 0.5 },
+    ...extra,
+  };
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+test("dedupes chunks of one case and near-identical cases", () => {
+  const docs = [
+    makeCase("CASE-1", "เชื่อมต่อ VPN ไม่ได้หลังเปลี่ยนรหัสผ่าน"),
+    makeCase("CASE-1", "เชื่อมต่อ VPN ไม่ได้ (ส่วนที่ 2)"),
+    makeCase("CASE-2", "เชื่อมต่อ VPN ไม่ได้หลังเปลี่ยนรหัสผ่าน!"),
+    makeCase("CASE-3", "เครื่องพิมพ์ชั้น 3 พิมพ์ไม่ออก"),
+  ];
+
+  expect(dedupeCases(docs).map((d) => d.caseNumber)).toEqual([
+    "CASE-1",
+    "CASE-3",
+  ]);
+});
+
+test("trims to the limit and the token budget but keeps one case", () => {
+  const docs = ["CASE-1", "CASE-2", "CASE-3"].map((n) => makeCase(n, n));
+
+  expect(trimToBudget(docs, 2, 10000)).toHaveLength(2);
+  expect(trimToBudget(docs, 3, 1)).toHaveLength(1);
+});
+
+describe("retrieveCases", () => {
+  const client = createMemoryCaseStore();
+  const query = "VPN เชื่อมต่อไม่ได้ อีเมลไม่ซิงค์";
+  const { options } = parseSearchOptions(
+    { minCertainty: 0 },
+    { caseTypes: DEFAULT_CASE_TYPE_OPTIONS }
+  );
+
+  function retrieve(llm, stages) {
+    return retrieveCases({
+      client,
+      llm,
+      query,
+      vector: fakeEmbedding(query),
+      options,
+      stages: { topK: 3, ...stages },
+    });
+  }
+
+  test("reranks with the LLM, drops weak matches and times each stage", async () => {
+    const complete = jest.fn(async ({ messages }) => {
+      const count = messages[1].content.match(/^\[\d+\] /gm).length;
+      // Reverse the retrieval order, the first case is a weak match
+      const scores = Array.from({ length: count }, (_, i) => i);
+      return { content: JSON.stringify({ scores }) };
+    });
+
+    const baseline = await retrieve(null, { rerank: "none", topK: 18 });
+    const { docs, timings } = await retrieve({ complete }, { rerank: "llm" });
+
+    expect(complete).toHaveBeenCalledTimes(1);
+    expect(docs).toHaveLength(3);
+    expect(docs[0].caseNumber).toBe(
+      baseline.docs[baseline.docs.length - 1].caseNumber
+    );
+    expect(docs.map((d) => d.caseNumber)).not.toContain(
+      baseline.docs[0].caseNumber
+    );
+    expect(Object.keys(timings)).toEqual([
+      "retrieve",
+      "dedupe",
+      "rerank",
+      "trim",
+    ]);
+  });
+
+  test("keeps retrieval order when reranking fails", async () => {
+    const complete = jest.fn(async () => ({ content: "not json" }));
+
+    const baseline = await retrieve(null, { rerank: "none" });
+    const { docs } = await retrieve({ complete }, { rerank: "llm" });
+
+    expect(docs.map((d) => d.caseNumber)).toEqual(
+      baseline.docs.map((d) => d.caseNumber)
+    );
+  });
+});
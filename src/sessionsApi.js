@@ -0,0 +1,43 @@
+import { requestJson } from "./api";
+
+// ===== Chat Session API (server.js /api/sessions) =====
+// Sessions are stored per Kissflow user: the user token from openUserSession
+// (api.js) names the user; X-User-Id only counts without authentication
+
+const userHeaders = (userId) => ({ "X-User-Id": userId });
+
+export async function listSessions(userId) {
+  const { sessions } = await requestJson("/api/sessions", {
+    headers: userHeaders(userId),
+  });
+  return sessions;
+}
+
+export function loadSession(userId, sessionId) {
+  return requestJson(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+    headers: userHeaders(userId),
+  });
+}
+
+export function createSession(userId, { title, messages } = {}) {
+  return requestJson("/api/sessions", {
+    method: "POST",
+    headers: userHeaders(userId),
+    body: { title, messages },
+  });
+}
+
+export function updateSession(userId, sessionId, { title, messages }) {
+  return requestJson(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+    method: "PATCH",
+    headers: userHeaders(userId),
+    body: { title, messages },
+  });
+}
+
+export function deleteSession(userId, sessionId) {
+  return requestJson(`/api/sessions/${encodeURIComponent(sessionId)}`, {
+    method: "DELETE",
+    headers: userHeaders(userId),
+  });
+}
@@ -0,0 +1,168 @@
+/**
+ * @jest-environment node
+ */
+// Usage tracking: token costs per user and route, quotas and rate limits
+import kissflowConfig from "../config/kissflow.json";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createApp } = require("../server");
+const { issuePageToken, loadAuthConfig } = require("../server/auth");
+const { createMockServices } = require("../server/mocks");
+const { createFileUsageStore } = require("../server/usageStore");
+const {
+  LIMIT_MESSAGES,
+  loadUsageConfig,
+  priceUsage,
+} = require("../server/usageTracking");
+
+let dataDir;
+const servers = [];
+
+const auth = loadAuthConfig({
+  AUTH_API_KEYS: "portal:key-123",
+  AUTH_PAGE_SECRET: "page-secret",
+});
+// High prices so a single mock answer is worth a few cents
+const mockPrices = {
+  "mock-chat": { input: 100, output: 400 },
+  "mock-fast": { input: 10, output: 40 },
+  "mock-embed": { input: 1, output: 0 },
+};
+
+async function startApp(usageConfig) {
+  const app = createApp({
+    ...createMockServices(kissflowConfig),
+    kissflowConfig,
+    auth,
+    usageStore: createFileUsageStore(
+      path.join(dataDir, `usage-${servers.length}.jsonl`)
+    ),
+    usageConfig: {
+      ...loadUsageConfig({}),
+      prices: mockPrices,
+      ...usageConfig,
+    },
+  });
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  servers.push(server);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return (pathname, { body, userId = "", headers = {} } = {}) =>
+    fetch(`${baseUrl}${pathname}`, {
+      method: body ? "POST" : "GET",
+      headers: {
+        "Content-Type": "application/json",
+        "X-API-Key": "key-123",
+        "X-User-Id": userId,
+        ...headers,
+      },
+      body: body && JSON.stringify(body),
+    });
+}
+
+beforeAll(() => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+  process.env.KB_ADMIN_TOKEN = "admin-token";
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-"));
+});
+
+afterAll(async () => {
+  delete process.env.KB_ADMIN_TOKEN;
+  await Promise.all(
+    servers.map((server) => new Promise((resolve) => server.close(resolve)))
+  );
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  console.log.mockRestore();
+  console.warn.mockRestore();
+});
+
+test("prices calls by the longest matching model prefix", () => {
+  const prices = {
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  };
+  const usage = { inputTokens: 1000000, outputTokens: 100000 };
+
+  expect(priceUsage(prices, { ...usage, model: "gpt-4o-2024-08-06" })).toBe(
+    3.5
+  );
+  expect(priceUsage(prices, { ...usage, model: "gpt-4o-mini" })).toBe(0.21);
+  expect(priceUsage(prices, { ...usage, model: "gpt-4o-mini-tts" })).toBe(0.21);
+  expect(priceUsage(prices, { ...usage, model: "gpt-4" })).toBeNull();
+});
+
+test("records cost per user and route and enforces the daily quota", async () => {
+  const request = await startApp({ dailyQuotaUsd: 0.01 });
+  const ask = (userId) =>
+    request("/api/ask", {
+      body: { question: "ลาพักร้อนต้องแจ้งล่วงหน้ากี่วัน" },
+      userId,
+    });
+
+  expect((await ask("somchai")).status).toBe(200);
+
+  const overQuota = await ask("somchai");
+  expect(overQuota.status).toBe(429);
+  expect(await overQuota.json()).toEqual({
+    error: LIMIT_MESSAGES.daily_quota_exceeded,
+    code: "daily_quota_exceeded",
+  });
+  // Other users have their own quota
+  expect((await ask("malee")).status).toBe(200);
+
+  expect((await request("/api/usage")).status).toBe(401);
+  const report = await (
+    await request("/api/usage", {
+      headers: { Authorization: "Bearer admin-token" },
+    })
+  ).json();
+  expect(report.byUser.map((row) => row.userId).sort()).toEqual([
+    "malee",
+    "somchai",
+  ]);
+  expect(report.byRoute).toEqual([
+    expect.objectContaining({ route: "/api/ask", calls: report.total.calls }),
+  ]);
+  expect(report.total.costUsd).toBeGreaterThan(0.02);
+  expect(report.unpricedCalls).toBe(0);
+});
+
+test("rate limits each user and answers with Retry-After", async () => {
+  const request = await startApp({ userRequestsPerMinute: 2 });
+  const classify = (userId) =>
+    request("/api/intent", {
+      body: { question: "วันลาเหลือเท่าไหร่", intents: [] },
+      userId,
+    });
+
+  await classify("somchai");
+  await classify("somchai");
+  const limited = await classify("somchai");
+  expect(limited.status).toBe(429);
+  expect(Number(limited.headers.get("retry-after"))).toBeGreaterThan(0);
+  expect((await limited.json()).code).toBe("rate_limited");
+
+  expect((await classify("malee")).status).not.toBe(429);
+});
+
+test("counts page token callers by token and address, not X-User-Id", async () => {
+  const request = await startApp({ userRequestsPerMinute: 2 });
+  const pageToken = issuePageToken("page-secret", { days: 1 });
+  const classify = (userId) =>
+    request("/api/intent", {
+      body: { question: "วันลาเหลือเท่าไหร่", intents: [] },
+      userId,
+      // No API key: the shared page token only
+      headers: { "X-API-Key": "", Authorization: `Bearer ${pageToken}` },
+    });
+
+  expect((await classify("somchai")).status).not.toBe(429);
+  expect((await classify("malee")).status).not.toBe(429);
+  // A new X-User-Id per request does not reset the limit
+  expect((await classify("someone-new")).status).toBe(429);
+});
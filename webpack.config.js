@@ -2,15 +2,25 @@ const path = require("path");
 const HtmlWebpackPlugin = require("html-webpack-plugin");
 const webpack = require("webpack");
 const dotenv = require("dotenv");
+const { loadKissflowConfig } = require("./server/kissflowConfig");
 
 // Load environment variables from .env file
 const env = dotenv.config().parsed || {};
 
 // Create an object to define environment variables for the client
-const envKeys = Object.keys(env).reduce((prev, next) => {
-  prev[`process.env.${next}`] = JSON.stringify(env[next]);
-  return prev;
-}, {});
+// Only REACT_APP_* keys are exposed; server secrets must never reach bundle.js
+const envKeys = Object.keys(env)
+  .filter((key) => key.startsWith("REACT_APP_"))
+  .reduce((prev, next) => {
+    prev[`process.env.${next}`] = JSON.stringify(env[next]);
+    return prev;
+  }, {});
+
+// Kissflow deployment config (KISSFLOW_CONFIG_PATH, default config/kissflow.json)
+// is validated and bundled at build time; with KISSFLOW_CONFIG_SOURCE=server
+// the bundle fetches it from server.js instead, so one build fits every tenant
+const kissflowConfig =
+  process.env.KISSFLOW_CONFIG_SOURCE === "server" ? null : loadKissflowConfig();
 
 module.exports = {
   entry: "./src/index.js",
@@ -52,7 +62,12 @@ module.exports = {
       template: "src/index.html",
       inject: true,
     }),
-    new webpack.DefinePlugin(envKeys),
+    new webpack.DefinePlugin({
+      ...envKeys,
+      __KISSFLOW_CONFIG__: JSON.stringify(kissflowConfig),
+      // MOCK_MODE=true: fake Kissflow SDK so the page runs outside Kissflow
+      __MOCK_MODE__: JSON.stringify(process.env.MOCK_MODE === "true"),
+    }),
   ],
 
   resolve: {